@@ -6,13 +6,90 @@
  *    All rights reserved.                                                    *
  *                                                                            *
  ******************************************************************************/
-import { INF, EPS } from './src/Constant';
+import Config from './src/Config';
 import Point from './src/Point';
 import Line from './src/Line';
+import Triangle from './src/Triangle';
+import Polygon from './src/Polygon';
+import Polyline from './src/Polyline';
+import PolygonWithHoles from './src/PolygonWithHoles';
+import MultiPolygon from './src/MultiPolygon';
+import Rectangle from './src/Rectangle';
+import Circle from './src/Circle';
+import Ellipse from './src/Ellipse';
+import Arc from './src/Arc';
+import QuadraticBezier from './src/QuadraticBezier';
+import CubicBezier from './src/CubicBezier';
+import Transform from './src/Transform';
+import RTree from './src/RTree';
+import { getTolerance, withTolerance } from './src/Utils';
+import {
+  orient2d,
+  incircle,
+  orientation,
+  inCircle,
+} from './src/Predicates';
+import {
+  polygonUnion,
+  polygonIntersection,
+  polygonDifference,
+  polygonXor,
+} from './src/PolygonBoolean';
+import { bufferPoint, bufferLine } from './src/Buffer';
+import { minkowskiSum, minkowskiDifference } from './src/Minkowski';
+import { delaunayTriangulation, voronoiDiagram } from './src/Delaunay';
+import { closestPair, farthestPair, minimumWidth } from './src/PointSet';
+import { findSegmentIntersections } from './src/SegmentIntersection';
+import { fromJSON } from './src/Json';
+import { toGeoJSON, fromGeoJSON } from './src/GeoJson';
+import { parseWKT, toWKT } from './src/Wkt';
+import { parseWKB, toWKB } from './src/Wkb';
+import { parseSvgPath, toSvgPath } from './src/SvgPath';
 
 export {
-  INF,
-  EPS,
+  Config,
   Point,
   Line,
+  Triangle,
+  Polygon,
+  Polyline,
+  PolygonWithHoles,
+  MultiPolygon,
+  Rectangle,
+  Circle,
+  Ellipse,
+  Arc,
+  QuadraticBezier,
+  CubicBezier,
+  Transform,
+  RTree,
+  getTolerance,
+  withTolerance,
+  orient2d,
+  incircle,
+  orientation,
+  inCircle,
+  polygonUnion,
+  polygonIntersection,
+  polygonDifference,
+  polygonXor,
+  bufferPoint,
+  bufferLine,
+  minkowskiSum,
+  minkowskiDifference,
+  delaunayTriangulation,
+  voronoiDiagram,
+  closestPair,
+  farthestPair,
+  minimumWidth,
+  findSegmentIntersections,
+  fromJSON,
+  toGeoJSON,
+  fromGeoJSON,
+  parseWKT,
+  toWKT,
+  parseWKB,
+  toWKB,
+  parseSvgPath,
+  toSvgPath,
 };
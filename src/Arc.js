@@ -0,0 +1,296 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { eq } from './Utils';
+import Line from './Line';
+import Rectangle from './Rectangle';
+import Ellipse from './Ellipse';
+import { JSON_VERSION, checkJSON, checkNumbers } from './JsonUtils';
+
+/**
+ * This class represents an elliptical arc in a plane.
+ *
+ * The arc is the part of an ellipse from the point at the parametric angle
+ * `startAngle` to the point at the parametric angle `endAngle` (see the
+ * `Ellipse` class). If `endAngle` is greater than `startAngle`, the arc goes
+ * along the positive direction of the parametric angle, i.e., the
+ * counter-clockwise direction if the y-axis is oriented upwards; otherwise it
+ * goes along the negative direction.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class Arc {
+  /**
+   * Constructs an elliptical arc.
+   *
+   * @param {Ellipse} ellipse
+   *    the ellipse containing the arc.
+   * @param {number} startAngle
+   *    the parametric angle of the start point of the arc, in radians.
+   * @param {number} endAngle
+   *    the parametric angle of the end point of the arc, in radians.
+   * @throws {Error}
+   *    if the arc sweeps more than a full turn.
+   */
+  constructor(ellipse, startAngle, endAngle) {
+    if (Math.abs(endAngle - startAngle) > 2 * Math.PI && !eq(Math.abs(endAngle - startAngle), 2 * Math.PI)) {
+      throw new Error(`An arc cannot sweep more than a full turn: ${startAngle}, ${endAngle}`);
+    }
+    this.ellipse = ellipse;
+    this.startAngle = startAngle;
+    this.endAngle = endAngle;
+    Object.freeze(this);    // make this object immutable
+  }
+
+  /**
+   * Gets the sweep angle of this arc.
+   *
+   * @return {number}
+   *    the sweep angle of this arc, in radians, which is negative if this arc
+   *    goes along the negative direction of the parametric angle.
+   */
+  sweepAngle() {
+    return this.endAngle - this.startAngle;
+  }
+
+  /**
+   * Gets the start point of this arc.
+   *
+   * @return {Point}
+   *    the start point of this arc.
+   */
+  startPoint() {
+    return this.ellipse.pointAt(this.startAngle);
+  }
+
+  /**
+   * Gets the end point of this arc.
+   *
+   * @return {Point}
+   *    the end point of this arc.
+   */
+  endPoint() {
+    return this.ellipse.pointAt(this.endAngle);
+  }
+
+  /**
+   * Calculates the point of this arc at a parameter.
+   *
+   * @param {number} t
+   *    the parameter in the range `[0, 1]`, where 0 corresponds to the start
+   *    point and 1 corresponds to the end point of this arc.
+   * @return {Point}
+   *    the point of this arc at the parameter.
+   */
+  pointAt(t) {
+    return this.ellipse.pointAt(this.startAngle + t * this.sweepAngle());
+  }
+
+  /**
+   * Tests whether this arc contains the point of its ellipse at a parametric
+   * angle.
+   *
+   * @param {number} angle
+   *    the parametric angle, in radians.
+   * @return {boolean}
+   *    `true` if the point at the parametric angle lies on this arc, `false`
+   *    otherwise.
+   */
+  containsAngle(angle) {
+    const sweep = this.sweepAngle();
+    const turn = 2 * Math.PI;
+    const offset = (sweep >= 0 ? angle - this.startAngle : this.startAngle - angle);
+    const d = ((offset % turn) + turn) % turn;
+    return d <= Math.abs(sweep) || eq(d, turn) || eq(d, Math.abs(sweep));
+  }
+
+  /**
+   * Calculates the length of this arc.
+   *
+   * @return {number}
+   *    the length of this arc.
+   */
+  length() {
+    return this.ellipse.arcLength(this.startAngle, this.endAngle);
+  }
+
+  /**
+   * Calculates the tight axis-aligned bounding box of this arc.
+   *
+   * @return {Rectangle}
+   *    the smallest axis-aligned rectangle containing this arc.
+   */
+  boundingBox() {
+    const { radiusX, radiusY, angle } = this.ellipse;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    // the parametric angles of the extreme points of the ellipse
+    const tx = Math.atan2(-radiusY * sin, radiusX * cos);
+    const ty = Math.atan2(radiusY * cos, radiusX * sin);
+    const points = [tx, tx + Math.PI, ty, ty + Math.PI]
+      .filter((t) => this.containsAngle(t))
+      .map((t) => this.ellipse.pointAt(t))
+      .concat([this.startPoint(), this.endPoint()]);
+    const xs = points.map((p) => p.x);
+    const ys = points.map((p) => p.y);
+    return Rectangle.fromBounds(Math.min(...xs),
+      Math.min(...ys),
+      Math.max(...xs),
+      Math.max(...ys),
+      this.ellipse._yDirection);
+  }
+
+  /**
+   * Approximates this arc by line segments.
+   *
+   * @param {number} tolerance
+   *    the maximum distance between this arc and the line segments, which
+   *    must be positive.
+   * @return {Line[]}
+   *    the array of line segments approximating this arc, from the start
+   *    point to the end point of this arc.
+   * @throws {Error}
+   *    if the tolerance is not positive.
+   */
+  toLines(tolerance) {
+    const points = this.ellipse.flattenArc(this.startAngle, this.endAngle, tolerance);
+    const result = [];
+    for (let i = 1; i < points.length; ++i) {
+      result.push(new Line(points[i - 1], points[i]));
+    }
+    return result;
+  }
+
+  /**
+   * Calculates the intersection points of this arc and a line.
+   *
+   * @param {Line} l
+   *    the specified line, which is treated as an infinite line.
+   * @return {Point[]}
+   *    the array of intersection points, which has 0, 1 or 2 points ordered
+   *    from the start point to the end point of the line.
+   */
+  crossPointsWithLine(l) {
+    return this.ellipse.crossPointsWithLine(l)
+      .filter((p) => this.containsAngle(this.ellipse.angleOf(p)));
+  }
+
+  /**
+   * Calculates the intersection points of this arc and a line segment.
+   *
+   * @param {Line} l
+   *    the specified line segment.
+   * @return {Point[]}
+   *    the array of intersection points, which has 0, 1 or 2 points ordered
+   *    from the start point to the end point of the line segment.
+   */
+  crossPointsWithLineSegment(l) {
+    return this.crossPointsWithLine(l).filter((p) => p.isOnLineSegment(l));
+  }
+
+  /**
+   * Translate this arc by the specified displacement.
+   *
+   * @param {Point} p
+   *    The vector represents the displacement by which this arc is
+   *    translated.
+   * @return {Arc}
+   *    A new `Arc` object representing the result arc after translating this
+   *    arc by the specified displacement.
+   */
+  translate(p) {
+    return new Arc(this.ellipse.translate(p), this.startAngle, this.endAngle);
+  }
+
+  /**
+   * Rotates this arc by a given angle around a given point.
+   *
+   * @param {Point} p
+   *     The point around which the rotation is performed.
+   * @param {number} angle
+   *     The angle of rotation, in radians.
+   * @return {Arc}
+   *     A new `Arc` object representing the result arc after rotating this
+   *     arc around the given point by the given angle.
+   */
+  rotate(p, angle) {
+    return new Arc(this.ellipse.rotate(p, angle), this.startAngle, this.endAngle);
+  }
+
+  /**
+   * Applies an affine transformation to this arc.
+   *
+   * @param {Transform} matrix
+   *     The affine transformation to be applied.
+   * @return {Arc}
+   *     A new `Arc` object representing the result of applying the
+   *     transformation to this arc.
+   * @throws {Error}
+   *     if the transformation is singular.
+   */
+  transform(matrix) {
+    const ellipse = this.ellipse.transform(matrix);
+    // an affine transformation maps the parametric angles of the ellipse by a
+    // rotation, or by a reflection if it reverses the orientation
+    const start = ellipse.angleOf(this.startPoint().transform(matrix));
+    const sweep = (matrix.determinant() < 0 ? -this.sweepAngle() : this.sweepAngle());
+    return new Arc(ellipse, start, start + sweep);
+  }
+
+  /**
+   * Checks if this arc is equal to another arc.
+   *
+   * @param {Arc} other
+   *    the other arc.
+   * @return {boolean}
+   *    `true` if this arc is equal to the other arc, `false` otherwise.
+   */
+  equals(other) {
+    return this.ellipse.equals(other.ellipse)
+      && eq(this.startAngle, other.startAngle)
+      && eq(this.endAngle, other.endAngle);
+  }
+
+  /**
+   * Gets the JSON representation of this arc.
+   *
+   * @return {object}
+   *    the JSON representation of this arc, which is an object of the form
+   *    `{ type: 'Arc', version, ellipse, startAngle, endAngle }`, where
+   *    `ellipse` is the JSON representation of the ellipse.
+   */
+  toJSON() {
+    return {
+      type: 'Arc',
+      version: JSON_VERSION,
+      ellipse: this.ellipse.toJSON(),
+      startAngle: this.startAngle,
+      endAngle: this.endAngle,
+    };
+  }
+
+  /**
+   * Constructs an arc from its JSON representation.
+   *
+   * @param {object} json
+   *    the JSON representation of an arc, as returned by `toJSON()`.
+   * @return {Arc}
+   *    the arc represented by the JSON object.
+   * @throws {Error}
+   *    if the JSON object is not a valid representation of an arc.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Arc');
+    checkNumbers(json, ['startAngle', 'endAngle']);
+    return new Arc(Ellipse.fromJSON(json.ellipse), json.startAngle, json.endAngle);
+  }
+}
+
+export default Arc;
@@ -0,0 +1,273 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Line from './Line';
+import Rectangle from './Rectangle';
+import {
+  evaluate,
+  split,
+  derivative,
+  tangent,
+  flatten,
+  bounds,
+  arcLength,
+  nearestParameter,
+  lineIntersectionParameters,
+} from './BezierUtils';
+
+/**
+ * The abstract base class of the Bézier curves in a plane.
+ *
+ * The points of a curve are parameterized by `t` in the range `[0, 1]`. A
+ * subclass must implement the `controlPoints()` method, and its constructor
+ * must take the control points of the curve as its arguments, in the order
+ * returned by `controlPoints()`, since the methods of this class construct
+ * new curves of the same subclass in this way.
+ *
+ * @author Haixing Hu
+ */
+class Bezier {
+  /**
+   * Gets the control points of this curve.
+   *
+   * @return {Point[]}
+   *     the array of the control points of this curve, from the start point
+   *     to the end point.
+   */
+  controlPoints() {
+    throw new Error(`The class ${this.constructor.name} must implement controlPoints().`);
+  }
+
+  /**
+   * Calculates the point of this curve at a parameter.
+   *
+   * @param {number} t
+   *     the parameter, which is usually in the range `[0, 1]`.
+   * @return {Point}
+   *     the point of this curve at the parameter.
+   */
+  pointAt(t) {
+    return evaluate(this.controlPoints(), t);
+  }
+
+  /**
+   * Calculates the derivative of this curve at a parameter.
+   *
+   * @param {number} t
+   *     the parameter, which is usually in the range `[0, 1]`.
+   * @return {Point}
+   *     the derivative vector of this curve at the parameter.
+   */
+  derivativeAt(t) {
+    return evaluate(derivative(this.controlPoints()), t);
+  }
+
+  /**
+   * Calculates the unit tangent vector of this curve at a parameter.
+   *
+   * @param {number} t
+   *     the parameter, which is usually in the range `[0, 1]`.
+   * @return {Point}
+   *     the unit tangent vector of this curve at the parameter, or the zero
+   *     vector if all the control points coincide.
+   */
+  tangentAt(t) {
+    return tangent(this.controlPoints(), t);
+  }
+
+  /**
+   * Splits this curve at a parameter by the de Casteljau algorithm.
+   *
+   * @param {number} t
+   *     the parameter, which must be in the range `[0, 1]`.
+   * @return {Bezier[]}
+   *     an array of two curves of the same class as this curve, which are the
+   *     parts of this curve in `[0, t]` and `[t, 1]` respectively.
+   */
+  split(t) {
+    return split(this.controlPoints(), t).map((c) => new this.constructor(...c));
+  }
+
+  /**
+   * Calculates the tight axis-aligned bounding box of this curve.
+   *
+   * @return {Rectangle}
+   *     the smallest axis-aligned rectangle containing this curve.
+   */
+  boundingBox() {
+    const { minX, minY, maxX, maxY } = bounds(this.controlPoints());
+    return Rectangle.fromBounds(minX, minY, maxX, maxY);
+  }
+
+  /**
+   * Calculates the arc length of this curve.
+   *
+   * @return {number}
+   *     the arc length of this curve.
+   */
+  length() {
+    return arcLength(this.controlPoints());
+  }
+
+  /**
+   * Finds the parameter of the point of this curve nearest to a point.
+   *
+   * @param {Point} p
+   *     the specified point.
+   * @return {number}
+   *     the parameter in `[0, 1]` of the point of this curve nearest to the
+   *     specified point.
+   */
+  nearestParameterTo(p) {
+    return nearestParameter(this.controlPoints(), p);
+  }
+
+  /**
+   * Finds the point of this curve nearest to a point.
+   *
+   * @param {Point} p
+   *     the specified point.
+   * @return {Point}
+   *     the point of this curve nearest to the specified point.
+   */
+  nearestPointTo(p) {
+    return this.pointAt(this.nearestParameterTo(p));
+  }
+
+  /**
+   * Calculates the distance between a point and this curve.
+   *
+   * @param {Point} p
+   *     the specified point.
+   * @return {number}
+   *     the distance between the point and the nearest point of this curve.
+   */
+  distanceToPoint(p) {
+    return this.nearestPointTo(p).distance(p);
+  }
+
+  /**
+   * Flattens this curve into line segments.
+   *
+   * @param {number} tolerance
+   *     the maximum distance between this curve and the line segments, which
+   *     must be positive.
+   * @return {Line[]}
+   *     the array of line segments approximating this curve, from the start
+   *     point to the end point of this curve.
+   * @throws {Error}
+   *     if the tolerance is not positive.
+   */
+  flatten(tolerance) {
+    if (!(tolerance > 0)) {
+      throw new Error(`The flattening tolerance must be positive: ${tolerance}`);
+    }
+    const points = flatten(this.controlPoints(), tolerance);
+    const result = [];
+    for (let i = 1; i < points.length; ++i) {
+      result.push(new Line(points[i - 1], points[i]));
+    }
+    return result;
+  }
+
+  /**
+   * Calculates the intersection points of this curve and a line.
+   *
+   * @param {Line} l
+   *     the specified line, which is treated as an infinite line.
+   * @return {Point[]|null}
+   *     the array of intersection points, ordered from the start point to the
+   *     end point of this curve; or `null` if this curve lies on the line, in
+   *     which case they have infinite intersection points.
+   */
+  crossPointsWithLine(l) {
+    const ts = lineIntersectionParameters(this.controlPoints(), l);
+    return (ts === null ? null : ts.map((t) => this.pointAt(t)));
+  }
+
+  /**
+   * Calculates the intersection points of this curve and a line segment.
+   *
+   * @param {Line} l
+   *     the specified line segment.
+   * @return {Point[]|null}
+   *     the array of intersection points, ordered from the start point to the
+   *     end point of this curve; or `null` if this curve lies on the line
+   *     containing the line segment.
+   */
+  crossPointsWithLineSegment(l) {
+    const points = this.crossPointsWithLine(l);
+    return (points === null ? null : points.filter((p) => p.isOnLineSegment(l)));
+  }
+
+  /**
+   * Translate this curve by the specified displacement.
+   *
+   * @param {Point} p
+   *     The vector represents the displacement by which this curve is
+   *     translated.
+   * @return {Bezier}
+   *     A new curve of the same class as this curve, representing the result
+   *     curve after translating this curve by the specified displacement.
+   */
+  translate(p) {
+    return new this.constructor(...this.controlPoints().map((c) => c.add(p)));
+  }
+
+  /**
+   * Rotates this curve by a given angle around a given point.
+   *
+   * @param {Point} p
+   *     The point around which the rotation is performed.
+   * @param {number} angle
+   *     The angle of rotation, in radians.
+   * @return {Bezier}
+   *     A new curve of the same class as this curve, representing the result
+   *     curve after rotating this curve around the given point by the given
+   *     angle.
+   */
+  rotate(p, angle) {
+    return new this.constructor(...this.controlPoints().map((c) => c.rotateAround(p, angle)));
+  }
+
+  /**
+   * Applies an affine transformation to this curve.
+   *
+   * Since Bézier curves are affine invariant, the result is obtained by
+   * transforming the control points.
+   *
+   * @param {Transform} matrix
+   *     The affine transformation to be applied.
+   * @return {Bezier}
+   *     A new curve of the same class as this curve, representing the result
+   *     of applying the transformation to this curve.
+   */
+  transform(matrix) {
+    return new this.constructor(...this.controlPoints().map((c) => c.transform(matrix)));
+  }
+
+  /**
+   * Checks if this curve is equal to another curve.
+   *
+   * @param {Bezier} other
+   *     the other curve.
+   * @return {boolean}
+   *     `true` if the other curve is of the same class as this curve, and the
+   *     control points of this curve are equal to the corresponding control
+   *     points of the other curve; `false` otherwise.
+   */
+  equals(other) {
+    if (!(other instanceof this.constructor)) {
+      return false;
+    }
+    const theirs = other.controlPoints();
+    return this.controlPoints().every((c, i) => c.equals(theirs[i]));
+  }
+}
+
+export default Bezier;
@@ -0,0 +1,482 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+
+//
+// The algorithms shared by the Bézier curves of different degrees. The curves
+// are represented by the arrays of their control points.
+//
+
+/**
+ * The maximum depth of the recursive subdivision when flattening a curve.
+ *
+ * @private
+ */
+const MAX_SUBDIVISION_DEPTH = 16;
+
+/**
+ * The maximum depth of the adaptive Simpson integration when calculating the
+ * arc length of a curve.
+ *
+ * @private
+ */
+const MAX_INTEGRATION_DEPTH = 20;
+
+/**
+ * The relative precision of the numerical algorithms, e.g., the root finding
+ * and the integration.
+ *
+ * @private
+ */
+const PRECISION = 1e-12;
+
+/**
+ * Calculates the point of a Bézier curve at a parameter by the de Casteljau
+ * algorithm.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @param {number} t
+ *     the parameter, which is usually in the range `[0, 1]`.
+ * @return {Point}
+ *     the point of the curve at the parameter.
+ */
+function evaluate(controls, t) {
+  let level = controls;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 1; i < level.length; ++i) {
+      const p = level[i - 1];
+      const q = level[i];
+      next.push(new Point(p.x + t * (q.x - p.x), p.y + t * (q.y - p.y)));
+    }
+    level = next;
+  }
+  return level[0];
+}
+
+/**
+ * Splits a Bézier curve at a parameter by the de Casteljau algorithm.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @param {number} t
+ *     the parameter, which must be in the range `[0, 1]`.
+ * @return {Point[][]}
+ *     an array `[left, right]`, where `left` and `right` are the control
+ *     points of the parts of the curve in `[0, t]` and `[t, 1]` respectively.
+ */
+function split(controls, t) {
+  const left = [controls[0]];
+  const right = [controls[controls.length - 1]];
+  let level = controls;
+  while (level.length > 1) {
+    const next = [];
+    for (let i = 1; i < level.length; ++i) {
+      const p = level[i - 1];
+      const q = level[i];
+      next.push(new Point(p.x + t * (q.x - p.x), p.y + t * (q.y - p.y)));
+    }
+    left.push(next[0]);
+    right.unshift(next[next.length - 1]);
+    level = next;
+  }
+  return [left, right];
+}
+
+/**
+ * Calculates the control points of the derivative of a Bézier curve, which is
+ * a Bézier curve of a lower degree.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @return {Point[]}
+ *     the control points of the derivative, which are vectors.
+ */
+function derivative(controls) {
+  const n = controls.length - 1;
+  const result = [];
+  for (let i = 1; i <= n; ++i) {
+    result.push(new Point(n * (controls[i].x - controls[i - 1].x),
+      n * (controls[i].y - controls[i - 1].y)));
+  }
+  return result;
+}
+
+/**
+ * Calculates the unit tangent vector of a Bézier curve at a parameter.
+ *
+ * If the derivative vanishes at the parameter, e.g., at an end point which
+ * coincides with its adjacent control point, the direction of the first
+ * non-vanishing higher derivative is used.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @param {number} t
+ *     the parameter, which is usually in the range `[0, 1]`.
+ * @return {Point}
+ *     the unit tangent vector of the curve at the parameter, or the zero
+ *     vector if all the control points coincide.
+ */
+function tangent(controls, t) {
+  let d = controls;
+  while (d.length > 1) {
+    d = derivative(d);
+    const v = evaluate(d, t);
+    const norm = v.norm();
+    if (norm > 0) {
+      return new Point(v.x / norm, v.y / norm);
+    }
+  }
+  return new Point(0, 0);
+}
+
+/**
+ * Calculates the distance from a point to the line passing through two
+ * points, or to the first point if the two points coincide.
+ *
+ * @private
+ */
+function distanceToChord(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const len = Math.hypot(dx, dy);
+  if (len === 0) {
+    return Math.hypot(p.x - a.x, p.y - a.y);
+  }
+  return Math.abs((p.x - a.x) * dy - (p.y - a.y) * dx) / len;
+}
+
+/**
+ * Flattens a Bézier curve into a polyline by the recursive de Casteljau
+ * subdivision at the middle of the curve, until the control points of each
+ * part are within the tolerance from the chord of the part.
+ *
+ * Since a Bézier curve lies in the convex hull of its control points, the
+ * distance between the curve and the polyline is not greater than the
+ * tolerance.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @param {number} tolerance
+ *     the maximum distance between the curve and the polyline.
+ * @return {Point[]}
+ *     the vertexes of the polyline, from the start point to the end point of
+ *     the curve.
+ */
+function flatten(controls, tolerance) {
+  const result = [controls[0]];
+  const subdivide = (part, depth) => {
+    const first = part[0];
+    const last = part[part.length - 1];
+    if (depth >= MAX_SUBDIVISION_DEPTH
+        || part.every((c) => distanceToChord(c, first, last) <= tolerance)) {
+      result.push(last);
+    } else {
+      const [left, right] = split(part, 0.5);
+      subdivide(left, depth + 1);
+      subdivide(right, depth + 1);
+    }
+  };
+  subdivide(controls, 0);
+  return result;
+}
+
+/**
+ * Calculates the coefficients of a polynomial in the power basis from its
+ * coefficients in the Bernstein basis.
+ *
+ * @param {number[]} values
+ *     the coefficients in the Bernstein basis, i.e., one coordinate of the
+ *     control points.
+ * @return {number[]}
+ *     the coefficients in the power basis, from the constant term to the
+ *     highest degree term.
+ * @private
+ */
+function toPowerBasis(values) {
+  const n = values.length - 1;
+  const binomial = (m, k) => {
+    let r = 1;
+    for (let i = 1; i <= k; ++i) {
+      r = (r * (m - k + i)) / i;
+    }
+    return r;
+  };
+  const result = [];
+  for (let k = 0; k <= n; ++k) {
+    let sum = 0;
+    for (let i = 0; i <= k; ++i) {
+      sum += ((k - i) % 2 === 0 ? 1 : -1) * binomial(k, i) * values[i];
+    }
+    result.push(binomial(n, k) * sum);
+  }
+  return result;
+}
+
+/**
+ * Finds the real roots of a polynomial of degree at most 3.
+ *
+ * @param {number[]} coefficients
+ *     the coefficients of the polynomial, from the constant term to the
+ *     highest degree term.
+ * @return {number[]|null}
+ *     the array of the real roots, or `null` if the polynomial is identically
+ *     zero.
+ * @private
+ */
+function solvePolynomial(coefficients) {
+  const scale = Math.max(...coefficients.map(Math.abs));
+  if (scale === 0) {
+    return null;
+  }
+  // removes the negligible leading coefficients
+  const c = coefficients.map((x) => x / scale);
+  while (c.length > 1 && Math.abs(c[c.length - 1]) < PRECISION) {
+    c.pop();
+  }
+  switch (c.length) {
+    case 1:
+      return [];
+    case 2:
+      return [-c[0] / c[1]];
+    case 3: {
+      const [cc, b, a] = c;
+      const disc = b * b - 4 * a * cc;
+      if (disc < 0) {
+        return [];
+      }
+      // the numerically stable form of the quadratic formula
+      const q = -(b + Math.sign(b || 1) * Math.sqrt(disc)) / 2;
+      return (q === 0 ? [0] : [q / a, cc / q]);
+    }
+    default: {
+      // the trigonometric and hyperbolic solutions of the depressed cubic
+      const a = c[2] / c[3];
+      const b = c[1] / c[3];
+      const d = c[0] / c[3];
+      const p = b - (a * a) / 3;
+      const q = (2 * a * a * a) / 27 - (a * b) / 3 + d;
+      const shift = -a / 3;
+      if (Math.abs(p) < PRECISION) {
+        return [Math.cbrt(-q) + shift];
+      }
+      const disc = (q * q) / 4 + (p * p * p) / 27;
+      if (disc > 0) {
+        const s = Math.sqrt(disc);
+        return [Math.cbrt(-q / 2 + s) + Math.cbrt(-q / 2 - s) + shift];
+      }
+      const r = 2 * Math.sqrt(-p / 3);
+      const phi = Math.acos(Math.max(-1, Math.min(1, (3 * q) / (p * r))));
+      return [0, 1, 2].map((k) => r * Math.cos((phi - 2 * Math.PI * k) / 3) + shift);
+    }
+  }
+}
+
+/**
+ * Finds the roots in the range `[0, 1]` of a polynomial given in the
+ * Bernstein basis.
+ *
+ * @param {number[]} values
+ *     the coefficients of the polynomial in the Bernstein basis.
+ * @return {number[]|null}
+ *     the sorted array of the distinct roots in `[0, 1]`, or `null` if the
+ *     polynomial is identically zero.
+ * @private
+ */
+function rootsInUnitInterval(values) {
+  const power = toPowerBasis(values);
+  const roots = solvePolynomial(power);
+  if (roots === null) {
+    return null;
+  }
+  // polishes the roots by the Newton's method
+  const polish = (t) => {
+    let x = t;
+    for (let i = 0; i < 3; ++i) {
+      let f = 0;
+      let df = 0;
+      for (let k = power.length - 1; k >= 0; --k) {
+        df = df * x + f;
+        f = f * x + power[k];
+      }
+      if (df === 0) {
+        break;
+      }
+      x -= f / df;
+    }
+    return (Number.isFinite(x) ? x : t);
+  };
+  const result = roots.map(polish)
+    .filter((t) => t >= -PRECISION && t <= 1 + PRECISION)
+    .map((t) => Math.min(1, Math.max(0, t)))
+    .sort((x, y) => x - y);
+  return result.filter((t, i) => i === 0 || t - result[i - 1] > PRECISION);
+}
+
+/**
+ * Calculates the tight axis-aligned bounding box of a Bézier curve.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @return {object}
+ *     the bounding box, which is an object `{ minX, minY, maxX, maxY }`.
+ */
+function bounds(controls) {
+  const first = controls[0];
+  const last = controls[controls.length - 1];
+  const box = {
+    minX: Math.min(first.x, last.x),
+    minY: Math.min(first.y, last.y),
+    maxX: Math.max(first.x, last.x),
+    maxY: Math.max(first.y, last.y),
+  };
+  // the extreme points are at the roots of the derivative
+  const d = derivative(controls);
+  const ts = [].concat(rootsInUnitInterval(d.map((p) => p.x)) || [],
+    rootsInUnitInterval(d.map((p) => p.y)) || []);
+  for (const t of ts) {
+    const p = evaluate(controls, t);
+    box.minX = Math.min(box.minX, p.x);
+    box.minY = Math.min(box.minY, p.y);
+    box.maxX = Math.max(box.maxX, p.x);
+    box.maxY = Math.max(box.maxY, p.y);
+  }
+  return box;
+}
+
+/**
+ * Calculates the arc length of a Bézier curve between two parameters by the
+ * adaptive Simpson integration of the speed of the curve.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @param {number} t0
+ *     the start parameter.
+ * @param {number} t1
+ *     the end parameter.
+ * @return {number}
+ *     the arc length of the curve between the two parameters.
+ */
+function arcLength(controls, t0 = 0, t1 = 1) {
+  const d = derivative(controls);
+  const speed = (t) => evaluate(d, t).norm();
+  const simpson = (a, fa, b, fb) => {
+    const m = (a + b) / 2;
+    const fm = speed(m);
+    return { m, fm, s: ((b - a) / 6) * (fa + 4 * fm + fb) };
+  };
+  const integrate = (a, fa, b, fb, whole, depth) => {
+    const { m, fm } = whole;
+    const left = simpson(a, fa, m, fm);
+    const right = simpson(m, fm, b, fb);
+    const delta = left.s + right.s - whole.s;
+    if (depth >= MAX_INTEGRATION_DEPTH
+        || Math.abs(delta) <= 15 * PRECISION * Math.max(1, Math.abs(whole.s))) {
+      return left.s + right.s + delta / 15;
+    }
+    return integrate(a, fa, m, fm, left, depth + 1)
+      + integrate(m, fm, b, fb, right, depth + 1);
+  };
+  const fa = speed(t0);
+  const fb = speed(t1);
+  return integrate(t0, fa, t1, fb, simpson(t0, fa, t1, fb), 0);
+}
+
+/**
+ * Finds the parameter of the point of a Bézier curve nearest to a point.
+ *
+ * The curve is sampled uniformly to find the neighborhood of the nearest
+ * point, which is then refined by the golden-section search.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @param {Point} p
+ *     the specified point.
+ * @return {number}
+ *     the parameter in `[0, 1]` of the nearest point of the curve.
+ */
+function nearestParameter(controls, p) {
+  const distance = (t) => evaluate(controls, t).distance(p);
+  const n = 16 * (controls.length - 1);
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i <= n; ++i) {
+    const d = distance(i / n);
+    if (d < bestDistance) {
+      best = i;
+      bestDistance = d;
+    }
+  }
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let a = Math.max(0, (best - 1) / n);
+  let b = Math.min(1, (best + 1) / n);
+  while (b - a > 1e-6) {
+    const x1 = b - ratio * (b - a);
+    const x2 = a + ratio * (b - a);
+    if (distance(x1) < distance(x2)) {
+      b = x2;
+    } else {
+      a = x1;
+    }
+  }
+  // polishes the parameter by the Newton's method applied to the derivative
+  // of the squared distance, since the golden-section search converges
+  // slowly near the flat minimum
+  const d1 = derivative(controls);
+  const d2 = derivative(d1);
+  let t = (a + b) / 2;
+  for (let i = 0; i < 3; ++i) {
+    const v = evaluate(controls, t).subtract(p);
+    const v1 = evaluate(d1, t);
+    const v2 = (d2.length > 0 ? evaluate(d2, t) : new Point(0, 0));
+    const denominator = v1.dot(v1) + v.dot(v2);
+    if (denominator <= 0) {
+      break;
+    }
+    const next = Math.min(1, Math.max(0, t - v.dot(v1) / denominator));
+    if (distance(next) > distance(t)) {
+      break;
+    }
+    t = next;
+  }
+  return (distance(t) <= bestDistance ? t : best / n);
+}
+
+/**
+ * Finds the parameters of the intersection points of a Bézier curve and an
+ * infinite line.
+ *
+ * @param {Point[]} controls
+ *     the control points of the curve.
+ * @param {Line} l
+ *     the specified line.
+ * @return {number[]|null}
+ *     the sorted array of the parameters in `[0, 1]` of the intersection
+ *     points, or `null` if the curve lies on the line.
+ */
+function lineIntersectionParameters(controls, l) {
+  const v = l.vector();
+  // the signed distances of the control points to the line, scaled by the
+  // length of the line
+  const values = controls.map((c) => v.cross(c.subtract(l.start)));
+  return rootsInUnitInterval(values);
+}
+
+export {
+  evaluate,
+  split,
+  derivative,
+  tangent,
+  flatten,
+  bounds,
+  arcLength,
+  nearestParameter,
+  lineIntersectionParameters,
+};
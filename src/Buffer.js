@@ -0,0 +1,116 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Polygon from './Polygon';
+import { arcPoints } from './OffsetUtils';
+
+/**
+ * Checks the buffer distance and the tolerance.
+ *
+ * @private
+ */
+function checkDistance(distance, tolerance) {
+  if (!(distance > 0)) {
+    throw new Error(`The buffer distance must be positive: ${distance}`);
+  }
+  if (!(tolerance > 0)) {
+    throw new Error(`The buffer tolerance must be positive: ${tolerance}`);
+  }
+}
+
+/**
+ * Calculates the buffer of a point, i.e., the region of the points whose
+ * distance to the point is not greater than the buffer distance.
+ *
+ * @param {Point} point
+ *     the specified point.
+ * @param {number} distance
+ *     the buffer distance, which must be positive.
+ * @param {object} options
+ *     the optional options, which may have the following properties:
+ *     - `tolerance`: the maximum distance between the circle of the buffer
+ *       and its polygon approximation, which must be positive. The default
+ *       value is 1% of the buffer distance.
+ * @return {Polygon}
+ *     the polygon inscribed in the circle of the buffer, whose vertexes are
+ *     arranged in the counter-clockwise order.
+ * @throws {Error}
+ *     if the buffer distance or the tolerance is not positive.
+ */
+function bufferPoint(point, distance, { tolerance = distance / 100 } = {}) {
+  checkDistance(distance, tolerance);
+  const start = new Point(point.x + distance, point.y);
+  // at least 3 points are needed to form a polygon
+  const points = arcPoints(point, start, 2 * Math.PI, Math.min(tolerance, distance / 2));
+  return new Polygon(points);
+}
+
+/**
+ * Calculates the buffer of a line segment, i.e., the region of the points
+ * whose distance to the line segment is not greater than the buffer distance,
+ * with the ends shaped by the cap style.
+ *
+ * @param {Line} line
+ *     the specified line segment.
+ * @param {number} distance
+ *     the buffer distance, which must be positive.
+ * @param {object} options
+ *     the optional options, which may have the following properties:
+ *     - `cap`: the cap style of the ends of the line segment, which may be
+ *       'round', 'square' or 'flat'. The 'square' cap extends the buffer
+ *       beyond the ends by the buffer distance, and the 'flat' cap ends the
+ *       buffer at the ends. The default value is 'round'.
+ *     - `tolerance`: the maximum distance between the round caps and their
+ *       polyline approximations, which must be positive. The default value is
+ *       1% of the buffer distance.
+ * @return {Polygon}
+ *     the convex polygon of the buffer, whose vertexes are arranged in the
+ *     counter-clockwise order.
+ * @throws {Error}
+ *     if the buffer distance or the tolerance is not positive, the cap style
+ *     is unknown, or the line segment is degenerated to a point while the cap
+ *     style is 'flat'.
+ */
+function bufferLine(line, distance, { cap = 'round', tolerance = distance / 100 } = {}) {
+  checkDistance(distance, tolerance);
+  if (!['round', 'square', 'flat'].includes(cap)) {
+    throw new Error(`Unknown cap style: ${cap}`);
+  }
+  const { start, end } = line;
+  const len = start.distance(end);
+  if (len === 0) {
+    if (cap === 'flat') {
+      throw new Error('Cannot buffer a degenerated line segment with the flat cap.');
+    } else if (cap === 'round') {
+      return bufferPoint(start, distance, { tolerance });
+    }
+  }
+  // the unit direction of the line segment, and its right normal
+  const u = (len === 0 ? new Point(1, 0) : new Point((end.x - start.x) / len, (end.y - start.y) / len));
+  const v = new Point(u.y, -u.x);
+  const at = (p, a, b) => new Point(p.x + (a * u.x + b * v.x) * distance,
+    p.y + (a * u.y + b * v.y) * distance);
+  switch (cap) {
+    case 'round':
+      return new Polygon([
+        at(end, 0, 1),
+        ...arcPoints(end, at(end, 0, 1), Math.PI, tolerance),
+        ...arcPoints(start, at(start, 0, -1), Math.PI, tolerance),
+      ]);
+    case 'square':
+      return new Polygon([at(start, -1, 1), at(end, 1, 1), at(end, 1, -1), at(start, -1, -1)]);
+    default:
+      return new Polygon([at(start, 0, 1), at(end, 0, 1), at(end, 0, -1), at(start, 0, -1)]);
+  }
+}
+
+export {
+  bufferPoint,
+  bufferLine,
+};
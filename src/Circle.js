@@ -0,0 +1,533 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { eq, isZero, leq } from './Utils';
+import Point from './Point';
+import Line from './Line';
+import Ellipse from './Ellipse';
+import { JSON_VERSION, checkJSON, checkNumbers } from './JsonUtils';
+import { heapPush, heapPop } from './HeapUtils';
+
+/**
+ * Compares two cells of the largest inscribed circle search, so that the cell
+ * which may contain the farthest point from the boundary is popped first.
+ *
+ * @private
+ */
+function compareCells(a, b) {
+  return b.max - a.max;
+}
+
+/**
+ * Creates a Park-Miller pseudo-random number generator.
+ *
+ * @param {number} seed
+ *     the seed of the generator, which must be an integer in
+ *     `[1, 2147483646]`.
+ * @return {function}
+ *     the function returning the next pseudo-random number in `(0, 1)`.
+ * @private
+ */
+function parkMiller(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+/**
+ * Calculates the signed distance from a point to the boundary of a polygon
+ * with holes.
+ *
+ * @param {Point} p
+ *     the specified point.
+ * @param {Polygon[]} rings
+ *     the outer ring and the holes of the polygon.
+ * @return {number}
+ *     the distance from the point to the nearest side of the rings, which is
+ *     positive if the point lies inside the polygon, or negative otherwise.
+ * @private
+ */
+function signedDistanceTo(p, rings) {
+  let inside = false;
+  let distance = Infinity;
+  for (const ring of rings) {
+    if (p.relationToPolygon(ring) === 'inside') {
+      inside = !inside;
+    }
+    for (let i = 0; i < ring.vertexes.length; ++i) {
+      distance = Math.min(distance, p.distanceToLineSegment(ring.side(i)));
+    }
+  }
+  return (inside ? distance : -distance);
+}
+
+/**
+ * This class represents a circle in a plane.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class Circle {
+  /**
+   * Constructs a circle.
+   *
+   * @param {Point} center
+   *     the center of the circle.
+   * @param {number} radius
+   *     the radius of the circle, which must be non-negative.
+   * @throws {Error}
+   *     if the radius is negative.
+   */
+  constructor(center, radius) {
+    if (radius < 0) {
+      throw new Error(`The radius of a circle cannot be negative: ${radius}`);
+    }
+    this.center = center;
+    this.radius = radius;
+    Object.freeze(this);    // make this object immutable
+  }
+
+  /**
+   * Constructs the circumcircle of a triangle, i.e., the circle passing
+   * through the three vertexes of the triangle.
+   *
+   * @param {Triangle} triangle
+   *     the specified triangle.
+   * @return {Circle}
+   *     the circumcircle of the specified triangle.
+   * @throws {Error}
+   *     if the triangle is degenerated, i.e., its three vertexes are collinear.
+   */
+  static circumcircleOf(triangle) {
+    const { a, b, c } = triangle;
+    const bx = b.x - a.x;
+    const by = b.y - a.y;
+    const cx = c.x - a.x;
+    const cy = c.y - a.y;
+    const d = 2 * (bx * cy - by * cx);
+    if (isZero(d)) {
+      throw new Error('The circumcircle of a degenerated triangle does not exist.');
+    }
+    const b2 = bx * bx + by * by;
+    const c2 = cx * cx + cy * cy;
+    const ux = (cy * b2 - by * c2) / d;
+    const uy = (bx * c2 - cx * b2) / d;
+    return new Circle(new Point(a.x + ux, a.y + uy), Math.sqrt(ux * ux + uy * uy));
+  }
+
+  /**
+   * Constructs the incircle of a triangle, i.e., the largest circle contained
+   * in the triangle.
+   *
+   * @param {Triangle} triangle
+   *     the specified triangle.
+   * @return {Circle}
+   *     the incircle of the specified triangle.
+   * @throws {Error}
+   *     if the triangle is degenerated, i.e., its three vertexes are collinear.
+   */
+  static incircleOf(triangle) {
+    const { a, b, c } = triangle;
+    const la = b.distance(c);
+    const lb = c.distance(a);
+    const lc = a.distance(b);
+    const perimeter = la + lb + lc;
+    const area = triangle.area();
+    if (isZero(area)) {
+      throw new Error('The incircle of a degenerated triangle does not exist.');
+    }
+    const x = (la * a.x + lb * b.x + lc * c.x) / perimeter;
+    const y = (la * a.y + lb * b.y + lc * c.y) / perimeter;
+    return new Circle(new Point(x, y), (2 * area) / perimeter);
+  }
+
+  /**
+   * Constructs the minimum enclosing circle of a set of points, i.e., the
+   * smallest circle containing all the points.
+   *
+   * This function uses the Welzl's algorithm on the randomly shuffled points,
+   * whose expected time complexity is `O(n)`. By default the points are
+   * shuffled by a pseudo-random number generator with a fixed seed, so that
+   * the result of the same points is reproducible.
+   *
+   * @param {Point[]} points
+   *     the array of points, which must not be empty.
+   * @param {object} options
+   *     the optional options, which may have the following properties:
+   *     - `random`: the function returning a random number in `[0, 1)`, which
+   *       is used to shuffle the points, e.g., `Math.random`. The default
+   *       value is the Park-Miller generator with the seed 1.
+   * @return {Circle}
+   *     the minimum enclosing circle of the specified points.
+   * @throws {Error}
+   *     if the array of points is empty.
+   */
+  static minimumEnclosingCircleOf(points, { random = parkMiller(1) } = {}) {
+    if (points.length === 0) {
+      throw new Error('The minimum enclosing circle of an empty set of points does not exist.');
+    }
+    const shuffled = [...points];
+    for (let i = shuffled.length - 1; i > 0; --i) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    const contains = (c, p) => leq(c.center.distance(p), c.radius);
+    const diametral = (a, b) => new Circle(
+      new Point((a.x + b.x) / 2, (a.y + b.y) / 2),
+      a.distance(b) / 2,
+    );
+    const through = (a, b, c) => {
+      if (isZero(b.subtract(a).cross(c.subtract(a)))) {
+        // the three points are collinear, and the circle is decided by the
+        // two farthest points
+        return [diametral(a, b), diametral(b, c), diametral(a, c)]
+          .reduce((x, y) => (x.radius >= y.radius ? x : y));
+      }
+      return Circle.circumcircleOf({ a, b, c });
+    };
+    // each loop finds the minimum enclosing circle of the points before the
+    // current point, with the current point and the points of the outer
+    // loops on its boundary
+    let circle = new Circle(shuffled[0], 0);
+    for (let i = 1; i < shuffled.length; ++i) {
+      const p = shuffled[i];
+      if (contains(circle, p)) {
+        continue;
+      }
+      circle = new Circle(p, 0);
+      for (let j = 0; j < i; ++j) {
+        const q = shuffled[j];
+        if (contains(circle, q)) {
+          continue;
+        }
+        circle = diametral(p, q);
+        for (let k = 0; k < j; ++k) {
+          if (!contains(circle, shuffled[k])) {
+            circle = through(p, q, shuffled[k]);
+          }
+        }
+      }
+    }
+    return circle;
+  }
+
+  /**
+   * Constructs the largest inscribed circle of a polygon, i.e., the largest
+   * circle contained in the polygon, whose center is the pole of
+   * inaccessibility of the polygon, i.e., the point inside the polygon
+   * farthest from its boundary.
+   *
+   * Unlike the centroid, the pole of inaccessibility always lies inside the
+   * polygon, even if the polygon is concave, which makes it a good position
+   * to place a label in the polygon.
+   *
+   * This function uses the polylabel algorithm, which recursively subdivides
+   * the bounding box of the polygon into square cells, and probes the cells
+   * in the order of the maximum possible distance inside them, skipping the
+   * cells which could not contain a better center.
+   *
+   * @param {Polygon|PolygonWithHoles} polygon
+   *     the specified polygon, which may be concave, or a polygon with holes,
+   *     including the objects `{ outer, holes }` as returned by
+   *     `polygonUnion()` etc.
+   * @param {object} options
+   *     the optional options, which may have the following properties:
+   *     - `precision`: the maximum difference between the radius of the
+   *       result circle and the radius of the exact largest inscribed circle,
+   *       which must be positive. The default value is 1/1000 of the larger
+   *       size of the bounding box of the polygon.
+   * @return {Circle}
+   *     the largest inscribed circle of the specified polygon, within the
+   *     precision, whose radius is 0 if the area of the polygon is zero.
+   * @throws {Error}
+   *     if the precision is specified but is not positive.
+   */
+  static largestInscribedCircleOf(polygon, { precision } = {}) {
+    if (precision !== undefined && !(precision > 0)) {
+      throw new Error(`The precision of the largest inscribed circle must be positive: ${precision}`);
+    }
+    const outer = (polygon.outer ? polygon.outer : polygon);
+    const rings = [outer].concat(polygon.holes || []);
+    const xs = outer.vertexes.map((v) => v.x);
+    const ys = outer.vertexes.map((v) => v.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const width = Math.max(...xs) - minX;
+    const height = Math.max(...ys) - minY;
+    const cellSize = Math.min(width, height);
+    if (cellSize === 0) {
+      return new Circle(outer.vertexes[0], 0);
+    }
+    const tolerance = (precision === undefined ? Math.max(width, height) / 1000 : precision);
+    const createCell = (x, y, h) => {
+      const d = signedDistanceTo(new Point(x, y), rings);
+      return { x, y, h, d, max: d + h * Math.SQRT2 };
+    };
+    // covers the bounding box with the initial cells
+    const heap = [];
+    const h = cellSize / 2;
+    for (let x = minX; x < minX + width; x += cellSize) {
+      for (let y = minY; y < minY + height; y += cellSize) {
+        heapPush(heap, createCell(x + h, y + h, h), compareCells);
+      }
+    }
+    // the centroid and the center of the bounding box are good initial guesses
+    const c = outer.centroid();
+    let best = [createCell(c.x, c.y, 0), createCell(minX + width / 2, minY + height / 2, 0)]
+      .reduce((a, b) => (a.d >= b.d ? a : b));
+    while (heap.length > 0) {
+      const cell = heapPop(heap, compareCells);
+      if (cell.d > best.d) {
+        best = cell;
+      }
+      if (cell.max - best.d > tolerance) {
+        const k = cell.h / 2;
+        heapPush(heap, createCell(cell.x - k, cell.y - k, k), compareCells);
+        heapPush(heap, createCell(cell.x + k, cell.y - k, k), compareCells);
+        heapPush(heap, createCell(cell.x - k, cell.y + k, k), compareCells);
+        heapPush(heap, createCell(cell.x + k, cell.y + k, k), compareCells);
+      }
+    }
+    return new Circle(new Point(best.x, best.y), Math.max(best.d, 0));
+  }
+
+  /**
+   * Calculates the area of this circle.
+   *
+   * @return {number}
+   *     the area of this circle.
+   */
+  area() {
+    return Math.PI * this.radius * this.radius;
+  }
+
+  /**
+   * Calculates the perimeter of this circle.
+   *
+   * @return {number}
+   *     the perimeter of this circle.
+   */
+  perimeter() {
+    return 2 * Math.PI * this.radius;
+  }
+
+  /**
+   * Calculates the intersection points of this circle and a line.
+   *
+   * @param {Line} l
+   *     the specified line, which is treated as an infinite line. A
+   *     degenerated line is treated as its start point.
+   * @return {Point[]}
+   *     the array of intersection points, which has 0 point if the line does
+   *     not intersect this circle, 1 point if the line is tangent to this
+   *     circle, or 2 points ordered from the start point to the end point of
+   *     the line. For a degenerated line, it has 1 point if the start point
+   *     lies on this circle, or 0 point otherwise.
+   */
+  crossPointsWithLine(l) {
+    if (l.start.equals(l.end)) {
+      return (l.start.relationToCircle(this) === 'on' ? [l.start] : []);  // a degenerated line is a point
+    }
+    const foot = this.center.nearestPointToLine(l);
+    const d = this.center.distance(foot);
+    if (eq(d, this.radius)) {
+      return [foot];
+    } else if (d > this.radius) {
+      return [];
+    }
+    const v = l.vector();
+    const h = Math.sqrt(this.radius * this.radius - d * d) / v.norm();
+    return [
+      new Point(foot.x - h * v.x, foot.y - h * v.y),
+      new Point(foot.x + h * v.x, foot.y + h * v.y),
+    ];
+  }
+
+  /**
+   * Calculates the intersection points of this circle and a line segment.
+   *
+   * @param {Line} l
+   *     the specified line segment.
+   * @return {Point[]}
+   *     the array of intersection points, which has 0, 1 or 2 points ordered
+   *     from the start point to the end point of the line segment.
+   */
+  crossPointsWithLineSegment(l) {
+    return this.crossPointsWithLine(l).filter((p) => p.isOnLineSegment(l));
+  }
+
+  /**
+   * Calculates the intersection points of this circle and another circle.
+   *
+   * @param {Circle} other
+   *     the other circle.
+   * @return {Point[]|null}
+   *     the array of intersection points, which has 0 point if the two circles
+   *     do not intersect, 1 point if they are tangent to each other, or 2
+   *     points; or `null` if the two circles coincide, in which case they have
+   *     infinite intersection points.
+   */
+  crossPointsWithCircle(other) {
+    const d = this.center.distance(other.center);
+    const r1 = this.radius;
+    const r2 = other.radius;
+    if (isZero(d)) {
+      return (eq(r1, r2) ? null : []);
+    }
+    if (d > r1 + r2 && !eq(d, r1 + r2)) {
+      return [];
+    }
+    if (d < Math.abs(r1 - r2) && !eq(d, Math.abs(r1 - r2))) {
+      return [];
+    }
+    // the distance from this center to the common chord
+    const a = (d * d + r1 * r1 - r2 * r2) / (2 * d);
+    const ux = (other.center.x - this.center.x) / d;
+    const uy = (other.center.y - this.center.y) / d;
+    const mid = new Point(this.center.x + a * ux, this.center.y + a * uy);
+    const h = Math.sqrt(Math.max(r1 * r1 - a * a, 0));
+    if (isZero(h)) {
+      return [mid];
+    }
+    return [
+      new Point(mid.x - h * uy, mid.y + h * ux),
+      new Point(mid.x + h * uy, mid.y - h * ux),
+    ];
+  }
+
+  /**
+   * Calculates the tangent lines of this circle passing through a point.
+   *
+   * @param {Point} p
+   *     the specified point.
+   * @return {Line[]}
+   *     the array of tangent lines. If the point is outside this circle, there
+   *     are 2 tangent lines, each of which starts from the point and ends at
+   *     the tangent point; if the point is on this circle, there is 1 tangent
+   *     line starting from the point, whose direction is the counter-clockwise
+   *     direction of this circle at the point; if the point is inside this
+   *     circle, the array is empty.
+   */
+  tangentLinesFromPoint(p) {
+    const v = p.subtract(this.center);
+    const d = v.norm();
+    if (eq(d, this.radius)) {
+      return [new Line(p, new Point(p.x - v.y, p.y + v.x))];
+    } else if (d < this.radius) {
+      return [];
+    }
+    // the angle between the vector from the center to the point and the
+    // vector from the center to the tangent point
+    const angle = Math.acos(this.radius / d);
+    const u = new Point((v.x * this.radius) / d, (v.y * this.radius) / d);
+    return [
+      new Line(p, this.center.add(u.rotate(angle))),
+      new Line(p, this.center.add(u.rotate(-angle))),
+    ];
+  }
+
+  /**
+   * Translate this circle by the specified displacement.
+   *
+   * @param {Point} p
+   *    The vector represents the displacement by which this circle is
+   *    translated.
+   * @return {Circle}
+   *    A new `Circle` object representing the result circle after translating
+   *    this circle by the specified displacement.
+   */
+  translate(p) {
+    return new Circle(this.center.add(p), this.radius);
+  }
+
+  /**
+   * Rotates this circle by a given angle around a given point.
+   *
+   * @param {Point} p
+   *     The point around which the rotation is performed.
+   * @param {number} angle
+   *     The angle of rotation, in radians.
+   * @return {Circle}
+   *     A new `Circle` object representing the result circle after rotating
+   *     this circle around the given point by the given angle.
+   */
+  rotate(p, angle) {
+    return new Circle(this.center.rotateAround(p, angle), this.radius);
+  }
+
+  /**
+   * Applies an affine transformation to this circle.
+   *
+   * @param {Transform} matrix
+   *     the affine transformation to be applied.
+   * @return {Circle|Ellipse}
+   *     a new `Circle` object representing the result of applying the
+   *     transformation to this circle; or a new `Ellipse` object if the
+   *     transformation is not a similarity transformation, since the result
+   *     is no longer a circle.
+   * @throws {Error}
+   *     if the transformation is not a similarity transformation, and it is
+   *     singular or the radius of this circle is 0.
+   */
+  transform(matrix) {
+    if (matrix.isSimilarity()) {
+      return new Circle(this.center.transform(matrix), this.radius * Math.sqrt(matrix.determinant()));
+    }
+    return new Ellipse(this.center, this.radius, this.radius).transform(matrix);
+  }
+
+  /**
+   * Checks if this circle is equal to another circle.
+   *
+   * @param {Circle} other
+   *    the other circle.
+   * @return {boolean}
+   *    `true` if this circle is equal to the other circle, `false` otherwise.
+   */
+  equals(other) {
+    return this.center.equals(other.center) && eq(this.radius, other.radius);
+  }
+
+  /**
+   * Gets the JSON representation of this circle.
+   *
+   * @return {object}
+   *    the JSON representation of this circle, which is an object of the form
+   *    `{ type: 'Circle', version, center, radius }`, where `center` is the
+   *    JSON representation of the center.
+   */
+  toJSON() {
+    return {
+      type: 'Circle',
+      version: JSON_VERSION,
+      center: this.center.toJSON(),
+      radius: this.radius,
+    };
+  }
+
+  /**
+   * Constructs a circle from its JSON representation.
+   *
+   * @param {object} json
+   *    the JSON representation of a circle, as returned by `toJSON()`.
+   * @return {Circle}
+   *    the circle represented by the JSON object.
+   * @throws {Error}
+   *    if the JSON object is not a valid representation of a circle.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Circle');
+    checkNumbers(json, ['radius']);
+    return new Circle(Point.fromJSON(json.center), json.radius);
+  }
+}
+
+export default Circle;
@@ -29,6 +29,18 @@ const Config = {
    */
   EPS: 1e-8,
 
+  /**
+   * The relative precision when comparing floating point numbers. If this
+   * setting is positive, two floating point numbers `x` and `y` are also
+   * considered equal if their difference is not greater than this precision
+   * multiplied by `max(|x|, |y|)`, which makes the comparison scale-aware.
+   *
+   * The default value is 0, i.e., only the absolute precision `EPS` is used.
+   * Use `withTolerance()` to change the precisions in a scope instead of
+   * globally.
+   */
+  RELATIVE_EPS: 0,
+
   /**
    * The default direction of Y-axis.
    *
@@ -40,6 +52,21 @@ const Config = {
    * @type {string}
    */
   DEFAULT_Y_AXIS_DIRECTION: 'up',
+
+  /**
+   * Whether to use the adaptive-precision geometric predicates.
+   *
+   * If this setting is `true`, the orientation and in-circle tests of the
+   * library, e.g., `Point.relationToLine()`, `Point.isOnLineSegment()` and
+   * `Line.isIntersectWithLineSegment()`, are evaluated exactly by the
+   * predicates `orient2d()` and `incircle()`, instead of comparing the
+   * floating point results with `EPS`. This gives correct answers for very
+   * large or very small coordinates, at the cost of some performance in the
+   * nearly degenerated cases.
+   *
+   * @type {boolean}
+   */
+  ROBUST_PREDICATES: false,
 };
 
 export default Config;
@@ -0,0 +1,94 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Bezier from './Bezier';
+import { JSON_VERSION, checkJSON } from './JsonUtils';
+
+/**
+ * This class represents a cubic Bézier curve in a plane.
+ *
+ * The curve is defined by its start point, two control points and end point,
+ * and its points are parameterized by `t` in the range `[0, 1]`.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class CubicBezier extends Bezier {
+  /**
+   * Constructs a cubic Bézier curve.
+   *
+   * @param {Point} start
+   *     the start point of the curve.
+   * @param {Point} control1
+   *     the first control point of the curve.
+   * @param {Point} control2
+   *     the second control point of the curve.
+   * @param {Point} end
+   *     the end point of the curve.
+   */
+  constructor(start, control1, control2, end) {
+    super();
+    this.start = start;
+    this.control1 = control1;
+    this.control2 = control2;
+    this.end = end;
+    Object.freeze(this);    // make this object immutable
+  }
+
+  /**
+   * Gets the control points of this curve.
+   *
+   * @return {Point[]}
+   *     the array of the start point, the two control points and the end
+   *     point of this curve.
+   */
+  controlPoints() {
+    return [this.start, this.control1, this.control2, this.end];
+  }
+
+  /**
+   * Gets the JSON representation of this curve.
+   *
+   * @return {object}
+   *     the JSON representation of this curve, which is an object of the form
+   *     `{ type: 'CubicBezier', version, start, control1, control2, end }`.
+   */
+  toJSON() {
+    return {
+      type: 'CubicBezier',
+      version: JSON_VERSION,
+      start: this.start.toJSON(),
+      control1: this.control1.toJSON(),
+      control2: this.control2.toJSON(),
+      end: this.end.toJSON(),
+    };
+  }
+
+  /**
+   * Constructs a curve from its JSON representation.
+   *
+   * @param {object} json
+   *     the JSON representation of a curve, as returned by `toJSON()`.
+   * @return {CubicBezier}
+   *     the curve represented by the JSON object.
+   * @throws {Error}
+   *     if the JSON object is not a valid representation of a cubic Bézier
+   *     curve.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'CubicBezier');
+    return new CubicBezier(Point.fromJSON(json.start),
+      Point.fromJSON(json.control1),
+      Point.fromJSON(json.control2),
+      Point.fromJSON(json.end));
+  }
+}
+
+export default CubicBezier;
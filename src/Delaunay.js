@@ -0,0 +1,361 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { orientation, inCircle } from './Predicates';
+import Point from './Point';
+import Triangle from './Triangle';
+import Polygon from './Polygon';
+
+/**
+ * Finds the first one of the duplicated points of each point.
+ *
+ * This function sorts the points and merges the equal neighbours, whose time
+ * complexity is `O(n log n)`.
+ *
+ * @param {Point[]} points
+ *     the array of points.
+ * @return {object}
+ *     an object `{ order, firsts }`, where `order` is the array of the indexes
+ *     of the points sorted in the lexicographic order, and `firsts[i]` is the
+ *     smallest index `j` such that `points[j]` equals `points[i]`.
+ * @private
+ */
+function findDuplicates(points) {
+  const order = points.map((p, i) => i);
+  order.sort((i, j) => points[i].compareTo(points[j]) || (i - j));
+  const firsts = new Array(points.length);
+  let first = -1;
+  for (const i of order) {
+    if (first < 0 || !points[first].equals(points[i])) {
+      first = i;
+    }
+    firsts[i] = first;
+  }
+  return { order, firsts };
+}
+
+/**
+ * Computes the orientation of two points and a vertex of the super triangle.
+ *
+ * The vertexes of the super triangle used by `delaunayTriangulation()` are
+ * symbolic points infinitely far away from the input points, namely
+ * `S0 = (-Ω1, -Ω0)`, `S1 = (Ω2, Ω0)` and `S2 = (-Ω0, Ω3)`, where
+ * `Ω0 << Ω1 << Ω2 << Ω3` and each `Ωk` is infinitely larger than any power of
+ * the coordinates of the input points and of the smaller ones. The results of
+ * the predicates involving these vertexes are the limits of their signs, which
+ * are decided by comparing the coordinates of the input points. Therefore the
+ * circumcircles of the triangles formed by the input points never contain the
+ * vertexes of the super triangle, even if the points are nearly collinear.
+ *
+ * @param {number} s
+ *     the index of the vertex of the super triangle, which is 0, 1 or 2.
+ * @param {Point} a
+ *     the first point.
+ * @param {Point} b
+ *     the second point.
+ * @return {number}
+ *     1 if `a`, `b` and the vertex `S<s>` are arranged in the
+ *     counter-clockwise order, -1 otherwise. Note that they are never
+ *     collinear if `a` and `b` are distinct.
+ * @private
+ */
+function superOrientation(s, a, b) {
+  switch (s) {
+    case 0:
+      return Math.sign(b.y - a.y) || Math.sign(a.x - b.x);
+    case 1:
+      return Math.sign(a.y - b.y) || Math.sign(b.x - a.x);
+    default:
+      return Math.sign(b.x - a.x) || Math.sign(b.y - a.y);
+  }
+}
+
+/**
+ * Computes the Delaunay triangulation of a set of points.
+ *
+ * This function uses the Bowyer-Watson algorithm, whose super triangle has
+ * symbolic vertexes infinitely far away from the points, so that no triangle
+ * on the convex hull is lost even if the points are nearly collinear. The
+ * points are inserted in the lexicographic order, and each point is located
+ * by walking from the last created triangle, then the cavity of the triangles
+ * whose circumcircles contain the point is grown through the links between
+ * adjacent triangles.
+ * Therefore the expected time complexity is `O(n log n)` for the evenly
+ * distributed points, although it is `O(n^2)` in the worst case. Duplicated
+ * points are allowed, and only the first one of the duplicated points is used
+ * as the vertex of triangles.
+ *
+ * @param {Point[]} points
+ *     the array of points.
+ * @return {object}
+ *     the Delaunay triangulation of the specified points, which is an object
+ *     with the following properties:
+ *     - `triangles`: the array of `Triangle` objects of the triangulation,
+ *       whose vertexes are arranged in the counter-clockwise order;
+ *     - `vertexIndexes`: the array of the vertex indexes of each triangle,
+ *       i.e., `vertexIndexes[i]` is an array `[j, k, l]` such that the
+ *       vertexes of `triangles[i]` are `points[j]`, `points[k]` and
+ *       `points[l]`;
+ *     - `neighbors`: the array of the adjacent triangles of each triangle,
+ *       i.e., `neighbors[i][k]` is the index of the triangle sharing the side
+ *       of `triangles[i]` opposite to its `k`-th vertex, or `-1` if that side
+ *       lies on the convex hull of the points.
+ *     If there are less than 3 distinct points or all the points are
+ *     collinear, all the arrays are empty.
+ */
+function delaunayTriangulation(points) {
+  const n = points.length;
+  const result = { triangles: [], vertexIndexes: [], neighbors: [] };
+  if (n < 3) {
+    return result;
+  }
+  // the vertexes of the super triangle are the symbolic points `S0`, `S1`
+  // and `S2` described in `superOrientation()`, whose indexes are `n`, `n + 1`
+  // and `n + 2`, i.e., they are appended after the points. Each triangle of
+  // the mesh has the indexes of its vertexes `v`, and the indexes of its
+  // adjacent triangles `adjacent`, where `adjacent[k]` shares the side
+  // opposite to `v[k]`, or is `-1` if there is no such triangle
+  const mesh = [{ v: [n, n + 1, n + 2], adjacent: [-1, -1, -1], removed: false }];
+  // computes the orientation of three vertexes of the mesh
+  const orient = (i, j, k) => {
+    const v = [i, j, k];
+    const s = v.filter((x) => x >= n);
+    switch (s.length) {
+      case 0:
+        return orientation(points[i], points[j], points[k]);
+      case 1: {
+        // rotates the vertexes so that the symbolic vertex is the last one
+        while (v[2] < n) {
+          v.push(v.shift());
+        }
+        return superOrientation(v[2] - n, points[v[0]], points[v[1]]);
+      }
+      case 2: {
+        // the input points lie inside the counter-clockwise super triangle
+        while (v[0] >= n) {
+          v.push(v.shift());
+        }
+        return ((v[1] - n + 1) % 3 === v[2] - n ? 1 : -1);
+      }
+      default:
+        return ((v[0] - v[1] + 3) % 3 === 2 ? 1 : -1);
+    }
+  };
+  // tests whether a point lies inside the circumcircle of a triangle of the
+  // mesh, where the circumcircle of a triangle with the symbolic vertexes is
+  // the limit of the circumcircles while the vertexes go to infinity
+  const conflicts = (t, i) => {
+    const v = [...mesh[t].v];
+    const s = v.filter((x) => x >= n);
+    switch (s.length) {
+      case 0:
+        return inCircle(points[v[0]], points[v[1]], points[v[2]], points[i]) > 0;
+      case 1: {
+        // the circumcircle becomes the half-plane on the left side of the
+        // side formed by the input points
+        while (v[2] < n) {
+          v.push(v.shift());
+        }
+        const a = points[v[0]];
+        const b = points[v[1]];
+        const p = points[i];
+        const o = orientation(a, b, p);
+        return (o === 0 ? a.subtract(p).dot(b.subtract(p)) < 0 : o > 0);
+      }
+      case 2: {
+        // the circumcircle becomes the half-plane on the left side of the
+        // line passing through the input vertex and the nearer symbolic
+        // vertex, whose index is smaller
+        while (v[2] !== Math.max(...s)) {
+          v.push(v.shift());
+        }
+        return orient(v[0], v[1], i) > 0;
+      }
+      default:
+        return true;
+    }
+  };
+  const contains = (t, i) => [0, 1, 2].every((k) => {
+    const { v } = mesh[t];
+    return orient(v[(k + 1) % 3], v[(k + 2) % 3], i) >= 0;
+  });
+  // walks from the specified triangle towards the point, and falls back to
+  // the linear search if the walk does not terminate
+  const locate = (start, i) => {
+    let t = start;
+    for (let steps = 0; steps < mesh.length; ++steps) {
+      const { v, adjacent } = mesh[t];
+      const k = [0, 1, 2].find((j) => adjacent[j] >= 0
+        && orient(v[(j + 1) % 3], v[(j + 2) % 3], i) < 0);
+      if (k === undefined) {
+        return t;
+      }
+      t = adjacent[k];
+    }
+    return mesh.findIndex((m, j) => !m.removed && contains(j, i));
+  };
+  const { order, firsts } = findDuplicates(points);
+  let last = 0;
+  for (const i of order) {
+    if (firsts[i] !== i) {
+      continue;
+    }
+    const start = locate(last, i);
+    // grows the cavity of the triangles whose circumcircles contain the point
+    const cavity = [start];
+    const inCavity = new Set(cavity);
+    for (let c = 0; c < cavity.length; ++c) {
+      for (const t of mesh[cavity[c]].adjacent) {
+        if (t >= 0 && !inCavity.has(t) && conflicts(t, i)) {
+          inCavity.add(t);
+          cavity.push(t);
+        }
+      }
+    }
+    // connects the point to the sides on the boundary of the cavity, and
+    // links the new triangles with the triangles outside the cavity
+    const created = new Map();
+    for (const t of cavity) {
+      const { v, adjacent } = mesh[t];
+      mesh[t].removed = true;
+      for (let k = 0; k < 3; ++k) {
+        const outside = adjacent[k];
+        if (!inCavity.has(outside)) {
+          const id = mesh.length;
+          const u = v[(k + 1) % 3];
+          mesh.push({ v: [u, v[(k + 2) % 3], i], adjacent: [-1, -1, outside], removed: false });
+          if (outside >= 0) {
+            const links = mesh[outside].adjacent;
+            links[links.indexOf(t)] = id;
+          }
+          created.set(u, id);
+        }
+      }
+    }
+    // links the new triangles with each other, where the side opposite to the
+    // first vertex of a new triangle is shared with the new triangle starting
+    // from its second vertex
+    for (const id of created.values()) {
+      const next = created.get(mesh[id].v[1]);
+      mesh[id].adjacent[0] = next;
+      mesh[next].adjacent[1] = id;
+      last = id;
+    }
+  }
+  const indexes = new Map();
+  mesh.forEach(({ v, removed }, t) => {
+    if (!removed && v.every((k) => k < n)
+        && orientation(points[v[0]], points[v[1]], points[v[2]]) !== 0) {
+      indexes.set(t, indexes.size);
+    }
+  });
+  for (const t of indexes.keys()) {
+    const { v, adjacent } = mesh[t];
+    result.triangles.push(new Triangle(points[v[0]], points[v[1]], points[v[2]]));
+    result.vertexIndexes.push([...v]);
+    result.neighbors.push(adjacent.map((k) => (indexes.has(k) ? indexes.get(k) : -1)));
+  }
+  return result;
+}
+
+/**
+ * Clips a convex polygon with a half-plane.
+ *
+ * @param {Point[]} vertexes
+ *     the vertexes of the convex polygon.
+ * @param {Point} m
+ *     a point on the boundary of the half-plane.
+ * @param {Point} normal
+ *     the outward normal vector of the half-plane, i.e., the half-plane
+ *     consists of the points `x` such that `(x - m) · normal <= 0`.
+ * @return {Point[]}
+ *     the vertexes of the clipped convex polygon.
+ * @private
+ */
+function clipByHalfPlane(vertexes, m, normal) {
+  const result = [];
+  const n = vertexes.length;
+  for (let i = 0; i < n; ++i) {
+    const p = vertexes[i];
+    const q = vertexes[(i + 1) % n];
+    const dp = p.subtract(m).dot(normal);
+    const dq = q.subtract(m).dot(normal);
+    if (dp <= 0) {
+      result.push(p);
+    }
+    if ((dp < 0 && dq > 0) || (dp > 0 && dq < 0)) {
+      const t = dp / (dp - dq);
+      result.push(new Point(p.x + t * (q.x - p.x), p.y + t * (q.y - p.y)));
+    }
+  }
+  return result;
+}
+
+/**
+ * Computes the Voronoi diagram of a set of points, clipped to a rectangle.
+ *
+ * The Voronoi diagram is the dual of the Delaunay triangulation computed by
+ * `delaunayTriangulation()`. The cell of each point is computed by clipping
+ * the rectangle with the perpendicular bisectors between the point and its
+ * neighbors in the Delaunay triangulation.
+ *
+ * @param {Point[]} points
+ *     the array of points, which are the sites of the Voronoi diagram.
+ * @param {Rectangle} bounds
+ *     the bounding rectangle, which may be rotated.
+ * @return {Array<Polygon|null>}
+ *     the array of Voronoi cells, where the `i`-th cell is a convex `Polygon`
+ *     object whose vertexes are arranged in the counter-clockwise order,
+ *     representing the region of the bounding rectangle which is closer to
+ *     `points[i]` than to any other point, or `null` if that region is empty.
+ *     Duplicated points share the same cell.
+ */
+function voronoiDiagram(points, bounds) {
+  const n = points.length;
+  const { vertexIndexes } = delaunayTriangulation(points);
+  const neighbors = points.map(() => new Set());
+  for (const v of vertexIndexes) {
+    for (let k = 0; k < 3; ++k) {
+      neighbors[v[k]].add(v[(k + 1) % 3]);
+      neighbors[v[(k + 1) % 3]].add(v[k]);
+    }
+  }
+  let box = new Polygon([bounds.topLeft, bounds.topRight, bounds.bottomRight, bounds.bottomLeft]);
+  if (box.signedArea() < 0) {
+    box = box.reverse();
+  }
+  const { firsts } = findDuplicates(points);
+  const cells = [];
+  for (let i = 0; i < n; ++i) {
+    const p = points[i];
+    if (firsts[i] < i) {
+      cells.push(cells[firsts[i]]);
+      continue;
+    }
+    // if there is no triangle, e.g., all the points are collinear, all the
+    // other points are treated as the neighbors
+    const others = (vertexIndexes.length > 0 ? [...neighbors[i]] : points.map((_, j) => j));
+    let cell = box.vertexes;
+    for (const j of others) {
+      const q = points[j];
+      if (cell.length < 3 || q.equals(p)) {
+        continue;
+      }
+      const m = new Point((p.x + q.x) / 2, (p.y + q.y) / 2);
+      cell = clipByHalfPlane(cell, m, q.subtract(p));
+    }
+    cell = cell.filter((v, k, a) => !v.equals(a[(k + 1) % a.length]));
+    cells.push(cell.length >= 3 ? new Polygon(cell) : null);
+  }
+  return cells;
+}
+
+export {
+  delaunayTriangulation,
+  voronoiDiagram,
+};
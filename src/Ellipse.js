@@ -0,0 +1,568 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Config from './Config';
+import { eq } from './Utils';
+import Point from './Point';
+import Polygon from './Polygon';
+import Rectangle from './Rectangle';
+import Transform from './Transform';
+import { JSON_VERSION, checkJSON, checkNumbers } from './JsonUtils';
+
+/**
+ * The number of panels of the composite Gauss-Legendre quadrature per radian
+ * when calculating the arc length of an ellipse.
+ *
+ * @private
+ */
+const PANELS_PER_RADIAN = 4;
+
+/**
+ * The nodes and weights of the 5-point Gauss-Legendre quadrature.
+ *
+ * @private
+ */
+const GAUSS_NODES = [
+  [0, 128 / 225],
+  [-Math.sqrt(5 - 2 * Math.sqrt(10 / 7)) / 3, (322 + 13 * Math.sqrt(70)) / 900],
+  [Math.sqrt(5 - 2 * Math.sqrt(10 / 7)) / 3, (322 + 13 * Math.sqrt(70)) / 900],
+  [-Math.sqrt(5 + 2 * Math.sqrt(10 / 7)) / 3, (322 - 13 * Math.sqrt(70)) / 900],
+  [Math.sqrt(5 + 2 * Math.sqrt(10 / 7)) / 3, (322 - 13 * Math.sqrt(70)) / 900],
+];
+
+/**
+ * Calculates the axes of the image of an ellipse under an affine
+ * transformation, by decomposing the matrix `M = L * R(angle) * diag(rx, ry)`
+ * into `U * diag(sx, sy) * V^T` with the closed-form singular value
+ * decomposition of 2x2 matrices, where `L` is the linear part of the
+ * transformation.
+ *
+ * @return {object}
+ *     an object `{ angle, radiusX, radiusY }`, where `angle` is the rotation
+ *     angle of `U`, and `radiusX` and `radiusY` are the absolute values of
+ *     `sx` and `sy`.
+ * @private
+ */
+function decomposeAxes(matrix, angle, rx, ry) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  // M = L * R(angle) * diag(rx, ry)
+  const m00 = (matrix.a * cos + matrix.c * sin) * rx;
+  const m10 = (matrix.b * cos + matrix.d * sin) * rx;
+  const m01 = (-matrix.a * sin + matrix.c * cos) * ry;
+  const m11 = (-matrix.b * sin + matrix.d * cos) * ry;
+  const e = (m00 + m11) / 2;
+  const f = (m00 - m11) / 2;
+  const g = (m10 + m01) / 2;
+  const h = (m10 - m01) / 2;
+  const q = Math.hypot(e, h);
+  const r = Math.hypot(f, g);
+  const a1 = Math.atan2(g, f);
+  const a2 = Math.atan2(h, e);
+  return {
+    angle: (a2 + a1) / 2,
+    radiusX: q + r,
+    radiusY: Math.abs(q - r),
+  };
+}
+
+/**
+ * This class represents an ellipse in a plane.
+ *
+ * The ellipse is defined by its center and radii, and may be rotated around
+ * a rotation origin in the same way as a `Rectangle`. The points of the
+ * ellipse are parameterized by the parametric angle `t`, i.e., the point at
+ * `t` is obtained by rotating the point
+ * `(radiusX * cos(t), radiusY * sin(t))` by the rotation of the ellipse and
+ * then translating it by the center of the ellipse.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class Ellipse {
+  /**
+   * Constructs an ellipse.
+   *
+   * @param {Point} center
+   *    the center of the ellipse before rotation.
+   * @param {number} radiusX
+   *    the radius of the ellipse along its x-axis, which must be positive.
+   * @param {number} radiusY
+   *    the radius of the ellipse along its y-axis, which must be positive.
+   * @param {number} rotation
+   *    the rotation of the ellipse, in degree.
+   * @param {Point|string} rotationOrigin
+   *    the rotation origin of the ellipse. If it is a `Point` object, it
+   *    specifies the rotation origin of the ellipse. If it is a string, it
+   *    specifies the anchor position in the bounding box of the unrotated
+   *    ellipse, which can be one of the values accepted by `anchorPoint()`.
+   * @param {string} yAxisDirection
+   *    the oriented direction of the y-axis, which decides where the top of
+   *    the ellipse is.
+   * @throws {Error}
+   *    if the radii are not positive, or the rotation origin is invalid.
+   */
+  constructor(center, radiusX, radiusY, rotation = 0, rotationOrigin = 'center', yAxisDirection = Config.DEFAULT_Y_AXIS_DIRECTION) {
+    if (!(radiusX > 0) || !(radiusY > 0)) {
+      throw new Error(`The radii of an ellipse must be positive: ${radiusX}, ${radiusY}`);
+    }
+    this._center = center;
+    this.radiusX = radiusX;
+    this.radiusY = radiusY;
+    this._rotation = rotation;
+    this._rotationOrigin = rotationOrigin;
+    this._yDirection = yAxisDirection;
+    this._init();
+    Object.freeze(this);      //  make this object immutable
+  }
+
+  /**
+   * Calculates the computed properties of this ellipse.
+   *
+   * @private
+   */
+  _init() {
+    const c = this._center;
+    const delta = (this._yDirection === 'up' ? this.radiusY : -this.radiusY);
+    const rx = this.radiusX;
+    this._anchor = {
+      'top-left': new Point(c.x - rx, c.y + delta),
+      'top-center': new Point(c.x, c.y + delta),
+      'top-right': new Point(c.x + rx, c.y + delta),
+      'middle-left': new Point(c.x - rx, c.y),
+      'center': c,
+      'middle-right': new Point(c.x + rx, c.y),
+      'bottom-left': new Point(c.x - rx, c.y - delta),
+      'bottom-center': new Point(c.x, c.y - delta),
+      'bottom-right': new Point(c.x + rx, c.y - delta),
+    };
+    this.angle = (this._rotation * Math.PI) / 180;
+    if ((this._rotation % 360) !== 0) {
+      let rotationOrigin = null;
+      if (this._rotationOrigin instanceof Point) {
+        rotationOrigin = this._rotationOrigin;
+      } else if (Object.prototype.hasOwnProperty.call(this._anchor, this._rotationOrigin)) {
+        rotationOrigin = this._anchor[this._rotationOrigin];
+      }
+      if (rotationOrigin === null) {
+        throw new Error(`Invalid rotation origin: ${this._rotationOrigin}`);
+      }
+      const rotation = Transform.rotation(this.angle, rotationOrigin);
+      for (const key of Object.keys(this._anchor)) {
+        this._anchor[key] = rotation.applyTo(this._anchor[key]);
+      }
+    }
+    this.center = this._anchor['center'];
+  }
+
+  /**
+   * Gets the anchor point of this ellipse.
+   *
+   * The anchor points are the corners and the middle points of the sides of
+   * the bounding box of the unrotated ellipse, rotated together with the
+   * ellipse.
+   *
+   * @param {string} anchor
+   *    the position of the anchor point to get, which may have the following
+   *    values: 'top-left', 'top-center', 'top-right', 'middle-left', 'center',
+   *    'middle-right', 'bottom-left', 'bottom-center' and 'bottom-right'.
+   * @return {Point}
+   *    the anchor point.
+   * @throws {Error}
+   *    if the anchor is unknown.
+   */
+  anchorPoint(anchor) {
+    if (!Object.prototype.hasOwnProperty.call(this._anchor, anchor)) {
+      throw new Error(`Unknown anchor point: ${anchor}`);
+    }
+    return this._anchor[anchor];
+  }
+
+  /**
+   * Calculates the point of this ellipse at a parametric angle.
+   *
+   * @param {number} t
+   *    the parametric angle, in radians.
+   * @return {Point}
+   *    the point of this ellipse at the parametric angle.
+   */
+  pointAt(t) {
+    const x = this.radiusX * Math.cos(t);
+    const y = this.radiusY * Math.sin(t);
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+    return new Point(this.center.x + x * cos - y * sin, this.center.y + x * sin + y * cos);
+  }
+
+  /**
+   * Maps a point to the coordinate system in which this ellipse is the unit
+   * circle centered at the origin.
+   *
+   * @param {Point} p
+   *    the specified point.
+   * @return {Point}
+   *    the mapped point.
+   */
+  toUnitCircle(p) {
+    const dx = p.x - this.center.x;
+    const dy = p.y - this.center.y;
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+    return new Point((dx * cos + dy * sin) / this.radiusX,
+      (-dx * sin + dy * cos) / this.radiusY);
+  }
+
+  /**
+   * Calculates the parametric angle of a point with respect to this ellipse.
+   *
+   * @param {Point} p
+   *    the specified point.
+   * @return {number}
+   *    the parametric angle in `(-PI, PI]` of the intersection of this
+   *    ellipse and the ray from the center of this ellipse to the specified
+   *    point.
+   */
+  angleOf(p) {
+    const u = this.toUnitCircle(p);
+    return Math.atan2(u.y, u.x);
+  }
+
+  /**
+   * Calculates the area of this ellipse.
+   *
+   * @return {number}
+   *    the area of this ellipse.
+   */
+  area() {
+    return Math.PI * this.radiusX * this.radiusY;
+  }
+
+  /**
+   * Calculates the perimeter of this ellipse.
+   *
+   * @return {number}
+   *    the perimeter of this ellipse.
+   */
+  perimeter() {
+    return this.arcLength(0, 2 * Math.PI);
+  }
+
+  /**
+   * Calculates the length of an arc of this ellipse.
+   *
+   * The length is calculated numerically by the composite Gauss-Legendre
+   * quadrature, which is accurate to nearly the machine precision unless the
+   * ellipse is extremely eccentric.
+   *
+   * @param {number} startAngle
+   *    the parametric angle of the start point of the arc, in radians.
+   * @param {number} endAngle
+   *    the parametric angle of the end point of the arc, in radians.
+   * @return {number}
+   *    the length of the arc, which is non-negative even if `endAngle` is
+   *    less than `startAngle`.
+   */
+  arcLength(startAngle, endAngle) {
+    const a = this.radiusX;
+    const b = this.radiusY;
+    const speed = (t) => Math.hypot(a * Math.sin(t), b * Math.cos(t));
+    const lo = Math.min(startAngle, endAngle);
+    const hi = Math.max(startAngle, endAngle);
+    const n = Math.max(1, Math.ceil((hi - lo) * PANELS_PER_RADIAN * Math.max(a / b, b / a)));
+    const h = (hi - lo) / n;
+    let sum = 0;
+    for (let i = 0; i < n; ++i) {
+      const mid = lo + (i + 0.5) * h;
+      for (const [x, w] of GAUSS_NODES) {
+        sum += w * speed(mid + (x * h) / 2);
+      }
+    }
+    return (sum * h) / 2;
+  }
+
+  /**
+   * Approximates an arc of this ellipse by a polyline.
+   *
+   * @param {number} startAngle
+   *    the parametric angle of the start point of the arc, in radians.
+   * @param {number} endAngle
+   *    the parametric angle of the end point of the arc, in radians.
+   * @param {number} tolerance
+   *    the maximum distance between the arc and the polyline, which must be
+   *    positive.
+   * @return {Point[]}
+   *    the vertexes of the polyline, from the start point to the end point of
+   *    the arc.
+   * @throws {Error}
+   *    if the tolerance is not positive.
+   */
+  flattenArc(startAngle, endAngle, tolerance) {
+    if (!(tolerance > 0)) {
+      throw new Error(`The flattening tolerance must be positive: ${tolerance}`);
+    }
+    // since the ellipse is an affine image of the unit circle, the distance
+    // between a chord and the arc is at most the maximum radius times the
+    // sagitta of the corresponding chord of the unit circle
+    const r = Math.max(this.radiusX, this.radiusY);
+    const step = (tolerance >= r ? Math.PI / 2 : 2 * Math.acos(1 - tolerance / r));
+    const n = Math.max(1, Math.ceil(Math.abs(endAngle - startAngle) / step));
+    const result = [];
+    for (let i = 0; i <= n; ++i) {
+      result.push(this.pointAt(startAngle + ((endAngle - startAngle) * i) / n));
+    }
+    return result;
+  }
+
+  /**
+   * Approximates this ellipse by a polygon.
+   *
+   * @param {number} tolerance
+   *    the maximum distance between this ellipse and the sides of the
+   *    polygon, which must be positive.
+   * @return {Polygon}
+   *    the polygon inscribed in this ellipse, whose vertexes are arranged in
+   *    the counter-clockwise order, and which has at least 3 vertexes.
+   * @throws {Error}
+   *    if the tolerance is not positive.
+   */
+  toPolygon(tolerance) {
+    const r = Math.max(this.radiusX, this.radiusY);
+    const points = this.flattenArc(0, 2 * Math.PI, Math.min(tolerance, r / 2));
+    points.pop();   // the end point coincides with the start point
+    return new Polygon(points);
+  }
+
+  /**
+   * Calculates the tight axis-aligned bounding box of this ellipse.
+   *
+   * @return {Rectangle}
+   *    the smallest axis-aligned rectangle containing this ellipse.
+   */
+  boundingBox() {
+    const cos = Math.cos(this.angle);
+    const sin = Math.sin(this.angle);
+    const hx = Math.hypot(this.radiusX * cos, this.radiusY * sin);
+    const hy = Math.hypot(this.radiusX * sin, this.radiusY * cos);
+    const { x, y } = this.center;
+    return Rectangle.fromBounds(x - hx, y - hy, x + hx, y + hy, this._yDirection);
+  }
+
+  /**
+   * Calculates the parametric angles of the intersection points of this
+   * ellipse and a line.
+   *
+   * @param {Line} l
+   *    the specified line, which is treated as an infinite line.
+   * @return {object[]}
+   *    the array of objects `{ s, t }` ordered by `s`, where `s` is the
+   *    parameter of the intersection point on the line, i.e., the point is
+   *    `l.start + s * (l.end - l.start)`, and `t` is its parametric angle on
+   *    this ellipse.
+   * @private
+   */
+  _crossParameters(l) {
+    const p = this.toUnitCircle(l.start);
+    const q = this.toUnitCircle(l.end);
+    const v = q.subtract(p);
+    const vv = v.dot(v);
+    // the foot of the perpendicular from the origin to the mapped line
+    const s0 = -p.dot(v) / vv;
+    const foot = new Point(p.x + s0 * v.x, p.y + s0 * v.y);
+    // compares the distances in the original coordinate system, along the
+    // ray from the center to the foot
+    const d = foot.norm();
+    if (d > 0) {
+      const w = l.vector();
+      const radial = new Point(l.start.x + s0 * w.x, l.start.y + s0 * w.y).distance(this.center);
+      if (eq(radial, radial / d)) {
+        return [{ s: s0, t: Math.atan2(foot.y, foot.x) }];
+      }
+    }
+    if (d > 1) {
+      return [];
+    }
+    const h = Math.sqrt((1 - d * d) / vv);
+    return [s0 - h, s0 + h].map((s) => ({
+      s,
+      t: Math.atan2(p.y + s * v.y, p.x + s * v.x),
+    }));
+  }
+
+  /**
+   * Calculates the intersection points of this ellipse and a line.
+   *
+   * @param {Line} l
+   *    the specified line, which is treated as an infinite line.
+   * @return {Point[]}
+   *    the array of intersection points, which has 0 point if the line does
+   *    not intersect this ellipse, 1 point if the line is tangent to this
+   *    ellipse, or 2 points ordered from the start point to the end point of
+   *    the line.
+   */
+  crossPointsWithLine(l) {
+    return this._crossParameters(l).map(({ t }) => this.pointAt(t));
+  }
+
+  /**
+   * Calculates the intersection points of this ellipse and a line segment.
+   *
+   * @param {Line} l
+   *    the specified line segment.
+   * @return {Point[]}
+   *    the array of intersection points, which has 0, 1 or 2 points ordered
+   *    from the start point to the end point of the line segment.
+   */
+  crossPointsWithLineSegment(l) {
+    return this.crossPointsWithLine(l).filter((p) => p.isOnLineSegment(l));
+  }
+
+  /**
+   * Translate this ellipse by the specified displacement.
+   *
+   * @param {Point} p
+   *    The vector represents the displacement by which this ellipse is
+   *    translated.
+   * @return {Ellipse}
+   *    A new `Ellipse` object representing the result ellipse after
+   *    translating this ellipse by the specified displacement.
+   */
+  translate(p) {
+    return new Ellipse(this.center.add(p),
+      this.radiusX,
+      this.radiusY,
+      this._rotation,
+      'center',
+      this._yDirection);
+  }
+
+  /**
+   * Rotates this ellipse by a given angle around a given point.
+   *
+   * @param {Point} p
+   *     The point around which the rotation is performed.
+   * @param {number} angle
+   *     The angle of rotation, in radians.
+   * @return {Ellipse}
+   *     A new `Ellipse` object representing the result ellipse after rotating
+   *     this ellipse around the given point by the given angle.
+   */
+  rotate(p, angle) {
+    return new Ellipse(this.center.rotateAround(p, angle),
+      this.radiusX,
+      this.radiusY,
+      this._rotation + (angle * 180) / Math.PI,
+      'center',
+      this._yDirection);
+  }
+
+  /**
+   * Applies an affine transformation to this ellipse.
+   *
+   * Since the image of an ellipse under an affine transformation is still an
+   * ellipse, the result is always an `Ellipse` object, whose axes are
+   * calculated by the singular value decomposition of the transformation.
+   *
+   * @param {Transform} matrix
+   *     The affine transformation to be applied.
+   * @return {Ellipse}
+   *     A new `Ellipse` object representing the result of applying the
+   *     transformation to this ellipse.
+   * @throws {Error}
+   *     if the transformation is singular.
+   */
+  transform(matrix) {
+    if (!matrix.isInvertible()) {
+      throw new Error('Cannot transform an ellipse by a singular transformation.');
+    }
+    const { angle, radiusX, radiusY } = decomposeAxes(matrix, this.angle, this.radiusX, this.radiusY);
+    return new Ellipse(this.center.transform(matrix),
+      radiusX,
+      radiusY,
+      (angle * 180) / Math.PI,
+      'center',
+      this._yDirection);
+  }
+
+  /**
+   * Checks if this ellipse is equal to another ellipse.
+   *
+   * Two ellipses are equal if they have the same center, radii and the
+   * rotation angle of their x-axes modulo 360 degrees. Note that the same
+   * ellipse may be represented with different radii and angles, e.g., by
+   * swapping the radii and rotating by 90 degrees, which are not considered
+   * equal by this function.
+   *
+   * @param {Ellipse} other
+   *    the other ellipse.
+   * @return {boolean}
+   *    `true` if this ellipse is equal to the other ellipse, `false`
+   *    otherwise.
+   */
+  equals(other) {
+    const diff = (((this.angle - other.angle) % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    return this.center.equals(other.center)
+      && eq(this.radiusX, other.radiusX)
+      && eq(this.radiusY, other.radiusY)
+      && (eq(diff, 0) || eq(diff, 2 * Math.PI));
+  }
+
+  /**
+   * Gets the JSON representation of this ellipse.
+   *
+   * @return {object}
+   *    the JSON representation of this ellipse, which is an object of the
+   *    form `{ type: 'Ellipse', version, center, radiusX, radiusY, rotation,
+   *    rotationOrigin, yAxisDirection }`, which records the arguments of the
+   *    constructor.
+   */
+  toJSON() {
+    return {
+      type: 'Ellipse',
+      version: JSON_VERSION,
+      center: this._center.toJSON(),
+      radiusX: this.radiusX,
+      radiusY: this.radiusY,
+      rotation: this._rotation,
+      rotationOrigin: (this._rotationOrigin instanceof Point
+        ? this._rotationOrigin.toJSON()
+        : this._rotationOrigin),
+      yAxisDirection: this._yDirection,
+    };
+  }
+
+  /**
+   * Constructs an ellipse from its JSON representation.
+   *
+   * @param {object} json
+   *    the JSON representation of an ellipse, as returned by `toJSON()`.
+   * @return {Ellipse}
+   *    the ellipse represented by the JSON object.
+   * @throws {Error}
+   *    if the JSON object is not a valid representation of an ellipse.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Ellipse');
+    checkNumbers(json, ['radiusX', 'radiusY', 'rotation']);
+    const { yAxisDirection } = json;
+    if (yAxisDirection !== 'up' && yAxisDirection !== 'down') {
+      throw new Error(`Invalid y-axis direction: ${yAxisDirection}`);
+    }
+    const rotationOrigin = (typeof json.rotationOrigin === 'string'
+      ? json.rotationOrigin
+      : Point.fromJSON(json.rotationOrigin));
+    return new Ellipse(Point.fromJSON(json.center),
+      json.radiusX,
+      json.radiusY,
+      json.rotation,
+      rotationOrigin,
+      yAxisDirection);
+  }
+}
+
+export default Ellipse;
@@ -0,0 +1,412 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Line from './Line';
+import Polyline from './Polyline';
+import Triangle from './Triangle';
+import Polygon from './Polygon';
+import Rectangle from './Rectangle';
+import PolygonWithHoles from './PolygonWithHoles';
+import MultiPolygon from './MultiPolygon';
+
+//
+// Conversion between the shapes and the GeoJSON objects defined by RFC 7946.
+//
+// The GeoJSON geometries are mapped to the shapes as follows:
+//
+// - `Point`: a `Point` object;
+// - `LineString`: a `Line` object if it has two positions, or a `Polyline`
+//   object otherwise;
+// - `Polygon`: a `Polygon` object if it has no hole, or a `PolygonWithHoles`
+//   object otherwise, whose `outer` is the `Polygon` of the exterior ring and
+//   `holes` is the array of the `Polygon`s of the interior rings, which has
+//   the same properties as the results of `polygonUnion()` etc.;
+// - `MultiPoint`, `MultiLineString`, `MultiPolygon` and `GeometryCollection`:
+//   the array of the objects mapped from their members.
+//
+// A GeoJSON `Feature` is mapped to an object `{ geometry, properties, id }`,
+// and a `FeatureCollection` is mapped to the array of such objects.
+//
+// The arrays mapped from the GeoJSON objects remember their GeoJSON types in
+// their non-enumerable `geoJsonType` properties, so that they are mapped back
+// to the same types of GeoJSON objects, even if they are empty.
+//
+
+/**
+ * Checks whether the specified value is a polygon-like shape, i.e., an object
+ * which can be converted to a GeoJSON `Polygon`.
+ *
+ * @private
+ */
+function isPolygonal(value) {
+  return (value instanceof Polygon)
+    || (value instanceof Triangle)
+    || (value instanceof Rectangle)
+    || (value !== null && typeof value === 'object' && (value.outer instanceof Polygon));
+}
+
+/**
+ * Checks whether the specified value is a feature, i.e., an object with a
+ * `geometry` property.
+ *
+ * @private
+ */
+function isFeature(value) {
+  return value !== null
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && Object.prototype.hasOwnProperty.call(value, 'geometry');
+}
+
+/**
+ * Checks whether the specified value is a line-like shape, i.e., an object
+ * which can be converted to a GeoJSON `LineString`.
+ *
+ * @private
+ */
+function isLinear(value) {
+  return (value instanceof Line) || (value instanceof Polyline);
+}
+
+/**
+ * Converts a point to a GeoJSON position.
+ *
+ * @private
+ */
+function toPosition(p) {
+  return [p.x, p.y];
+}
+
+/**
+ * Converts a list of vertexes to a closed GeoJSON linear ring, whose vertexes
+ * are arranged in the counter-clockwise order if `ccw` is `true`, or in the
+ * clockwise order otherwise.
+ *
+ * @private
+ */
+function toRing(vertexes, ccw) {
+  let polygon = new Polygon(vertexes);
+  if ((polygon.signedArea() > 0) !== ccw) {
+    polygon = polygon.reverse();
+  }
+  const ring = polygon.vertexes.map(toPosition);
+  ring.push(ring[0]);
+  return ring;
+}
+
+/**
+ * Gets the coordinates of the GeoJSON `Polygon` of a polygon-like shape.
+ *
+ * Following RFC 7946, the exterior ring is arranged in the counter-clockwise
+ * order and the interior rings are arranged in the clockwise order.
+ *
+ * @private
+ */
+function toPolygonCoordinates(shape) {
+  if (shape instanceof Triangle) {
+    return [toRing(shape.vertexes(), true)];
+  } else if (shape instanceof Rectangle) {
+    return [toRing([shape.topLeft, shape.topRight, shape.bottomRight, shape.bottomLeft], true)];
+  } else if (shape instanceof Polygon) {
+    return [toRing(shape.vertexes, true)];
+  } else {
+    const holes = shape.holes || [];
+    return [toRing(shape.outer.vertexes, true)]
+      .concat(holes.map((h) => toRing(h.vertexes, false)));
+  }
+}
+
+/**
+ * Converts a geometry, i.e., a shape or an array of shapes, to a GeoJSON
+ * geometry object.
+ *
+ * @private
+ */
+function toGeometry(value) {
+  if (value instanceof Point) {
+    return { type: 'Point', coordinates: toPosition(value) };
+  } else if (value instanceof Line) {
+    if (value.kind !== 'segment') {
+      throw new Error(`Cannot convert an unbounded line to GeoJSON: ${value.kind}`);
+    }
+    return { type: 'LineString', coordinates: [toPosition(value.start), toPosition(value.end)] };
+  } else if (value instanceof Polyline) {
+    return { type: 'LineString', coordinates: value.vertexes.map(toPosition) };
+  } else if (isPolygonal(value)) {
+    return { type: 'Polygon', coordinates: toPolygonCoordinates(value) };
+  } else if (value instanceof MultiPolygon) {
+    return { type: 'MultiPolygon', coordinates: value.polygons.map(toPolygonCoordinates) };
+  } else if (Array.isArray(value)) {
+    // if the array was converted from a GeoJSON object, its geometry type is
+    // kept as long as its members still fit that type; otherwise the type is
+    // decided by its members
+    const { geoJsonType } = value;
+    const accepts = (type, predicate) => (geoJsonType === undefined
+      ? (value.length > 0 && value.every(predicate))
+      : (geoJsonType === type && value.every(predicate)));
+    if (accepts('MultiPoint', (v) => v instanceof Point)) {
+      return { type: 'MultiPoint', coordinates: value.map(toPosition) };
+    } else if (accepts('MultiLineString', isLinear)) {
+      return {
+        type: 'MultiLineString',
+        coordinates: value.map((l) => toGeometry(l).coordinates),
+      };
+    } else if (accepts('MultiPolygon', isPolygonal)) {
+      return { type: 'MultiPolygon', coordinates: value.map(toPolygonCoordinates) };
+    } else {
+      return { type: 'GeometryCollection', geometries: value.map(toGeometry) };
+    }
+  }
+  throw new Error(`Unsupported shape for GeoJSON: ${value}`);
+}
+
+/**
+ * Converts a feature object `{ geometry, properties, id }` to a GeoJSON
+ * `Feature` object.
+ *
+ * @private
+ */
+function toFeature(feature) {
+  const result = {
+    type: 'Feature',
+    geometry: (feature.geometry === null ? null : toGeometry(feature.geometry)),
+    properties: (feature.properties === undefined ? null : feature.properties),
+  };
+  if (feature.id !== undefined) {
+    result.id = feature.id;
+  }
+  return result;
+}
+
+/**
+ * Converts shapes to a GeoJSON object.
+ *
+ * The argument is converted as follows:
+ *
+ * - a `Point` object is converted to a `Point` geometry;
+ * - a `Line` object is converted to a `LineString` geometry with two
+ *   positions, and a `Polyline` object is converted to a `LineString`
+ *   geometry with the positions of its vertexes;
+ * - a `Polygon`, `Triangle`, `Rectangle` or `PolygonWithHoles` object, or an
+ *   object `{ outer, holes }` representing a polygon with holes, is converted
+ *   to a `Polygon` geometry, whose exterior ring is arranged in the
+ *   counter-clockwise order and interior rings are arranged in the clockwise
+ *   order, as required by RFC 7946;
+ * - an object `{ geometry, properties, id }` is converted to a `Feature`,
+ *   where `properties` and `id` are optional;
+ * - a non-empty array of features is converted to a `FeatureCollection`;
+ * - a `MultiPolygon` object is converted to a `MultiPolygon` geometry;
+ * - an array returned by `fromGeoJSON()` is converted to the type of the
+ *   GeoJSON object it was converted from, even if it is empty, unless its
+ *   members no longer fit that type;
+ * - any other array of `Point`, `Line` (or `Polyline`) or polygon-like
+ *   objects is converted to a `MultiPoint`, `MultiLineString` or
+ *   `MultiPolygon` geometry respectively, and any other array, including an
+ *   empty array, is converted to a `GeometryCollection`.
+ *
+ * Note that a `Rectangle` is converted to the polygon of its four corners,
+ * and `Circle` objects are not supported since GeoJSON has no such geometry.
+ * Use the `toJSON()` methods of the shapes if an exact round-trip is needed.
+ *
+ * @param {Point|Line|Polyline|Triangle|Polygon|Rectangle|PolygonWithHoles|MultiPolygon|object|Array} value
+ *     the shapes to be converted.
+ * @return {object}
+ *     the GeoJSON object.
+ * @throws {Error}
+ *     if the argument contains an unsupported shape, e.g., a ray or an
+ *     infinite line.
+ */
+function toGeoJSON(value) {
+  if (isFeature(value)) {
+    return toFeature(value);
+  } else if (Array.isArray(value)
+      && (value.geoJsonType === undefined ? value.length > 0 : value.geoJsonType === 'FeatureCollection')
+      && value.every(isFeature)) {
+    return { type: 'FeatureCollection', features: value.map(toFeature) };
+  } else {
+    return toGeometry(value);
+  }
+}
+
+/**
+ * Converts a GeoJSON position to a point.
+ *
+ * @private
+ */
+function fromPosition(position) {
+  if (!Array.isArray(position) || position.length < 2
+      || !Number.isFinite(position[0]) || !Number.isFinite(position[1])) {
+    throw new Error(`Invalid GeoJSON position: ${JSON.stringify(position)}`);
+  }
+  return new Point(position[0], position[1]);
+}
+
+/**
+ * Converts an array of GeoJSON positions to an array of points.
+ *
+ * @private
+ */
+function fromPositions(positions, minLength) {
+  if (!Array.isArray(positions) || positions.length < minLength) {
+    throw new Error(`Expect an array of at least ${minLength} GeoJSON positions: `
+      + `${JSON.stringify(positions)}`);
+  }
+  return positions.map(fromPosition);
+}
+
+/**
+ * Converts the coordinates of a GeoJSON `LineString` to a `Line` or a
+ * `Polyline`.
+ *
+ * @private
+ */
+function fromLineString(coordinates) {
+  const points = fromPositions(coordinates, 2);
+  if (points.length === 2) {
+    return new Line(points[0], points[1]);
+  }
+  return new Polyline(points);
+}
+
+/**
+ * Converts a closed GeoJSON linear ring to a `Polygon`.
+ *
+ * @private
+ */
+function fromRing(coordinates) {
+  const points = fromPositions(coordinates, 4);
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (first.x !== last.x || first.y !== last.y) {
+    throw new Error(`The GeoJSON linear ring is not closed: ${JSON.stringify(coordinates)}`);
+  }
+  return new Polygon(points.slice(0, -1));
+}
+
+/**
+ * Converts the coordinates of a GeoJSON `Polygon` to a `Polygon` or an object
+ * `{ outer, holes }`.
+ *
+ * @private
+ */
+function fromPolygon(coordinates) {
+  if (!Array.isArray(coordinates) || coordinates.length === 0) {
+    throw new Error(`Invalid coordinates of GeoJSON Polygon: ${JSON.stringify(coordinates)}`);
+  }
+  const rings = coordinates.map(fromRing);
+  if (rings.length === 1) {
+    return rings[0];
+  }
+  return new PolygonWithHoles(rings[0], rings.slice(1));
+}
+
+/**
+ * Checks that the specified value is an array.
+ *
+ * @private
+ */
+function checkArray(value, name) {
+  if (!Array.isArray(value)) {
+    throw new Error(`The ${name} of GeoJSON must be an array: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Marks the array converted from a GeoJSON multi-geometry, geometry
+ * collection or feature collection with its GeoJSON type.
+ *
+ * @private
+ */
+function withGeoJsonType(array, type) {
+  Object.defineProperty(array, 'geoJsonType', { value: type });
+  return array;
+}
+
+/**
+ * Converts a GeoJSON object to shapes.
+ *
+ * This function is the inverse of `toGeoJSON()`. The GeoJSON geometries are
+ * converted as follows:
+ *
+ * - a `Point` is converted to a `Point` object;
+ * - a `LineString` is converted to a `Line` object if it has two positions,
+ *   or a `Polyline` object otherwise;
+ * - a `Polygon` is converted to a `Polygon` object if it has no hole, or a
+ *   `PolygonWithHoles` object otherwise, whose `outer` is the `Polygon` of
+ *   the exterior ring and `holes` is the array of the `Polygon`s of the
+ *   interior rings. The closing position of each ring is removed;
+ * - a `MultiPoint`, `MultiLineString`, `MultiPolygon` or
+ *   `GeometryCollection` is converted to the array of the objects converted
+ *   from its members;
+ * - a `Feature` is converted to an object `{ geometry, properties, id }`,
+ *   where `id` is present only if the feature has an identifier;
+ * - a `FeatureCollection` is converted to the array of the objects converted
+ *   from its features.
+ *
+ * The non-enumerable `geoJsonType` property of each converted array is the
+ * type of the GeoJSON object it is converted from, so that `toGeoJSON()`
+ * converts the array back to the same type of GeoJSON object, even if it is
+ * empty.
+ *
+ * The positions may have more than two elements, but only the first two
+ * elements are used.
+ *
+ * @param {object} json
+ *     the GeoJSON object.
+ * @return {Point|Line|Polyline|Polygon|PolygonWithHoles|object|Array}
+ *     the shapes converted from the GeoJSON object.
+ * @throws {Error}
+ *     if the argument is not a valid GeoJSON object.
+ */
+function fromGeoJSON(json) {
+  if (json === null || typeof json !== 'object') {
+    throw new Error(`Invalid GeoJSON object: ${JSON.stringify(json)}`);
+  }
+  switch (json.type) {
+    case 'Point':
+      return fromPosition(json.coordinates);
+    case 'MultiPoint':
+      return withGeoJsonType(fromPositions(json.coordinates, 0), json.type);
+    case 'LineString':
+      return fromLineString(json.coordinates);
+    case 'MultiLineString':
+      return withGeoJsonType(checkArray(json.coordinates, 'coordinates').map(fromLineString), json.type);
+    case 'Polygon':
+      return fromPolygon(json.coordinates);
+    case 'MultiPolygon':
+      return withGeoJsonType(checkArray(json.coordinates, 'coordinates').map(fromPolygon), json.type);
+    case 'GeometryCollection':
+      return withGeoJsonType(checkArray(json.geometries, 'geometries').map(fromGeoJSON), json.type);
+    case 'Feature': {
+      const result = {
+        geometry: (json.geometry === null ? null : fromGeoJSON(json.geometry)),
+        properties: (json.properties === undefined ? null : json.properties),
+      };
+      if (json.id !== undefined) {
+        result.id = json.id;
+      }
+      return result;
+    }
+    case 'FeatureCollection':
+      return withGeoJsonType(checkArray(json.features, 'features').map((f) => {
+        if (f === null || typeof f !== 'object' || f.type !== 'Feature') {
+          throw new Error(`Invalid GeoJSON feature: ${JSON.stringify(f)}`);
+        }
+        return fromGeoJSON(f);
+      }), json.type);
+    default:
+      throw new Error(`Unsupported GeoJSON type: ${json.type}`);
+  }
+}
+
+export {
+  toGeoJSON,
+  fromGeoJSON,
+};
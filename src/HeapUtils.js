@@ -0,0 +1,83 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+
+//
+// The utility functions of the binary heaps stored in arrays, shared by the
+// algorithms processing their elements in the order of priority.
+//
+// A heap is ordered by a comparison function, and its top element, i.e., the
+// first element of the array, is the minimum element in that order.
+//
+
+/**
+ * Pushes an element into a binary heap.
+ *
+ * @param {Array} heap
+ *     the array storing the binary heap.
+ * @param {any} element
+ *     the element to be pushed.
+ * @param {function} compare
+ *     the comparison function of the heap, which returns a negative value if
+ *     its first argument should be popped before its second argument.
+ */
+function heapPush(heap, element, compare) {
+  heap.push(element);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = Math.floor((i - 1) / 2);
+    if (compare(heap[parent], heap[i]) <= 0) {
+      break;
+    }
+    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+    i = parent;
+  }
+}
+
+/**
+ * Pops the top element from a binary heap.
+ *
+ * @param {Array} heap
+ *     the array storing the binary heap, which must not be empty.
+ * @param {function} compare
+ *     the comparison function of the heap, which returns a negative value if
+ *     its first argument should be popped before its second argument.
+ * @return {any}
+ *     the top element of the heap, i.e., the minimum element in the order of
+ *     the comparison function.
+ */
+function heapPop(heap, compare) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1;
+      const r = l + 1;
+      let min = i;
+      if (l < heap.length && compare(heap[l], heap[min]) < 0) {
+        min = l;
+      }
+      if (r < heap.length && compare(heap[r], heap[min]) < 0) {
+        min = r;
+      }
+      if (min === i) {
+        break;
+      }
+      [heap[min], heap[i]] = [heap[i], heap[min]];
+      i = min;
+    }
+  }
+  return top;
+}
+
+export {
+  heapPush,
+  heapPop,
+};
@@ -0,0 +1,76 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Line from './Line';
+import Triangle from './Triangle';
+import Polygon from './Polygon';
+import Polyline from './Polyline';
+import PolygonWithHoles from './PolygonWithHoles';
+import MultiPolygon from './MultiPolygon';
+import Rectangle from './Rectangle';
+import Circle from './Circle';
+import Ellipse from './Ellipse';
+import Arc from './Arc';
+import Transform from './Transform';
+import QuadraticBezier from './QuadraticBezier';
+import CubicBezier from './CubicBezier';
+
+/**
+ * The map from the types of the JSON representations to the classes.
+ *
+ * @private
+ */
+const CLASSES = {
+  Point,
+  Line,
+  Triangle,
+  Polygon,
+  Polyline,
+  PolygonWithHoles,
+  MultiPolygon,
+  Rectangle,
+  Circle,
+  Ellipse,
+  Arc,
+  Transform,
+  QuadraticBezier,
+  CubicBezier,
+};
+
+/**
+ * Constructs a shape from its JSON representation.
+ *
+ * The class of the shape is determined by the `type` property of the JSON
+ * object, and the shape is constructed by the `fromJSON()` method of that
+ * class. This function is useful to restore a document containing shapes of
+ * different classes.
+ *
+ * @param {object|object[]} json
+ *     the JSON representation of a shape, as returned by the `toJSON()`
+ *     method of the shape, or an array of such representations.
+ * @return {object|Array}
+ *     the shape represented by the JSON object, or the array of shapes if the
+ *     argument is an array.
+ * @throws {Error}
+ *     if the JSON object is not a valid representation of a shape.
+ */
+function fromJSON(json) {
+  if (Array.isArray(json)) {
+    return json.map(fromJSON);
+  }
+  if (json === null || typeof json !== 'object'
+      || !Object.prototype.hasOwnProperty.call(CLASSES, json.type)) {
+    throw new Error(`Unsupported JSON of shape: ${JSON.stringify(json)}`);
+  }
+  return CLASSES[json.type].fromJSON(json);
+}
+
+export {
+  fromJSON,
+};
@@ -0,0 +1,68 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+
+/**
+ * The current version of the JSON format of the shapes.
+ *
+ * Each JSON object produced by the `toJSON()` method of a shape contains a
+ * `type` property with the name of its class and a `version` property with
+ * this value. The `fromJSON()` methods accept all the versions up to this one.
+ *
+ * @type {number}
+ */
+const JSON_VERSION = 1;
+
+/**
+ * Checks the type and version of the JSON object of a shape.
+ *
+ * @param {object} json
+ *     the JSON object to be checked.
+ * @param {string} type
+ *     the expected type of the JSON object.
+ * @throws {Error}
+ *     if the JSON object is not an object, or its type is not the expected
+ *     type, or its version is not supported.
+ */
+function checkJSON(json, type) {
+  if (json === null || typeof json !== 'object') {
+    throw new Error(`The JSON of a ${type} must be an object: ${JSON.stringify(json)}`);
+  }
+  if (json.type !== type) {
+    throw new Error(`Expect the JSON of a ${type}, but got: ${json.type}`);
+  }
+  const { version } = json;
+  if (!Number.isInteger(version) || version < 1 || version > JSON_VERSION) {
+    throw new Error(`Unsupported JSON version of ${type}: ${version}`);
+  }
+}
+
+/**
+ * Checks that the properties of a JSON object are finite numbers.
+ *
+ * @param {object} json
+ *     the JSON object to be checked.
+ * @param {string[]} keys
+ *     the names of the properties to be checked.
+ * @throws {Error}
+ *     if any of the properties is not a finite number.
+ */
+function checkNumbers(json, keys) {
+  for (const key of keys) {
+    if (!Number.isFinite(json[key])) {
+      throw new Error(`The property '${key}' of the JSON of a ${json.type} `
+        + `must be a finite number: ${json[key]}`);
+    }
+  }
+}
+
+export {
+  JSON_VERSION,
+  checkJSON,
+  checkNumbers,
+};
@@ -6,23 +6,141 @@
  *    All rights reserved.                                                    *
  *                                                                            *
  ******************************************************************************/
-import {eq, geq, isNonZero, isNonPositive} from './Utils';
+import { eq, geq, isNonZero, isZero } from './Utils';
+import { orientation } from './Predicates';
 import Point from './Point';
+import { JSON_VERSION, checkJSON } from './JsonUtils';
 
 /**
- * This class represents a line or a line segment in a plane.
+ * The kinds of lines.
+ *
+ * @private
+ */
+const KINDS = ['segment', 'ray', 'line'];
+
+/**
+ * Tests whether a parameter along a line lies in the range of the line of the
+ * specified kind, where the start point and end point of the line have the
+ * parameters 0 and 1 respectively.
+ *
+ * @param {string} kind
+ *     the kind of the line.
+ * @param {number} t
+ *     the parameter to be tested.
+ * @return {boolean}
+ *     `true` if the parameter lies in the range of the line; `false`
+ *     otherwise.
+ * @private
+ */
+function isInRange(kind, t) {
+  switch (kind) {
+    case 'segment':
+      return t >= 0 && t <= 1;
+    case 'ray':
+      return t >= 0;
+    default:
+      return true;
+  }
+}
+
+/**
+ * Calculates the parameter of a point on a line, where the start point and
+ * end point of the line have the parameters 0 and 1 respectively.
+ *
+ * @param {Line} line
+ *     the specified line.
+ * @param {Point} p
+ *     the specified point on the line.
+ * @return {number}
+ *     the parameter of the projection of the point onto the line, which is
+ *     exactly 0 or 1 if the point is the start point or end point of the
+ *     line, or 0 if the line is degenerated.
+ * @private
+ */
+function parameterOf(line, p) {
+  if (p === line.start) {
+    return 0;
+  } else if (p === line.end) {
+    return 1;
+  }
+  const d = line.vector();
+  const len2 = d.dot(d);
+  return (isZero(len2) ? 0 : p.subtract(line.start).dot(d) / len2);
+}
+
+/**
+ * This class represents a line segment, a ray or an infinite line in a plane.
+ *
+ * The `kind` of a line decides the semantics of its kind-aware methods, i.e.,
+ * `length()`, `containsPoint()`, `nearestPointTo()`, `distanceToPoint()`,
+ * `distanceToLine()` and `isIntersectWith()`:
+ * - 'segment': the line segment between the start point and the end point;
+ * - 'ray': the ray starting from the start point and passing through the end
+ *   point;
+ * - 'line': the infinite line passing through the start point and the end
+ *   point.
+ *
+ * The other methods explicitly state their semantics in their names, e.g.,
+ * `isIntersectWithLine()` and `crossPointWithLine()` always treat the lines
+ * as infinite lines, while `isIntersectWithLineSegment()` always treats the
+ * lines as line segments, whatever their kinds are.
  *
  * This class is immutable.
  *
  * @author Haixing Hu
  */
 class Line {
-  constructor(start, end) {
+  /**
+   * Constructs a line.
+   *
+   * @param {Point} start
+   *     the start point of the line.
+   * @param {Point} end
+   *     the end point of the line.
+   * @param {string} kind
+   *     the kind of the line, which may be 'segment', 'ray' or 'line'. The
+   *     default value is 'segment'.
+   * @throws {Error}
+   *     if the kind is unknown.
+   */
+  constructor(start, end, kind = 'segment') {
+    if (!KINDS.includes(kind)) {
+      throw new Error(`Unknown kind of line: ${kind}`);
+    }
     this.start = start;
     this.end = end;
+    this.kind = kind;
     Object.freeze(this);    // make this object immutable
   }
 
+  /**
+   * Constructs a ray.
+   *
+   * @param {Point} start
+   *     the start point of the ray.
+   * @param {Point} through
+   *     another point on the ray, which decides the direction of the ray.
+   * @return {Line}
+   *     the ray starting from `start` and passing through `through`.
+   */
+  static ray(start, through) {
+    return new Line(start, through, 'ray');
+  }
+
+  /**
+   * Constructs an infinite line.
+   *
+   * @param {Point} p
+   *     a point on the line.
+   * @param {Point} q
+   *     another point on the line.
+   * @return {Line}
+   *     the infinite line passing through the two points.
+   */
+  static infinite(p, q) {
+    return new Line(p, q, 'line');
+  }
+
   /**
    * Calculates the vector from the start point to the end point of this line s
    * egment.
@@ -35,12 +153,16 @@ class Line {
   }
 
   /**
-   * Calculates the length of this line segment.
+   * Calculates the length of this line.
    *
    * @returns {number}
-   *     The length of this line segment.
+   *     The length of this line segment, or `Infinity` if this line is a ray
+   *     or an infinite line.
    */
   length() {
+    if (this.kind !== 'segment') {
+      return Infinity;
+    }
     return this.start.distance(this.end);
   }
 
@@ -67,6 +189,70 @@ class Line {
     );
   }
 
+  /**
+   * Applies an affine transformation to this line.
+   *
+   * @param {Transform} matrix
+   *     The affine transformation to be applied.
+   * @return {Line}
+   *     A new `Line` object representing the result of applying the
+   *     transformation to this line.
+   */
+  transform(matrix) {
+    return new Line(this.start.transform(matrix), this.end.transform(matrix), this.kind);
+  }
+
+  /**
+   * Tests whether a point lies on this line, according to the kind of this
+   * line.
+   *
+   * @param {Point} p
+   *     The specified point.
+   * @return {boolean}
+   *     `true` if the point lies on this line segment, ray or infinite line;
+   *     `false` otherwise.
+   */
+  containsPoint(p) {
+    if (this.start.equals(this.end)) {
+      return p.equals(this.start);    // a degenerated line is a point
+    }
+    switch (this.kind) {
+      case 'segment':
+        return p.isOnLineSegment(this);
+      case 'ray':
+        return p.isOnLine(this)
+          && (p.equals(this.start) || p.subtract(this.start).dot(this.vector()) > 0);
+      default:
+        return p.isOnLine(this);
+    }
+  }
+
+  /**
+   * Calculates the nearest point on this line from a specified point, i.e.,
+   * the projection of the point onto this line, according to the kind of
+   * this line.
+   *
+   * @param {Point} p
+   *     The specified point.
+   * @return {Point}
+   *     The perpendicular projection of the point onto the infinite line; or
+   *     the start point of this ray or line segment if the projection lies
+   *     before the start point; or the end point of this line segment if the
+   *     projection lies after the end point.
+   */
+  nearestPointTo(p) {
+    const d = this.vector();
+    const len2 = d.dot(d);
+    if (isZero(len2)) {
+      return this.start;
+    }
+    const t = p.subtract(this.start).dot(d) / len2;
+    if (!isInRange(this.kind, t)) {
+      return (t < 0 ? this.start : this.end);
+    }
+    return new Point(this.start.x + d.x * t, this.start.y + d.y * t);
+  }
+
   /**
    * Determines if this line intersects with another specified line.
    *
@@ -105,10 +291,89 @@ class Line {
         && geq(otherMaxX, thisMinX)
         && geq(thisMaxY, otherMinY)
         && geq(otherMaxY, thisMinY)
-        && isNonPositive(this.start.times(other.start, this.end)
-                       * this.start.times(other.end, this.end))
-        && isNonPositive(other.start.times(this.start, other.end)
-                       * other.start.times(this.end, other.end));
+        && orientation(this.start, other.start, this.end)
+         * orientation(this.start, other.end, this.end) <= 0
+        && orientation(other.start, this.start, other.end)
+         * orientation(other.start, this.end, other.end) <= 0;
+  }
+
+  /**
+   * Calculates the intersection of this line segment and another specified
+   * line segment.
+   *
+   * If the intersection point is equal to an end point of the segments, that
+   * end point itself is returned instead of the calculated point, so that the
+   * segments split at their intersections exactly share their nodes.
+   *
+   * @param {Line} other
+   *     The specified line segment.
+   * @return {object}
+   *     The intersection of the two line segments, which is an object with the
+   *     property `type`, which is one of the following:
+   *     - 'none': the two segments do not intersect;
+   *     - 'point': the two segments intersect at the point `point`, whose
+   *       parameters on this segment and the other segment are `t` and `u`
+   *       respectively, where the start point and end point of a segment have
+   *       the parameters 0 and 1 respectively;
+   *     - 'overlap': the two segments are collinear and overlap on the line
+   *       segment `line`, which has the same direction as this segment, and
+   *       the parameters of its start point and end point on this segment and
+   *       the other segment are `[t0, t1]` stored in `t` and `[u0, u1]` stored
+   *       in `u` respectively.
+   *     Two collinear segments touching at a single point intersect at that
+   *     point. A degenerated segment is treated as its start point.
+   */
+  intersectionWithLineSegment(other) {
+    const endpoints = [this.start, this.end, other.start, other.end];
+    const r = this.vector();
+    const s = other.vector();
+    const denom = r.cross(s);
+    if (isZero(denom)) {
+      // parallel, collinear or degenerated segments
+      const points = [];
+      endpoints.forEach((p, i) => {
+        if (p.isOnLineSegment(i < 2 ? other : this) && !points.some((q) => q.equals(p))) {
+          points.push(p);
+        }
+      });
+      if (points.length === 0) {
+        return { type: 'none' };
+      } else if (points.length === 1) {
+        const [point] = points;
+        return { type: 'point', point, t: parameterOf(this, point), u: parameterOf(other, point) };
+      }
+      const d = (r.isOrigin() ? s : r);
+      points.sort((p, q) => p.dot(d) - q.dot(d));
+      const line = new Line(points[0], points[points.length - 1]);
+      return {
+        type: 'overlap',
+        line,
+        t: [parameterOf(this, line.start), parameterOf(this, line.end)],
+        u: [parameterOf(other, line.start), parameterOf(other, line.end)],
+      };
+    }
+    const w = other.start.subtract(this.start);
+    const t = w.cross(s) / denom;
+    const u = w.cross(r) / denom;
+    const p = new Point(this.start.x + t * r.x, this.start.y + t * r.y);
+    const endpoint = endpoints.find((e) => e.equals(p));
+    if (endpoint) {
+      // the end point must lie on both segments, within the tolerance
+      if (isZero(endpoint.distanceToLineSegment(this))
+          && isZero(endpoint.distanceToLineSegment(other))) {
+        return {
+          type: 'point',
+          point: endpoint,
+          t: parameterOf(this, endpoint),
+          u: parameterOf(other, endpoint),
+        };
+      }
+      return { type: 'none' };
+    }
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+      return { type: 'point', point: p, t, u };
+    }
+    return { type: 'none' };
   }
 
   /**
@@ -119,7 +384,8 @@ class Line {
    * @return {Point|string}
    *     Returns the intersection point if this line intersects with the other
    *     line; returns the string 'online' if the lines are collinear; returns
-   *     the string 'parallel' if the lines are parallel.
+   *     the string 'parallel' if the lines are parallel. See
+   *     `intersectionWithLineSegment()` for the intersection of line segments.
    */
   crossPointWithLine(l) {
     const a1 = this.end.y - this.start.y;
@@ -156,7 +422,70 @@ class Line {
   }
 
   /**
-   * Calculates the shortest distance from this line to the specified point.
+   * Determines if this line intersects with another specified line, according
+   * to the kinds of the two lines.
+   *
+   * @param {Line} other
+   *     The specified line, ray or line segment.
+   * @return {boolean}
+   *     Returns `true` if this line intersects with the specified line;
+   *     otherwise, returns `false`.
+   */
+  isIntersectWith(other) {
+    if (this.start.equals(this.end)) {
+      return other.containsPoint(this.start);
+    }
+    if (other.start.equals(other.end)) {
+      return this.containsPoint(other.start);
+    }
+    const r = this.vector();
+    const s = other.vector();
+    const denom = r.cross(s);
+    if (isZero(denom)) {
+      // parallel or collinear lines, where two collinear lines intersect if
+      // and only if one of them is an infinite line, or one of them contains
+      // an end point of the other
+      if (!other.start.isOnLine(this)) {
+        return false;
+      }
+      return this.kind === 'line' || other.kind === 'line'
+        || this.endPoints().some((p) => other.containsPoint(p))
+        || other.endPoints().some((p) => this.containsPoint(p));
+    }
+    const w = other.start.subtract(this.start);
+    const t = w.cross(s) / denom;
+    const u = w.cross(r) / denom;
+    // the cross point close to an end point is decided by that end point, to
+    // avoid the numeric errors
+    const p = new Point(this.start.x + t * r.x, this.start.y + t * r.y);
+    const endpoint = this.endPoints().concat(other.endPoints()).find((e) => e.equals(p));
+    if (endpoint) {
+      return this.containsPoint(endpoint) && other.containsPoint(endpoint);
+    }
+    return isInRange(this.kind, t) && isInRange(other.kind, u);
+  }
+
+  /**
+   * Gets the end points of this line, according to the kind of this line.
+   *
+   * @return {Point[]}
+   *     The start point and end point of this line segment; or the start
+   *     point of this ray; or an empty array if this line is an infinite line.
+   */
+  endPoints() {
+    switch (this.kind) {
+      case 'segment':
+        return [this.start, this.end];
+      case 'ray':
+        return [this.start];
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Calculates the shortest distance from this line to the specified point,
+   * according to the kind of this line.
    *
    * @param {Point} p
    *     The specified point.
@@ -164,27 +493,33 @@ class Line {
    *     The shortest distance from this line to the specified point.
    */
   distanceToPoint(p) {
-    return p.distanceToLine(this);
+    return p.distance(this.nearestPointTo(p));
   }
 
   /**
-   * Calculates the shortest distance from this line to another specified line.
+   * Calculates the shortest distance from this line to another specified line,
+   * according to the kinds of the two lines.
+   *
+   * For example, the distance between two line segments is 0 only if they
+   * intersect, even if their carrier lines are not parallel.
    *
    * @param {Line} l
-   *     Another specified line.
+   *     Another specified line, ray or line segment.
    * @return {number}
    *     The shortest distance from this line to the other specified line.
    */
   distanceToLine(l) {
-    if (this.isIntersectWithLine(l)) {
+    if (this.isIntersectWith(l)) {
       return 0;
-    } else {
-      const d1 = this.start.distanceToLine(l);
-      const d2 = this.end.distanceToLine(l);
-      const d3 = l.start.distanceToLine(this);
-      const d4 = l.end.distanceToLine(this);
-      return Math.min(d1, d2, d3, d4);
     }
+    // the shortest distance between two disjoint lines is attained at an end
+    // point of one of them, and two disjoint infinite lines are parallel
+    const distances = this.endPoints().map((p) => l.distanceToPoint(p))
+      .concat(l.endPoints().map((p) => this.distanceToPoint(p)));
+    if (distances.length === 0) {
+      return this.distanceToPoint(l.start);
+    }
+    return Math.min(...distances);
   }
 
   /**
@@ -231,6 +566,41 @@ class Line {
     }
     return true;
   }
+
+  /**
+   * Gets the JSON representation of this line.
+   *
+   * @return {object}
+   *     The JSON representation of this line, which is an object of the form
+   *     `{ type: 'Line', version, start, end, kind }`, where `start` and `end`
+   *     are the JSON representations of the two end points, and `kind` is the
+   *     kind of this line.
+   */
+  toJSON() {
+    return {
+      type: 'Line',
+      version: JSON_VERSION,
+      start: this.start.toJSON(),
+      end: this.end.toJSON(),
+      kind: this.kind,
+    };
+  }
+
+  /**
+   * Constructs a line from its JSON representation.
+   *
+   * @param {object} json
+   *     The JSON representation of a line, as returned by `toJSON()`. A line
+   *     segment is assumed if the `kind` property is missing.
+   * @return {Line}
+   *     The line represented by the JSON object.
+   * @throws {Error}
+   *     If the JSON object is not a valid representation of a line.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Line');
+    return new Line(Point.fromJSON(json.start), Point.fromJSON(json.end), json.kind || 'segment');
+  }
 }
 
 export default Line;
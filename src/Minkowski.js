@@ -0,0 +1,263 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { orientation } from './Predicates';
+import Point from './Point';
+import Polygon from './Polygon';
+import PolygonWithHoles from './PolygonWithHoles';
+import Rectangle from './Rectangle';
+import RTree from './RTree';
+import {
+  keyOf,
+  splitRings,
+  removeCollinearVertexes,
+  linkEdges,
+  assembleRings,
+} from './RingUtils';
+
+/**
+ * Gets the vertexes of a polygon, with the duplicated consecutive vertexes
+ * and the collinear vertexes removed and arranged in the counter-clockwise
+ * order.
+ *
+ * @param {Polygon} polygon
+ *     the specified polygon.
+ * @return {Point[]}
+ *     the normalized vertexes of the specified polygon.
+ * @throws {Error}
+ *     if the polygon is degenerated.
+ * @private
+ */
+function normalizeVertexes(polygon) {
+  const vertexes = polygon.vertexes.filter((v, i, a) => !v.equals(a[(i + 1) % a.length]));
+  const result = removeCollinearVertexes(polygon.signedArea() < 0 ? vertexes.reverse() : vertexes);
+  if (result.length < 3) {
+    throw new Error('Cannot calculate the Minkowski sum of a degenerated polygon.');
+  }
+  return result;
+}
+
+/**
+ * Calculates the Minkowski sum of two convex polygons by merging their edges
+ * in the order of their polar angles, whose time complexity is `O(n + m)`.
+ *
+ * @param {Point[]} p
+ *     the vertexes of the first convex polygon, arranged in the
+ *     counter-clockwise order.
+ * @param {Point[]} q
+ *     the vertexes of the second convex polygon, arranged in the
+ *     counter-clockwise order.
+ * @return {Point[]}
+ *     the vertexes of the Minkowski sum, arranged in the counter-clockwise
+ *     order.
+ * @private
+ */
+function convexSum(p, q) {
+  // rotates the vertexes to start from the bottom-most (and then left-most)
+  // vertex, whose incoming and outgoing edges have the smallest polar angles
+  const rotate = (ring) => {
+    let k = 0;
+    ring.forEach((v, i) => {
+      if (v.y < ring[k].y || (v.y === ring[k].y && v.x < ring[k].x)) {
+        k = i;
+      }
+    });
+    return ring.slice(k).concat(ring.slice(0, k));
+  };
+  const a = rotate(p);
+  const b = rotate(q);
+  const n = a.length;
+  const m = b.length;
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    result.push(a[i % n].add(b[j % m]));
+    const u = a[(i + 1) % n].subtract(a[i % n]);
+    const v = b[(j + 1) % m].subtract(b[j % m]);
+    const cross = u.cross(v);
+    if (j >= m || (i < n && cross > 0)) {
+      ++i;
+    } else if (i >= n || cross < 0) {
+      ++j;
+    } else {
+      ++i;
+      ++j;
+    }
+  }
+  return removeCollinearVertexes(result);
+}
+
+/**
+ * Decomposes a polygon into convex pieces.
+ *
+ * @param {Point[]} ring
+ *     the normalized vertexes of the polygon.
+ * @return {Point[][]}
+ *     the vertexes of the convex pieces, arranged in the counter-clockwise
+ *     order. A convex polygon is not decomposed, and a concave polygon is
+ *     decomposed into triangles.
+ * @private
+ */
+function convexPieces(ring) {
+  const polygon = new Polygon(ring);
+  if (polygon.isConvex()) {
+    return [ring];
+  }
+  return polygon.triangulate().map((t) => t.vertexes());
+}
+
+/**
+ * Tests whether the region just to the right of a point on a directed edge
+ * is covered by a convex polygon.
+ *
+ * @param {Point[]} piece
+ *     the vertexes of the convex polygon, arranged in the counter-clockwise
+ *     order.
+ * @param {Point} m
+ *     the point on the directed edge, which is not a vertex of the polygon.
+ * @param {Point} d
+ *     the direction of the directed edge.
+ * @return {boolean}
+ *     `true` if the point lies inside the polygon, or lies on an edge of the
+ *     polygon whose direction is opposite to the directed edge; `false`
+ *     otherwise.
+ * @private
+ */
+function coversRight(piece, m, d) {
+  const n = piece.length;
+  let side = null;
+  for (let i = 0; i < n; ++i) {
+    const a = piece[i];
+    const b = piece[(i + 1) % n];
+    const r = orientation(a, b, m);
+    if (r < 0) {
+      return false;
+    } else if (r === 0) {
+      side = b.subtract(a);
+    }
+  }
+  return (side === null || side.dot(d) < 0);
+}
+
+/**
+ * Calculates the union of convex polygons.
+ *
+ * The edges of the polygons are split at their intersection points, and a
+ * split edge is kept if the region just to its right is not covered by any
+ * other polygon, which is found by an R-tree of the polygons.
+ *
+ * @param {Point[][]} rings
+ *     the vertexes of the convex polygons, arranged in the counter-clockwise
+ *     order.
+ * @return {object[]}
+ *     the array of objects `{ outer, holes }` representing the union.
+ * @private
+ */
+function unionConvex(rings) {
+  const pieces = rings.map((ring) => new Polygon(ring));
+  const owners = new Map(pieces.map((piece, i) => [piece, i]));
+  const tree = new RTree().load(pieces);
+  const seen = new Set();
+  const kept = [];
+  for (const edge of splitRings(rings)) {
+    const key = `${keyOf(edge.start)};${keyOf(edge.end)}`;
+    if (seen.has(key)) {
+      continue;     // the same edge of two overlapping polygons
+    }
+    seen.add(key);
+    const m = new Point((edge.start.x + edge.end.x) / 2, (edge.start.y + edge.end.y) / 2);
+    const d = edge.end.subtract(edge.start);
+    const covered = tree.search(Rectangle.fromBounds(m.x, m.y, m.x, m.y))
+      .some((piece) => owners.get(piece) !== edge.ring && coversRight(piece.vertexes, m, d));
+    if (!covered) {
+      kept.push(edge);
+    }
+  }
+  return assembleRings(linkEdges(kept));
+}
+
+/**
+ * Calculates the Minkowski sum of two polygons, i.e., the set of the points
+ * `p + q` where `p` is a point of the first polygon and `q` is a point of the
+ * second polygon.
+ *
+ * If both polygons are convex, the sum is calculated by merging their edges,
+ * whose time complexity is `O(n + m)`. Otherwise, the concave polygons are
+ * decomposed into triangles, and the sum is the union of the Minkowski sums
+ * of all pairs of the convex pieces, whose time complexity is
+ * `O(n * m * log(n * m))` in practical cases.
+ *
+ * The polygons must be simple, but may be concave, and their vertexes may be
+ * arranged in either order.
+ *
+ * @param {Polygon} a
+ *     the first polygon.
+ * @param {Polygon} b
+ *     the second polygon.
+ * @return {PolygonWithHoles[]}
+ *     the array of the result polygons, which has exactly one polygon if the
+ *     two polygons are convex; or may have more than one polygons touching
+ *     at their vertexes, and the result polygons may have holes, if any of
+ *     the two polygons is concave. The vertexes of the outer ring of each
+ *     result polygon are arranged in the counter-clockwise order, and the
+ *     vertexes of its holes are arranged in the clockwise order.
+ * @throws {Error}
+ *     if any of the polygons is degenerated or not simple.
+ */
+function minkowskiSum(a, b) {
+  const p = normalizeVertexes(a);
+  const q = normalizeVertexes(b);
+  const piecesA = convexPieces(p);
+  const piecesB = convexPieces(q);
+  if (piecesA.length === 1 && piecesB.length === 1) {
+    return [new PolygonWithHoles(new Polygon(convexSum(p, q)))];
+  }
+  const rings = [];
+  for (const u of piecesA) {
+    for (const v of piecesB) {
+      rings.push(convexSum(u, v));
+    }
+  }
+  return unionConvex(rings).map(({ outer, holes }) => new PolygonWithHoles(
+    new Polygon(outer),
+    holes.map((h) => new Polygon(h)),
+  ));
+}
+
+/**
+ * Calculates the Minkowski difference of two polygons, i.e., the set of the
+ * points `p - q` where `p` is a point of the first polygon and `q` is a point
+ * of the second polygon, which is the Minkowski sum of the first polygon and
+ * the reflection of the second polygon about the origin.
+ *
+ * This is the configuration space obstacle used in the motion planning and
+ * collision detection: the second polygon translated by a vector `t`
+ * overlaps the first polygon if and only if `t` lies in the difference. In
+ * particular, the two polygons overlap if and only if the origin lies in the
+ * difference.
+ *
+ * See `minkowskiSum()` for the requirements of the polygons.
+ *
+ * @param {Polygon} a
+ *     the first polygon.
+ * @param {Polygon} b
+ *     the second polygon.
+ * @return {PolygonWithHoles[]}
+ *     the array of the result polygons. See `minkowskiSum()` for details.
+ * @throws {Error}
+ *     if any of the polygons is degenerated or not simple.
+ */
+function minkowskiDifference(a, b) {
+  return minkowskiSum(a, new Polygon(b.vertexes.map((v) => new Point(-v.x, -v.y))));
+}
+
+export {
+  minkowskiSum,
+  minkowskiDifference,
+};
@@ -0,0 +1,176 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Polygon from './Polygon';
+import PolygonWithHoles from './PolygonWithHoles';
+import Transform from './Transform';
+import { JSON_VERSION, checkJSON } from './JsonUtils';
+
+/**
+ * This class represents a collection of polygons with holes in a plane, i.e.,
+ * the union of the regions of the polygons.
+ *
+ * The polygons must not overlap each other, but may touch each other.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class MultiPolygon {
+  /**
+   * Constructs a collection of polygons.
+   *
+   * @param {Array} polygons
+   *     the array of polygons, each of which may be a `PolygonWithHoles`, a
+   *     `Polygon`, or an object `{ outer, holes }` as returned by
+   *     `polygonUnion()` etc. Hence the result of those functions could be
+   *     passed to this constructor directly.
+   * @throws {Error}
+   *     if any of the polygons is invalid.
+   */
+  constructor(polygons) {
+    this.polygons = polygons.map((p) => {
+      if (p instanceof PolygonWithHoles) {
+        return p;
+      } else if (p instanceof Polygon) {
+        return PolygonWithHoles.fromPolygon(p);
+      } else if (p !== null && typeof p === 'object' && p.outer instanceof Polygon) {
+        return new PolygonWithHoles(p.outer, p.holes || []);
+      }
+      throw new Error(`Invalid polygon of a MultiPolygon: ${p}`);
+    });
+    Object.freeze(this);        //  make this object immutable
+  }
+
+  /**
+   * Calculates the area of this collection.
+   *
+   * @return {number}
+   *     the sum of the areas of the polygons.
+   */
+  area() {
+    return this.polygons.reduce((s, p) => s + p.area(), 0);
+  }
+
+  /**
+   * Calculates the perimeter of this collection.
+   *
+   * @return {number}
+   *     the sum of the perimeters of the polygons.
+   */
+  perimeter() {
+    return this.polygons.reduce((s, p) => s + p.perimeter(), 0);
+  }
+
+  /**
+   * Calculates the centroid of this collection.
+   *
+   * @return {Point}
+   *     the centroid of the union of the regions of the polygons, which is
+   *     the average of the centroids of the polygons weighted by their areas.
+   * @throws {Error}
+   *     if this collection is empty.
+   */
+  centroid() {
+    if (this.polygons.length === 0) {
+      throw new Error('This multi-polygon has no polygon.');
+    }
+    let cx = 0;
+    let cy = 0;
+    let area = 0;
+    for (const p of this.polygons) {
+      const c = p.centroid();
+      const a = p.area();
+      cx += c.x * a;
+      cy += c.y * a;
+      area += a;
+    }
+    return new Point(cx / area, cy / area);
+  }
+
+  /**
+   * Rotates this collection by a given angle around a given point.
+   *
+   * @param {Point} p
+   *     The point around which the rotation is performed.
+   * @param {number} angle
+   *     The angle of rotation, in radians.
+   * @return {MultiPolygon}
+   *     A new `MultiPolygon` object representing the result collection after
+   *     rotating this collection around the given point by the given angle.
+   */
+  rotate(p, angle) {
+    return this.transform(Transform.rotation(angle, p));
+  }
+
+  /**
+   * Translate this collection by the specified displacement.
+   *
+   * @param {Point} p
+   *     The vector represents the displacement by which this collection is
+   *     translated.
+   * @return {MultiPolygon}
+   *     A new `MultiPolygon` object representing the result collection after
+   *     translating this collection by the specified displacement.
+   */
+  translate(p) {
+    return new MultiPolygon(this.polygons.map((polygon) => polygon.translate(p)));
+  }
+
+  /**
+   * Applies an affine transformation to this collection.
+   *
+   * @param {Transform} matrix
+   *     The affine transformation to be applied.
+   * @return {MultiPolygon}
+   *     A new `MultiPolygon` object representing the result of applying the
+   *     transformation to this collection.
+   */
+  transform(matrix) {
+    return new MultiPolygon(this.polygons.map((polygon) => polygon.transform(matrix)));
+  }
+
+  /**
+   * Gets the JSON representation of this collection.
+   *
+   * @return {object}
+   *     The JSON representation of this collection, which is an object of the
+   *     form `{ type: 'MultiPolygon', version, polygons }`, where `polygons`
+   *     is the array of the JSON representations of the polygons with holes.
+   */
+  toJSON() {
+    return {
+      type: 'MultiPolygon',
+      version: JSON_VERSION,
+      polygons: this.polygons.map((p) => p.toJSON()),
+    };
+  }
+
+  /**
+   * Constructs a collection of polygons from its JSON representation.
+   *
+   * @param {object} json
+   *     The JSON representation of a collection of polygons, as returned by
+   *     `toJSON()`.
+   * @return {MultiPolygon}
+   *     The collection of polygons represented by the JSON object.
+   * @throws {Error}
+   *     If the JSON object is not a valid representation of a collection of
+   *     polygons.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'MultiPolygon');
+    if (!Array.isArray(json.polygons)) {
+      throw new Error(`The polygons of the JSON of a MultiPolygon must be an array: ${json.polygons}`);
+    }
+    return new MultiPolygon(json.polygons.map((p) => PolygonWithHoles.fromJSON(p)));
+  }
+}
+
+export default MultiPolygon;
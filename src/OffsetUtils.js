@@ -0,0 +1,143 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { isZero } from './Utils';
+import Point from './Point';
+import { signedAreaOf, fillRing } from './RingUtils';
+
+//
+// The utility functions for offsetting polygons and buffering shapes.
+//
+// A polygon is offset by the following steps:
+//
+// 1. build the raw offset ring by shifting every edge along its normal and
+//    connecting the shifted edges with the joins at the corners, where the
+//    shifted edges at a concave corner are connected through the corner
+//    itself, so that the raw ring may be self-intersecting;
+// 2. extract the boundary of the region with positive winding numbers with
+//    respect to the raw ring, and assemble it into polygons with holes.
+//
+
+/**
+ * Calculates the points on a circular arc.
+ *
+ * @param {Point} center
+ *     the center of the arc.
+ * @param {Point} start
+ *     the start point of the arc.
+ * @param {number} sweep
+ *     the signed sweep angle of the arc, in radians, which is positive for
+ *     the counter-clockwise direction if the y-axis is oriented upwards.
+ * @param {number} tolerance
+ *     the maximum distance between the arc and the chords connecting the
+ *     points, which must be positive.
+ * @return {Point[]}
+ *     the points on the arc after the start point, the last of which is the
+ *     end point of the arc.
+ */
+function arcPoints(center, start, sweep, tolerance) {
+  const r = start.distance(center);
+  const step = (tolerance >= r ? Math.PI / 2 : 2 * Math.acos(1 - tolerance / r));
+  const n = Math.max(1, Math.ceil(Math.abs(sweep) / step));
+  const result = [];
+  for (let i = 1; i <= n; ++i) {
+    result.push(start.rotateAround(center, (sweep * i) / n));
+  }
+  return result;
+}
+
+/**
+ * Builds the raw offset ring of a polygon.
+ *
+ * @param {Point[]} vertexes
+ *     the vertexes of the polygon, arranged in the counter-clockwise order
+ *     and without duplicated consecutive vertexes.
+ * @param {number} distance
+ *     the offset distance, which is positive for the outward offset.
+ * @param {object} options
+ *     the options `{ join, miterLimit, tolerance }`.
+ * @return {Point[]}
+ *     the vertexes of the raw offset ring, which may be self-intersecting.
+ * @private
+ */
+function rawOffsetRing(vertexes, distance, { join, miterLimit, tolerance }) {
+  const n = vertexes.length;
+  // the outward unit normals of the edges
+  const normals = vertexes.map((a, i) => {
+    const b = vertexes[(i + 1) % n];
+    const len = a.distance(b);
+    return new Point((b.y - a.y) / len, (a.x - b.x) / len);
+  });
+  const result = [];
+  for (let i = 0; i < n; ++i) {
+    const a = vertexes[i];
+    const n1 = normals[(i + n - 1) % n];
+    const n2 = normals[i];
+    const p1 = new Point(a.x + n1.x * distance, a.y + n1.y * distance);
+    const p2 = new Point(a.x + n2.x * distance, a.y + n2.y * distance);
+    const cross = n1.cross(n2);
+    const dot = n1.dot(n2);
+    if (isZero(cross) && dot > 0) {
+      result.push(p1);          // the edges are collinear
+    } else if (cross * distance < 0) {
+      result.push(p1, a, p2);   // a concave corner on the offset side
+    } else {
+      // a convex corner on the offset side, including a spike where the
+      // polygon turns back, which is treated as turning towards the offset
+      // side
+      const sweep = (isZero(cross) ? Math.sign(distance) * Math.PI : Math.atan2(cross, dot));
+      const ratio = Math.sqrt(2 / (1 + dot));
+      result.push(p1);
+      if (join === 'round') {
+        result.push(...arcPoints(a, p1, sweep, tolerance));
+      } else if (join === 'miter' && !isZero(1 + dot) && ratio <= miterLimit) {
+        const k = distance / (1 + dot);
+        result.push(new Point(a.x + (n1.x + n2.x) * k, a.y + (n1.y + n2.y) * k), p2);
+      } else {
+        result.push(p2);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Offsets a polygon.
+ *
+ * @param {Point[]} vertexes
+ *     the vertexes of the polygon, which must be simple, and whose vertexes
+ *     may be arranged in either order.
+ * @param {number} distance
+ *     the offset distance, which is positive for the outward offset and
+ *     negative for the inward offset.
+ * @param {object} options
+ *     the options `{ join, miterLimit, tolerance }`, see `Polygon.offset()`.
+ * @return {object[]}
+ *     the array of objects `{ outer, holes }` representing the result
+ *     polygons, where `outer` is the ring of the outer boundary arranged in
+ *     the counter-clockwise order, and `holes` is the array of rings of the
+ *     holes arranged in the clockwise order.
+ */
+function offsetVertexes(vertexes, distance, options) {
+  let ring = vertexes.filter((v, i, a) => !v.equals(a[(i + 1) % a.length]));
+  if (ring.length < 3) {
+    return [];
+  }
+  if (signedAreaOf(ring) < 0) {
+    ring = ring.reverse();
+  }
+  if (distance !== 0) {
+    ring = rawOffsetRing(ring, distance, options);
+  }
+  return fillRing(ring, (winding) => winding > 0);
+}
+
+export {
+  arcPoints,
+  offsetVertexes,
+};
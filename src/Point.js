@@ -8,6 +8,9 @@
  ******************************************************************************/
 import Config from './Config';
 import { eq, isNonPositive, isZero } from './Utils';
+import { orientation } from './Predicates';
+import Transform from './Transform';
+import { JSON_VERSION, checkJSON, checkNumbers } from './JsonUtils';
 
 /**
  * This class represents a point or a vector in a plane.
@@ -162,11 +165,21 @@ class Point {
    *     this point around the given point by the given angle.
    */
   rotateAround(p, angle) {
-    const cos = Math.cos(angle);
-    const sin = Math.sin(angle);
-    const x = this.x - p.x;
-    const y = this.y - p.y;
-    return new Point(p.x + x * cos - y * sin, p.y + x * sin + y * cos);
+    return this.transform(Transform.rotation(angle, p));
+  }
+
+  /**
+   * Applies an affine transformation to this point.
+   *
+   * @param {Transform} matrix
+   *     The affine transformation to be applied.
+   * @return {Point}
+   *     A new `Point` object representing the result of applying the
+   *     transformation to this point.
+   */
+  transform(matrix) {
+    const [x, y] = matrix.apply(this.x, this.y);
+    return new Point(x, y);
   }
 
   /**
@@ -240,9 +253,7 @@ class Point {
    *    `true` if this point lies on the specified line, `false` otherwise.
    */
   isOnLine(l) {
-    const r = (l.end.x - l.start.x) * (this.y - l.start.y)
-            - (l.end.y - l.start.y) * (this.x - l.start.x);
-    return isZero(r);
+    return orientation(l.start, l.end, this) === 0;
   }
 
   /**
@@ -254,10 +265,16 @@ class Point {
    *    `true` if this point lies on the specified line segment, `false` otherwise.
    */
   isOnLineSegment(l) {
-    const r = (l.end.x - l.start.x) * (this.y - l.start.y)
-            - (l.end.y - l.start.y) * (this.x - l.start.x);
-    return isZero(r)
-        && isNonPositive((this.x - l.start.x) * (this.x - l.end.x))
+    if (orientation(l.start, l.end, this) !== 0) {
+      return false;
+    }
+    if (Config.ROBUST_PREDICATES) {
+      return Math.min(l.start.x, l.end.x) <= this.x
+          && this.x <= Math.max(l.start.x, l.end.x)
+          && Math.min(l.start.y, l.end.y) <= this.y
+          && this.y <= Math.max(l.start.y, l.end.y);
+    }
+    return isNonPositive((this.x - l.start.x) * (this.x - l.end.x))
         && isNonPositive((this.y - l.start.y) * (this.y - l.end.y));
   }
 
@@ -274,9 +291,8 @@ class Point {
    *     - 'right': indicates that this point is on the right side of the specified line.
    */
   relationToLine(l) {
-    const r = (l.end.x - l.start.x) * (this.y - l.start.y)
-            - (l.end.y - l.start.y) * (this.x - l.start.x);
-    if (isZero(r)) {
+    const r = orientation(l.start, l.end, this);
+    if (r === 0) {
       return 'on';
     } else {
       return r > 0 ? 'left' : 'right';
@@ -316,6 +332,30 @@ class Point {
     return Math.abs(a_x * b_y - a_y * b_x) / Math.sqrt(b_x * b_x + b_y * b_y);
   }
 
+  /**
+   * Computes the distance between this point and a specified line segment.
+   *
+   * @param {Line} l
+   *     The specified line segment.
+   * @returns {number}
+   *     The distance between this point and the nearest point on the specified
+   *     line segment.
+   */
+  distanceToLineSegment(l) {
+    const a_x = this.x - l.start.x;
+    const a_y = this.y - l.start.y;
+    const b_x = l.end.x - l.start.x;
+    const b_y = l.end.y - l.start.y;
+    const len2 = b_x * b_x + b_y * b_y;
+    if (isZero(len2) || a_x * b_x + a_y * b_y <= 0) {
+      return this.distance(l.start);
+    } else if (a_x * b_x + a_y * b_y >= len2) {
+      return this.distance(l.end);
+    } else {
+      return Math.abs(a_x * b_y - a_y * b_x) / Math.sqrt(len2);
+    }
+  }
+
   /**
    * Computes the nearest point on a specified line from this point, which is
    * the perpendicular projection of this point onto the specified line.
@@ -438,6 +478,78 @@ class Point {
     return 'inside';
   }
 
+  /**
+   * Tests whether this point is inside a specified circle.
+   *
+   * @param {Circle} circle
+   *     The specified circle.
+   * @return {boolean}
+   *    `true` if this point is inside the specified circle, `false` otherwise.
+   */
+  isInsideCircle(circle) {
+    return this.relationToCircle(circle) === 'inside';
+  }
+
+  /**
+   * Computes the relationship between this point and a specified circle.
+   *
+   * @param {Circle} circle
+   *    The specified circle.
+   * @return {string}
+   *    The relationship between this point and the specified circle. It can
+   *    have the following possible values:
+   *    - 'inside': indicates that this point is inside the specified circle;
+   *    - 'outside': indicates that this point is outside the specified circle;
+   *    - 'on': indicates that this point lies on the specified circle.
+   */
+  relationToCircle(circle) {
+    const d = this.distance(circle.center);
+    if (eq(d, circle.radius)) {
+      return 'on';
+    } else {
+      return (d < circle.radius ? 'inside' : 'outside');
+    }
+  }
+
+  /**
+   * Tests whether this point is inside a specified ellipse.
+   *
+   * @param {Ellipse} ellipse
+   *     The specified ellipse.
+   * @return {boolean}
+   *    `true` if this point is inside the specified ellipse, `false` otherwise.
+   */
+  isInsideEllipse(ellipse) {
+    return this.relationToEllipse(ellipse) === 'inside';
+  }
+
+  /**
+   * Computes the relationship between this point and a specified ellipse.
+   *
+   * @param {Ellipse} ellipse
+   *    The specified ellipse.
+   * @return {string}
+   *    The relationship between this point and the specified ellipse. It can
+   *    have the following possible values:
+   *    - 'inside': indicates that this point is inside the specified ellipse;
+   *    - 'outside': indicates that this point is outside the specified ellipse;
+   *    - 'on': indicates that this point lies on the specified ellipse.
+   */
+  relationToEllipse(ellipse) {
+    const d = this.distance(ellipse.center);
+    if (isZero(d)) {
+      return 'inside';
+    }
+    // compares the distance from the center to this point with the distance
+    // from the center to the ellipse along the same ray
+    const s = ellipse.toUnitCircle(this).norm();
+    if (eq(d, d / s)) {
+      return 'on';
+    } else {
+      return (s < 1 ? 'inside' : 'outside');
+    }
+  }
+
   /**
    * Tests whether this point is inside a specified polygon.
    *
@@ -465,36 +577,137 @@ class Point {
    */
   relationToPolygon(polygon) {
     let c = 0;
-    // `ray` is a horizontal ray, starting from this point and pointing to the
-    // negative infinity.
-    const ray = {
-      start: this,
-      end: new Point(- Config.INF, this.y),
-    };
+    // counts the sides crossing the horizontal ray starting from this point
+    // and pointing to the negative infinity, where a side contains its lower
+    // end point but not its upper end point, so that the vertexes on the ray
+    // are counted correctly and the horizontal sides are ignored.
     const n = polygon.vertexes.length;
     for (let i = 0; i < n; ++i) {
       const side = polygon.side(i);
       if (this.isOnLineSegment(side)) {
         return 'on';
       }
-      if (eq(side.start.y, side.end.y)) {
-        // This side is parallel to the X ray.
-        continue;
-      }
-      if (side.start.isOnLineSegment(ray)) {
-        if (side.start.y > side.end.y) {
+      const { start, end } = side;
+      if ((start.y <= this.y) !== (end.y <= this.y)) {
+        // the side crosses the ray if this point is on the right of the
+        // upward side, or on the left of the downward side
+        const r = orientation(start, end, this);
+        if (start.y < end.y ? r < 0 : r > 0) {
           ++c;
         }
-      } else if (side.end.isOnLineSegment(ray)) {
-        if (side.end.y > side.start.y) {
-          ++c;
-        }
-      } else if (side.isIntersectWithLineSegment(ray)) {
-        ++c;
       }
     }
     return (c % 2 === 1 ? 'inside' : 'outside');
   }
+
+  /**
+   * Tests whether this point is inside a specified polygon with holes.
+   *
+   * @param {PolygonWithHoles} polygon
+   *     The specified polygon with holes.
+   * @return {boolean}
+   *    `true` if this point is inside the specified polygon with holes, `false`
+   *    otherwise.
+   */
+  isInsidePolygonWithHoles(polygon) {
+    return this.relationToPolygonWithHoles(polygon) === 'inside';
+  }
+
+  /**
+   * Computes the relationship between this point and a specified polygon with
+   * holes.
+   *
+   * @param {PolygonWithHoles} polygon
+   *    The specified polygon with holes, or an object `{ outer, holes }` as
+   *    returned by `polygonUnion()` etc.
+   * @return {string}
+   *    The relationship between this point and the specified polygon with
+   *    holes. It can have the following possible values:
+   *    - 'inside': indicates that this point is inside the outer ring and
+   *      outside all holes of the specified polygon;
+   *    - 'outside': indicates that this point is outside the outer ring or
+   *      inside a hole of the specified polygon;
+   *    - 'on': indicates that this point lies on the outer ring or on one of
+   *      the holes of the specified polygon.
+   */
+  relationToPolygonWithHoles(polygon) {
+    const relation = this.relationToPolygon(polygon.outer);
+    if (relation !== 'inside') {
+      return relation;
+    }
+    for (const hole of polygon.holes) {
+      const r = this.relationToPolygon(hole);
+      if (r !== 'outside') {
+        return (r === 'on' ? 'on' : 'outside');
+      }
+    }
+    return 'inside';
+  }
+
+  /**
+   * Tests whether this point is inside a specified multi-polygon.
+   *
+   * @param {MultiPolygon} multiPolygon
+   *     The specified multi-polygon.
+   * @return {boolean}
+   *    `true` if this point is inside the specified multi-polygon, `false`
+   *    otherwise.
+   */
+  isInsideMultiPolygon(multiPolygon) {
+    return this.relationToMultiPolygon(multiPolygon) === 'inside';
+  }
+
+  /**
+   * Computes the relationship between this point and a specified
+   * multi-polygon.
+   *
+   * @param {MultiPolygon} multiPolygon
+   *    The specified multi-polygon.
+   * @return {string}
+   *    The relationship between this point and the specified multi-polygon.
+   *    It can have the following possible values:
+   *    - 'inside': indicates that this point is inside one of the polygons of
+   *      the specified multi-polygon;
+   *    - 'outside': indicates that this point is outside all polygons of the
+   *      specified multi-polygon;
+   *    - 'on': indicates that this point lies on the boundary of one of the
+   *      polygons of the specified multi-polygon.
+   */
+  relationToMultiPolygon(multiPolygon) {
+    const relations = multiPolygon.polygons.map((p) => this.relationToPolygonWithHoles(p));
+    if (relations.includes('inside')) {
+      return 'inside';
+    } else {
+      return (relations.includes('on') ? 'on' : 'outside');
+    }
+  }
+
+  /**
+   * Gets the JSON representation of this point.
+   *
+   * @return {object}
+   *    The JSON representation of this point, which is an object of the form
+   *    `{ type: 'Point', version, x, y }`.
+   */
+  toJSON() {
+    return { type: 'Point', version: JSON_VERSION, x: this.x, y: this.y };
+  }
+
+  /**
+   * Constructs a point from its JSON representation.
+   *
+   * @param {object} json
+   *    The JSON representation of a point, as returned by `toJSON()`.
+   * @return {Point}
+   *    The point represented by the JSON object.
+   * @throws {Error}
+   *    If the JSON object is not a valid representation of a point.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Point');
+    checkNumbers(json, ['x', 'y']);
+    return new Point(json.x, json.y);
+  }
 }
 
 export default Point;
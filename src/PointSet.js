@@ -0,0 +1,245 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { orientation } from './Predicates';
+import Line from './Line';
+import Polygon from './Polygon';
+
+/**
+ * Checks that a set of points has at least 2 points.
+ *
+ * @param {Point[]} points
+ *     the array of points.
+ * @throws {Error}
+ *     if the array has less than 2 points.
+ * @private
+ */
+function checkPoints(points) {
+  if (points.length < 2) {
+    throw new Error(`The set of points must have at least 2 points: ${points.length} points.`);
+  }
+}
+
+/**
+ * Gets the convex hull of a set of points, allowing the degenerated cases.
+ *
+ * Unlike `Polygon.convexHull()`, this function does not throw if the points
+ * are all equal or collinear, which is useful for the algorithms working on
+ * the convex hull of arbitrary points, e.g., the rotating calipers.
+ *
+ * @param {Point[]} points
+ *     the array of points, which must not be empty.
+ * @return {Point[]}
+ *     the vertexes of the convex hull, arranged in the counter-clockwise
+ *     order and without collinear vertexes; or the two extreme points if all
+ *     the points are collinear; or the single point if all the points are
+ *     equal.
+ */
+function hullOf(points) {
+  const sorted = [...points].sort((p, q) => p.compareTo(q));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  if (first.equals(last)) {
+    return [first];
+  } else if (sorted.every((p) => orientation(first, last, p) === 0)) {
+    return [first, last];
+  }
+  return Polygon.convexHull(sorted).vertexes;
+}
+
+/**
+ * Calculates twice the area of the triangle formed by three points.
+ *
+ * @param {Point} a
+ *     the first point.
+ * @param {Point} b
+ *     the second point.
+ * @param {Point} c
+ *     the third point.
+ * @return {number}
+ *     twice the area of the triangle, which is proportional to the distance
+ *     from `c` to the line passing through `a` and `b`.
+ * @private
+ */
+function area2(a, b, c) {
+  return Math.abs(b.subtract(a).cross(c.subtract(a)));
+}
+
+/**
+ * Finds the closest pair of a set of points.
+ *
+ * This function uses the divide and conquer algorithm, whose time complexity
+ * is `O(n log n)`.
+ *
+ * @param {Point[]} points
+ *     the array of points, which must have at least 2 points. Duplicated
+ *     points are allowed, whose distance is 0.
+ * @return {object}
+ *     the closest pair, which is an object `{ first, second, distance }`,
+ *     where `first` and `second` are the two points of the pair, and
+ *     `distance` is the distance between them.
+ * @throws {Error}
+ *     if there are less than 2 points.
+ */
+function closestPair(points) {
+  checkPoints(points);
+  const sorted = [...points].sort((p, q) => (p.x - q.x) || (p.y - q.y));
+  let best = { first: sorted[0], second: sorted[1], distance: sorted[0].distance(sorted[1]) };
+  const update = (p, q) => {
+    const d = p.distance(q);
+    if (d < best.distance) {
+      best = { first: p, second: q, distance: d };
+    }
+  };
+  const byY = (p, q) => p.y - q.y;
+  const buffer = [];
+  // finds the closest pair in the range `[lo, hi)` of the sorted points, and
+  // then sorts that range by the y-coordinates
+  const solve = (lo, hi) => {
+    if (hi - lo <= 3) {
+      for (let i = lo; i < hi; ++i) {
+        for (let j = i + 1; j < hi; ++j) {
+          update(sorted[i], sorted[j]);
+        }
+      }
+      const range = sorted.slice(lo, hi).sort(byY);
+      sorted.splice(lo, hi - lo, ...range);
+      return;
+    }
+    const mid = Math.floor((lo + hi) / 2);
+    const midX = sorted[mid].x;
+    solve(lo, mid);
+    solve(mid, hi);
+    // merges the two halves sorted by the y-coordinates
+    buffer.length = 0;
+    let i = lo;
+    let j = mid;
+    while (i < mid || j < hi) {
+      if (j >= hi || (i < mid && sorted[i].y <= sorted[j].y)) {
+        buffer.push(sorted[i++]);
+      } else {
+        buffer.push(sorted[j++]);
+      }
+    }
+    // checks the pairs across the dividing line within the strip, where each
+    // point is only compared with the points below it at a distance less than
+    // the current best distance, which are at most 7 points
+    const strip = [];
+    buffer.forEach((p, k) => {
+      sorted[lo + k] = p;
+      if (Math.abs(p.x - midX) < best.distance) {
+        for (let s = strip.length - 1; s >= 0 && p.y - strip[s].y < best.distance; --s) {
+          update(strip[s], p);
+        }
+        strip.push(p);
+      }
+    });
+  };
+  solve(0, sorted.length);
+  return best;
+}
+
+/**
+ * Finds the farthest pair of a set of points, whose distance is the diameter
+ * of the set of points.
+ *
+ * This function uses the rotating calipers algorithm on the convex hull of
+ * the points, whose time complexity is `O(n log n)`.
+ *
+ * @param {Point[]} points
+ *     the array of points, which must have at least 2 points.
+ * @return {object}
+ *     the farthest pair, which is an object `{ first, second, distance }`,
+ *     where `first` and `second` are the two points of the pair, and
+ *     `distance` is the distance between them, i.e., the diameter of the set
+ *     of points.
+ * @throws {Error}
+ *     if there are less than 2 points.
+ */
+function farthestPair(points) {
+  checkPoints(points);
+  const hull = hullOf(points);
+  const m = hull.length;
+  if (m < 3) {
+    return { first: hull[0], second: hull[m - 1], distance: hull[0].distance(hull[m - 1]) };
+  }
+  let best = { first: hull[0], second: hull[1], distance: hull[0].distance(hull[1]) };
+  const update = (p, q) => {
+    const d = p.distance(q);
+    if (d > best.distance) {
+      best = { first: p, second: q, distance: d };
+    }
+  };
+  let j = 1;
+  for (let i = 0; i < m; ++i) {
+    const a = hull[i];
+    const b = hull[(i + 1) % m];
+    // advances the antipodal vertex of the side `ab`
+    while (area2(a, b, hull[(j + 1) % m]) > area2(a, b, hull[j])) {
+      j = (j + 1) % m;
+    }
+    update(a, hull[j]);
+    update(b, hull[j]);
+    if (area2(a, b, hull[(j + 1) % m]) === area2(a, b, hull[j])) {
+      // the side `ab` is parallel to the side next to the antipodal vertex
+      update(a, hull[(j + 1) % m]);
+      update(b, hull[(j + 1) % m]);
+    }
+  }
+  return best;
+}
+
+/**
+ * Calculates the minimum width of a set of points, i.e., the minimum distance
+ * between two parallel lines enclosing all the points.
+ *
+ * This function uses the rotating calipers algorithm on the convex hull of
+ * the points, whose time complexity is `O(n log n)`. One of the two parallel
+ * lines of the minimum width always passes through a side of the convex hull.
+ *
+ * @param {Point[]} points
+ *     the array of points, which must have at least 2 points.
+ * @return {object}
+ *     the minimum width, which is an object `{ width, side, vertex }`, where
+ *     `width` is the minimum width, `side` is the `Line` of the side of the
+ *     convex hull on one of the two parallel lines, and `vertex` is the
+ *     vertex of the convex hull on the other parallel line. If all the points
+ *     are collinear, the width is 0, `side` is the line segment between the
+ *     two extreme points, and `vertex` is the start point of `side`.
+ * @throws {Error}
+ *     if there are less than 2 points.
+ */
+function minimumWidth(points) {
+  checkPoints(points);
+  const hull = hullOf(points);
+  const m = hull.length;
+  if (m < 3) {
+    return { width: 0, side: new Line(hull[0], hull[m - 1]), vertex: hull[0] };
+  }
+  let best = null;
+  let j = 1;
+  for (let i = 0; i < m; ++i) {
+    const a = hull[i];
+    const b = hull[(i + 1) % m];
+    while (area2(a, b, hull[(j + 1) % m]) > area2(a, b, hull[j])) {
+      j = (j + 1) % m;
+    }
+    const width = area2(a, b, hull[j]) / a.distance(b);
+    if (best === null || width < best.width) {
+      best = { width, side: new Line(a, b), vertex: hull[j] };
+    }
+  }
+  return best;
+}
+
+export {
+  hullOf,
+  closestPair,
+  farthestPair,
+  minimumWidth,
+};
@@ -6,8 +6,42 @@
  *    All rights reserved.                                                    *
  *                                                                            *
  ******************************************************************************/
+import { orientation } from './Predicates';
 import Point from './Point';
 import Line from './Line';
+import Triangle from './Triangle';
+import Transform from './Transform';
+import { isZero } from './Utils';
+import { findSegmentIntersections } from './SegmentIntersection';
+import { fillRing } from './RingUtils';
+import { offsetVertexes } from './OffsetUtils';
+import { JSON_VERSION, checkJSON } from './JsonUtils';
+// the two classes refer to each other only in their methods
+// eslint-disable-next-line import/no-cycle
+import PolygonWithHoles from './PolygonWithHoles';
+
+/**
+ * Tests whether a point lies inside or on the boundary of a triangle whose
+ * vertexes are arranged in the counter-clockwise order.
+ *
+ * @param {Point} p
+ *     the point to be tested.
+ * @param {Point} a
+ *     the first vertex of the triangle.
+ * @param {Point} b
+ *     the second vertex of the triangle.
+ * @param {Point} c
+ *     the third vertex of the triangle.
+ * @return {boolean}
+ *     `true` if the point lies inside or on the boundary of the triangle;
+ *     `false` otherwise.
+ * @private
+ */
+function isInTriangle(p, a, b, c) {
+  return orientation(a, b, p) >= 0
+      && orientation(b, c, p) >= 0
+      && orientation(c, a, p) >= 0;
+}
 
 /**
  * This class represents a polygon in a plane.
@@ -33,6 +67,62 @@ class Polygon {
     Object.freeze(this);        //  make this object immutable
   }
 
+  /**
+   * Computes the convex hull of a set of points.
+   *
+   * This function uses the Andrew's monotone chain algorithm, whose time
+   * complexity is `O(n log n)`.
+   *
+   * @param {Point[]} points
+   *     the array of points. Duplicated points are allowed and will be treated
+   *     as a single point.
+   * @param {object} options
+   *     the optional options, which may have the following properties:
+   *     - `keepCollinear`: whether to keep the points lying on the sides of the
+   *       convex hull as its vertexes. The default value is `false`.
+   * @return {Polygon}
+   *     the convex hull of the specified points, whose vertexes are arranged
+   *     in the counter-clockwise order, starting from the point with the
+   *     smallest x-coordinate (and the smallest y-coordinate if there are
+   *     ties).
+   * @throws {Error}
+   *     if there are less than 3 distinct points, or all the points are
+   *     collinear, since the convex hull is not a polygon in those cases.
+   */
+  static convexHull(points, { keepCollinear = false } = {}) {
+    const sorted = [...points].sort((p, q) => p.compareTo(q));
+    const distinct = sorted.filter((p, i) => (i === 0 || !p.equals(sorted[i - 1])));
+    const n = distinct.length;
+    if (n < 3) {
+      throw new Error(`The convex hull of less than 3 distinct points is not a polygon: ${n} distinct points.`);
+    }
+    const first = distinct[0];
+    const last = distinct[n - 1];
+    if (distinct.every((p) => orientation(first, last, p) === 0)) {
+      throw new Error('The convex hull of collinear points is not a polygon.');
+    }
+    // a point is popped out of the chain if the chain does not turn left at it
+    const shouldPop = (o, a, b) => {
+      const r = orientation(o, a, b);
+      return keepCollinear ? (r < 0) : (r <= 0);
+    };
+    const buildChain = (pts) => {
+      const chain = [];
+      for (const p of pts) {
+        while (chain.length >= 2
+            && shouldPop(chain[chain.length - 2], chain[chain.length - 1], p)) {
+          chain.pop();
+        }
+        chain.push(p);
+      }
+      chain.pop();    // the last point is the first point of the other chain
+      return chain;
+    };
+    const lower = buildChain(distinct);
+    const upper = buildChain(distinct.reverse());
+    return new Polygon(lower.concat(upper));
+  }
+
   /**
    * Gets the specified vertex of this polygon.
    *
@@ -72,6 +162,18 @@ class Polygon {
    *    the area of this polygon.
    */
   area() {
+    return Math.abs(this.signedArea());
+  }
+
+  /**
+   * Calculates the signed area of this polygon.
+   *
+   * @return {number}
+   *    the signed area of this polygon, which is positive if the vertexes of
+   *    this polygon are arranged in the counter-clockwise order, and negative
+   *    if they are arranged in the clockwise order.
+   */
+  signedArea() {
     const n = this.vertexes.length;
     if (n < 3) {
       return 0;
@@ -81,7 +183,34 @@ class Polygon {
       result += this.vertexes[i].x * this.vertexes[(i + 1) % n].y;
       result -= this.vertexes[i].y * this.vertexes[(i + 1) % n].x;
     }
-    return Math.abs(result / 2.0);
+    return result / 2.0;
+  }
+
+  /**
+   * Calculates the perimeter of this polygon.
+   *
+   * @return {number}
+   *    the perimeter of this polygon.
+   */
+  perimeter() {
+    const n = this.vertexes.length;
+    let result = 0;
+    for (let i = 0; i < n; ++i) {
+      result += this.vertexes[i].distance(this.vertexes[(i + 1) % n]);
+    }
+    return result;
+  }
+
+  /**
+   * Gets the polygon with the same vertexes of this polygon but arranged in
+   * the reversed order.
+   *
+   * @return {Polygon}
+   *    A new `Polygon` object whose vertexes are the vertexes of this polygon
+   *    in the reversed order.
+   */
+  reverse() {
+    return new Polygon([...this.vertexes].reverse());
   }
 
   /**
@@ -125,11 +254,9 @@ class Polygon {
     if (n < 3) {
       return false;
     }
-    const side = new Line(this.vertexes[0], this.vertexes[1]);
-    const relation = this.vertexes[2].relationToLine(side);
+    const relation = this.vertexes[2].relationToLine(this.side(0));
     for (let i = 1; i < n; ++i) {
-      side.start = this.vertexes[i];
-      side.end = this.vertexes[(i + 1) % n];
+      const side = this.side(i);
       const p = this.vertexes[(i + 2) % n];
       if (p.relationToLine(side) !== relation) {
         return false;
@@ -138,6 +265,310 @@ class Polygon {
     return true;
   }
 
+  /**
+   * Tests whether this polygon is simple, i.e., its sides do not intersect
+   * each other except that the adjacent sides share their common vertex.
+   *
+   * @return {boolean}
+   *     `true` if this polygon is simple; `false` otherwise.
+   */
+  isSimple() {
+    const n = this.vertexes.length;
+    for (let i = 0; i < n; ++i) {
+      // tests whether the two adjacent sides at the vertex i + 1 overlap
+      const a = this.vertexes[i];
+      const b = this.vertexes[(i + 1) % n];
+      const c = this.vertexes[(i + 2) % n];
+      const u = b.subtract(a);
+      if (u.isOrigin() || (orientation(a, b, c) === 0 && u.dot(c.subtract(b)) < 0)) {
+        return false;
+      }
+      // tests whether the side i intersects with the non-adjacent sides
+      const side = this.side(i);
+      for (let j = i + 2; j < n; ++j) {
+        if ((i > 0 || j < n - 1) && side.isIntersectWithLineSegment(this.side(j))) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Checks the validity of this polygon.
+   *
+   * The constructor of this class only checks the number of vertexes, while
+   * the polygons drawn by users or imported from other formats may be
+   * degenerated or self-intersecting, which breaks the functions requiring a
+   * simple polygon, e.g., `centroid()` and `triangulate()`. This function
+   * finds all those problems, so that the invalid polygons could be rejected
+   * or repaired by `repair()`.
+   *
+   * @return {object[]}
+   *     the array of the problems found, which is empty if this polygon is
+   *     valid. Each problem is an object with the property `type`, which is
+   *     one of the following:
+   *     - 'duplicate-vertex': the vertex `index` is identical to its next
+   *       vertex;
+   *     - 'zero-length-edge': the vertex `index` is not identical to but
+   *       nearly equal to its next vertex, i.e., the side `index` has a zero
+   *       length under the current tolerance;
+   *     - 'collinear-edges': the two sides meeting at the vertex `index` are
+   *       collinear, i.e., the vertex is redundant if the sides go in the same
+   *       direction, or forms a spike otherwise;
+   *     - 'self-intersection': the two non-adjacent sides `edges[0]` and
+   *       `edges[1]` intersect at the point `point`, or the two sides overlap
+   *       on the line segment `line`;
+   *     - 'zero-area': the area of this polygon is zero.
+   *     The indexes of the sides are the indexes of their start vertexes.
+   */
+  validate() {
+    const n = this.vertexes.length;
+    const problems = [];
+    // the indexes of the vertexes which are not equal to their next vertexes
+    const indexes = [];
+    for (let i = 0; i < n; ++i) {
+      const v = this.vertexes[i];
+      const next = this.vertexes[(i + 1) % n];
+      if (v.x === next.x && v.y === next.y) {
+        problems.push({ type: 'duplicate-vertex', index: i });
+      } else if (v.equals(next)) {
+        problems.push({ type: 'zero-length-edge', index: i });
+      } else {
+        indexes.push(i);
+      }
+    }
+    const m = indexes.length;
+    if (m >= 3) {
+      const vertexes = indexes.map((i) => this.vertexes[i]);
+      for (let k = 0; k < m; ++k) {
+        const prev = vertexes[(k + m - 1) % m];
+        const next = vertexes[(k + 1) % m];
+        if (orientation(prev, vertexes[k], next) === 0) {
+          problems.push({ type: 'collinear-edges', index: indexes[k] });
+        }
+      }
+      const sides = vertexes.map((v, k) => new Line(v, vertexes[(k + 1) % m]));
+      for (const intersection of findSegmentIntersections(sides)) {
+        const { segments } = intersection;
+        for (let x = 0; x < segments.length; ++x) {
+          for (let y = x + 1; y < segments.length; ++y) {
+            const a = segments[x];
+            const b = segments[y];
+            // the adjacent sides always intersect at their common vertex
+            let common = null;
+            if (b === a + 1) {
+              common = sides[b].start;
+            } else if (a === 0 && b === m - 1) {
+              common = sides[a].start;
+            }
+            if (intersection.type === 'point' && common && intersection.point.equals(common)) {
+              continue;
+            }
+            const problem = { type: 'self-intersection', edges: [indexes[a], indexes[b]] };
+            if (intersection.type === 'point') {
+              problem.point = intersection.point;
+            } else {
+              problem.line = intersection.line;
+            }
+            problems.push(problem);
+          }
+        }
+      }
+    }
+    if (m < 3 || isZero(this.signedArea())) {
+      problems.push({ type: 'zero-area' });
+    }
+    return problems;
+  }
+
+  /**
+   * Repairs this polygon.
+   *
+   * The duplicated vertexes, zero-length sides, redundant collinear vertexes
+   * and spikes of this polygon are removed, and the self-intersecting
+   * boundary of this polygon is split at the intersection points into valid
+   * polygons. The region of the result is the region whose winding number
+   * with respect to the boundary of this polygon is non-zero, e.g., a
+   * figure-eight polygon is split into two polygons, both arranged in the
+   * counter-clockwise order.
+   *
+   * @return {PolygonWithHoles[]}
+   *     the array of the result polygons, which is empty if the area of this
+   *     polygon is zero, or has exactly one polygon without holes, whose
+   *     vertexes are arranged in the counter-clockwise order, if this polygon
+   *     is valid. The result polygons may have holes if the boundary of this
+   *     polygon winds around a region whose winding number is zero. The
+   *     vertexes of the outer ring of each result polygon are arranged in the
+   *     counter-clockwise order, and the vertexes of its holes are arranged in
+   *     the clockwise order.
+   */
+  repair() {
+    return fillRing(this.vertexes, (winding) => winding !== 0)
+      .map(({ outer, holes }) => new PolygonWithHoles(
+        new Polygon(outer),
+        holes.map((h) => new Polygon(h)),
+      ));
+  }
+
+  /**
+   * Splits this polygon into triangles.
+   *
+   * This function uses the ear clipping algorithm, whose time complexity is
+   * `O(n^2)`. Only the reflex vertexes may lie inside the triangle of an ear
+   * candidate, and only the two neighbours of a clipped ear may change their
+   * ear status, so the algorithm keeps track of both of them. This polygon
+   * must be simple, but may be concave. The duplicated consecutive vertexes
+   * of this polygon are ignored.
+   *
+   * @return {Triangle[]}
+   *     the array of triangles whose union is this polygon. The vertexes of
+   *     each triangle are arranged in the counter-clockwise order, and they
+   *     are all vertexes of this polygon.
+   * @throws {Error}
+   *     if this polygon is not simple.
+   */
+  triangulate() {
+    const vertexes = this.vertexes.filter((v, i, a) => !v.equals(a[(i + 1) % a.length]));
+    if (vertexes.length < 3 || !new Polygon(vertexes).isSimple()) {
+      throw new Error('Cannot triangulate a polygon which is not simple.');
+    }
+    if (new Polygon(vertexes).signedArea() < 0) {
+      vertexes.reverse();
+    }
+    // the remaining vertexes form a circular doubly linked list
+    const n = vertexes.length;
+    const prev = vertexes.map((v, i) => (i + n - 1) % n);
+    const next = vertexes.map((v, i) => (i + 1) % n);
+    const orientationAt = (i) => orientation(vertexes[prev[i]], vertexes[i], vertexes[next[i]]);
+    // the indexes of the reflex or collinear vertexes
+    const concave = new Set();
+    // the status of each vertex, which is 'ear', 'collinear' or null
+    const status = [];
+    const update = (i) => {
+      const r = orientationAt(i);
+      if (r > 0) {
+        concave.delete(i);
+      } else {
+        concave.add(i);
+      }
+    };
+    const classify = (i) => {
+      const r = orientationAt(i);
+      if (r === 0) {
+        return 'collinear';
+      } else if (r < 0) {
+        return null;
+      }
+      const a = vertexes[prev[i]];
+      const b = vertexes[i];
+      const c = vertexes[next[i]];
+      for (const j of concave) {
+        if (j !== prev[i] && j !== next[i] && isInTriangle(vertexes[j], a, b, c)) {
+          return null;
+        }
+      }
+      return 'ear';
+    };
+    for (let i = 0; i < n; ++i) {
+      update(i);
+    }
+    for (let i = 0; i < n; ++i) {
+      status[i] = classify(i);
+    }
+    const result = [];
+    let remaining = n;
+    let i = 0;
+    while (remaining > 3) {
+      // finds the next ear or collinear vertex, starting from the neighbour
+      // of the last clipped one
+      let steps = 0;
+      while (status[i] === null && steps < remaining) {
+        i = next[i];
+        ++steps;
+      }
+      if (status[i] === null) {
+        throw new Error('Cannot triangulate a polygon which is not simple.');
+      }
+      const p = prev[i];
+      const q = next[i];
+      if (status[i] === 'ear') {
+        result.push(new Triangle(vertexes[p], vertexes[i], vertexes[q]));
+      }
+      // otherwise removes the vertex lying on the line segment between its
+      // neighbours without adding a triangle
+      next[p] = q;
+      prev[q] = p;
+      concave.delete(i);
+      --remaining;
+      update(p);
+      update(q);
+      status[p] = classify(p);
+      status[q] = classify(q);
+      i = p;
+    }
+    const [a, b, c] = [prev[i], i, next[i]].map((k) => vertexes[k]);
+    if (orientation(a, b, c) !== 0) {
+      result.push(new Triangle(a, b, c));
+    }
+    return result;
+  }
+
+  /**
+   * Offsets this polygon by a distance.
+   *
+   * The boundary of the result is formed by the points whose distance to this
+   * polygon is the absolute value of the specified distance, except around
+   * the convex corners on the offset side, where the shape of the result is
+   * decided by the join style. The result may be split into several polygons
+   * when the inward offset collapses the narrow parts of this polygon, or
+   * contain holes when the outward offset closes the gaps of this polygon.
+   *
+   * This polygon must be simple, but may be concave, and its vertexes may be
+   * arranged in either order.
+   *
+   * @param {number} distance
+   *     the offset distance, which is positive for the outward offset, and
+   *     negative for the inward offset.
+   * @param {object} options
+   *     the optional options, which may have the following properties:
+   *     - `join`: the join style of the convex corners, which may be
+   *       'miter', 'round' or 'bevel'. The default value is 'miter'.
+   *     - `miterLimit`: the maximum ratio of the distance between a corner and
+   *       the tip of its miter join to the absolute value of the offset
+   *       distance, beyond which the corner is beveled. The default value is
+   *       4, which is the same as the default value of the SVG
+   *       `stroke-miterlimit` property.
+   *     - `tolerance`: the maximum distance between the round joins and their
+   *       polyline approximations, which must be positive. The default value
+   *       is 1% of the absolute value of the offset distance.
+   * @return {PolygonWithHoles[]}
+   *     the array of the result polygons, which is empty if this polygon
+   *     collapses. The vertexes of the outer ring of each result polygon are
+   *     arranged in the counter-clockwise order, and the vertexes of its holes
+   *     are arranged in the clockwise order.
+   * @throws {Error}
+   *     if the join style is unknown, or the tolerance is not positive while
+   *     the offset distance is not zero.
+   */
+  offset(distance, {
+    join = 'miter',
+    miterLimit = 4,
+    tolerance = Math.abs(distance) / 100,
+  } = {}) {
+    if (!['miter', 'round', 'bevel'].includes(join)) {
+      throw new Error(`Unknown join style: ${join}`);
+    }
+    if (distance !== 0 && !(tolerance > 0)) {
+      throw new Error(`The offset tolerance must be positive: ${tolerance}`);
+    }
+    return offsetVertexes(this.vertexes, distance, { join, miterLimit, tolerance })
+      .map(({ outer, holes }) => new PolygonWithHoles(
+        new Polygon(outer),
+        holes.map((h) => new Polygon(h)),
+      ));
+  }
+
   /**
    * Rotates this polygon by a given angle around a given point.
    *
@@ -150,13 +581,7 @@ class Polygon {
    *     this triangle around the given point by the given angle.
    */
   rotate(p, angle) {
-    const cos = Math.cos(angle);
-    const sin = Math.sin(angle);
-    const dx = p.x * (1 - cos) + p.y * sin;
-    const dy = p.y * (1 - cos) - p.x * sin;
-    const vertexes = this.vertexes.map(v => new Point(v.x * cos - v.y * sin + dx,
-                                                      v.x * sin + v.y * cos + dy));
-    return new Polygon(vertexes);
+    return this.transform(Transform.rotation(angle, p));
   }
 
   /**
@@ -172,4 +597,53 @@ class Polygon {
   translate(p) {
     return new Polygon(this.vertexes.map(v => v.add(p)));
   }
+
+  /**
+   * Applies an affine transformation to this polygon.
+   *
+   * @param {Transform} matrix
+   *    The affine transformation to be applied.
+   * @return {Polygon}
+   *    A new `Polygon` object representing the result of applying the
+   *    transformation to this polygon.
+   */
+  transform(matrix) {
+    return new Polygon(this.vertexes.map((v) => v.transform(matrix)));
+  }
+
+  /**
+   * Gets the JSON representation of this polygon.
+   *
+   * @return {object}
+   *    The JSON representation of this polygon, which is an object of the
+   *    form `{ type: 'Polygon', version, vertexes }`, where `vertexes` is the
+   *    array of the JSON representations of the vertexes.
+   */
+  toJSON() {
+    return {
+      type: 'Polygon',
+      version: JSON_VERSION,
+      vertexes: this.vertexes.map((v) => v.toJSON()),
+    };
+  }
+
+  /**
+   * Constructs a polygon from its JSON representation.
+   *
+   * @param {object} json
+   *    The JSON representation of a polygon, as returned by `toJSON()`.
+   * @return {Polygon}
+   *    The polygon represented by the JSON object.
+   * @throws {Error}
+   *    If the JSON object is not a valid representation of a polygon.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Polygon');
+    if (!Array.isArray(json.vertexes)) {
+      throw new Error(`The vertexes of the JSON of a Polygon must be an array: ${json.vertexes}`);
+    }
+    return new Polygon(json.vertexes.map((v) => Point.fromJSON(v)));
+  }
 }
+
+export default Polygon;
@@ -0,0 +1,302 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Line from './Line';
+import Polygon from './Polygon';
+import { keyOf, linkEdges, assembleRings } from './RingUtils';
+
+/**
+ * Gets the vertexes of a polygon, with the duplicated consecutive vertexes
+ * removed and arranged in the counter-clockwise order.
+ *
+ * @param {Polygon} polygon
+ *     the specified polygon.
+ * @return {Point[]}
+ *     the normalized vertexes of the specified polygon.
+ * @private
+ */
+function normalizeVertexes(polygon) {
+  const vertexes = polygon.vertexes.filter((v, i, a) => !v.equals(a[(i + 1) % a.length]));
+  return (polygon.signedArea() < 0 ? vertexes.reverse() : vertexes);
+}
+
+/**
+ * Calculates the intersection points of two line segments.
+ *
+ * @param {Line} l1
+ *     the first line segment.
+ * @param {Line} l2
+ *     the second line segment.
+ * @return {Point[]}
+ *     the intersection points of the two segments, which may have 0, 1 or 2
+ *     points. The array has 2 points, i.e., the endpoints of the overlapping
+ *     part, if the segments are collinear and overlap.
+ * @private
+ */
+function intersectSegments(l1, l2) {
+  const r = l1.intersectionWithLineSegment(l2);
+  switch (r.type) {
+    case 'point':
+      return [r.point];
+    case 'overlap':
+      return [r.line.start, r.line.end];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Splits the edges of a polygon at the specified points.
+ *
+ * @param {Point[]} vertexes
+ *     the vertexes of the polygon.
+ * @param {Point[][]} splits
+ *     the array of splitting points of each edge of the polygon.
+ * @return {object[]}
+ *     the array of the split edges, each of which is an object with the
+ *     properties `start` and `end`.
+ * @private
+ */
+function splitEdges(vertexes, splits) {
+  const n = vertexes.length;
+  const result = [];
+  for (let i = 0; i < n; ++i) {
+    const start = vertexes[i];
+    const end = vertexes[(i + 1) % n];
+    const sorted = splits[i]
+      .map((p) => ({ p, t: p.subtract(start).dot(end.subtract(start)) }))
+      .sort((x, y) => x.t - y.t)
+      .map((x) => x.p);
+    const points = [start];
+    for (const p of sorted) {
+      if (!p.equals(points[points.length - 1]) && !p.equals(end)) {
+        points.push(p);
+      }
+    }
+    points.push(end);
+    for (let j = 1; j < points.length; ++j) {
+      result.push({ start: points[j - 1], end: points[j] });
+    }
+  }
+  return result;
+}
+
+/**
+ * Classifies the split edges of a polygon with respect to another polygon.
+ *
+ * Each edge will be classified as one of the following values:
+ * - 'inside': the edge lies inside the other polygon;
+ * - 'outside': the edge lies outside the other polygon;
+ * - 'same': the edge lies on a boundary of the other polygon with the same
+ *   direction;
+ * - 'opposite': the edge lies on a boundary of the other polygon with the
+ *   opposite direction.
+ *
+ * @param {object[]} edges
+ *     the split edges of the polygon.
+ * @param {Polygon} other
+ *     the other polygon.
+ * @param {object[]} otherEdges
+ *     the split edges of the other polygon.
+ * @private
+ */
+function classifyEdges(edges, other, otherEdges) {
+  const keys = new Set(otherEdges.map((e) => `${keyOf(e.start)};${keyOf(e.end)}`));
+  for (const edge of edges) {
+    if (keys.has(`${keyOf(edge.start)};${keyOf(edge.end)}`)) {
+      edge.type = 'same';
+    } else if (keys.has(`${keyOf(edge.end)};${keyOf(edge.start)}`)) {
+      edge.type = 'opposite';
+    } else {
+      const mid = new Point((edge.start.x + edge.end.x) / 2, (edge.start.y + edge.end.y) / 2);
+      const relation = mid.relationToPolygon(other);
+      // an edge lying on a boundary of the other polygon but with different
+      // endpoints could only be caused by numeric errors
+      edge.type = (relation === 'inside' ? 'inside' : 'outside');
+    }
+  }
+}
+
+/**
+ * Assembles the rings into polygons with holes.
+ *
+ * @param {Point[][]} rings
+ *     the array of rings.
+ * @return {object[]}
+ *     the array of result polygons.
+ * @private
+ */
+function assemble(rings) {
+  return assembleRings(rings).map(({ outer, holes }) => ({
+    outer: new Polygon(outer),
+    holes: holes.map((h) => new Polygon(h)),
+  }));
+}
+
+/**
+ * Splits the edges of two polygons at their intersection points, and
+ * classifies the split edges with respect to the other polygon.
+ *
+ * @param {Polygon} a
+ *     the first polygon.
+ * @param {Polygon} b
+ *     the second polygon.
+ * @return {object}
+ *     an object with the properties `edgesA` and `edgesB`, which are the
+ *     classified split edges of the two polygons.
+ * @private
+ */
+function overlay(a, b) {
+  const va = normalizeVertexes(a);
+  // snaps the vertexes of the second polygon to the nearly equal vertexes of
+  // the first polygon
+  const vb = normalizeVertexes(b).map((v) => (va.find((u) => u.equals(v)) || v));
+  const na = va.length;
+  const nb = vb.length;
+  const splitsA = va.map(() => []);
+  const splitsB = vb.map(() => []);
+  const sidesA = va.map((v, i) => new Line(v, va[(i + 1) % na]));
+  const sidesB = vb.map((v, j) => new Line(v, vb[(j + 1) % nb]));
+  for (let i = 0; i < na; ++i) {
+    for (let j = 0; j < nb; ++j) {
+      const points = intersectSegments(sidesA[i], sidesB[j]);
+      splitsA[i].push(...points);
+      splitsB[j].push(...points);
+    }
+  }
+  const pa = new Polygon(va);
+  const pb = new Polygon(vb);
+  const edgesA = splitEdges(va, splitsA);
+  const edgesB = splitEdges(vb, splitsB);
+  classifyEdges(edgesA, pb, edgesB);
+  classifyEdges(edgesB, pa, edgesA);
+  return { edgesA, edgesB };
+}
+
+/**
+ * Performs a boolean operation on two polygons.
+ *
+ * @param {Polygon} a
+ *     the first polygon.
+ * @param {Polygon} b
+ *     the second polygon.
+ * @param {string} op
+ *     the operation, which may be 'union', 'intersection' or 'difference'.
+ * @return {object[]}
+ *     the array of result polygons.
+ * @private
+ */
+function operate(a, b, op) {
+  const { edgesA, edgesB } = overlay(a, b);
+  const reverse = (e) => ({ start: e.end, end: e.start });
+  let edges;
+  switch (op) {
+    case 'union':
+      edges = edgesA.filter((e) => (e.type === 'outside' || e.type === 'same'))
+        .concat(edgesB.filter((e) => e.type === 'outside'));
+      break;
+    case 'intersection':
+      edges = edgesA.filter((e) => (e.type === 'inside' || e.type === 'same'))
+        .concat(edgesB.filter((e) => e.type === 'inside'));
+      break;
+    case 'difference':
+      edges = edgesA.filter((e) => (e.type === 'outside' || e.type === 'opposite'))
+        .concat(edgesB.filter((e) => e.type === 'inside').map(reverse));
+      break;
+    default:
+      throw new Error(`Unknown boolean operation: ${op}`);
+  }
+  return assemble(linkEdges(edges));
+}
+
+/**
+ * Calculates the union of two polygons.
+ *
+ * The polygons must be simple, but may be concave, and their vertexes may be
+ * arranged in either order.
+ *
+ * @param {Polygon} a
+ *     the first polygon.
+ * @param {Polygon} b
+ *     the second polygon.
+ * @return {object[]}
+ *     the array of the result polygons. Each result polygon is an object with
+ *     the following properties:
+ *     - `outer`: a `Polygon` object representing the outer boundary of the
+ *       result polygon, whose vertexes are arranged in the counter-clockwise
+ *       order;
+ *     - `holes`: an array of `Polygon` objects representing the holes of the
+ *       result polygon, whose vertexes are arranged in the clockwise order.
+ */
+function polygonUnion(a, b) {
+  return operate(a, b, 'union');
+}
+
+/**
+ * Calculates the intersection of two polygons.
+ *
+ * The polygons must be simple, but may be concave, and their vertexes may be
+ * arranged in either order.
+ *
+ * @param {Polygon} a
+ *     the first polygon.
+ * @param {Polygon} b
+ *     the second polygon.
+ * @return {object[]}
+ *     the array of the result polygons, which is empty if the two polygons do
+ *     not overlap. See `polygonUnion()` for the format of the result polygons.
+ */
+function polygonIntersection(a, b) {
+  return operate(a, b, 'intersection');
+}
+
+/**
+ * Calculates the difference of two polygons, i.e., the region inside the
+ * first polygon but outside the second polygon.
+ *
+ * The polygons must be simple, but may be concave, and their vertexes may be
+ * arranged in either order.
+ *
+ * @param {Polygon} a
+ *     the first polygon.
+ * @param {Polygon} b
+ *     the second polygon.
+ * @return {object[]}
+ *     the array of the result polygons. See `polygonUnion()` for the format of
+ *     the result polygons.
+ */
+function polygonDifference(a, b) {
+  return operate(a, b, 'difference');
+}
+
+/**
+ * Calculates the symmetric difference of two polygons, i.e., the region
+ * inside exactly one of the two polygons.
+ *
+ * The polygons must be simple, but may be concave, and their vertexes may be
+ * arranged in either order.
+ *
+ * @param {Polygon} a
+ *     the first polygon.
+ * @param {Polygon} b
+ *     the second polygon.
+ * @return {object[]}
+ *     the array of the result polygons. See `polygonUnion()` for the format of
+ *     the result polygons.
+ */
+function polygonXor(a, b) {
+  return operate(a, b, 'difference').concat(operate(b, a, 'difference'));
+}
+
+export {
+  polygonUnion,
+  polygonIntersection,
+  polygonDifference,
+  polygonXor,
+};
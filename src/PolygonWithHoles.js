@@ -0,0 +1,186 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+// the two classes refer to each other only in their methods
+// eslint-disable-next-line import/no-cycle
+import Polygon from './Polygon';
+import Transform from './Transform';
+import { JSON_VERSION, checkJSON } from './JsonUtils';
+
+/**
+ * This class represents a polygon with holes in a plane, i.e., the region
+ * inside an outer ring but outside all of its hole rings.
+ *
+ * The holes must lie inside the outer ring, and must not overlap each other.
+ * The rings may be arranged in either order, while the rings returned by the
+ * functions of this library, e.g., `polygonUnion()`, always have the outer
+ * ring arranged in the counter-clockwise order and the holes arranged in the
+ * clockwise order. Since this class has the same properties `outer` and
+ * `holes` as the results of those functions, the results could be used
+ * wherever an object of this class is expected, and vice versa.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class PolygonWithHoles {
+  /**
+   * Constructs a polygon with holes.
+   *
+   * @param {Polygon} outer
+   *     the outer ring of the polygon.
+   * @param {Polygon[]} holes
+   *     the array of the hole rings of the polygon. The default value is an
+   *     empty array.
+   */
+  constructor(outer, holes = []) {
+    this.outer = outer;
+    this.holes = holes;
+    Object.freeze(this);        //  make this object immutable
+  }
+
+  /**
+   * Constructs a polygon with holes from a simple polygon.
+   *
+   * @param {Polygon} polygon
+   *     the specified polygon.
+   * @return {PolygonWithHoles}
+   *     the polygon with holes whose outer ring is the specified polygon and
+   *     which has no hole.
+   */
+  static fromPolygon(polygon) {
+    return new PolygonWithHoles(polygon, []);
+  }
+
+  /**
+   * Calculates the area of this polygon.
+   *
+   * @return {number}
+   *     the area of the outer ring minus the areas of the holes.
+   */
+  area() {
+    return this.holes.reduce((s, h) => s - h.area(), this.outer.area());
+  }
+
+  /**
+   * Calculates the perimeter of this polygon.
+   *
+   * @return {number}
+   *     the sum of the perimeters of the outer ring and the holes.
+   */
+  perimeter() {
+    return this.holes.reduce((s, h) => s + h.perimeter(), this.outer.perimeter());
+  }
+
+  /**
+   * Calculates the centroid of this polygon.
+   *
+   * @return {Point}
+   *     the centroid of the region of this polygon, which is the average of
+   *     the centroids of the outer ring and the holes weighted by their
+   *     signed areas.
+   */
+  centroid() {
+    const rings = [this.outer, ...this.holes];
+    let cx = 0;
+    let cy = 0;
+    let area = 0;
+    rings.forEach((ring, i) => {
+      const c = ring.centroid();
+      const a = (i === 0 ? ring.area() : -ring.area());
+      cx += c.x * a;
+      cy += c.y * a;
+      area += a;
+    });
+    return new Point(cx / area, cy / area);
+  }
+
+  /**
+   * Rotates this polygon by a given angle around a given point.
+   *
+   * @param {Point} p
+   *     The point around which the rotation is performed.
+   * @param {number} angle
+   *     The angle of rotation, in radians.
+   * @return {PolygonWithHoles}
+   *     A new `PolygonWithHoles` object representing the result polygon after
+   *     rotating this polygon around the given point by the given angle.
+   */
+  rotate(p, angle) {
+    return this.transform(Transform.rotation(angle, p));
+  }
+
+  /**
+   * Translate this polygon by the specified displacement.
+   *
+   * @param {Point} p
+   *     The vector represents the displacement by which this polygon is
+   *     translated.
+   * @return {PolygonWithHoles}
+   *     A new `PolygonWithHoles` object representing the result polygon after
+   *     translating this polygon by the specified displacement.
+   */
+  translate(p) {
+    return new PolygonWithHoles(this.outer.translate(p), this.holes.map((h) => h.translate(p)));
+  }
+
+  /**
+   * Applies an affine transformation to this polygon.
+   *
+   * @param {Transform} matrix
+   *     The affine transformation to be applied.
+   * @return {PolygonWithHoles}
+   *     A new `PolygonWithHoles` object representing the result of applying
+   *     the transformation to this polygon.
+   */
+  transform(matrix) {
+    return new PolygonWithHoles(this.outer.transform(matrix),
+      this.holes.map((h) => h.transform(matrix)));
+  }
+
+  /**
+   * Gets the JSON representation of this polygon.
+   *
+   * @return {object}
+   *     The JSON representation of this polygon, which is an object of the
+   *     form `{ type: 'PolygonWithHoles', version, outer, holes }`, where
+   *     `outer` is the JSON representation of the outer ring, and `holes` is
+   *     the array of the JSON representations of the holes.
+   */
+  toJSON() {
+    return {
+      type: 'PolygonWithHoles',
+      version: JSON_VERSION,
+      outer: this.outer.toJSON(),
+      holes: this.holes.map((h) => h.toJSON()),
+    };
+  }
+
+  /**
+   * Constructs a polygon with holes from its JSON representation.
+   *
+   * @param {object} json
+   *     The JSON representation of a polygon with holes, as returned by
+   *     `toJSON()`.
+   * @return {PolygonWithHoles}
+   *     The polygon with holes represented by the JSON object.
+   * @throws {Error}
+   *     If the JSON object is not a valid representation of a polygon with
+   *     holes.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'PolygonWithHoles');
+    if (!Array.isArray(json.holes)) {
+      throw new Error(`The holes of the JSON of a PolygonWithHoles must be an array: ${json.holes}`);
+    }
+    return new PolygonWithHoles(Polygon.fromJSON(json.outer), json.holes.map((h) => Polygon.fromJSON(h)));
+  }
+}
+
+export default PolygonWithHoles;
@@ -0,0 +1,445 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Line from './Line';
+import Rectangle from './Rectangle';
+import Transform from './Transform';
+import { JSON_VERSION, checkJSON } from './JsonUtils';
+import { heapPush, heapPop } from './HeapUtils';
+
+/**
+ * Compares two vertexes of the Visvalingam-Whyatt simplification, so that the
+ * vertex with the smallest effective area is popped first.
+ *
+ * @private
+ */
+function compareAreas(a, b) {
+  return a.area - b.area;
+}
+
+/**
+ * Calculates the area of the triangle formed by three points.
+ *
+ * @private
+ */
+function triangleArea(a, b, c) {
+  return Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+}
+
+/**
+ * This class represents an open polyline in a plane, i.e., a chain of line
+ * segments connecting consecutive vertexes.
+ *
+ * Unlike a `Polygon`, the last vertex of a polyline is not connected to its
+ * first vertex.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class Polyline {
+  /**
+   * Constructs a polyline.
+   *
+   * @param {Point[]} vertexes
+   *     the array of vertexes of the polyline, which must have at least 2
+   *     points.
+   * @throws {Error}
+   *     if the array of vertexes has less than 2 points.
+   */
+  constructor(vertexes) {
+    if (vertexes.length < 2) {
+      throw new Error('This polyline has less than 2 vertexes.');
+    }
+    this.vertexes = vertexes;
+    Object.freeze(this);        //  make this object immutable
+  }
+
+  /**
+   * Gets the specified segment of this polyline.
+   *
+   * @param {number} i
+   *     the index of the specified segment to get, which must be in the range
+   *     `[0, vertexes.length - 1)`.
+   * @return {Line}
+   *     the segment from the `i`-th vertex to the `(i+1)`-th vertex of this
+   *     polyline.
+   */
+  segment(i) {
+    return new Line(this.vertexes[i], this.vertexes[i + 1]);
+  }
+
+  /**
+   * Gets all segments of this polyline.
+   *
+   * @return {Line[]}
+   *     the array of segments of this polyline, from its first vertex to its
+   *     last vertex.
+   */
+  segments() {
+    const result = [];
+    for (let i = 0; i + 1 < this.vertexes.length; ++i) {
+      result.push(this.segment(i));
+    }
+    return result;
+  }
+
+  /**
+   * Calculates the length of this polyline.
+   *
+   * @return {number}
+   *     the sum of the lengths of the segments of this polyline.
+   */
+  length() {
+    let result = 0;
+    for (let i = 1; i < this.vertexes.length; ++i) {
+      result += this.vertexes[i - 1].distance(this.vertexes[i]);
+    }
+    return result;
+  }
+
+  /**
+   * Calculates the point of this polyline at a distance along it.
+   *
+   * @param {number} distance
+   *     the distance from the first vertex along this polyline. If it is
+   *     less than 0 or greater than the length of this polyline, it will be
+   *     clamped to the first or the last vertex respectively.
+   * @return {Point}
+   *     the point of this polyline at the specified distance.
+   */
+  pointAtDistance(distance) {
+    const n = this.vertexes.length;
+    let remaining = distance;
+    for (let i = 1; i < n; ++i) {
+      const a = this.vertexes[i - 1];
+      const b = this.vertexes[i];
+      const d = a.distance(b);
+      if (remaining <= 0) {
+        return a;
+      }
+      if (remaining < d) {
+        const t = remaining / d;
+        return new Point(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y));
+      }
+      remaining -= d;
+    }
+    return this.vertexes[n - 1];
+  }
+
+  /**
+   * Finds the point of this polyline nearest to a point.
+   *
+   * @param {Point} p
+   *     the specified point.
+   * @return {Point}
+   *     the point of this polyline nearest to the specified point. If there
+   *     are several such points, the one nearest to the first vertex along
+   *     this polyline is returned.
+   */
+  nearestPointTo(p) {
+    let result = this.vertexes[0];
+    let min = p.distance(result);
+    for (let i = 1; i < this.vertexes.length; ++i) {
+      const a = this.vertexes[i - 1];
+      const b = this.vertexes[i];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy;
+      let q = a;
+      if (len2 > 0) {
+        const t = Math.min(1, Math.max(0, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+        q = new Point(a.x + t * dx, a.y + t * dy);
+      }
+      const d = p.distance(q);
+      if (d < min) {
+        min = d;
+        result = q;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Calculates the distance between a point and this polyline.
+   *
+   * @param {Point} p
+   *     the specified point.
+   * @return {number}
+   *     the distance between the point and the nearest point of this polyline.
+   */
+  distanceToPoint(p) {
+    return this.nearestPointTo(p).distance(p);
+  }
+
+  /**
+   * Gets the polyline with the same vertexes of this polyline but arranged in
+   * the reversed order.
+   *
+   * @return {Polyline}
+   *     A new `Polyline` object whose vertexes are the vertexes of this
+   *     polyline in the reversed order.
+   */
+  reverse() {
+    return new Polyline([...this.vertexes].reverse());
+  }
+
+  /**
+   * Simplifies this polyline by the Douglas-Peucker algorithm.
+   *
+   * The algorithm keeps the first and the last vertexes, and recursively keeps
+   * the vertex farthest from the segment connecting the kept vertexes until
+   * all the removed vertexes are within the tolerance from the simplified
+   * polyline. Its time complexity is `O(n log n)` on average and `O(n^2)` in
+   * the worst case.
+   *
+   * @param {number} tolerance
+   *     the maximum distance between a removed vertex and the simplified
+   *     polyline, which must be non-negative.
+   * @return {Polyline}
+   *     A new `Polyline` object whose vertexes are a subset of the vertexes of
+   *     this polyline.
+   * @throws {Error}
+   *     if the tolerance is negative.
+   */
+  simplifyDouglasPeucker(tolerance) {
+    if (!(tolerance >= 0)) {
+      throw new Error(`The simplification tolerance must be non-negative: ${tolerance}`);
+    }
+    const n = this.vertexes.length;
+    const keep = new Array(n).fill(false);
+    keep[0] = true;
+    keep[n - 1] = true;
+    // use an explicit stack to avoid the deep recursion on long polylines
+    const stack = [[0, n - 1]];
+    while (stack.length > 0) {
+      const [first, last] = stack.pop();
+      const chord = new Line(this.vertexes[first], this.vertexes[last]);
+      let max = -1;
+      let index = -1;
+      for (let i = first + 1; i < last; ++i) {
+        const d = this.vertexes[i].distanceToLineSegment(chord);
+        if (d > max) {
+          max = d;
+          index = i;
+        }
+      }
+      if (index >= 0 && max > tolerance) {
+        keep[index] = true;
+        stack.push([first, index], [index, last]);
+      }
+    }
+    return new Polyline(this.vertexes.filter((_, i) => keep[i]));
+  }
+
+  /**
+   * Simplifies this polyline by the Visvalingam-Whyatt algorithm.
+   *
+   * The algorithm repeatedly removes the vertex whose effective area, i.e.,
+   * the area of the triangle formed by the vertex and its two neighbors, is
+   * the smallest, until all the effective areas are not less than the
+   * specified minimum area. The effective area of a vertex is never less than
+   * the effective area of a previously removed vertex, so that the result is
+   * the same as removing the vertexes in the order of their final effective
+   * areas. The first and the last vertexes are always kept. Its time
+   * complexity is `O(n log n)`.
+   *
+   * @param {number} minArea
+   *     the minimum effective area of the kept vertexes, which must be
+   *     non-negative.
+   * @return {Polyline}
+   *     A new `Polyline` object whose vertexes are a subset of the vertexes of
+   *     this polyline.
+   * @throws {Error}
+   *     if the minimum area is negative.
+   */
+  simplifyVisvalingamWhyatt(minArea) {
+    if (!(minArea >= 0)) {
+      throw new Error(`The minimum area must be non-negative: ${minArea}`);
+    }
+    const points = this.vertexes;
+    const n = points.length;
+    const prev = points.map((_, i) => i - 1);
+    const next = points.map((_, i) => i + 1);
+    const area = points.map(() => Infinity);
+    const heap = [];
+    for (let i = 1; i + 1 < n; ++i) {
+      area[i] = triangleArea(points[i - 1], points[i], points[i + 1]);
+      heapPush(heap, { area: area[i], index: i }, compareAreas);
+    }
+    const removed = new Array(n).fill(false);
+    let last = 0;
+    while (heap.length > 0) {
+      const { area: a, index: i } = heapPop(heap, compareAreas);
+      if (removed[i] || a !== area[i]) {
+        continue;       // an outdated element of the heap
+      }
+      if (a >= minArea) {
+        break;
+      }
+      last = a;
+      removed[i] = true;
+      next[prev[i]] = next[i];
+      prev[next[i]] = prev[i];
+      for (const j of [prev[i], next[i]]) {
+        if (j > 0 && j < n - 1) {
+          area[j] = Math.max(last, triangleArea(points[prev[j]], points[j], points[next[j]]));
+          heapPush(heap, { area: area[j], index: j }, compareAreas);
+        }
+      }
+    }
+    return new Polyline(points.filter((_, i) => !removed[i]));
+  }
+
+  /**
+   * Resamples this polyline with vertexes uniformly spaced along it.
+   *
+   * @param {number} count
+   *     the number of vertexes of the resampled polyline, which must be an
+   *     integer not less than 2.
+   * @return {Polyline}
+   *     A new `Polyline` object with the specified number of vertexes, whose
+   *     first and last vertexes are the first and last vertexes of this
+   *     polyline, and whose consecutive vertexes are spaced by the same
+   *     distance along this polyline.
+   * @throws {Error}
+   *     if the number of vertexes is invalid.
+   */
+  resample(count) {
+    if (!Number.isInteger(count) || count < 2) {
+      throw new Error(`The number of vertexes must be an integer not less than 2: ${count}`);
+    }
+    const n = this.vertexes.length;
+    const spacing = this.length() / (count - 1);
+    const result = [this.vertexes[0]];
+    // walks along the segments, where `offset` is the distance from the
+    // first vertex to the start of the current segment
+    let i = 1;
+    let offset = 0;
+    for (let k = 1; k + 1 < count; ++k) {
+      const distance = k * spacing;
+      let d = this.vertexes[i - 1].distance(this.vertexes[i]);
+      while (i + 1 < n && offset + d < distance) {
+        offset += d;
+        ++i;
+        d = this.vertexes[i - 1].distance(this.vertexes[i]);
+      }
+      const a = this.vertexes[i - 1];
+      const b = this.vertexes[i];
+      const t = (d > 0 ? Math.min(1, (distance - offset) / d) : 0);
+      result.push(new Point(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y)));
+    }
+    result.push(this.vertexes[n - 1]);
+    return new Polyline(result);
+  }
+
+  /**
+   * Calculates the axis-aligned bounding box of this polyline.
+   *
+   * @return {Rectangle}
+   *     the smallest axis-aligned rectangle containing this polyline.
+   */
+  boundingBox() {
+    const xs = this.vertexes.map((p) => p.x);
+    const ys = this.vertexes.map((p) => p.y);
+    return Rectangle.fromBounds(Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys));
+  }
+
+  /**
+   * Rotates this polyline by a given angle around a given point.
+   *
+   * @param {Point} p
+   *     The point around which the rotation is performed.
+   * @param {number} angle
+   *     The angle of rotation, in radians.
+   * @return {Polyline}
+   *     A new `Polyline` object representing the result polyline after
+   *     rotating this polyline around the given point by the given angle.
+   */
+  rotate(p, angle) {
+    return this.transform(Transform.rotation(angle, p));
+  }
+
+  /**
+   * Translate this polyline by the specified displacement.
+   *
+   * @param {Point} p
+   *     The vector represents the displacement by which this polyline is
+   *     translated.
+   * @return {Polyline}
+   *     A new `Polyline` object representing the result polyline after
+   *     translating this polyline by the specified displacement.
+   */
+  translate(p) {
+    return new Polyline(this.vertexes.map((v) => v.add(p)));
+  }
+
+  /**
+   * Applies an affine transformation to this polyline.
+   *
+   * @param {Transform} matrix
+   *     The affine transformation to be applied.
+   * @return {Polyline}
+   *     A new `Polyline` object representing the result of applying the
+   *     transformation to this polyline.
+   */
+  transform(matrix) {
+    return new Polyline(this.vertexes.map((v) => v.transform(matrix)));
+  }
+
+  /**
+   * Checks if this polyline is equal to another polyline.
+   *
+   * @param {Polyline} other
+   *     the other polyline.
+   * @return {boolean}
+   *     `true` if the two polylines have the same number of vertexes and their
+   *     corresponding vertexes are equal, `false` otherwise.
+   */
+  equals(other) {
+    return this.vertexes.length === other.vertexes.length
+      && this.vertexes.every((v, i) => v.equals(other.vertexes[i]));
+  }
+
+  /**
+   * Gets the JSON representation of this polyline.
+   *
+   * @return {object}
+   *     The JSON representation of this polyline, which is an object of the
+   *     form `{ type: 'Polyline', version, vertexes }`, where `vertexes` is
+   *     the array of the JSON representations of the vertexes.
+   */
+  toJSON() {
+    return {
+      type: 'Polyline',
+      version: JSON_VERSION,
+      vertexes: this.vertexes.map((v) => v.toJSON()),
+    };
+  }
+
+  /**
+   * Constructs a polyline from its JSON representation.
+   *
+   * @param {object} json
+   *     The JSON representation of a polyline, as returned by `toJSON()`.
+   * @return {Polyline}
+   *     The polyline represented by the JSON object.
+   * @throws {Error}
+   *     If the JSON object is not a valid representation of a polyline.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Polyline');
+    if (!Array.isArray(json.vertexes)) {
+      throw new Error(`The vertexes of the JSON of a Polyline must be an array: ${json.vertexes}`);
+    }
+    return new Polyline(json.vertexes.map((v) => Point.fromJSON(v)));
+  }
+}
+
+export default Polyline;
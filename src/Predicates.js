@@ -0,0 +1,334 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Config from './Config';
+import { eq, isZero } from './Utils';
+
+//
+// The adaptive-precision geometric predicates, based on the paper:
+//
+//   Jonathan Richard Shewchuk, "Adaptive Precision Floating-Point Arithmetic
+//   and Fast Robust Geometric Predicates", Discrete & Computational Geometry
+//   18(3):305-363, 1997.
+//
+// Each predicate first evaluates the determinant with the ordinary floating
+// point arithmetic, and if the result is not guaranteed to have the correct
+// sign by the forward error bound, re-evaluates it exactly with the
+// floating-point expansion arithmetic.
+//
+
+/**
+ * The machine epsilon, i.e., half of the difference between 1 and the next
+ * representable floating point number.
+ *
+ * @private
+ */
+const EPSILON = 2 ** -53;
+
+/**
+ * The constant used to split a floating point number into two halves.
+ *
+ * @private
+ */
+const SPLITTER = 2 ** 27 + 1;
+
+/**
+ * The relative error bound of the first stage of `orient2d()`.
+ *
+ * @private
+ */
+const CCW_ERROR_BOUND = (3 + 16 * EPSILON) * EPSILON;
+
+/**
+ * The relative error bound of the first stage of `incircle()`.
+ *
+ * @private
+ */
+const ICC_ERROR_BOUND = (10 + 96 * EPSILON) * EPSILON;
+
+/**
+ * Calculates the exact sum of two floating point numbers.
+ *
+ * @return {number[]}
+ *     the expansion `[y, x]` such that `a + b = x + y` exactly, where `x` is
+ *     the rounded sum.
+ * @private
+ */
+function twoSum(a, b) {
+  const x = a + b;
+  const bv = x - a;
+  const av = x - bv;
+  return [(a - av) + (b - bv), x];
+}
+
+/**
+ * Splits a floating point number into two non-overlapping halves, each of
+ * which has at most 26 significant bits.
+ *
+ * @private
+ */
+function split(a) {
+  const c = SPLITTER * a;
+  const hi = c - (c - a);
+  return [hi, a - hi];
+}
+
+/**
+ * Calculates the exact product of two floating point numbers.
+ *
+ * @return {number[]}
+ *     the expansion `[y, x]` such that `a * b = x + y` exactly, where `x` is
+ *     the rounded product.
+ * @private
+ */
+function twoProduct(a, b) {
+  const x = a * b;
+  const [ahi, alo] = split(a);
+  const [bhi, blo] = split(b);
+  const err = x - ahi * bhi - alo * bhi - ahi * blo;
+  return [alo * blo - err, x];
+}
+
+/**
+ * Adds a floating point number to an expansion, eliminating the zero
+ * components.
+ *
+ * @private
+ */
+function growExpansion(e, b) {
+  const h = [];
+  let q = b;
+  for (const component of e) {
+    const [lo, hi] = twoSum(q, component);
+    if (lo !== 0) {
+      h.push(lo);
+    }
+    q = hi;
+  }
+  if (q !== 0 || h.length === 0) {
+    h.push(q);
+  }
+  return h;
+}
+
+/**
+ * Calculates the sum of two expansions.
+ *
+ * @private
+ */
+function sumExpansions(e, f) {
+  return f.reduce(growExpansion, e);
+}
+
+/**
+ * Multiplies an expansion by a floating point number, eliminating the zero
+ * components.
+ *
+ * @private
+ */
+function scaleExpansion(e, b) {
+  let h = [0];
+  for (const component of e) {
+    h = sumExpansions(h, twoProduct(component, b));
+  }
+  return h;
+}
+
+/**
+ * Calculates the product of two expansions.
+ *
+ * @private
+ */
+function multiplyExpansions(e, f) {
+  return f.reduce((h, component) => sumExpansions(h, scaleExpansion(e, component)), [0]);
+}
+
+/**
+ * Calculates the exact difference of two floating point numbers.
+ *
+ * @private
+ */
+function diff(a, b) {
+  return twoSum(a, -b);
+}
+
+/**
+ * Negates an expansion.
+ *
+ * @private
+ */
+function negate(e) {
+  return e.map((x) => -x);
+}
+
+/**
+ * Gets the approximate value of an expansion, which has the same sign as the
+ * exact value of the expansion.
+ *
+ * @private
+ */
+function estimate(e) {
+  return e.reduce((s, x) => s + x, 0);
+}
+
+/**
+ * Calculates the orientation determinant of three points, i.e.,
+ * `(a - c) × (b - c)`, with the adaptive-precision arithmetic.
+ *
+ * @param {Point} a
+ *     the first point.
+ * @param {Point} b
+ *     the second point.
+ * @param {Point} c
+ *     the third point.
+ * @return {number}
+ *     an approximation of the determinant whose sign is always correct: it is
+ *     positive if the three points are arranged in the counter-clockwise
+ *     order, negative if they are arranged in the clockwise order, and zero if
+ *     they are collinear.
+ */
+function orient2d(a, b, c) {
+  const detLeft = (a.x - c.x) * (b.y - c.y);
+  const detRight = (a.y - c.y) * (b.x - c.x);
+  const det = detLeft - detRight;
+  const errBound = CCW_ERROR_BOUND * (Math.abs(detLeft) + Math.abs(detRight));
+  if (det > errBound || -det > errBound) {
+    return det;
+  }
+  const left = multiplyExpansions(diff(a.x, c.x), diff(b.y, c.y));
+  const right = multiplyExpansions(diff(a.y, c.y), diff(b.x, c.x));
+  return estimate(sumExpansions(left, negate(right)));
+}
+
+/**
+ * Calculates the in-circle determinant of four points with the
+ * adaptive-precision arithmetic.
+ *
+ * @param {Point} a
+ *     the first point on the circle.
+ * @param {Point} b
+ *     the second point on the circle.
+ * @param {Point} c
+ *     the third point on the circle.
+ * @param {Point} d
+ *     the point to be tested.
+ * @return {number}
+ *     an approximation of the determinant whose sign is always correct:
+ *     assuming that `a`, `b` and `c` are arranged in the counter-clockwise
+ *     order, it is positive if `d` lies inside the circle passing through
+ *     `a`, `b` and `c`, negative if `d` lies outside the circle, and zero if
+ *     the four points are cocircular.
+ */
+function incircle(a, b, c, d) {
+  const adx = a.x - d.x;
+  const ady = a.y - d.y;
+  const bdx = b.x - d.x;
+  const bdy = b.y - d.y;
+  const cdx = c.x - d.x;
+  const cdy = c.y - d.y;
+  const alift = adx * adx + ady * ady;
+  const blift = bdx * bdx + bdy * bdy;
+  const clift = cdx * cdx + cdy * cdy;
+  const det = alift * (bdx * cdy - cdx * bdy)
+            + blift * (cdx * ady - adx * cdy)
+            + clift * (adx * bdy - bdx * ady);
+  const permanent = (Math.abs(bdx * cdy) + Math.abs(cdx * bdy)) * alift
+                  + (Math.abs(cdx * ady) + Math.abs(adx * cdy)) * blift
+                  + (Math.abs(adx * bdy) + Math.abs(bdx * ady)) * clift;
+  const errBound = ICC_ERROR_BOUND * permanent;
+  if (det > errBound || -det > errBound) {
+    return det;
+  }
+  const ex = [diff(a.x, d.x), diff(b.x, d.x), diff(c.x, d.x)];
+  const ey = [diff(a.y, d.y), diff(b.y, d.y), diff(c.y, d.y)];
+  let result = [0];
+  for (let i = 0; i < 3; ++i) {
+    const j = (i + 1) % 3;
+    const k = (i + 2) % 3;
+    const lift = sumExpansions(multiplyExpansions(ex[i], ex[i]),
+      multiplyExpansions(ey[i], ey[i]));
+    const cross = sumExpansions(multiplyExpansions(ex[j], ey[k]),
+      negate(multiplyExpansions(ex[k], ey[j])));
+    result = sumExpansions(result, multiplyExpansions(lift, cross));
+  }
+  return estimate(result);
+}
+
+/**
+ * Computes the orientation of three points.
+ *
+ * If `Config.ROBUST_PREDICATES` is `true`, the result is calculated exactly
+ * by `orient2d()`; otherwise, the result is calculated with the ordinary
+ * floating point arithmetic, and the points are considered collinear if the
+ * two products of the determinant are equal within the current tolerance
+ * (see `withTolerance()`).
+ *
+ * @param {Point} a
+ *     the first point.
+ * @param {Point} b
+ *     the second point.
+ * @param {Point} c
+ *     the third point.
+ * @return {number}
+ *     1 if the three points are arranged in the counter-clockwise order, -1
+ *     if they are arranged in the clockwise order, or 0 if they are collinear.
+ */
+function orientation(a, b, c) {
+  if (Config.ROBUST_PREDICATES) {
+    return Math.sign(orient2d(a, b, c));
+  }
+  const detLeft = (b.x - a.x) * (c.y - a.y);
+  const detRight = (b.y - a.y) * (c.x - a.x);
+  return (eq(detLeft, detRight) ? 0 : Math.sign(detLeft - detRight));
+}
+
+/**
+ * Computes the relationship between a point and the circle passing through
+ * three other points.
+ *
+ * If `Config.ROBUST_PREDICATES` is `true`, the result is calculated exactly
+ * by `incircle()`; otherwise, the result is calculated with the ordinary
+ * floating point arithmetic, and the points are considered cocircular if the
+ * absolute value of the determinant is not greater than the current absolute
+ * tolerance (see `withTolerance()`).
+ *
+ * @param {Point} a
+ *     the first point on the circle.
+ * @param {Point} b
+ *     the second point on the circle.
+ * @param {Point} c
+ *     the third point on the circle.
+ * @param {Point} d
+ *     the point to be tested.
+ * @return {number}
+ *     assuming that `a`, `b` and `c` are arranged in the counter-clockwise
+ *     order, 1 if `d` lies inside the circle, -1 if `d` lies outside the
+ *     circle, or 0 if `d` lies on the circle.
+ */
+function inCircle(a, b, c, d) {
+  if (Config.ROBUST_PREDICATES) {
+    return Math.sign(incircle(a, b, c, d));
+  }
+  const adx = a.x - d.x;
+  const ady = a.y - d.y;
+  const bdx = b.x - d.x;
+  const bdy = b.y - d.y;
+  const cdx = c.x - d.x;
+  const cdy = c.y - d.y;
+  const det = (adx * adx + ady * ady) * (bdx * cdy - cdx * bdy)
+            + (bdx * bdx + bdy * bdy) * (cdx * ady - adx * cdy)
+            + (cdx * cdx + cdy * cdy) * (adx * bdy - bdx * ady);
+  return (isZero(det) ? 0 : Math.sign(det));
+}
+
+export {
+  orient2d,
+  incircle,
+  orientation,
+  inCircle,
+};
@@ -0,0 +1,89 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Bezier from './Bezier';
+import { JSON_VERSION, checkJSON } from './JsonUtils';
+
+/**
+ * This class represents a quadratic Bézier curve in a plane.
+ *
+ * The curve is defined by its start point, control point and end point, and
+ * its points are parameterized by `t` in the range `[0, 1]`.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class QuadraticBezier extends Bezier {
+  /**
+   * Constructs a quadratic Bézier curve.
+   *
+   * @param {Point} start
+   *     the start point of the curve.
+   * @param {Point} control
+   *     the control point of the curve.
+   * @param {Point} end
+   *     the end point of the curve.
+   */
+  constructor(start, control, end) {
+    super();
+    this.start = start;
+    this.control = control;
+    this.end = end;
+    Object.freeze(this);    // make this object immutable
+  }
+
+  /**
+   * Gets the control points of this curve.
+   *
+   * @return {Point[]}
+   *     the array of the start point, the control point and the end point of
+   *     this curve.
+   */
+  controlPoints() {
+    return [this.start, this.control, this.end];
+  }
+
+  /**
+   * Gets the JSON representation of this curve.
+   *
+   * @return {object}
+   *     the JSON representation of this curve, which is an object of the form
+   *     `{ type: 'QuadraticBezier', version, start, control, end }`.
+   */
+  toJSON() {
+    return {
+      type: 'QuadraticBezier',
+      version: JSON_VERSION,
+      start: this.start.toJSON(),
+      control: this.control.toJSON(),
+      end: this.end.toJSON(),
+    };
+  }
+
+  /**
+   * Constructs a curve from its JSON representation.
+   *
+   * @param {object} json
+   *     the JSON representation of a curve, as returned by `toJSON()`.
+   * @return {QuadraticBezier}
+   *     the curve represented by the JSON object.
+   * @throws {Error}
+   *     if the JSON object is not a valid representation of a quadratic
+   *     Bézier curve.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'QuadraticBezier');
+    return new QuadraticBezier(Point.fromJSON(json.start),
+      Point.fromJSON(json.control),
+      Point.fromJSON(json.end));
+  }
+}
+
+export default QuadraticBezier;
@@ -0,0 +1,538 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from './Point';
+import Line from './Line';
+import Triangle from './Triangle';
+import Polygon from './Polygon';
+import Rectangle from './Rectangle';
+import { heapPush, heapPop } from './HeapUtils';
+
+/**
+ * Creates an empty bounding box.
+ *
+ * @return {object}
+ *     an empty bounding box.
+ * @private
+ */
+function emptyBox() {
+  return { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+}
+
+/**
+ * Gets the vertexes of a shape.
+ *
+ * @param {Point|Line|Triangle|Polygon|Rectangle} shape
+ *     the specified shape.
+ * @return {Point[]}
+ *     the vertexes of the specified shape.
+ * @throws {Error}
+ *     if the type of the specified shape is not supported, or the shape is a
+ *     ray or an infinite line.
+ * @private
+ */
+function vertexesOf(shape) {
+  if (shape instanceof Point) {
+    return [shape];
+  } else if (shape instanceof Line) {
+    if (shape.kind !== 'segment') {
+      throw new Error(`Unsupported unbounded line: ${shape.kind}`);
+    }
+    return [shape.start, shape.end];
+  } else if (shape instanceof Triangle) {
+    return shape.vertexes();
+  } else if (shape instanceof Polygon) {
+    return shape.vertexes;
+  } else if (shape instanceof Rectangle) {
+    return [shape.topLeft, shape.topRight, shape.bottomRight, shape.bottomLeft];
+  } else {
+    throw new Error(`Unsupported shape: ${shape}`);
+  }
+}
+
+/**
+ * Calculates the axis-aligned bounding box of a shape.
+ *
+ * @param {Point|Line|Triangle|Polygon|Rectangle} shape
+ *     the specified shape.
+ * @return {object}
+ *     the bounding box of the specified shape, which is an object with the
+ *     properties `minX`, `minY`, `maxX` and `maxY`.
+ * @private
+ */
+function boundsOf(shape) {
+  const box = emptyBox();
+  for (const p of vertexesOf(shape)) {
+    box.minX = Math.min(box.minX, p.x);
+    box.minY = Math.min(box.minY, p.y);
+    box.maxX = Math.max(box.maxX, p.x);
+    box.maxY = Math.max(box.maxY, p.y);
+  }
+  return box;
+}
+
+/**
+ * Calculates the distance between a point and a shape.
+ *
+ * @param {Point} p
+ *     the specified point.
+ * @param {Point|Line|Triangle|Polygon|Rectangle} shape
+ *     the specified shape.
+ * @return {number}
+ *     the distance between the point and the nearest point of the shape,
+ *     which is 0 if the point lies inside the shape.
+ * @private
+ */
+function distanceTo(p, shape) {
+  if (shape instanceof Point) {
+    return p.distance(shape);
+  } else if (shape instanceof Line) {
+    return p.distanceToLineSegment(shape);
+  }
+  const polygon = new Polygon(vertexesOf(shape));
+  if (p.relationToPolygon(polygon) !== 'outside') {
+    return 0;
+  }
+  let result = Infinity;
+  for (let i = 0; i < polygon.vertexes.length; ++i) {
+    result = Math.min(result, p.distanceToLineSegment(polygon.side(i)));
+  }
+  return result;
+}
+
+/**
+ * Extends a bounding box to contain another bounding box.
+ *
+ * @param {object} a
+ *     the bounding box to be extended.
+ * @param {object} b
+ *     the other bounding box.
+ * @return {object}
+ *     the extended bounding box `a`.
+ * @private
+ */
+function extend(a, b) {
+  a.minX = Math.min(a.minX, b.minX);
+  a.minY = Math.min(a.minY, b.minY);
+  a.maxX = Math.max(a.maxX, b.maxX);
+  a.maxY = Math.max(a.maxY, b.maxY);
+  return a;
+}
+
+/**
+ * Recalculates the bounding box of a node from its children.
+ *
+ * @param {object} node
+ *     the specified node.
+ * @private
+ */
+function updateBox(node) {
+  Object.assign(node, emptyBox());
+  for (const child of node.children) {
+    extend(node, child);
+  }
+}
+
+/**
+ * Calculates the area of a bounding box.
+ *
+ * @private
+ */
+function areaOf(box) {
+  return (box.maxX - box.minX) * (box.maxY - box.minY);
+}
+
+/**
+ * Calculates the half perimeter of a bounding box.
+ *
+ * @private
+ */
+function marginOf(box) {
+  return (box.maxX - box.minX) + (box.maxY - box.minY);
+}
+
+/**
+ * Calculates the area of the intersection of two bounding boxes.
+ *
+ * @private
+ */
+function overlapOf(a, b) {
+  const w = Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX);
+  const h = Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+  return Math.max(0, w) * Math.max(0, h);
+}
+
+/**
+ * Tests whether two bounding boxes intersect.
+ *
+ * @private
+ */
+function intersects(a, b) {
+  return a.minX <= b.maxX && b.minX <= a.maxX
+      && a.minY <= b.maxY && b.minY <= a.maxY;
+}
+
+/**
+ * Calculates the distance between a point and a bounding box.
+ *
+ * @private
+ */
+function boxDistance(p, box) {
+  const dx = Math.max(box.minX - p.x, 0, p.x - box.maxX);
+  const dy = Math.max(box.minY - p.y, 0, p.y - box.maxY);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Creates a node of the tree.
+ *
+ * @private
+ */
+function createNode(children, leaf) {
+  const node = { children, leaf, ...emptyBox() };
+  updateBox(node);
+  return node;
+}
+
+/**
+ * Compares two entries of the nearest neighbor search by their distances to
+ * the query point.
+ *
+ * @private
+ */
+function compareDistances(a, b) {
+  return a.dist - b.dist;
+}
+
+/**
+ * This class represents an R-tree, which is a spatial index of shapes.
+ *
+ * The items of the index may be `Point`, `Line`, `Triangle`, `Polygon` or
+ * `Rectangle` objects, which are indexed by their axis-aligned bounding boxes.
+ * Since the shapes are immutable, the bounding box of an item is calculated
+ * only once when it is inserted.
+ *
+ * @author Haixing Hu
+ */
+class RTree {
+  /**
+   * Constructs an empty R-tree.
+   *
+   * @param {number} maxEntries
+   *     the maximum number of entries in a node of the tree. The default value
+   *     is 9.
+   */
+  constructor(maxEntries = 9) {
+    this._maxEntries = Math.max(4, maxEntries);
+    this._minEntries = Math.max(2, Math.ceil(this._maxEntries * 0.4));
+    this.clear();
+  }
+
+  /**
+   * The number of items in this index.
+   *
+   * @return {number}
+   *     the number of items in this index.
+   */
+  get size() {
+    return this._size;
+  }
+
+  /**
+   * Removes all items from this index.
+   *
+   * @return {RTree}
+   *     this index.
+   */
+  clear() {
+    this._root = createNode([], true);
+    this._size = 0;
+    return this;
+  }
+
+  /**
+   * Gets all items in this index.
+   *
+   * @return {Array}
+   *     the array of all items in this index.
+   */
+  all() {
+    const result = [];
+    const stack = [this._root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.leaf) {
+        result.push(...node.children.map((e) => e.item));
+      } else {
+        stack.push(...node.children);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Inserts an item into this index.
+   *
+   * @param {Point|Line|Triangle|Polygon|Rectangle} item
+   *     the item to be inserted.
+   * @return {RTree}
+   *     this index.
+   * @throws {Error}
+   *     if the type of the item is not supported.
+   */
+  insert(item) {
+    const entry = { item, ...boundsOf(item) };
+    // chooses the leaf whose bounding box needs the least enlargement
+    const path = [this._root];
+    let node = this._root;
+    while (!node.leaf) {
+      let best = null;
+      let bestEnlargement = Infinity;
+      let bestArea = Infinity;
+      for (const child of node.children) {
+        const area = areaOf(child);
+        const enlargement = areaOf(extend(extend(emptyBox(), child), entry)) - area;
+        if (enlargement < bestEnlargement
+            || (enlargement === bestEnlargement && area < bestArea)) {
+          best = child;
+          bestEnlargement = enlargement;
+          bestArea = area;
+        }
+      }
+      node = best;
+      path.push(node);
+    }
+    node.children.push(entry);
+    // splits the overflowed nodes and updates the bounding boxes upward
+    for (let i = path.length - 1; i >= 0; --i) {
+      extend(path[i], entry);
+      if (path[i].children.length > this._maxEntries) {
+        const sibling = this._split(path[i]);
+        if (i > 0) {
+          path[i - 1].children.push(sibling);
+        } else {
+          this._root = createNode([path[i], sibling], false);
+        }
+      }
+    }
+    ++this._size;
+    return this;
+  }
+
+  /**
+   * Splits an overflowed node into two nodes.
+   *
+   * The splitting axis is chosen by the minimum total margin, and the
+   * splitting index is chosen by the minimum overlap, as in the R*-tree.
+   *
+   * @param {object} node
+   *     the overflowed node, which will keep the first part of its children.
+   * @return {object}
+   *     the new node containing the second part of the children.
+   * @private
+   */
+  _split(node) {
+    const m = this._minEntries;
+    const n = node.children.length;
+    const distributions = (compare) => {
+      const sorted = [...node.children].sort(compare);
+      const result = [];
+      for (let k = m; k <= n - m; ++k) {
+        const left = sorted.slice(0, k).reduce(extend, emptyBox());
+        const right = sorted.slice(k).reduce(extend, emptyBox());
+        result.push({ sorted, k, left, right });
+      }
+      return result;
+    };
+    const byX = distributions((a, b) => (a.minX - b.minX) || (a.maxX - b.maxX));
+    const byY = distributions((a, b) => (a.minY - b.minY) || (a.maxY - b.maxY));
+    const margin = (ds) => ds.reduce((s, d) => s + marginOf(d.left) + marginOf(d.right), 0);
+    const candidates = (margin(byX) <= margin(byY) ? byX : byY);
+    let best = candidates[0];
+    for (const d of candidates) {
+      const overlap = overlapOf(d.left, d.right);
+      const bestOverlap = overlapOf(best.left, best.right);
+      if (overlap < bestOverlap
+          || (overlap === bestOverlap
+              && areaOf(d.left) + areaOf(d.right) < areaOf(best.left) + areaOf(best.right))) {
+        best = d;
+      }
+    }
+    node.children = best.sorted.slice(0, best.k);
+    updateBox(node);
+    return createNode(best.sorted.slice(best.k), node.leaf);
+  }
+
+  /**
+   * Inserts an array of items into this index.
+   *
+   * If this index is empty, the tree is built with the Sort-Tile-Recursive
+   * (STR) algorithm, which is much faster than inserting the items one by one
+   * and produces a tree with better query performance.
+   *
+   * @param {Array} items
+   *     the array of items to be inserted.
+   * @return {RTree}
+   *     this index.
+   * @throws {Error}
+   *     if the type of any item is not supported.
+   */
+  load(items) {
+    if (this._size > 0 || items.length < this._minEntries) {
+      for (const item of items) {
+        this.insert(item);
+      }
+      return this;
+    }
+    const M = this._maxEntries;
+    let nodes = items.map((item) => ({ item, ...boundsOf(item) }));
+    let leaf = true;
+    do {
+      const count = Math.ceil(nodes.length / M);
+      const slices = Math.ceil(Math.sqrt(count));
+      const sliceSize = Math.ceil(nodes.length / slices);
+      const centerX = (e) => e.minX + e.maxX;
+      const centerY = (e) => e.minY + e.maxY;
+      nodes.sort((a, b) => centerX(a) - centerX(b));
+      const parents = [];
+      for (let i = 0; i < nodes.length; i += sliceSize) {
+        const slice = nodes.slice(i, i + sliceSize).sort((a, b) => centerY(a) - centerY(b));
+        for (let j = 0; j < slice.length; j += M) {
+          parents.push(createNode(slice.slice(j, j + M), leaf));
+        }
+      }
+      nodes = parents;
+      leaf = false;
+    } while (nodes.length > 1);
+    this._root = nodes[0];
+    this._size = items.length;
+    return this;
+  }
+
+  /**
+   * Removes an item from this index.
+   *
+   * @param {Point|Line|Triangle|Polygon|Rectangle} item
+   *     the item to be removed, which is compared by reference.
+   * @return {boolean}
+   *     `true` if the item was found and removed; `false` otherwise.
+   */
+  remove(item) {
+    const box = boundsOf(item);
+    const path = [];
+    const find = (node) => {
+      path.push(node);
+      if (node.leaf) {
+        const index = node.children.findIndex((e) => e.item === item);
+        if (index >= 0) {
+          node.children.splice(index, 1);
+          return true;
+        }
+      } else {
+        for (const child of node.children) {
+          if (intersects(child, box) && find(child)) {
+            return true;
+          }
+        }
+      }
+      path.pop();
+      return false;
+    };
+    if (!find(this._root)) {
+      return false;
+    }
+    // removes the empty nodes and updates the bounding boxes upward
+    for (let i = path.length - 1; i > 0; --i) {
+      if (path[i].children.length === 0) {
+        path[i - 1].children.splice(path[i - 1].children.indexOf(path[i]), 1);
+      } else {
+        updateBox(path[i]);
+      }
+    }
+    updateBox(this._root);
+    if (!this._root.leaf && this._root.children.length === 1) {
+      this._root = this._root.children[0];
+    } else if (this._root.children.length === 0) {
+      this._root = createNode([], true);
+    }
+    --this._size;
+    return true;
+  }
+
+  /**
+   * Finds all items whose bounding boxes intersect with a rectangle.
+   *
+   * @param {Rectangle} rectangle
+   *     the query rectangle. If it is rotated, its axis-aligned bounding box
+   *     is used.
+   * @return {Array}
+   *     the array of items whose bounding boxes intersect with the bounding
+   *     box of the query rectangle.
+   */
+  search(rectangle) {
+    const box = boundsOf(rectangle);
+    const result = [];
+    const stack = [this._root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      for (const child of node.children) {
+        if (intersects(child, box)) {
+          if (node.leaf) {
+            result.push(child.item);
+          } else {
+            stack.push(child);
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Finds the k nearest items to a point.
+   *
+   * The distance between the point and an item is the distance between the
+   * point and the nearest point of the item, which is 0 if the point lies
+   * inside a `Triangle`, `Polygon` or `Rectangle` item.
+   *
+   * @param {Point} point
+   *     the query point.
+   * @param {number} k
+   *     the maximum number of items to find. The default value is 1.
+   * @param {number} maxDistance
+   *     the maximum distance between the query point and the found items. The
+   *     default value is `Infinity`.
+   * @return {Array}
+   *     the array of the found items, sorted by their distances to the query
+   *     point in ascending order.
+   */
+  nearest(point, k = 1, maxDistance = Infinity) {
+    const result = [];
+    const heap = [{ dist: boxDistance(point, this._root), node: this._root }];
+    while (heap.length > 0 && result.length < k) {
+      const top = heapPop(heap, compareDistances);
+      if (top.dist > maxDistance) {
+        break;
+      }
+      if (top.node === undefined) {
+        result.push(top.item);
+      } else if (top.node.leaf) {
+        for (const e of top.node.children) {
+          heapPush(heap, { dist: distanceTo(point, e.item), item: e.item }, compareDistances);
+        }
+      } else {
+        for (const child of top.node.children) {
+          heapPush(heap, { dist: boxDistance(point, child), node: child }, compareDistances);
+        }
+      }
+    }
+    return result;
+  }
+}
+
+export default RTree;
@@ -9,6 +9,10 @@
 import Config from './Config';
 import Point from './Point';
 import Line from './Line';
+import Polygon from './Polygon';
+import Transform from './Transform';
+import { hullOf } from './PointSet';
+import { JSON_VERSION, checkJSON, checkNumbers } from './JsonUtils';
 
 /**
  * The class represents a rectangle on the plane.
@@ -75,6 +79,147 @@ class Rectangle {
     Object.freeze(this);      //  make this object immutable
   }
 
+  /**
+   * Constructs an axis-aligned rectangle from its bounds.
+   *
+   * @param {number} minX
+   *    the minimum x-coordinate of the rectangle.
+   * @param {number} minY
+   *    the minimum y-coordinate of the rectangle.
+   * @param {number} maxX
+   *    the maximum x-coordinate of the rectangle.
+   * @param {number} maxY
+   *    the maximum y-coordinate of the rectangle.
+   * @param {string} yAxisDirection
+   *    the oriented direction of the y-axis, which decides whether the top
+   *    side of the rectangle is at `maxY` or `minY`.
+   * @return {Rectangle}
+   *    the axis-aligned rectangle with the specified bounds.
+   */
+  static fromBounds(minX, minY, maxX, maxY, yAxisDirection = Config.DEFAULT_Y_AXIS_DIRECTION) {
+    const top = (yAxisDirection === 'up' ? maxY : minY);
+    return new Rectangle(minX,
+      top,
+      maxX - minX,
+      maxY - minY,
+      1,
+      0,
+      'center',
+      new Point(0, 0),
+      yAxisDirection);
+  }
+
+  /**
+   * Computes the minimum bounding rectangle of a polygon or a set of points,
+   * which may be rotated.
+   *
+   * This function uses the rotating calipers algorithm on the convex hull of
+   * the points, whose time complexity is `O(n log n)`, since one side of the
+   * minimum bounding rectangle always lies on a side of the convex hull.
+   *
+   * The result rectangle is rotated around its center, and its rotation is
+   * normalized to the range `(-45, 45]` degrees, so that rotating it by the
+   * negative of its rotation straightens it, e.g., the outline of a scanned
+   * document.
+   *
+   * @param {Polygon|Point[]} shape
+   *    the polygon or the non-empty array of points to be enclosed.
+   * @param {object} options
+   *    the optional options, which may have the following properties:
+   *    - `criterion`: the quantity to be minimized, which may be 'area' or
+   *      'perimeter'. The default value is 'area'.
+   *    - `yAxisDirection`: the oriented direction of the y-axis of the result
+   *      rectangle. The default value is `Config.DEFAULT_Y_AXIS_DIRECTION`.
+   * @return {Rectangle}
+   *    the minimum bounding rectangle, which has a zero height if all the
+   *    points are collinear, or a zero size if all the points are equal.
+   * @throws {Error}
+   *    if the criterion is unknown, or there is no point.
+   */
+  static minimumBoundingRectangle(shape, {
+    criterion = 'area',
+    yAxisDirection = Config.DEFAULT_Y_AXIS_DIRECTION,
+  } = {}) {
+    if (!['area', 'perimeter'].includes(criterion)) {
+      throw new Error(`Unknown criterion of the minimum bounding rectangle: ${criterion}`);
+    }
+    const points = (shape instanceof Polygon ? shape.vertexes : shape);
+    if (points.length === 0) {
+      throw new Error('Cannot compute the bounding rectangle of an empty set of points.');
+    }
+    const hull = hullOf(points);
+    const m = hull.length;
+    if (m === 1) {
+      return Rectangle.fromBounds(hull[0].x, hull[0].y, hull[0].x, hull[0].y, yAxisDirection);
+    }
+    const measure = (w, h) => (criterion === 'area' ? w * h : w + h);
+    const next = (k) => (k + 1) % m;
+    let best = null;
+    let right = 0;
+    let top = 0;
+    let left = 0;
+    for (let i = 0; i < m; ++i) {
+      // the unit vector along the side `i` of the convex hull, and its normal
+      // pointing to the inside of the convex hull
+      const a = hull[i];
+      const d = hull[next(i)].subtract(a);
+      const u = new Point(d.x / d.norm(), d.y / d.norm());
+      const v = new Point(-u.y, u.x);
+      const along = (k) => hull[k].subtract(a).dot(u);
+      const across = (k) => hull[k].subtract(a).dot(v);
+      // advances the vertexes with the maximum projection on `u`, the maximum
+      // projection on `v` and the minimum projection on `u` respectively,
+      // where the latter two start from the former ones for the first side,
+      // since the projections on `v` of both ends of the side are zero
+      while (along(next(right)) > along(right)) {
+        right = next(right);
+      }
+      if (i === 0) {
+        top = right;
+      }
+      while (across(next(top)) > across(top)) {
+        top = next(top);
+      }
+      if (i === 0) {
+        left = top;
+      }
+      while (along(next(left)) < along(left)) {
+        left = next(left);
+      }
+      const width = along(right) - along(left);
+      const height = across(top);
+      const value = measure(width, height);
+      if (best === null || value < best.value) {
+        // the center of the rectangle, in the original coordinates
+        const cu = (along(right) + along(left)) / 2;
+        const cv = height / 2;
+        const center = new Point(a.x + u.x * cu + v.x * cv, a.y + u.y * cu + v.y * cv);
+        best = { value, width, height, center, angle: Math.atan2(u.y, u.x) };
+      }
+    }
+    // normalizes the rotation angle into (-PI/4, PI/4] by quarter turns, where
+    // each quarter turn swaps the width and height
+    let { width, height, angle } = best;
+    while (angle > Math.PI / 4) {
+      angle -= Math.PI / 2;
+      [width, height] = [height, width];
+    }
+    while (angle <= -Math.PI / 4) {
+      angle += Math.PI / 2;
+      [width, height] = [height, width];
+    }
+    const { center } = best;
+    return new Rectangle(center.x - width / 2,
+      (yAxisDirection === 'up' ? center.y + height / 2 : center.y - height / 2),
+      width,
+      height,
+      1,
+      (angle * 180) / Math.PI,
+      'center',
+      new Point(0, 0),
+      yAxisDirection);
+  }
+
   /**
    * Calculates the computed properties of this rectangle.
    *
@@ -114,15 +259,10 @@ class Rectangle {
       }
       // now we will rotate this rectangle around the rotation origin
       const rotationRadian = this._rotation * Math.PI / 180;
-      const cos = Math.cos(rotationRadian);
-      const sin = Math.sin(rotationRadian);
-      const dx = rotationOrigin.x * (1 - cos) + rotationOrigin.y * sin;
-      const dy = rotationOrigin.y * (1 - cos) - rotationOrigin.x * sin;
+      const rotation = Transform.rotation(rotationRadian, rotationOrigin);
       for (let key in this._corner) {
         if (this._corner.hasOwnProperty(key)) {
-          const p = this._corner[key];
-          this._corner[key] = new Point(p.x * cos - p.y * sin + dx,
-                                        p.x * sin + p.y * cos + dy);
+          this._corner[key] = rotation.applyTo(this._corner[key]);
         }
       }
     }
@@ -319,4 +459,106 @@ class Rectangle {
     return (Math.max(this._topLeft.x, other._topLeft.x) < Math.min(this._bottomRight.x, other._bottomRight.x))
         && (Math.max(this._topLeft.y, other._topLeft.y) < Math.min(this._bottomRight.y, other._bottomRight.y));
   }
+
+  /**
+   * Applies an affine transformation to this rectangle.
+   *
+   * @param {Transform} matrix
+   *    the affine transformation to be applied.
+   * @return {Rectangle|Polygon}
+   *    a new `Rectangle` object representing the result of applying the
+   *    transformation to this rectangle; or a new `Polygon` object if the
+   *    transformation is not a similarity transformation, since the result
+   *    is no longer a rectangle.
+   */
+  transform(matrix) {
+    if (!matrix.isSimilarity()) {
+      return new Polygon([
+        this.topLeft.transform(matrix),
+        this.topRight.transform(matrix),
+        this.bottomRight.transform(matrix),
+        this.bottomLeft.transform(matrix),
+      ]);
+    }
+    const { rotation, scaleX } = matrix.decompose();
+    // rotates this rectangle around its original top-left corner, and then
+    // moves that corner to the transformed top-left corner
+    const origin = new Point(this._left, this._top);
+    const topLeft = this.topLeft.transform(matrix);
+    return new Rectangle(this._left,
+      this._top,
+      this._width,
+      this._height,
+      this._scale * scaleX,
+      this._rotation + (rotation * 180) / Math.PI,
+      origin,
+      topLeft.subtract(origin),
+      this._yDirection);
+  }
+
+  /**
+   * Gets the JSON representation of this rectangle.
+   *
+   * The JSON representation records the arguments of the constructor rather
+   * than the computed corners, so that the rectangle can be reconstructed
+   * exactly by `Rectangle.fromJSON()`.
+   *
+   * @return {object}
+   *    the JSON representation of this rectangle, which is an object of the
+   *    form `{ type: 'Rectangle', version, left, top, width, height, scale,
+   *    rotation, rotationOrigin, translate, yAxisDirection }`, where `width`
+   *    and `height` are the unscaled size of the rectangle, `rotationOrigin`
+   *    is either an anchor name or the JSON representation of a point, and
+   *    `translate` is the JSON representation of a point.
+   */
+  toJSON() {
+    return {
+      type: 'Rectangle',
+      version: JSON_VERSION,
+      left: this._left,
+      top: this._top,
+      width: this._width,
+      height: this._height,
+      scale: this._scale,
+      rotation: this._rotation,
+      rotationOrigin: (this._rotationOrigin instanceof Point
+        ? this._rotationOrigin.toJSON()
+        : this._rotationOrigin),
+      translate: this._translate.toJSON(),
+      yAxisDirection: this._yDirection,
+    };
+  }
+
+  /**
+   * Constructs a rectangle from its JSON representation.
+   *
+   * @param {object} json
+   *    the JSON representation of a rectangle, as returned by `toJSON()`.
+   * @return {Rectangle}
+   *    the rectangle represented by the JSON object.
+   * @throws {Error}
+   *    if the JSON object is not a valid representation of a rectangle.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Rectangle');
+    checkNumbers(json, ['left', 'top', 'width', 'height', 'scale', 'rotation']);
+    const { yAxisDirection } = json;
+    if (yAxisDirection !== 'up' && yAxisDirection !== 'down') {
+      throw new Error(`Invalid y-axis direction: ${yAxisDirection}`);
+    }
+    const rotationOrigin = (typeof json.rotationOrigin === 'string'
+      ? json.rotationOrigin
+      : Point.fromJSON(json.rotationOrigin));
+    return new Rectangle(json.left,
+      json.top,
+      json.width,
+      json.height,
+      json.scale,
+      json.rotation,
+      rotationOrigin,
+      Point.fromJSON(json.translate),
+      yAxisDirection);
+  }
 }
+
+export default Rectangle;
@@ -0,0 +1,408 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { getTolerance, isZero } from './Utils';
+import { orientation } from './Predicates';
+import Point from './Point';
+import Line from './Line';
+import { findSegmentIntersections } from './SegmentIntersection';
+
+//
+// The utility functions to build polygons from the directed edges of their
+// boundaries, shared by the polygon boolean operations, offsetting, repairing
+// and Minkowski sums.
+//
+// A ring is an array of points representing a closed boundary, whose last
+// vertex is connected to its first vertex.
+//
+
+/**
+ * Gets the key of a point, used to identify the nodes of the graph formed by
+ * the edges of polygons.
+ *
+ * @param {Point} p
+ *     the specified point.
+ * @return {string}
+ *     the key of the specified point.
+ */
+function keyOf(p) {
+  return `${p.x},${p.y}`;
+}
+
+/**
+ * Creates a function snapping the points to the nearly equal points snapped
+ * before, so that the nodes of the edges computed separately are identical.
+ *
+ * @return {function}
+ *     the snapping function.
+ * @private
+ */
+function createSnapper() {
+  const cell = Math.max(getTolerance().absolute, Number.MIN_VALUE);
+  const grid = new Map();
+  return (p) => {
+    const cx = Math.floor(p.x / cell);
+    const cy = Math.floor(p.y / cell);
+    for (let dx = -1; dx <= 1; ++dx) {
+      for (let dy = -1; dy <= 1; ++dy) {
+        const found = (grid.get(`${cx + dx},${cy + dy}`) || []).find((q) => q.equals(p));
+        if (found) {
+          return found;
+        }
+      }
+    }
+    const key = `${cx},${cy}`;
+    if (!grid.has(key)) {
+      grid.set(key, []);
+    }
+    grid.get(key).push(p);
+    return p;
+  };
+}
+
+/**
+ * Splits the edges of rings at their intersection points.
+ *
+ * The nearly equal endpoints of the split edges are snapped to the same
+ * point, so that the keys of the nodes of the split edges are consistent.
+ *
+ * @param {Point[][]} rings
+ *     the array of rings, which may be self-intersecting and may intersect
+ *     each other.
+ * @return {object[]}
+ *     the array of the non-degenerated split edges `{ start, end, ring }`,
+ *     which intersect each other only at their endpoints, where `ring` is the
+ *     index of the ring containing the edge.
+ */
+function splitRings(rings) {
+  const snap = createSnapper();
+  const lines = [];
+  const owners = [];
+  rings.forEach((ring, k) => {
+    const n = ring.length;
+    ring.forEach((p, i) => {
+      lines.push(new Line(snap(p), snap(ring[(i + 1) % n])));
+      owners.push(k);
+    });
+  });
+  const splits = lines.map(() => []);
+  for (const intersection of findSegmentIntersections(lines)) {
+    const points = (intersection.type === 'point'
+      ? [intersection.point]
+      : [intersection.line.start, intersection.line.end]);
+    for (const i of intersection.segments) {
+      splits[i].push(...points.map(snap));
+    }
+  }
+  const result = [];
+  lines.forEach((line, i) => {
+    const d = line.vector();
+    const points = [line.start, ...splits[i], line.end]
+      .map((p) => ({ p, t: p.subtract(line.start).dot(d) }))
+      .sort((x, y) => x.t - y.t)
+      .map(({ p }) => p);
+    for (let j = 1; j < points.length; ++j) {
+      if (points[j - 1] !== points[j]) {
+        result.push({ start: points[j - 1], end: points[j], ring: owners[i] });
+      }
+    }
+  });
+  return result;
+}
+
+/**
+ * Removes the vertexes lying on the line segment between their neighbours.
+ *
+ * @param {Point[]} ring
+ *     the vertexes of a closed ring.
+ * @return {Point[]}
+ *     the vertexes of the ring with the redundant vertexes removed.
+ */
+function removeCollinearVertexes(ring) {
+  const result = [...ring];
+  let changed = true;
+  while (changed && result.length >= 3) {
+    changed = false;
+    for (let i = 0; i < result.length; ++i) {
+      const n = result.length;
+      const prev = result[(i + n - 1) % n];
+      const next = result[(i + 1) % n];
+      if (orientation(prev, result[i], next) === 0) {
+        result.splice(i, 1);
+        changed = true;
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Links the directed edges into closed rings.
+ *
+ * When there are more than one unused outgoing edges at a node, the edge
+ * making the leftmost turn is chosen, so that the rings touching at a node
+ * are separated.
+ *
+ * @param {object[]} edges
+ *     the directed edges, each of which is an object with the properties
+ *     `start` and `end`.
+ * @return {Point[][]}
+ *     the array of rings.
+ */
+function linkEdges(edges) {
+  const outgoing = new Map();
+  for (const edge of edges) {
+    const key = keyOf(edge.start);
+    if (!outgoing.has(key)) {
+      outgoing.set(key, []);
+    }
+    outgoing.get(key).push(edge);
+  }
+  const used = new Set();
+  const rings = [];
+  for (const first of edges) {
+    if (used.has(first)) {
+      continue;
+    }
+    const ring = [];
+    const startKey = keyOf(first.start);
+    let edge = first;
+    while (edge) {
+      used.add(edge);
+      ring.push(edge.start);
+      const key = keyOf(edge.end);
+      if (key === startKey) {
+        break;
+      }
+      const dir = edge.end.subtract(edge.start);
+      const candidates = (outgoing.get(key) || []).filter((e) => !used.has(e));
+      let next = null;
+      let maxTurn = -Infinity;
+      for (const e of candidates) {
+        const d = e.end.subtract(e.start);
+        const turn = Math.atan2(dir.cross(d), dir.dot(d));
+        if (turn > maxTurn) {
+          maxTurn = turn;
+          next = e;
+        }
+      }
+      edge = next;    // an unclosed chain is caused by numeric errors
+    }
+    const cleaned = removeCollinearVertexes(ring);
+    if (cleaned.length >= 3) {
+      rings.push(cleaned);
+    }
+  }
+  return rings;
+}
+
+/**
+ * Calculates the signed area of a ring.
+ *
+ * @param {Point[]} ring
+ *     the vertexes of a closed ring.
+ * @return {number}
+ *     the signed area of the ring, which is positive if its vertexes are
+ *     arranged in the counter-clockwise order, and negative otherwise.
+ */
+function signedAreaOf(ring) {
+  const n = ring.length;
+  let result = 0;
+  for (let i = 0; i < n; ++i) {
+    const p = ring[i];
+    const q = ring[(i + 1) % n];
+    result += p.x * q.y - p.y * q.x;
+  }
+  return result / 2;
+}
+
+/**
+ * Computes the relationship between a point and a ring.
+ *
+ * @param {Point} p
+ *     the specified point.
+ * @param {Point[]} ring
+ *     the vertexes of a closed ring, which must be simple.
+ * @return {string}
+ *     'inside', 'outside' or 'on', which indicates that the point lies inside
+ *     the ring, outside the ring or on one of the edges of the ring.
+ */
+function relationToRing(p, ring) {
+  const n = ring.length;
+  let inside = false;
+  for (let i = 0; i < n; ++i) {
+    const a = ring[i];
+    const b = ring[(i + 1) % n];
+    if (p.isOnLineSegment(new Line(a, b))) {
+      return 'on';
+    }
+    if ((a.y <= p.y) !== (b.y <= p.y)) {
+      const x = a.x + ((p.y - a.y) * (b.x - a.x)) / (b.y - a.y);
+      if (x > p.x) {
+        inside = !inside;
+      }
+    }
+  }
+  return (inside ? 'inside' : 'outside');
+}
+
+/**
+ * Tests whether a ring lies inside another ring.
+ *
+ * The first ring is assumed not to cross the second ring.
+ *
+ * @param {Point[]} ring
+ *     the specified ring.
+ * @param {Point[]} other
+ *     the other ring.
+ * @return {boolean}
+ *     `true` if the ring lies inside the other ring; `false` otherwise.
+ * @private
+ */
+function isInside(ring, other) {
+  const n = ring.length;
+  for (let i = 0; i < n; ++i) {
+    const relation = relationToRing(ring[i], other);
+    if (relation !== 'on') {
+      return relation === 'inside';
+    }
+  }
+  for (let i = 0; i < n; ++i) {
+    const side = new Line(ring[i], ring[(i + 1) % n]);
+    const relation = relationToRing(side.center(), other);
+    if (relation !== 'on') {
+      return relation === 'inside';
+    }
+  }
+  return false;
+}
+
+/**
+ * Assembles the rings into polygons with holes.
+ *
+ * The rings arranged in the counter-clockwise order are the outer boundaries
+ * of the result polygons, and the rings arranged in the clockwise order are
+ * the holes. Each hole is assigned to the smallest outer boundary containing
+ * it. The rings with zero area are ignored.
+ *
+ * @param {Point[][]} rings
+ *     the array of rings.
+ * @return {object[]}
+ *     the array of objects `{ outer, holes }`, where `outer` is the ring of
+ *     the outer boundary, and `holes` is the array of rings of the holes.
+ */
+function assembleRings(rings) {
+  const outers = [];
+  const holes = [];
+  for (const ring of rings) {
+    const area = signedAreaOf(ring);
+    if (isZero(area)) {
+      continue;
+    }
+    if (area > 0) {
+      outers.push({ outer: ring, holes: [], area });
+    } else {
+      holes.push(ring);
+    }
+  }
+  for (const hole of holes) {
+    let owner = null;
+    for (const item of outers) {
+      if ((owner === null || item.area < owner.area) && isInside(hole, item.outer)) {
+        owner = item;
+      }
+    }
+    if (owner !== null) {
+      owner.holes.push(hole);
+    }
+  }
+  return outers.map(({ outer, holes }) => ({ outer, holes }));
+}
+
+/**
+ * Extracts the boundary of the region filled by a ring under a fill rule.
+ *
+ * The edges of the ring are split at their intersection points, and a split
+ * edge is kept if it separates a filled region from an unfilled region,
+ * where whether a region is filled is decided by its winding number with
+ * respect to the ring.
+ *
+ * @param {Point[]} ring
+ *     the vertexes of the ring, which may be self-intersecting.
+ * @param {function} isFilled
+ *     the fill rule, which is a function taking a winding number and
+ *     returning whether the region with that winding number is filled, e.g.,
+ *     `(w) => w !== 0` for the non-zero rule.
+ * @return {object[]}
+ *     the array of objects `{ outer, holes }` representing the region, where
+ *     `outer` is the ring of the outer boundary arranged in the
+ *     counter-clockwise order, and `holes` is the array of rings of the holes
+ *     arranged in the clockwise order.
+ */
+function fillRing(ring, isFilled) {
+  // groups the overlapping edges, where `count` is the number of the edges
+  // in the direction of the representative edge minus the number of the
+  // edges in the opposite direction
+  const groups = new Map();
+  for (const edge of splitRings([ring])) {
+    const forward = `${keyOf(edge.start)};${keyOf(edge.end)}`;
+    const backward = `${keyOf(edge.end)};${keyOf(edge.start)}`;
+    if (groups.has(forward)) {
+      ++groups.get(forward).count;
+    } else if (groups.has(backward)) {
+      --groups.get(backward).count;
+    } else {
+      groups.set(forward, { edge, count: 1 });
+    }
+  }
+  const items = [...groups.values()].filter((g) => g.count !== 0);
+  const kept = [];
+  for (const { edge, count } of items) {
+    // counts the winding number of the point just to the left of the edge, by
+    // casting a ray from the midpoint of the edge along its left normal
+    const m = new Point((edge.start.x + edge.end.x) / 2, (edge.start.y + edge.end.y) / 2);
+    const d = edge.end.subtract(edge.start);
+    const normal = new Point(-d.y, d.x);
+    let left = 0;
+    for (const other of items) {
+      if (other.edge === edge) {
+        continue;
+      }
+      const a = other.edge.start.subtract(m);
+      const b = other.edge.end.subtract(m);
+      const sa = a.dot(d);
+      const sb = b.dot(d);
+      if ((sa <= 0) !== (sb <= 0)) {
+        const ta = a.dot(normal);
+        const tb = b.dot(normal);
+        if (ta + ((tb - ta) * sa) / (sa - sb) > 0) {
+          left += (sb <= 0 ? other.count : -other.count);
+        }
+      }
+    }
+    const right = left - count;
+    if (isFilled(left) && !isFilled(right)) {
+      kept.push(edge);
+    } else if (isFilled(right) && !isFilled(left)) {
+      kept.push({ start: edge.end, end: edge.start });
+    }
+  }
+  return assembleRings(linkEdges(kept));
+}
+
+export {
+  keyOf,
+  splitRings,
+  removeCollinearVertexes,
+  linkEdges,
+  signedAreaOf,
+  relationToRing,
+  assembleRings,
+  fillRing,
+};
@@ -0,0 +1,177 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { lt } from './Utils';
+import { heapPush, heapPop } from './HeapUtils';
+
+/**
+ * Compares two events of the sweep line by their points in the lexicographic
+ * order.
+ *
+ * @private
+ */
+function compareEvents(a, b) {
+  return a.point.compareTo(b.point);
+}
+
+/**
+ * Finds all the intersections among a set of line segments.
+ *
+ * This function uses the Bentley-Ottmann algorithm. It sweeps a line across
+ * the plane in the lexicographic order of points, keeping the events of the
+ * endpoints and the found intersection points in a priority queue, and the
+ * segments crossing the sweep line in an array ordered by the y-coordinates
+ * of their crossing points. Only the segments adjacent in that order are
+ * tested for intersections. Its time complexity is `O((n + k) log n)`, where
+ * `k` is the number of intersection points, plus the cost of shifting the
+ * ordered array on each event, which is proportional to the number of
+ * segments crossing the sweep line.
+ *
+ * @param {Line[]} lines
+ *     the array of line segments.
+ * @return {object[]}
+ *     the array of intersections, each of which is an object with the
+ *     following properties:
+ *     - `type`: the type of the intersection, which is either 'point' or
+ *       'overlap';
+ *     - `point`: the intersection point, if the type is 'point';
+ *     - `line`: the overlapping part of two collinear segments, if the type is
+ *       'overlap', which has the same direction as the segment with the
+ *       smaller index;
+ *     - `segments`: the sorted array of the indexes of the segments involved.
+ *       For an intersection point, it contains the indexes of all segments
+ *       passing through that point, including the segments touching it by
+ *       their endpoints. For an overlap, it contains the indexes of the two
+ *       overlapping segments.
+ *     The intersection points are sorted by their coordinates, and the
+ *     overlaps are placed after the intersection points. The endpoints of an
+ *     overlap are not reported as intersection points, unless other segments
+ *     pass through them. Nearly equal intersection points are merged.
+ */
+function findSegmentIntersections(lines) {
+  // the endpoints of each segment in the lexicographic order
+  const left = [];
+  const right = [];
+  const events = [];
+  lines.forEach((l, i) => {
+    const [a, b] = (l.start.compareTo(l.end) <= 0 ? [l.start, l.end] : [l.end, l.start]);
+    left.push(a);
+    right.push(b);
+    events.push({ point: a, kind: 'start', index: i });
+    events.push({ point: b, kind: 'end', index: i });
+  });
+  // a sorted array is a valid heap
+  events.sort(compareEvents);
+  // the segments passing through an event point are ordered by their
+  // directions, so that they are ordered by the y-coordinates just after
+  // that point, where the vertical segments are the highest
+  const angles = lines.map((l, i) => Math.atan2(right[i].y - left[i].y, right[i].x - left[i].x));
+  // the y-coordinate of the crossing point of a segment and the sweep line
+  // passing through the event point
+  const yAt = (i, p) => {
+    const a = left[i];
+    const b = right[i];
+    if (a.x === b.x) {
+      return Math.min(Math.max(p.y, a.y), b.y);
+    }
+    const t = Math.min(Math.max((p.x - a.x) / (b.x - a.x), 0), 1);
+    return a.y + t * (b.y - a.y);
+  };
+  // the range of the segments in the status passing through the event point
+  const status = [];
+  const locate = (p) => {
+    let lo = 0;
+    let hi = status.length;
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (lt(yAt(status[mid], p), p.y)) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    while (lo > 0 && p.isOnLineSegment(lines[status[lo - 1]])) {
+      --lo;
+    }
+    hi = lo;
+    while (hi < status.length && p.isOnLineSegment(lines[status[hi]])) {
+      ++hi;
+    }
+    return [lo, hi];
+  };
+  // schedules the intersection point of two adjacent segments after the
+  // event point
+  const schedule = (i, j, p) => {
+    if (i !== undefined && j !== undefined) {
+      const r = lines[i].intersectionWithLineSegment(lines[j]);
+      if (r.type === 'point' && r.point.compareTo(p) > 0) {
+        heapPush(events, { point: r.point, kind: 'cross', index: -1 }, compareEvents);
+      }
+    }
+  };
+  const points = [];
+  const overlaps = [];
+  while (events.length > 0) {
+    // merges the events of the nearly equal points
+    const { point } = events[0];
+    const starts = new Set();
+    const ends = new Set();
+    while (events.length > 0 && events[0].point.equals(point)) {
+      const { kind, index } = heapPop(events, compareEvents);
+      if (kind === 'start') {
+        starts.add(index);
+      } else if (kind === 'end') {
+        ends.add(index);
+      }
+    }
+    let [lo, hi] = locate(point);
+    // removes the ending segments missed by the location due to the rounding
+    // errors
+    const missed = [...ends].filter((i) => status.indexOf(i) >= 0
+      && !status.slice(lo, hi).includes(i));
+    if (missed.length > 0) {
+      missed.forEach((i) => status.splice(status.indexOf(i), 1));
+      [lo, hi] = locate(point);
+    }
+    const passing = status.slice(lo, hi);
+    const involved = [...new Set([...passing, ...starts, ...ends])].sort((a, b) => a - b);
+    const segments = new Set();
+    for (let s = 0; s < involved.length; ++s) {
+      for (let t = s + 1; t < involved.length; ++t) {
+        const i = involved[s];
+        const j = involved[t];
+        const r = lines[i].intersectionWithLineSegment(lines[j]);
+        if (r.type === 'point') {
+          segments.add(i).add(j);
+        } else if (r.type === 'overlap' && (starts.has(i) || starts.has(j))) {
+          // an overlap is reported at the start point of the latter segment
+          overlaps.push({ type: 'overlap', line: r.line, segments: [i, j] });
+        }
+      }
+    }
+    if (segments.size > 0) {
+      points.push({ type: 'point', point, segments: [...segments].sort((a, b) => a - b) });
+    }
+    // replaces the segments passing through the event point by the segments
+    // continuing after it, and tests the new pairs of adjacent segments
+    const continuing = [...new Set([...passing, ...starts])]
+      .filter((i) => !ends.has(i))
+      .sort((i, j) => angles[i] - angles[j]);
+    status.splice(lo, hi - lo, ...continuing);
+    schedule(status[lo - 1], status[lo], point);
+    if (continuing.length > 0) {
+      schedule(status[lo + continuing.length - 1], status[lo + continuing.length], point);
+    }
+  }
+  overlaps.sort((a, b) => (a.segments[0] - b.segments[0]) || (a.segments[1] - b.segments[1]));
+  return points.concat(overlaps);
+}
+
+export {
+  findSegmentIntersections,
+};
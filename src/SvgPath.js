@@ -0,0 +1,412 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Config from './Config';
+import Point from './Point';
+import Line from './Line';
+import Polyline from './Polyline';
+import Triangle from './Triangle';
+import Polygon from './Polygon';
+import Rectangle from './Rectangle';
+import MultiPolygon from './MultiPolygon';
+import QuadraticBezier from './QuadraticBezier';
+import CubicBezier from './CubicBezier';
+import { flatten } from './BezierUtils';
+
+/**
+ * The letters of the SVG path commands.
+ *
+ * @private
+ */
+const COMMANDS = 'MLHVZCSQTA';
+
+/**
+ * The regular expression matching a number in an SVG path.
+ *
+ * @private
+ */
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+
+/**
+ * Flattens an elliptical arc of an SVG path into line segments, and appends
+ * the end points of the segments, not including the start point of the arc,
+ * to an array.
+ *
+ * The conversion from the endpoint parameterization to the center
+ * parameterization follows the section F.6.5 of the SVG 1.1 specification.
+ *
+ * @private
+ */
+function flattenArc(from, rx, ry, xAxisRotation, largeArc, sweep, to, tolerance, output) {
+  let rX = Math.abs(rx);
+  let rY = Math.abs(ry);
+  if ((from[0] === to[0] && from[1] === to[1])) {
+    return;
+  }
+  if (rX === 0 || rY === 0) {
+    output.push(to);
+    return;
+  }
+  const phi = (xAxisRotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (from[0] - to[0]) / 2;
+  const dy = (from[1] - to[1]) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  // scales up the radii if they are too small
+  const lambda = (x1 * x1) / (rX * rX) + (y1 * y1) / (rY * rY);
+  if (lambda > 1) {
+    rX *= Math.sqrt(lambda);
+    rY *= Math.sqrt(lambda);
+  }
+  const num = rX * rX * rY * rY - rX * rX * y1 * y1 - rY * rY * x1 * x1;
+  const den = rX * rX * y1 * y1 + rY * rY * x1 * x1;
+  let coef = Math.sqrt(Math.max(num, 0) / den);
+  if (largeArc === sweep) {
+    coef = -coef;
+  }
+  const cx1 = (coef * rX * y1) / rY;
+  const cy1 = (-coef * rY * x1) / rX;
+  const cx = cos * cx1 - sin * cy1 + (from[0] + to[0]) / 2;
+  const cy = sin * cx1 + cos * cy1 + (from[1] + to[1]) / 2;
+  const angleOf = (ux, uy) => Math.atan2(uy, ux);
+  const theta = angleOf((x1 - cx1) / rX, (y1 - cy1) / rY);
+  let delta = angleOf((-x1 - cx1) / rX, (-y1 - cy1) / rY) - theta;
+  if (sweep && delta < 0) {
+    delta += 2 * Math.PI;
+  } else if (!sweep && delta > 0) {
+    delta -= 2 * Math.PI;
+  }
+  // the maximum angle step such that the sagitta of each chord is not
+  // greater than the tolerance
+  const r = Math.max(rX, rY);
+  const step = (tolerance >= r ? Math.PI / 2 : 2 * Math.acos(1 - tolerance / r));
+  const n = Math.max(1, Math.ceil(Math.abs(delta) / step));
+  for (let i = 1; i < n; ++i) {
+    const t = theta + (delta * i) / n;
+    const ex = rX * Math.cos(t);
+    const ey = rY * Math.sin(t);
+    output.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+  }
+  output.push(to);
+}
+
+/**
+ * Parses an SVG path into the flattened subpaths.
+ *
+ * @param {string} d
+ *     the SVG path data.
+ * @param {number} tolerance
+ *     the flattening tolerance.
+ * @return {number[][][]}
+ *     the array of subpaths, each of which is an array of points `[x, y]` in
+ *     the SVG coordinate system.
+ * @private
+ */
+function parsePath(d, tolerance) {
+  const subpaths = [];
+  let pos = 0;
+  const fail = (message) => {
+    throw new Error(`Malformed SVG path at position ${pos}: ${message}`);
+  };
+  const skipSeparators = () => {
+    while (pos < d.length && /[\s,]/.test(d[pos])) {
+      ++pos;
+    }
+  };
+  const readNumber = () => {
+    skipSeparators();
+    NUMBER_PATTERN.lastIndex = pos;
+    const m = NUMBER_PATTERN.exec(d);
+    if (m === null) {
+      fail('expected a number');
+    }
+    pos += m[0].length;
+    return Number(m[0]);
+  };
+  const readFlag = () => {
+    skipSeparators();
+    if (d[pos] !== '0' && d[pos] !== '1') {
+      fail('expected a flag');
+    }
+    return (d[pos++] === '1');
+  };
+  let current = [0, 0];
+  let start = [0, 0];
+  let points = null;
+  let command = null;
+  let lastControl = null;   // the last control point of the previous curve
+  let lastCommand = null;
+  const finish = () => {
+    if (points !== null) {
+      subpaths.push(points);
+      points = null;
+    }
+  };
+  const lineTo = (p) => {
+    if (points === null) {
+      points = [current];
+    }
+    points.push(p);
+    current = p;
+  };
+  const curveTo = (controls) => {
+    if (points === null) {
+      points = [current];
+    }
+    const curve = [current, ...controls].map(([x, y]) => new Point(x, y));
+    for (const p of flatten(curve, tolerance).slice(1)) {
+      points.push([p.x, p.y]);
+    }
+    current = controls[controls.length - 1];
+  };
+  // reflects the last control point about the current point
+  const reflect = (types) => {
+    if (lastControl === null || !types.includes(lastCommand)) {
+      return current;
+    }
+    return [2 * current[0] - lastControl[0], 2 * current[1] - lastControl[1]];
+  };
+  skipSeparators();
+  while (pos < d.length) {
+    if (/[a-zA-Z]/.test(d[pos])) {
+      command = d[pos];
+      if (!COMMANDS.includes(command.toUpperCase())) {
+        fail(`unknown command '${command}'`);
+      }
+      ++pos;
+    } else if (command === null) {
+      fail('expected a moveto command');
+    } else if (command === 'M') {
+      command = 'L';    // the subsequent pairs of a moveto are implicit linetos
+    } else if (command === 'm') {
+      command = 'l';
+    } else if (command.toUpperCase() === 'Z') {
+      fail('expected a command');
+    }
+    if (lastCommand === null && command.toUpperCase() !== 'M') {
+      fail('expected a moveto command');
+    }
+    const relative = (command === command.toLowerCase());
+    const type = command.toUpperCase();
+    const ox = (relative ? current[0] : 0);
+    const oy = (relative ? current[1] : 0);
+    const readPoint = () => {
+      const x = readNumber();
+      const y = readNumber();
+      return [ox + x, oy + y];
+    };
+    let control = null;
+    switch (type) {
+      case 'M':
+        finish();
+        current = readPoint();
+        start = current;
+        break;
+      case 'L':
+        lineTo(readPoint());
+        break;
+      case 'H':
+        lineTo([ox + readNumber(), current[1]]);
+        break;
+      case 'V':
+        lineTo([current[0], oy + readNumber()]);
+        break;
+      case 'Z':
+        if (points !== null) {
+          lineTo(start);
+          finish();
+        }
+        current = start;
+        break;
+      case 'C': {
+        const c1 = readPoint();
+        control = readPoint();
+        curveTo([c1, control, readPoint()]);
+        break;
+      }
+      case 'S': {
+        const c1 = reflect(['C', 'S']);
+        control = readPoint();
+        curveTo([c1, control, readPoint()]);
+        break;
+      }
+      case 'Q':
+        control = readPoint();
+        curveTo([control, readPoint()]);
+        break;
+      case 'T':
+        control = reflect(['Q', 'T']);
+        curveTo([control, readPoint()]);
+        break;
+      default: {
+        const rx = readNumber();
+        const ry = readNumber();
+        const rotation = readNumber();
+        const largeArc = readFlag();
+        const sweep = readFlag();
+        const to = readPoint();
+        if (points === null) {
+          points = [current];
+        }
+        flattenArc(current, rx, ry, rotation, largeArc, sweep, to, tolerance, points);
+        current = to;
+        break;
+      }
+    }
+    lastControl = control;
+    lastCommand = type;
+    skipSeparators();
+  }
+  finish();
+  return subpaths;
+}
+
+/**
+ * Parses an SVG path into polygons.
+ *
+ * All the commands of the SVG path data are supported, in both the absolute
+ * and relative forms: `M`, `L`, `H`, `V`, `Z`, the cubic Bézier curves `C`
+ * and `S`, the quadratic Bézier curves `Q` and `T`, and the elliptical arcs
+ * `A`. The curves and arcs are flattened into line segments, such that the
+ * distance between the curves and the segments is not greater than the
+ * specified tolerance.
+ *
+ * Each subpath is converted to a polygon; subpaths which are not closed by
+ * `Z` are implicitly closed, as SVG does when filling the path. Subpaths with
+ * less than 3 distinct vertexes are ignored. Note that the holes of the path
+ * are not detected: they are returned as separate polygons, and the fill rule
+ * of the path decides how they are combined.
+ *
+ * Since the y-axis of SVG is oriented downwards, the y-coordinates are
+ * negated if the y-axis of the library is oriented upwards.
+ *
+ * @param {string} d
+ *     the SVG path data, i.e., the `d` attribute of a `<path>` element.
+ * @param {object} options
+ *     the optional options, which may have the following properties:
+ *     - `tolerance`: the flattening tolerance, in the units of the path; the
+ *       default value is 0.1.
+ *     - `yAxisDirection`: the direction of the y-axis of the library, which
+ *       may be 'up' or 'down'; the default value is
+ *       `Config.DEFAULT_Y_AXIS_DIRECTION`.
+ * @return {Polygon[]}
+ *     the array of polygons converted from the subpaths.
+ * @throws {Error}
+ *     if the path data is malformed.
+ */
+function parseSvgPath(d, {
+  tolerance = 0.1,
+  yAxisDirection = Config.DEFAULT_Y_AXIS_DIRECTION,
+} = {}) {
+  if (typeof d !== 'string') {
+    throw new Error(`The SVG path data must be a string: ${d}`);
+  }
+  if (!(tolerance > 0)) {
+    throw new Error(`The flattening tolerance must be positive: ${tolerance}`);
+  }
+  const flip = (yAxisDirection === 'up');
+  const result = [];
+  for (const subpath of parsePath(d, tolerance)) {
+    const vertexes = [];
+    for (const [x, y] of subpath) {
+      const p = new Point(x, (flip ? 0 - y : y));   // avoids the negative zero
+      if (vertexes.length === 0 || !vertexes[vertexes.length - 1].equals(p)) {
+        vertexes.push(p);
+      }
+    }
+    while (vertexes.length > 1 && vertexes[0].equals(vertexes[vertexes.length - 1])) {
+      vertexes.pop();
+    }
+    if (vertexes.length >= 3) {
+      result.push(new Polygon(vertexes));
+    }
+  }
+  return result;
+}
+
+/**
+ * Converts shapes to an SVG path.
+ *
+ * A `Line`, `Polyline`, `QuadraticBezier` or `CubicBezier` object is
+ * converted to an open subpath, and a `Polygon`, `Triangle` or `Rectangle`
+ * object is converted to a closed subpath. A `PolygonWithHoles` object, or an
+ * object `{ outer, holes }` as returned by `polygonUnion()` etc., is converted
+ * to a closed subpath for the outer boundary followed by a closed subpath for
+ * each hole. A `MultiPolygon` object or an array of shapes is converted to the
+ * concatenation of the subpaths of its elements.
+ *
+ * Since the y-axis of SVG is oriented downwards, the y-coordinates are
+ * negated if the y-axis of the library is oriented upwards.
+ *
+ * @param {Line|Polyline|QuadraticBezier|CubicBezier|Triangle|Polygon|Rectangle|PolygonWithHoles|MultiPolygon|object|Array} value
+ *     the shapes to be converted.
+ * @param {object} options
+ *     the optional options, which may have the following properties:
+ *     - `precision`: the maximum number of digits after the decimal point of
+ *       the coordinates; by default the coordinates are not rounded.
+ *     - `yAxisDirection`: the direction of the y-axis of the library, which
+ *       may be 'up' or 'down'; the default value is
+ *       `Config.DEFAULT_Y_AXIS_DIRECTION`.
+ * @return {string}
+ *     the SVG path data, i.e., the `d` attribute of a `<path>` element.
+ * @throws {Error}
+ *     if the argument contains an unsupported shape, e.g., a ray or an
+ *     infinite line.
+ */
+function toSvgPath(value, {
+  precision,
+  yAxisDirection = Config.DEFAULT_Y_AXIS_DIRECTION,
+} = {}) {
+  const flip = (yAxisDirection === 'up');
+  const format = (x) => String(precision === undefined ? x : Number(x.toFixed(precision)));
+  const formatPoint = (p) => `${format(p.x)} ${format(flip ? 0 - p.y : p.y)}`;
+  const subpath = (vertexes, closed) => {
+    const [first, ...rest] = vertexes;
+    const commands = [`M ${formatPoint(first)}`].concat(rest.map((p) => `L ${formatPoint(p)}`));
+    if (closed) {
+      commands.push('Z');
+    }
+    return commands.join(' ');
+  };
+  const convert = (shape) => {
+    if (Array.isArray(shape)) {
+      return shape.map(convert).filter((s) => s !== '').join(' ');
+    } else if (shape instanceof Line) {
+      if (shape.kind !== 'segment') {
+        throw new Error(`Cannot convert an unbounded line to an SVG path: ${shape.kind}`);
+      }
+      return subpath([shape.start, shape.end], false);
+    } else if (shape instanceof Polyline) {
+      return subpath(shape.vertexes, false);
+    } else if (shape instanceof QuadraticBezier) {
+      return `M ${formatPoint(shape.start)} Q ${formatPoint(shape.control)} ${formatPoint(shape.end)}`;
+    } else if (shape instanceof CubicBezier) {
+      return `M ${formatPoint(shape.start)} C ${formatPoint(shape.control1)} `
+        + `${formatPoint(shape.control2)} ${formatPoint(shape.end)}`;
+    } else if (shape instanceof Triangle) {
+      return subpath(shape.vertexes(), true);
+    } else if (shape instanceof Rectangle) {
+      return subpath([shape.topLeft, shape.topRight, shape.bottomRight, shape.bottomLeft], true);
+    } else if (shape instanceof Polygon) {
+      return subpath(shape.vertexes, true);
+    } else if (shape !== null && typeof shape === 'object' && shape.outer instanceof Polygon) {
+      return convert([shape.outer].concat(shape.holes || []));
+    } else if (shape instanceof MultiPolygon) {
+      return convert(shape.polygons);
+    }
+    throw new Error(`Unsupported shape for SVG path: ${shape}`);
+  };
+  return convert(value);
+}
+
+export {
+  parseSvgPath,
+  toSvgPath,
+};
@@ -0,0 +1,480 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { eq, isZero } from './Utils';
+import { JSON_VERSION, checkJSON, checkNumbers } from './JsonUtils';
+
+/**
+ * The origin of the coordinate system, used as the default center of
+ * rotations and scalings.
+ *
+ * @private
+ */
+const ORIGIN = Object.freeze({ x: 0, y: 0 });
+
+/**
+ * This class represents an affine transformation in a plane.
+ *
+ * The transformation is represented by the following 3x3 matrix:
+ * ```
+ * | a  c  e |
+ * | b  d  f |
+ * | 0  0  1 |
+ * ```
+ * which maps a point `(x, y)` to the point `(a * x + c * y + e, b * x + d * y + f)`.
+ * The order of the coefficients is the same as the order of the arguments of
+ * the `CanvasRenderingContext2D.setTransform()` function and the SVG
+ * `matrix()` transform function.
+ *
+ * This class is immutable.
+ *
+ * @author Haixing Hu
+ */
+class Transform {
+  /**
+   * Constructs an affine transformation.
+   *
+   * The default arguments construct the identity transformation.
+   *
+   * @param {number} a
+   *     the horizontal scaling component of the matrix.
+   * @param {number} b
+   *     the vertical skewing component of the matrix.
+   * @param {number} c
+   *     the horizontal skewing component of the matrix.
+   * @param {number} d
+   *     the vertical scaling component of the matrix.
+   * @param {number} e
+   *     the horizontal translation component of the matrix.
+   * @param {number} f
+   *     the vertical translation component of the matrix.
+   */
+  constructor(a = 1, b = 0, c = 0, d = 1, e = 0, f = 0) {
+    this.a = a;
+    this.b = b;
+    this.c = c;
+    this.d = d;
+    this.e = e;
+    this.f = f;
+    Object.freeze(this);    // make this object immutable
+  }
+
+  /**
+   * Gets the identity transformation.
+   *
+   * @return {Transform}
+   *     the identity transformation.
+   */
+  static identity() {
+    return new Transform();
+  }
+
+  /**
+   * Gets the transformation which translates a point by the specified offset.
+   *
+   * @param {number} dx
+   *     the offset of the x-coordinate.
+   * @param {number} dy
+   *     the offset of the y-coordinate.
+   * @return {Transform}
+   *     the transformation which translates a point by the specified offset.
+   */
+  static translation(dx, dy) {
+    return new Transform(1, 0, 0, 1, dx, dy);
+  }
+
+  /**
+   * Gets the transformation which rotates a point by the specified angle
+   * around the specified origin.
+   *
+   * @param {number} angle
+   *     the angle of rotation, in radians.
+   * @param {Point} origin
+   *     the point around which the rotation is performed. The default value is
+   *     the origin of the coordinate system.
+   * @return {Transform}
+   *     the transformation which rotates a point by the specified angle around
+   *     the specified origin.
+   */
+  static rotation(angle, origin = ORIGIN) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const e = origin.x * (1 - cos) + origin.y * sin;
+    const f = origin.y * (1 - cos) - origin.x * sin;
+    return new Transform(cos, sin, -sin, cos, e, f);
+  }
+
+  /**
+   * Gets the transformation which scales a point by the specified factors
+   * around the specified origin.
+   *
+   * @param {number} sx
+   *     the scaling factor of the x-coordinate.
+   * @param {number} sy
+   *     the scaling factor of the y-coordinate. The default value is `sx`.
+   * @param {Point} origin
+   *     the point around which the scaling is performed, which is the only
+   *     point keeping unchanged. The default value is the origin of the
+   *     coordinate system.
+   * @return {Transform}
+   *     the transformation which scales a point by the specified factors
+   *     around the specified origin.
+   */
+  static scaling(sx, sy = sx, origin = ORIGIN) {
+    return new Transform(sx, 0, 0, sy, origin.x * (1 - sx), origin.y * (1 - sy));
+  }
+
+  /**
+   * Gets the transformation which skews a point by the specified angles.
+   *
+   * @param {number} ax
+   *     the skewing angle along the x-axis, in radians.
+   * @param {number} ay
+   *     the skewing angle along the y-axis, in radians. The default value is 0.
+   * @return {Transform}
+   *     the transformation which skews a point by the specified angles.
+   */
+  static skewing(ax, ay = 0) {
+    return new Transform(1, Math.tan(ay), Math.tan(ax), 1, 0, 0);
+  }
+
+  /**
+   * Constructs a transformation from its decomposed components.
+   *
+   * This function is the inverse of the `decompose()` function. The
+   * constructed transformation is `T * R * S * K`, where `T` is the
+   * translation, `R` is the rotation, `S` is the scaling and `K` is the
+   * skewing along the x-axis.
+   *
+   * @param {object} components
+   *     the decomposed components of the transformation, which may have the
+   *     following properties:
+   *     - `translateX`: the translation of the x-coordinate, default to 0;
+   *     - `translateY`: the translation of the y-coordinate, default to 0;
+   *     - `rotation`: the angle of rotation, in radians, default to 0;
+   *     - `scaleX`: the scaling factor of the x-coordinate, default to 1;
+   *     - `scaleY`: the scaling factor of the y-coordinate, default to 1;
+   *     - `skew`: the skewing angle along the x-axis, in radians, default to 0.
+   * @return {Transform}
+   *     the transformation constructed from the specified components.
+   */
+  static fromComponents({
+    translateX = 0,
+    translateY = 0,
+    rotation = 0,
+    scaleX = 1,
+    scaleY = 1,
+    skew = 0,
+  }) {
+    return Transform.translation(translateX, translateY)
+      .compose(Transform.rotation(rotation))
+      .compose(Transform.scaling(scaleX, scaleY))
+      .compose(Transform.skewing(skew));
+  }
+
+  /**
+   * Composes this transformation with another transformation.
+   *
+   * The matrix of the result transformation is `M * N`, where `M` is the
+   * matrix of this transformation and `N` is the matrix of the other
+   * transformation. That is, applying the result transformation to a shape is
+   * equivalent to applying the other transformation first, and then applying
+   * this transformation.
+   *
+   * @param {Transform} other
+   *     the other transformation.
+   * @return {Transform}
+   *     a new `Transform` object representing the composition of this
+   *     transformation and the other transformation.
+   */
+  compose(other) {
+    return new Transform(
+      this.a * other.a + this.c * other.b,
+      this.b * other.a + this.d * other.b,
+      this.a * other.c + this.c * other.d,
+      this.b * other.c + this.d * other.d,
+      this.a * other.e + this.c * other.f + this.e,
+      this.b * other.e + this.d * other.f + this.f,
+    );
+  }
+
+  /**
+   * Calculates the transformation obtained by appending a translation to this
+   * transformation.
+   *
+   * Just like the `CanvasRenderingContext2D.translate()` function, the
+   * translation is applied before this transformation.
+   *
+   * @param {number} dx
+   *     the offset of the x-coordinate.
+   * @param {number} dy
+   *     the offset of the y-coordinate.
+   * @return {Transform}
+   *     a new `Transform` object representing the result transformation.
+   */
+  translate(dx, dy) {
+    return this.compose(Transform.translation(dx, dy));
+  }
+
+  /**
+   * Calculates the transformation obtained by appending a rotation to this
+   * transformation.
+   *
+   * Just like the `CanvasRenderingContext2D.rotate()` function, the rotation
+   * is applied before this transformation.
+   *
+   * @param {number} angle
+   *     the angle of rotation, in radians.
+   * @param {Point} origin
+   *     the point around which the rotation is performed. The default value is
+   *     the origin of the coordinate system.
+   * @return {Transform}
+   *     a new `Transform` object representing the result transformation.
+   */
+  rotate(angle, origin = ORIGIN) {
+    return this.compose(Transform.rotation(angle, origin));
+  }
+
+  /**
+   * Calculates the transformation obtained by appending a scaling to this
+   * transformation.
+   *
+   * Just like the `CanvasRenderingContext2D.scale()` function, the scaling is
+   * applied before this transformation.
+   *
+   * @param {number} sx
+   *     the scaling factor of the x-coordinate.
+   * @param {number} sy
+   *     the scaling factor of the y-coordinate. The default value is `sx`.
+   * @param {Point} origin
+   *     the point around which the scaling is performed. The default value is
+   *     the origin of the coordinate system.
+   * @return {Transform}
+   *     a new `Transform` object representing the result transformation.
+   */
+  scale(sx, sy = sx, origin = ORIGIN) {
+    return this.compose(Transform.scaling(sx, sy, origin));
+  }
+
+  /**
+   * Calculates the transformation obtained by appending a skewing to this
+   * transformation.
+   *
+   * The skewing is applied before this transformation.
+   *
+   * @param {number} ax
+   *     the skewing angle along the x-axis, in radians.
+   * @param {number} ay
+   *     the skewing angle along the y-axis, in radians. The default value is 0.
+   * @return {Transform}
+   *     a new `Transform` object representing the result transformation.
+   */
+  skew(ax, ay = 0) {
+    return this.compose(Transform.skewing(ax, ay));
+  }
+
+  /**
+   * Calculates the determinant of the matrix of this transformation.
+   *
+   * @return {number}
+   *     the determinant of the matrix of this transformation.
+   */
+  determinant() {
+    return this.a * this.d - this.b * this.c;
+  }
+
+  /**
+   * Tests whether this transformation is invertible.
+   *
+   * @return {boolean}
+   *     `true` if this transformation is invertible; `false` otherwise.
+   */
+  isInvertible() {
+    return !isZero(this.determinant());
+  }
+
+  /**
+   * Tests whether this transformation is the identity transformation.
+   *
+   * @return {boolean}
+   *     `true` if this transformation is the identity transformation; `false`
+   *     otherwise.
+   */
+  isIdentity() {
+    return this.equals(Transform.identity());
+  }
+
+  /**
+   * Tests whether this transformation preserves the shapes of rectangles,
+   * i.e., it is a composition of translations, rotations and uniform scalings,
+   * without any skewing or reflection.
+   *
+   * @return {boolean}
+   *     `true` if this transformation preserves the shapes of rectangles;
+   *     `false` otherwise.
+   */
+  isSimilarity() {
+    return eq(this.a, this.d)
+        && eq(this.b, -this.c)
+        && !isZero(this.determinant());
+  }
+
+  /**
+   * Calculates the inverse of this transformation.
+   *
+   * @return {Transform}
+   *     a new `Transform` object representing the inverse of this
+   *     transformation.
+   * @throws {Error}
+   *     if this transformation is not invertible.
+   */
+  invert() {
+    const det = this.determinant();
+    if (isZero(det)) {
+      throw new Error('The transformation is not invertible.');
+    }
+    return new Transform(
+      this.d / det,
+      -this.b / det,
+      -this.c / det,
+      this.a / det,
+      (this.c * this.f - this.d * this.e) / det,
+      (this.b * this.e - this.a * this.f) / det,
+    );
+  }
+
+  /**
+   * Decomposes this transformation into a translation, a rotation, a scaling
+   * and a skewing along the x-axis.
+   *
+   * This transformation equals to `T * R * S * K`, where `T` is the
+   * translation, `R` is the rotation, `S` is the scaling and `K` is the
+   * skewing along the x-axis. A reflection is represented by a negative
+   * `scaleY`.
+   *
+   * @return {object}
+   *     the decomposed components of this transformation, which has the
+   *     following properties:
+   *     - `translateX`: the translation of the x-coordinate;
+   *     - `translateY`: the translation of the y-coordinate;
+   *     - `rotation`: the angle of rotation, in radians;
+   *     - `scaleX`: the scaling factor of the x-coordinate;
+   *     - `scaleY`: the scaling factor of the y-coordinate;
+   *     - `skew`: the skewing angle along the x-axis, in radians.
+   * @throws {Error}
+   *     if this transformation is degenerated, i.e., its first column is zero.
+   */
+  decompose() {
+    const scaleX = Math.sqrt(this.a * this.a + this.b * this.b);
+    if (isZero(scaleX)) {
+      throw new Error('Cannot decompose a degenerated transformation.');
+    }
+    const shear = (this.a * this.c + this.b * this.d) / scaleX;
+    return {
+      translateX: this.e,
+      translateY: this.f,
+      rotation: Math.atan2(this.b, this.a),
+      scaleX,
+      scaleY: this.determinant() / scaleX,
+      skew: Math.atan2(shear, scaleX),
+    };
+  }
+
+  /**
+   * Checks if this transformation is equal to another transformation.
+   *
+   * @param {Transform} other
+   *     the other transformation.
+   * @return {boolean}
+   *     `true` if this transformation is equal to the other transformation,
+   *     `false` otherwise.
+   */
+  equals(other) {
+    return eq(this.a, other.a)
+        && eq(this.b, other.b)
+        && eq(this.c, other.c)
+        && eq(this.d, other.d)
+        && eq(this.e, other.e)
+        && eq(this.f, other.f);
+  }
+
+  /**
+   * Applies this transformation to a point, given by its coordinates.
+   *
+   * @param {number} x
+   *     the x-coordinate of the point.
+   * @param {number} y
+   *     the y-coordinate of the point.
+   * @return {number[]}
+   *     the array `[x', y']`, which are the coordinates of the transformed
+   *     point.
+   */
+  apply(x, y) {
+    return [
+      this.a * x + this.c * y + this.e,
+      this.b * x + this.d * y + this.f,
+    ];
+  }
+
+  /**
+   * Applies this transformation to a shape.
+   *
+   * This function simply calls the `transform()` method of the specified
+   * shape, which may be a `Point`, `Line`, `Triangle`, `Polygon`, `Rectangle`
+   * or `Circle` object, or any other object having a `transform()` method.
+   *
+   * @param {Point|Line|Triangle|Polygon|Rectangle|Circle} shape
+   *     the shape to be transformed.
+   * @return {Point|Line|Triangle|Polygon|Rectangle|Circle|Ellipse}
+   *     the new shape obtained by applying this transformation to the specified
+   *     shape. The type of the returned shape is the same as the type of the
+   *     specified shape, except that a `Rectangle` is transformed into a
+   *     `Polygon`, and a `Circle` is transformed into an `Ellipse`, if this
+   *     transformation is not a similarity transformation, since the result
+   *     is no longer a rectangle or a circle.
+   * @throws {Error}
+   *     if the specified shape cannot be transformed.
+   */
+  applyTo(shape) {
+    if (shape === null || typeof shape !== 'object' || typeof shape.transform !== 'function') {
+      throw new Error(`Unsupported shape: ${shape}`);
+    }
+    return shape.transform(this);
+  }
+
+  /**
+   * Gets the JSON representation of this transformation.
+   *
+   * @return {object}
+   *     the JSON representation of this transformation, which is an object of
+   *     the form `{ type: 'Transform', version, a, b, c, d, e, f }`.
+   */
+  toJSON() {
+    const { a, b, c, d, e, f } = this;
+    return { type: 'Transform', version: JSON_VERSION, a, b, c, d, e, f };
+  }
+
+  /**
+   * Constructs a transformation from its JSON representation.
+   *
+   * @param {object} json
+   *     the JSON representation of a transformation, as returned by
+   *     `toJSON()`.
+   * @return {Transform}
+   *     the transformation represented by the JSON object.
+   * @throws {Error}
+   *     if the JSON object is not a valid representation of a transformation.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Transform');
+    checkNumbers(json, ['a', 'b', 'c', 'd', 'e', 'f']);
+    return new Transform(json.a, json.b, json.c, json.d, json.e, json.f);
+  }
+}
+
+export default Transform;
@@ -8,6 +8,8 @@
  ******************************************************************************/
 import Point from './Point';
 import Line from './Line';
+import Transform from './Transform';
+import { JSON_VERSION, checkJSON } from './JsonUtils';
 
 /**
  * This class represents a triangle in a plane.
@@ -188,17 +190,7 @@ class Triangle {
    *     this triangle around the given point by the given angle.
    */
   rotate(p, angle) {
-    const cos = Math.cos(angle);
-    const sin = Math.sin(angle);
-    const dx = p.x * (1 - cos) + p.y * sin;
-    const dy = p.y * (1 - cos) - p.x * sin;
-    const new_a = new Point(this.a.x * cos - this.a.y * sin + dx,
-                            this.a.x * sin + this.a.y * cos + dy);
-    const new_b = new Point(this.b.x * cos - this.b.y * sin + dx,
-                            this.b.x * sin + this.b.y * cos + dy);
-    const new_c = new Point(this.c.x * cos - this.c.y * sin + dx,
-                            this.c.x * sin + this.c.y * cos + dy);
-    return new Triangle(new_a, new_b, new_c);
+    return this.transform(Transform.rotation(angle, p));
   }
 
   /**
@@ -214,4 +206,56 @@ class Triangle {
   translate(p) {
     return new Triangle(this.a.add(p), this.b.add(p), this.c.add(p));
   }
+
+  /**
+   * Applies an affine transformation to this triangle.
+   *
+   * @param {Transform} matrix
+   *    The affine transformation to be applied.
+   * @return {Triangle}
+   *    A new `Triangle` object representing the result of applying the
+   *    transformation to this triangle.
+   */
+  transform(matrix) {
+    return new Triangle(this.a.transform(matrix),
+      this.b.transform(matrix),
+      this.c.transform(matrix));
+  }
+
+  /**
+   * Gets the JSON representation of this triangle.
+   *
+   * @return {object}
+   *    The JSON representation of this triangle, which is an object of the
+   *    form `{ type: 'Triangle', version, a, b, c }`, where `a`, `b` and `c`
+   *    are the JSON representations of the three vertexes.
+   */
+  toJSON() {
+    return {
+      type: 'Triangle',
+      version: JSON_VERSION,
+      a: this.a.toJSON(),
+      b: this.b.toJSON(),
+      c: this.c.toJSON(),
+    };
+  }
+
+  /**
+   * Constructs a triangle from its JSON representation.
+   *
+   * @param {object} json
+   *    The JSON representation of a triangle, as returned by `toJSON()`.
+   * @return {Triangle}
+   *    The triangle represented by the JSON object.
+   * @throws {Error}
+   *    If the JSON object is not a valid representation of a triangle.
+   */
+  static fromJSON(json) {
+    checkJSON(json, 'Triangle');
+    return new Triangle(Point.fromJSON(json.a),
+      Point.fromJSON(json.b),
+      Point.fromJSON(json.c));
+  }
 }
+
+export default Triangle;
@@ -8,6 +8,101 @@
  ******************************************************************************/
 import Config from './Config';
 
+/**
+ * 当前作用域的容差栈，栈顶元素为当前生效的容差。
+ *
+ * @private
+ */
+const toleranceStack = [];
+
+/**
+ * 获取当前生效的容差。
+ *
+ * 若当前处于`withTolerance()`的作用域内，则返回该作用域的容差；否则返回由
+ * `Config.EPS`和`Config.RELATIVE_EPS`构成的全局容差。
+ *
+ * @returns {object}
+ *     当前生效的容差，其形式为`{ absolute, relative }`，其中`absolute`为绝对容差，
+ *     `relative`为相对容差。
+ */
+function getTolerance() {
+  if (toleranceStack.length > 0) {
+    return toleranceStack[toleranceStack.length - 1];
+  }
+  return { absolute: Config.EPS, relative: Config.RELATIVE_EPS };
+}
+
+/**
+ * 将指定的容差与当前生效的容差合并。
+ *
+ * @param {object} tolerance
+ *     指定的容差，其形式为`{ absolute, relative }`，其中未指定的属性取当前生效的
+ *     容差的对应值。若为`undefined`，则返回当前生效的容差。
+ * @returns {object}
+ *     合并后的容差。
+ * @private
+ */
+function resolveTolerance(tolerance) {
+  const current = getTolerance();
+  if (tolerance === undefined) {
+    return current;
+  }
+  return {
+    absolute: (tolerance.absolute === undefined ? current.absolute : tolerance.absolute),
+    relative: (tolerance.relative === undefined ? current.relative : tolerance.relative),
+  };
+}
+
+/**
+ * 在指定的容差下执行一个函数。
+ *
+ * 在函数执行期间，本模块中所有未指定容差参数的比较函数，以及`Point`、`Line`、
+ * `Polygon`等类中所有基于这些比较函数的比较，都使用指定的容差。作用域可以嵌套，
+ * 内层作用域中未指定的属性取外层作用域的对应值。
+ *
+ * 注意作用域仅对同步执行的代码有效：若函数返回一个`Promise`，则在其后续异步执行
+ * 的代码中，该作用域已经失效。
+ *
+ * @param {object} tolerance
+ *     指定的容差，其形式为`{ absolute, relative }`，其中`absolute`为绝对容差，
+ *     `relative`为相对容差。
+ * @param {function} fn
+ *     待执行的函数。
+ * @returns {*}
+ *     函数的返回值。
+ */
+function withTolerance(tolerance, fn) {
+  toleranceStack.push(resolveTolerance(tolerance));
+  try {
+    return fn();
+  } finally {
+    toleranceStack.pop();
+  }
+}
+
+/**
+ * 计算比较两个浮点数时所用的容差。
+ *
+ * 该容差为绝对容差与相对容差乘以两个浮点数中绝对值较大者这两者中的较大值。
+ *
+ * @param {number} x
+ *     第一个浮点数。
+ * @param {number} y
+ *     第二个浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
+ * @returns {number}
+ *     比较两个浮点数时所用的容差。
+ * @private
+ */
+function epsilonOf(x, y, tolerance) {
+  const { absolute, relative } = resolveTolerance(tolerance);
+  if (relative === 0) {
+    return absolute;
+  }
+  return Math.max(absolute, relative * Math.max(Math.abs(x), Math.abs(y)));
+}
+
 /**
  * 判断两个浮点数是否相等。
  *
@@ -15,11 +110,13 @@ import Config from './Config';
  *     第一个浮点数。
  * @param {number} y
  *     第二个浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
  * @returns {boolean}
  *     如果两个浮点数相等，则返回`true`；否则返回`false`。
  */
-function eq(x, y) {
-  return Math.abs(x - y) <= Config.EPS;
+function eq(x, y, tolerance) {
+  return Math.abs(x - y) <= epsilonOf(x, y, tolerance);
 }
 
 /**
@@ -29,11 +126,13 @@ function eq(x, y) {
  *     第一个浮点数。
  * @param {number} y
  *     第二个浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
  * @returns {boolean}
  *     若第一个浮点数小于第二个浮点数，则返回`true`；否则返回`false`。
  */
-function lt(x, y) {
-  return x < y + Config.EPS;
+function lt(x, y, tolerance) {
+  return x < y + epsilonOf(x, y, tolerance);
 }
 
 /**
@@ -43,11 +142,13 @@ function lt(x, y) {
  *     第一个浮点数。
  * @param {number} y
  *     第二个浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
  * @returns {boolean}
  *     若第一个浮点数小于或等于第二个浮点数，则返回`true`；否则返回`false`。
  */
-function leq(x, y) {
-  return x <= y + Config.EPS;
+function leq(x, y, tolerance) {
+  return x <= y + epsilonOf(x, y, tolerance);
 }
 
 /**
@@ -57,11 +158,13 @@ function leq(x, y) {
  *     第一个浮点数。
  * @param {number} y
  *     第二个浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
  * @returns {boolean}
  *     若第一个浮点数大于第二个浮点数，则返回`true`；否则返回`false`。
  */
-function gt(x, y) {
-  return x + Config.EPS > y;
+function gt(x, y, tolerance) {
+  return x + epsilonOf(x, y, tolerance) > y;
 }
 
 /**
@@ -71,23 +174,29 @@ function gt(x, y) {
  *     第一个浮点数。
  * @param {number} y
  *     第二个浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
  * @returns {boolean}
  *     若第一个浮点数大于或等于第二个浮点数，则返回`true`；否则返回`false`。
  */
-function geq(x, y) {
-  return x + Config.EPS >= y;
+function geq(x, y, tolerance) {
+  return x + epsilonOf(x, y, tolerance) >= y;
 }
 
 /**
  * 判定一个浮点数的绝对值是否足够小以至于可以被认为是0.
  *
+ * 注意相对容差对于与0的比较没有意义，因此该函数仅使用绝对容差。
+ *
  * @param {number} x
  *     待判定的浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
  * @returns {boolean}
  *     若浮点数的绝对值是否足够小以至于可以被认为是0，则返回`true`；否则返回`false`。
  */
-function isZero(x) {
-  return Math.abs(x) <= Config.EPS;
+function isZero(x, tolerance) {
+  return Math.abs(x) <= resolveTolerance(tolerance).absolute;
 }
 
 /**
@@ -95,11 +204,13 @@ function isZero(x) {
  *
  * @param {number} x
  *     待判定的浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
  * @returns {boolean}
  *     若浮点数的绝对值是否足够大以至于可以被认为是非0，则返回`true`；否则返回`false`。
  */
-function isNonZero(x) {
-  return Math.abs(x) > Config.EPS;
+function isNonZero(x, tolerance) {
+  return Math.abs(x) > resolveTolerance(tolerance).absolute;
 }
 
 /**
@@ -107,14 +218,18 @@ function isNonZero(x) {
  *
  * @param {number} x
  *     待判定的浮点数。
+ * @param {object} tolerance
+ *     可选的容差，其形式为`{ absolute, relative }`；若未指定，则使用当前生效的容差。
  * @returns {boolean}
  *     若浮点数的值足够小以至于可以被认为小于等于0, i.e., `x <= 0`; 则返回`true`；否则返回`false`。
  */
-function isNonPositive(x) {
-  return x <= Config.EPS;
+function isNonPositive(x, tolerance) {
+  return x <= resolveTolerance(tolerance).absolute;
 }
 
 export {
+  getTolerance,
+  withTolerance,
   eq,
   lt,
   leq,
@@ -123,4 +238,4 @@ export {
   isZero,
   isNonZero,
   isNonPositive,
-}
+};
@@ -0,0 +1,323 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { toGeoJSON, fromGeoJSON } from './GeoJson';
+
+//
+// Reading and writing the Well-Known Binary (WKB) representation of
+// geometries defined by the OpenGIS Simple Features Access specification.
+//
+// Like the WKT functions, the geometries are first converted to or from
+// GeoJSON geometry objects, so the shapes are mapped in the same way as
+// `toGeoJSON()` and `fromGeoJSON()`.
+//
+
+/**
+ * The GeoJSON geometry types indexed by the WKB geometry type codes.
+ *
+ * @private
+ */
+const GEOMETRY_TYPES = [
+  null,
+  'Point',
+  'LineString',
+  'Polygon',
+  'MultiPoint',
+  'MultiLineString',
+  'MultiPolygon',
+  'GeometryCollection',
+];
+
+/**
+ * The flags of the extended WKB (EWKB) of PostGIS, which are stored in the
+ * highest bits of the geometry type code.
+ *
+ * @private
+ */
+const EWKB_Z = 0x80000000;
+const EWKB_M = 0x40000000;
+const EWKB_SRID = 0x20000000;
+
+/**
+ * Converts the input of `parseWKB()` to an array of bytes.
+ *
+ * @private
+ */
+function toBytes(input) {
+  if (input instanceof Uint8Array) {
+    return input;
+  } else if (input instanceof ArrayBuffer) {
+    return new Uint8Array(input);
+  } else if (ArrayBuffer.isView(input)) {
+    return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  } else if (typeof input === 'string') {
+    // the `\x` prefix is used by the hex output of the `bytea` type of PostgreSQL
+    const hex = input.trim().replace(/^\\x/, '');
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+      throw new Error('Malformed WKB: invalid hexadecimal string');
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; ++i) {
+      bytes[i] = parseInt(hex.substr(2 * i, 2), 16);
+    }
+    return bytes;
+  }
+  throw new Error(`Unsupported WKB input: ${input}`);
+}
+
+/**
+ * Parses an array of bytes into a GeoJSON geometry object.
+ *
+ * @param {Uint8Array} bytes
+ *     the bytes of the WKB.
+ * @return {object}
+ *     the GeoJSON geometry object.
+ * @private
+ */
+function parseBytes(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 0;
+  let littleEndian = true;
+  const ensure = (size) => {
+    if (offset + size > bytes.length) {
+      throw new Error(`Malformed WKB: unexpected end of input at byte ${offset}`);
+    }
+  };
+  const readUint32 = () => {
+    ensure(4);
+    const value = view.getUint32(offset, littleEndian);
+    offset += 4;
+    return value;
+  };
+  const readDouble = () => {
+    ensure(8);
+    const value = view.getFloat64(offset, littleEndian);
+    offset += 8;
+    return value;
+  };
+  const geometry = () => {
+    ensure(1);
+    const start = offset;
+    const byteOrder = bytes[offset++];
+    if (byteOrder !== 0 && byteOrder !== 1) {
+      throw new Error(`Malformed WKB: invalid byte order ${byteOrder} at byte ${start}`);
+    }
+    littleEndian = (byteOrder === 1);
+    let code = readUint32();
+    let dimension = 2;
+    // the extended WKB of PostGIS
+    if (code >= EWKB_Z) {
+      code -= EWKB_Z;
+      ++dimension;
+    }
+    if (code >= EWKB_M) {
+      code -= EWKB_M;
+      ++dimension;
+    }
+    if (code >= EWKB_SRID) {
+      code -= EWKB_SRID;
+      readUint32();   // the SRID is ignored
+    }
+    // the ISO WKB, e.g., 1001 is a POINT Z, 2001 is a POINT M and 3001 is a
+    // POINT ZM
+    const iso = Math.floor(code / 1000);
+    if (iso > 3) {
+      throw new Error(`Malformed WKB: unsupported geometry type ${code} at byte ${start}`);
+    }
+    dimension += (iso === 3 ? 2 : Math.min(iso, 1));
+    const type = GEOMETRY_TYPES[code % 1000];
+    if (!type) {
+      throw new Error(`Malformed WKB: unsupported geometry type ${code} at byte ${start}`);
+    }
+    const position = () => {
+      const coordinates = [readDouble(), readDouble()];
+      for (let i = 2; i < dimension; ++i) {
+        readDouble();
+      }
+      return coordinates;
+    };
+    const repeat = (item) => {
+      const n = readUint32();
+      const result = [];
+      for (let i = 0; i < n; ++i) {
+        result.push(item());
+      }
+      return result;
+    };
+    const positions = () => repeat(position);
+    // the members of a multi-geometry are complete WKB geometries
+    const member = (expected) => () => {
+      const g = geometry();
+      if (g.type !== expected) {
+        throw new Error(`Malformed WKB: expect a ${expected} but found a ${g.type}`);
+      }
+      return g.coordinates;
+    };
+    switch (type) {
+      case 'Point': {
+        const coordinates = position();
+        if (Number.isNaN(coordinates[0]) && Number.isNaN(coordinates[1])) {
+          throw new Error('Empty POINT is not supported.');
+        }
+        return { type, coordinates };
+      }
+      case 'LineString':
+        return { type, coordinates: positions() };
+      case 'Polygon':
+        return { type, coordinates: repeat(positions) };
+      case 'MultiPoint':
+        return { type, coordinates: repeat(member('Point')) };
+      case 'MultiLineString':
+        return { type, coordinates: repeat(member('LineString')) };
+      case 'MultiPolygon':
+        return { type, coordinates: repeat(member('Polygon')) };
+      default:
+        return { type, geometries: repeat(geometry) };
+    }
+  };
+  const result = geometry();
+  if (offset !== bytes.length) {
+    throw new Error(`Malformed WKB: unexpected trailing bytes at byte ${offset}`);
+  }
+  return result;
+}
+
+/**
+ * Parses a Well-Known Binary (WKB) representation into shapes.
+ *
+ * The geometry types `POINT`, `LINESTRING`, `POLYGON`, `MULTIPOINT`,
+ * `MULTILINESTRING`, `MULTIPOLYGON` and `GEOMETRYCOLLECTION` are supported,
+ * and they are mapped to the shapes in the same way as `fromGeoJSON()`. Both
+ * byte orders are supported. The Z and M coordinates of the ISO WKB and the
+ * extended WKB (EWKB) of PostGIS are allowed, but only the x and y coordinates
+ * are used; the SRID of the EWKB is ignored.
+ *
+ * @param {Uint8Array|ArrayBuffer|string} input
+ *     the WKB, which may be an array of bytes, or a hexadecimal string as
+ *     returned by PostGIS, optionally prefixed with `\x`.
+ * @return {Point|Line|Polyline|Polygon|PolygonWithHoles|object|Array}
+ *     the shapes represented by the WKB.
+ * @throws {Error}
+ *     if the input is not a valid WKB representation of a supported geometry.
+ */
+function parseWKB(input) {
+  return fromGeoJSON(parseBytes(toBytes(input)));
+}
+
+/**
+ * Calculates the number of bytes of the WKB of a GeoJSON geometry object.
+ *
+ * @private
+ */
+function sizeOf(geometry) {
+  const { type, coordinates } = geometry;
+  const header = 5;
+  switch (type) {
+    case 'Point':
+      return header + 16;
+    case 'LineString':
+      return header + 4 + 16 * coordinates.length;
+    case 'Polygon':
+      return header + 4 + coordinates.reduce((s, ring) => s + 4 + 16 * ring.length, 0);
+    case 'MultiPoint':
+      return header + 4 + coordinates.length * sizeOf({ type: 'Point', coordinates: [] });
+    case 'MultiLineString':
+      return header + 4 + coordinates.reduce((s, c) => s + sizeOf({ type: 'LineString', coordinates: c }), 0);
+    case 'MultiPolygon':
+      return header + 4 + coordinates.reduce((s, c) => s + sizeOf({ type: 'Polygon', coordinates: c }), 0);
+    case 'GeometryCollection':
+      return header + 4 + geometry.geometries.reduce((s, g) => s + sizeOf(g), 0);
+    default:
+      throw new Error(`Unsupported geometry for WKB: ${type}`);
+  }
+}
+
+/**
+ * Converts shapes to a Well-Known Binary (WKB) representation.
+ *
+ * The shapes are mapped to the WKB geometries in the same way as
+ * `toGeoJSON()`. The output contains only the x and y coordinates.
+ *
+ * @param {Point|Line|Polyline|Triangle|Polygon|Rectangle|PolygonWithHoles|MultiPolygon|object|Array} value
+ *     the shapes to be converted.
+ * @param {object} options
+ *     the optional options, which may have the following properties:
+ *     - `littleEndian`: whether to use the little-endian byte order; the
+ *       default value is `true`.
+ *     - `hex`: whether to return a hexadecimal string instead of an array of
+ *       bytes; the default value is `false`.
+ * @return {Uint8Array|string}
+ *     the WKB, as an array of bytes or a hexadecimal string.
+ * @throws {Error}
+ *     if the argument contains an unsupported shape or is a feature.
+ */
+function toWKB(value, { littleEndian = true, hex = false } = {}) {
+  const root = toGeoJSON(value);
+  const bytes = new Uint8Array(sizeOf(root));
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  const writeUint32 = (x) => {
+    view.setUint32(offset, x, littleEndian);
+    offset += 4;
+  };
+  const writeDouble = (x) => {
+    view.setFloat64(offset, x, littleEndian);
+    offset += 8;
+  };
+  const writePosition = (p) => {
+    writeDouble(p[0]);
+    writeDouble(p[1]);
+  };
+  const writePositions = (ps) => {
+    writeUint32(ps.length);
+    ps.forEach(writePosition);
+  };
+  const writeGeometry = (geometry) => {
+    const { type, coordinates } = geometry;
+    bytes[offset++] = (littleEndian ? 1 : 0);
+    writeUint32(GEOMETRY_TYPES.indexOf(type));
+    switch (type) {
+      case 'Point':
+        writePosition(coordinates);
+        break;
+      case 'LineString':
+        writePositions(coordinates);
+        break;
+      case 'Polygon':
+        writeUint32(coordinates.length);
+        coordinates.forEach(writePositions);
+        break;
+      case 'MultiPoint':
+        writeUint32(coordinates.length);
+        coordinates.forEach((c) => writeGeometry({ type: 'Point', coordinates: c }));
+        break;
+      case 'MultiLineString':
+        writeUint32(coordinates.length);
+        coordinates.forEach((c) => writeGeometry({ type: 'LineString', coordinates: c }));
+        break;
+      case 'MultiPolygon':
+        writeUint32(coordinates.length);
+        coordinates.forEach((c) => writeGeometry({ type: 'Polygon', coordinates: c }));
+        break;
+      default:
+        writeUint32(geometry.geometries.length);
+        geometry.geometries.forEach(writeGeometry);
+        break;
+    }
+  };
+  writeGeometry(root);
+  if (!hex) {
+    return bytes;
+  }
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export {
+  parseWKB,
+  toWKB,
+};
@@ -0,0 +1,306 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import { toGeoJSON, fromGeoJSON } from './GeoJson';
+
+//
+// Reading and writing the Well-Known Text (WKT) representation of geometries
+// defined by the OpenGIS Simple Features Access specification.
+//
+// The geometries are first converted to or from GeoJSON geometry objects, so
+// the shapes are mapped in the same way as `toGeoJSON()` and `fromGeoJSON()`,
+// e.g., a `LINESTRING` with more than two points is mapped to a `Polyline`
+// object, a `POLYGON` with interior rings is mapped to a `PolygonWithHoles`
+// object, and a `MULTIPOLYGON` is mapped to an array, which is mapped back to
+// a `MULTIPOLYGON` even if it is empty.
+//
+
+/**
+ * The names of the supported WKT geometry types, and the corresponding
+ * GeoJSON geometry types.
+ *
+ * @private
+ */
+const GEOMETRY_TYPES = {
+  POINT: 'Point',
+  LINESTRING: 'LineString',
+  POLYGON: 'Polygon',
+  MULTIPOINT: 'MultiPoint',
+  MULTILINESTRING: 'MultiLineString',
+  MULTIPOLYGON: 'MultiPolygon',
+  GEOMETRYCOLLECTION: 'GeometryCollection',
+};
+
+/**
+ * The regular expression matching the tokens of WKT.
+ *
+ * @private
+ */
+const TOKEN_PATTERN = /\s*(?:([A-Za-z]+)|([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)|([(),])|(\S))/y;
+
+/**
+ * Splits a WKT string into tokens.
+ *
+ * @param {string} text
+ *     the WKT string.
+ * @return {object[]}
+ *     the array of tokens, each of which is an object `{ kind, value, pos }`,
+ *     where `kind` is one of 'word', 'number' and 'symbol'.
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  for (;;) {
+    const pos = TOKEN_PATTERN.lastIndex;
+    const m = TOKEN_PATTERN.exec(text);
+    if (m === null) {
+      if (text.slice(pos).trim() !== '') {
+        throw new Error(`Malformed WKT at position ${pos}: unexpected character`);
+      }
+      return tokens;
+    }
+    const start = pos + m[0].length - m[0].trimStart().length;
+    if (m[1] !== undefined) {
+      tokens.push({ kind: 'word', value: m[1].toUpperCase(), pos: start });
+    } else if (m[2] !== undefined) {
+      tokens.push({ kind: 'number', value: Number(m[2]), pos: start });
+    } else if (m[3] !== undefined) {
+      tokens.push({ kind: 'symbol', value: m[3], pos: start });
+    } else {
+      throw new Error(`Malformed WKT at position ${start}: unexpected character '${m[4]}'`);
+    }
+  }
+}
+
+/**
+ * Parses the tokens of a WKT string into a GeoJSON geometry object.
+ *
+ * @param {object[]} tokens
+ *     the tokens of the WKT string.
+ * @return {object}
+ *     the GeoJSON geometry object.
+ * @private
+ */
+function parseTokens(tokens) {
+  let index = 0;
+  const fail = (expected) => {
+    const token = tokens[index];
+    const found = (token === undefined ? 'end of input' : `'${token.value}'`);
+    const pos = (token === undefined ? 'end' : `position ${token.pos}`);
+    throw new Error(`Malformed WKT at ${pos}: expected ${expected} but found ${found}`);
+  };
+  const peek = (value) => (index < tokens.length && tokens[index].value === value);
+  const expect = (value) => {
+    if (!peek(value)) {
+      fail(`'${value}'`);
+    }
+    ++index;
+  };
+  // parses a list of items separated by commas and enclosed in parentheses
+  const list = (item) => {
+    expect('(');
+    const result = [item()];
+    while (peek(',')) {
+      ++index;
+      result.push(item());
+    }
+    expect(')');
+    return result;
+  };
+  let dimension = 0;
+  const position = () => {
+    const coordinates = [];
+    while (index < tokens.length && tokens[index].kind === 'number') {
+      coordinates.push(tokens[index++].value);
+    }
+    if (coordinates.length < 2 || coordinates.length > 4
+        || (dimension > 0 && coordinates.length !== dimension)) {
+      fail(dimension > 0 ? `${dimension} coordinates` : '2 to 4 coordinates');
+    }
+    return coordinates.slice(0, 2);
+  };
+  const positions = () => list(position);
+  const rings = () => list(positions);
+  const geometry = () => {
+    const token = tokens[index];
+    if (token === undefined || token.kind !== 'word'
+        || !Object.prototype.hasOwnProperty.call(GEOMETRY_TYPES, token.value)) {
+      fail('a geometry type');
+    }
+    ++index;
+    const type = GEOMETRY_TYPES[token.value];
+    dimension = 0;
+    if (peek('Z') || peek('M')) {
+      ++index;
+      dimension = 3;
+    } else if (peek('ZM')) {
+      ++index;
+      dimension = 4;
+    }
+    if (peek('EMPTY')) {
+      ++index;
+      switch (type) {
+        case 'GeometryCollection':
+          return { type, geometries: [] };
+        case 'MultiPoint':
+        case 'MultiLineString':
+        case 'MultiPolygon':
+          return { type, coordinates: [] };
+        default:
+          throw new Error(`Empty ${token.value} is not supported.`);
+      }
+    }
+    switch (type) {
+      case 'Point': {
+        expect('(');
+        const coordinates = position();
+        expect(')');
+        return { type, coordinates };
+      }
+      case 'LineString':
+        return { type, coordinates: positions() };
+      case 'Polygon':
+        return { type, coordinates: rings() };
+      case 'MultiPoint':
+        // both the forms `MULTIPOINT ((1 2), (3 4))` and `MULTIPOINT (1 2, 3 4)`
+        // are allowed
+        return {
+          type,
+          coordinates: list(() => {
+            if (!peek('(')) {
+              return position();
+            }
+            ++index;
+            const p = position();
+            expect(')');
+            return p;
+          }),
+        };
+      case 'MultiLineString':
+        return { type, coordinates: rings() };
+      case 'MultiPolygon':
+        return { type, coordinates: list(rings) };
+      default:
+        return { type, geometries: list(geometry) };
+    }
+  };
+  const result = geometry();
+  if (index < tokens.length) {
+    fail('end of input');
+  }
+  return result;
+}
+
+/**
+ * Parses a Well-Known Text (WKT) string into shapes.
+ *
+ * The geometry types `POINT`, `LINESTRING`, `POLYGON`, `MULTIPOINT`,
+ * `MULTILINESTRING`, `MULTIPOLYGON` and `GEOMETRYCOLLECTION` are supported,
+ * and they are mapped to the shapes in the same way as `fromGeoJSON()`. The
+ * keywords are case-insensitive. The `Z`, `M` and `ZM` coordinates are
+ * allowed, but only the x and y coordinates are used. An optional `SRID=...;`
+ * prefix of the extended WKT of PostGIS is ignored.
+ *
+ * @param {string} text
+ *     the WKT string.
+ * @return {Point|Line|Polyline|Polygon|PolygonWithHoles|object|Array}
+ *     the shapes represented by the WKT string.
+ * @throws {Error}
+ *     if the string is not a valid WKT representation of a supported geometry.
+ */
+function parseWKT(text) {
+  if (typeof text !== 'string') {
+    throw new Error(`The WKT must be a string: ${text}`);
+  }
+  const srid = /^\s*SRID=\d+;/i.exec(text);
+  const body = (srid === null ? text : ' '.repeat(srid[0].length) + text.slice(srid[0].length));
+  return fromGeoJSON(parseTokens(tokenize(body)));
+}
+
+/**
+ * Formats a GeoJSON position as a WKT coordinate tuple.
+ *
+ * @private
+ */
+function formatPosition(position) {
+  return `${position[0]} ${position[1]}`;
+}
+
+/**
+ * Formats a list of GeoJSON positions as a WKT coordinate list.
+ *
+ * @private
+ */
+function formatPositions(positions) {
+  return `(${positions.map(formatPosition).join(', ')})`;
+}
+
+/**
+ * Formats a list of lists of GeoJSON positions.
+ *
+ * @private
+ */
+function formatRings(rings) {
+  return `(${rings.map(formatPositions).join(', ')})`;
+}
+
+/**
+ * Formats a GeoJSON geometry object as a WKT string.
+ *
+ * @private
+ */
+function formatGeometry(geometry) {
+  const { type, coordinates } = geometry;
+  const name = Object.keys(GEOMETRY_TYPES).find((k) => GEOMETRY_TYPES[k] === type);
+  if (name === undefined) {
+    throw new Error(`Unsupported geometry for WKT: ${type}`);
+  }
+  const items = (type === 'GeometryCollection' ? geometry.geometries : coordinates);
+  if (type !== 'Point' && items.length === 0) {
+    return `${name} EMPTY`;
+  }
+  switch (type) {
+    case 'Point':
+      return `${name} (${formatPosition(coordinates)})`;
+    case 'LineString':
+      return `${name} ${formatPositions(coordinates)}`;
+    case 'Polygon':
+    case 'MultiLineString':
+      return `${name} ${formatRings(coordinates)}`;
+    case 'MultiPoint':
+      return `${name} (${coordinates.map((p) => `(${formatPosition(p)})`).join(', ')})`;
+    case 'MultiPolygon':
+      return `${name} (${coordinates.map(formatRings).join(', ')})`;
+    default:
+      return `${name} (${geometry.geometries.map(formatGeometry).join(', ')})`;
+  }
+}
+
+/**
+ * Converts shapes to a Well-Known Text (WKT) string.
+ *
+ * The shapes are mapped to the WKT geometries in the same way as
+ * `toGeoJSON()`, e.g., a `Line` is converted to a `LINESTRING` with two
+ * points, and an array of polygons is converted to a `MULTIPOLYGON`.
+ *
+ * @param {Point|Line|Polyline|Triangle|Polygon|Rectangle|PolygonWithHoles|MultiPolygon|object|Array} value
+ *     the shapes to be converted.
+ * @return {string}
+ *     the WKT string.
+ * @throws {Error}
+ *     if the argument contains an unsupported shape or is a feature.
+ */
+function toWKT(value) {
+  return formatGeometry(toGeoJSON(value));
+}
+
+export {
+  parseWKT,
+  toWKT,
+};
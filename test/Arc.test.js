@@ -0,0 +1,105 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Ellipse from '../src/Ellipse';
+import Arc from '../src/Arc';
+import Transform from '../src/Transform';
+
+/**
+ * Unit test of the `Arc` class.
+ *
+ * @author Haixing Hu
+ */
+describe('Arc', () => {
+  const e = new Ellipse(new Point(0, 0), 2, 1);
+  const a = new Arc(e, 0, Math.PI / 2);
+
+  test('end points and length', () => {
+    expect(a.startPoint().x).toBeCloseTo(2, 12);
+    expect(a.endPoint().y).toBeCloseTo(1, 12);
+    expect(a.sweepAngle()).toBe(Math.PI / 2);
+    expect(a.length() * 4).toBeCloseTo(e.perimeter(), 9);
+    expect(new Arc(e, 0, -Math.PI / 2).length()).toBeCloseTo(a.length(), 12);
+    expect(new Arc(e, 0, 2 * Math.PI).length()).toBeCloseTo(e.perimeter(), 9);
+    expect(() => new Arc(e, 0, 7)).toThrow(/full turn/);
+  });
+
+  test('containsAngle', () => {
+    expect(a.containsAngle(0)).toBe(true);
+    expect(a.containsAngle(Math.PI / 2)).toBe(true);
+    expect(a.containsAngle(1)).toBe(true);
+    expect(a.containsAngle(1 + 2 * Math.PI)).toBe(true);
+    expect(a.containsAngle(-1)).toBe(false);
+    const negative = new Arc(e, 0, -Math.PI / 2);
+    expect(negative.containsAngle(-1)).toBe(true);
+    expect(negative.containsAngle(1)).toBe(false);
+    // an arc across the angle PI
+    const across = new Arc(e, 3, 3.5);
+    expect(across.containsAngle(-3)).toBe(true);
+    expect(across.containsAngle(0)).toBe(false);
+  });
+
+  test('bounding box', () => {
+    const box = a.boundingBox();
+    expect(box.width).toBeCloseTo(2, 12);
+    expect(box.height).toBeCloseTo(1, 12);
+    // the arc passing the top of the ellipse reaches its extreme point
+    const top = new Arc(e, Math.PI / 4, (3 * Math.PI) / 4).boundingBox();
+    expect(top.height).toBeCloseTo(1 - Math.SQRT1_2, 12);
+    expect(top.width).toBeCloseTo(2 * Math.SQRT2, 12);
+  });
+
+  test('toLines', () => {
+    const lines = a.toLines(0.01);
+    expect(lines.length).toBeGreaterThan(3);
+    expect(lines[0].start.equals(a.startPoint())).toBe(true);
+    expect(lines[lines.length - 1].end.equals(a.endPoint())).toBe(true);
+    expect(() => a.toLines(-1)).toThrow(/tolerance/);
+  });
+
+  test('intersections with lines', () => {
+    const l = new Line(new Point(-5, 0.5), new Point(5, 0.5));
+    const ps = a.crossPointsWithLine(l);
+    expect(ps.length).toBe(1);
+    expect(ps[0].x).toBeGreaterThan(0);
+    expect(new Arc(e, 0, -Math.PI / 2).crossPointsWithLine(l)).toEqual([]);
+    expect(new Arc(e, 0, Math.PI).crossPointsWithLine(l).length).toBe(2);
+    expect(a.crossPointsWithLineSegment(new Line(new Point(-5, 0.5), new Point(0, 0.5)))).toEqual([]);
+  });
+
+  test('transformations', () => {
+    const reflected = a.transform(Transform.scaling(1, -1));
+    expect(reflected.startPoint().x).toBeCloseTo(2, 12);
+    expect(reflected.endPoint().y).toBeCloseTo(-1, 12);
+    // the image of each point of the arc is the corresponding point of the
+    // image of the arc
+    const transforms = [
+      Transform.scaling(1, -1),
+      Transform.rotation(0.3),
+      Transform.skewing(0.4).rotate(1).translate(3, -1).scale(2, 0.5),
+      Transform.scaling(-2, 1).rotate(0.5),
+    ];
+    for (const m of transforms) {
+      const t = a.transform(m);
+      for (const s of [0, 0.25, 0.5, 1]) {
+        expect(t.pointAt(s).distance(a.pointAt(s).transform(m))).toBeLessThan(1e-9);
+      }
+    }
+    const rotated = a.rotate(new Point(0, 0), Math.PI / 2);
+    expect(rotated.startPoint().distance(new Point(0, 2))).toBeLessThan(1e-12);
+    expect(a.translate(new Point(1, 1)).endPoint().distance(new Point(1, 2))).toBeLessThan(1e-12);
+  });
+
+  test('JSON', () => {
+    const back = Arc.fromJSON(JSON.parse(JSON.stringify(a)));
+    expect(back.equals(a)).toBe(true);
+    expect(() => Arc.fromJSON({ ...a.toJSON(), startAngle: 'x' })).toThrow(/finite/);
+  });
+});
@@ -0,0 +1,147 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Bezier from '../src/Bezier';
+import QuadraticBezier from '../src/QuadraticBezier';
+import CubicBezier from '../src/CubicBezier';
+import Transform from '../src/Transform';
+
+/**
+ * Unit test of the `Bezier`, `QuadraticBezier` and `CubicBezier` classes.
+ *
+ * @author Haixing Hu
+ */
+describe('Bezier', () => {
+  const P = (x, y) => new Point(x, y);
+  // the parabola `y = 2x - x^2` for `x` in `[0, 2]`
+  const q = new QuadraticBezier(P(0, 0), P(1, 2), P(2, 0));
+  const c = new CubicBezier(P(0, 0), P(0, 1), P(1, 1), P(1, 0));
+
+  test('points, derivatives and tangents', () => {
+    expect(q.pointAt(0.5)).toEqual(P(1, 1));
+    expect(q.derivativeAt(0)).toEqual(P(2, 4));
+    const t = q.tangentAt(0.5);
+    expect(t.x).toBeCloseTo(1);
+    expect(t.y).toBeCloseTo(0);
+    expect(c.pointAt(0.5)).toEqual(P(0.5, 0.75));
+    expect(c.derivativeAt(0)).toEqual(P(0, 3));
+    // the tangent at a cusp-like end point uses the higher derivatives
+    const cusp = new CubicBezier(P(0, 0), P(0, 0), P(1, 1), P(2, 0));
+    expect(cusp.tangentAt(0).x).toBeCloseTo(Math.SQRT1_2);
+    expect(cusp.tangentAt(0).y).toBeCloseTo(Math.SQRT1_2);
+    expect(new QuadraticBezier(P(1, 1), P(1, 1), P(1, 1)).tangentAt(0.5)).toEqual(P(0, 0));
+  });
+
+  test('split and length', () => {
+    const exact = 2 * (Math.sqrt(5) / 2 + Math.asinh(2) / 4);
+    expect(q.length()).toBeCloseTo(exact, 9);
+    const [a, b] = q.split(0.5);
+    expect(a).toBeInstanceOf(QuadraticBezier);
+    expect(a.end).toEqual(P(1, 1));
+    expect(b.start).toEqual(P(1, 1));
+    expect(a.length() + b.length()).toBeCloseTo(exact, 9);
+    const [l, r] = c.split(0.25);
+    expect(l).toBeInstanceOf(CubicBezier);
+    expect(l.end.equals(c.pointAt(0.25))).toBe(true);
+    expect(r.pointAt(0.5).equals(c.pointAt(0.625))).toBe(true);
+    expect(new CubicBezier(P(0, 0), P(1, 0), P(2, 0), P(3, 0)).length()).toBeCloseTo(3, 9);
+  });
+
+  test('bounding boxes', () => {
+    const bq = q.boundingBox();
+    expect(bq.width).toBeCloseTo(2, 12);
+    expect(bq.height).toBeCloseTo(1, 12);
+    const bc = c.boundingBox();
+    expect(bc.width).toBeCloseTo(1, 12);
+    expect(bc.height).toBeCloseTo(0.75, 12);
+    const s = new CubicBezier(P(0, 0), P(1, 1), P(2, -1), P(3, 0));
+    const bs = s.boundingBox();
+    expect(bs.width).toBeCloseTo(3, 12);
+    expect(bs.height).toBeCloseTo(Math.sqrt(3) / 3, 12);
+  });
+
+  test('nearest points', () => {
+    expect(q.nearestPointTo(P(1, 5)).equals(P(1, 1))).toBe(true);
+    expect(q.distanceToPoint(P(1, 5))).toBeCloseTo(4);
+    expect(q.nearestParameterTo(P(-1, -1))).toBe(0);
+    expect(q.nearestParameterTo(P(3, -1))).toBe(1);
+    expect(c.distanceToPoint(P(0.5, 0.75))).toBeCloseTo(0, 9);
+  });
+
+  test('flatten', () => {
+    for (const curve of [q, c]) {
+      const segments = curve.flatten(0.01);
+      expect(segments[0].start).toEqual(curve.start);
+      expect(segments[segments.length - 1].end).toEqual(curve.end);
+      for (let i = 1; i < segments.length; ++i) {
+        expect(segments[i].start).toEqual(segments[i - 1].end);
+      }
+      for (const s of segments) {
+        expect(curve.distanceToPoint(s.center())).toBeLessThan(0.01);
+      }
+      expect(curve.flatten(0.0001).length).toBeGreaterThan(segments.length);
+      expect(() => curve.flatten(0)).toThrow(/tolerance/);
+    }
+  });
+
+  test('intersections with lines', () => {
+    const horizontal = new Line(P(0, 0.5), P(1, 0.5));
+    const xs = q.crossPointsWithLine(horizontal);
+    expect(xs.length).toBe(2);
+    for (const p of xs) {
+      expect(p.y).toBeCloseTo(0.5, 12);
+    }
+    expect(xs[0].x).toBeLessThan(xs[1].x);
+    expect(q.crossPointsWithLineSegment(horizontal).length).toBe(1);
+    expect(q.crossPointsWithLine(new Line(P(0, 3), P(1, 3)))).toEqual([]);
+    const straight = new QuadraticBezier(P(0, 0), P(1, 1), P(2, 2));
+    expect(straight.crossPointsWithLine(new Line(P(0, 0), P(1, 1)))).toBe(null);
+    const s = new CubicBezier(P(0, 0), P(1, 1), P(2, -1), P(3, 0));
+    const ys = s.crossPointsWithLine(new Line(P(0, 0), P(1, 0)));
+    expect(ys.length).toBe(3);
+    expect(ys[1].x).toBeCloseTo(1.5, 12);
+  });
+
+  test('transformations keep the class', () => {
+    const m = Transform.rotation(0.3).translate(1, 2);
+    for (const curve of [q, c]) {
+      const moved = curve.translate(P(1, 1));
+      expect(moved).toBeInstanceOf(curve.constructor);
+      expect(moved.start).toEqual(P(1, 1));
+      const rotated = curve.rotate(P(0, 0), Math.PI);
+      expect(rotated).toBeInstanceOf(curve.constructor);
+      expect(rotated.pointAt(0.5).equals(P(-curve.pointAt(0.5).x, -curve.pointAt(0.5).y))).toBe(true);
+      const transformed = curve.transform(m);
+      expect(transformed).toBeInstanceOf(curve.constructor);
+      expect(transformed.pointAt(0.3).equals(curve.pointAt(0.3).transform(m))).toBe(true);
+    }
+  });
+
+  test('equals', () => {
+    expect(q.equals(new QuadraticBezier(P(0, 0), P(1, 2), P(2, 0)))).toBe(true);
+    expect(q.equals(new QuadraticBezier(P(0, 0), P(1, 3), P(2, 0)))).toBe(false);
+    expect(c.equals(new CubicBezier(P(0, 0), P(0, 1), P(1, 1), P(1, 0)))).toBe(true);
+    expect(c.equals(new CubicBezier(P(0, 0), P(0, 1), P(1, 1), P(1, 1)))).toBe(false);
+    expect(q.equals(new CubicBezier(P(0, 0), P(1, 2), P(1, 2), P(2, 0)))).toBe(false);
+  });
+
+  test('JSON', () => {
+    expect(QuadraticBezier.fromJSON(JSON.parse(JSON.stringify(q)))).toEqual(q);
+    expect(CubicBezier.fromJSON(JSON.parse(JSON.stringify(c)))).toEqual(c);
+    expect(() => CubicBezier.fromJSON(q.toJSON())).toThrow();
+    expect(() => QuadraticBezier.fromJSON(c.toJSON())).toThrow();
+  });
+
+  test('subclasses must implement controlPoints()', () => {
+    expect(q).toBeInstanceOf(Bezier);
+    expect(c).toBeInstanceOf(Bezier);
+    expect(() => new Bezier().pointAt(0)).toThrow(/controlPoints/);
+  });
+});
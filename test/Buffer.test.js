@@ -0,0 +1,68 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import { bufferPoint, bufferLine } from '../src/Buffer';
+
+/**
+ * Unit test of the `Buffer` module.
+ *
+ * @author Haixing Hu
+ */
+describe('Buffer', () => {
+  const P = (x, y) => new Point(x, y);
+  const segment = new Line(P(0, 0), P(10, 0));
+
+  test('buffer of a point', () => {
+    const b = bufferPoint(P(1, 1), 2, { tolerance: 1e-5 });
+    expect(b.area()).toBeCloseTo(4 * Math.PI, 3);
+    expect(b.signedArea()).toBeGreaterThan(0);
+    for (const v of b.vertexes) {
+      expect(v.distance(P(1, 1))).toBeCloseTo(2, 12);
+    }
+    // the sides are within the tolerance from the circle
+    const coarse = bufferPoint(P(0, 0), 1, { tolerance: 0.01 });
+    const { vertexes } = coarse;
+    vertexes.forEach((v, i) => {
+      const mid = new Line(v, vertexes[(i + 1) % vertexes.length]).center();
+      expect(1 - mid.norm()).toBeLessThanOrEqual(0.01);
+    });
+    // at least 3 vertexes even if the tolerance is large
+    expect(bufferPoint(P(0, 0), 1, { tolerance: 5 }).vertexes.length).toBe(3);
+  });
+
+  test('buffer of a line segment', () => {
+    const round = bufferLine(segment, 1, { tolerance: 1e-5 });
+    expect(round.area()).toBeCloseTo(20 + Math.PI, 3);
+    expect(round.signedArea()).toBeGreaterThan(0);
+    for (const v of round.vertexes) {
+      expect(v.distanceToLineSegment(segment)).toBeCloseTo(1, 12);
+    }
+    expect(bufferLine(segment, 1, { cap: 'square' }).area()).toBeCloseTo(24, 12);
+    const flat = bufferLine(new Line(P(0, 0), P(0, 10)), 1, { cap: 'flat' });
+    expect(flat.signedArea()).toBeCloseTo(20, 12);
+    expect(flat.vertexes.every((v) => v.y >= 0 && v.y <= 10)).toBe(true);
+  });
+
+  test('buffer of a degenerated line segment', () => {
+    const point = new Line(P(1, 1), P(1, 1));
+    expect(bufferLine(point, 1, { tolerance: 1e-5 }).area()).toBeCloseTo(Math.PI, 3);
+    expect(bufferLine(point, 1, { cap: 'square' }).area()).toBeCloseTo(4, 12);
+    expect(() => bufferLine(point, 1, { cap: 'flat' })).toThrow(/degenerated/);
+  });
+
+  test('invalid arguments', () => {
+    expect(() => bufferPoint(P(0, 0), 0)).toThrow(/distance/);
+    expect(() => bufferPoint(P(0, 0), -1)).toThrow(/distance/);
+    expect(() => bufferPoint(P(0, 0), 1, { tolerance: 0 })).toThrow(/tolerance/);
+    expect(() => bufferLine(segment, NaN)).toThrow(/distance/);
+    expect(() => bufferLine(segment, 1, { tolerance: -1 })).toThrow(/tolerance/);
+    expect(() => bufferLine(segment, 1, { cap: 'butt' })).toThrow(/cap style/);
+  });
+});
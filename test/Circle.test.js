@@ -0,0 +1,294 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Triangle from '../src/Triangle';
+import Polygon from '../src/Polygon';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import Circle from '../src/Circle';
+import Ellipse from '../src/Ellipse';
+import Transform from '../src/Transform';
+
+const coordinatesOf = (points) => points.map((p) => [p.x, p.y]);
+
+/**
+ * Calculates the radius of the minimum enclosing circle of the points by
+ * checking all the circles passing through two or three of the points.
+ */
+function bruteForceEnclosingRadius(points) {
+  const encloses = (circle) => points.every((p) => circle.center.distance(p) <= circle.radius + 1e-9);
+  let best = Infinity;
+  for (let i = 0; i < points.length; ++i) {
+    for (let j = i + 1; j < points.length; ++j) {
+      const a = points[i];
+      const b = points[j];
+      const diametral = new Circle(new Point((a.x + b.x) / 2, (a.y + b.y) / 2), a.distance(b) / 2);
+      if (diametral.radius < best && encloses(diametral)) {
+        best = diametral.radius;
+      }
+      for (let k = j + 1; k < points.length; ++k) {
+        const c = points[k];
+        if (Math.abs(b.subtract(a).cross(c.subtract(a))) > 1e-9) {
+          const circumcircle = Circle.circumcircleOf({ a, b, c });
+          if (circumcircle.radius < best && encloses(circumcircle)) {
+            best = circumcircle.radius;
+          }
+        }
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Calculates the distance from a point to the boundary of a polygon with
+ * holes.
+ */
+function distanceToBoundary(p, polygon) {
+  const rings = [polygon.outer, ...polygon.holes];
+  return Math.min(...rings.flatMap(({ vertexes }) => vertexes.map((v, i) => p.distanceToLineSegment(
+    new Line(v, vertexes[(i + 1) % vertexes.length]),
+  ))));
+}
+
+/**
+ * Unit test of the `Circle` class.
+ *
+ * @author Haixing Hu
+ */
+describe('Circle', () => {
+  const c = new Circle(new Point(0, 0), 5);
+
+  test('constructor', () => {
+    expect(c.area()).toBeCloseTo(25 * Math.PI);
+    expect(c.perimeter()).toBeCloseTo(10 * Math.PI);
+    expect(new Circle(new Point(1, 1), 0).radius).toBe(0);
+    expect(() => new Circle(new Point(0, 0), -1)).toThrow();
+  });
+
+  test('crossPointsWithLine', () => {
+    const secant = new Line(new Point(-10, 3), new Point(10, 3));
+    expect(coordinatesOf(c.crossPointsWithLine(secant))).toEqual([[-4, 3], [4, 3]]);
+    expect(coordinatesOf(c.crossPointsWithLine(new Line(secant.end, secant.start)))).toEqual([[4, 3], [-4, 3]]);
+    const tangent = new Line(new Point(-10, 5), new Point(10, 5));
+    expect(coordinatesOf(c.crossPointsWithLine(tangent))).toEqual([[0, 5]]);
+    expect(c.crossPointsWithLine(new Line(new Point(-10, 6), new Point(10, 6)))).toEqual([]);
+    // the line is treated as an infinite line
+    expect(c.crossPointsWithLine(new Line(new Point(10, 3), new Point(20, 3))).length).toBe(2);
+  });
+
+  test('crossPointsWithLine of degenerated lines', () => {
+    const on = new Point(3, 4);
+    expect(c.crossPointsWithLine(new Line(on, on))).toEqual([on]);
+    const off = new Point(1, 1);
+    expect(c.crossPointsWithLine(new Line(off, off))).toEqual([]);
+    expect(c.crossPointsWithLineSegment(new Line(on, on))).toEqual([on]);
+  });
+
+  test('crossPointsWithLineSegment', () => {
+    expect(c.crossPointsWithLineSegment(new Line(new Point(0, 3), new Point(10, 3))).length).toBe(1);
+    expect(c.crossPointsWithLineSegment(new Line(new Point(-1, 0), new Point(1, 0)))).toEqual([]);
+    expect(c.crossPointsWithLineSegment(new Line(new Point(-5, -5), new Point(5, 5))).length).toBe(2);
+  });
+
+  test('crossPointsWithCircle', () => {
+    const points = c.crossPointsWithCircle(new Circle(new Point(8, 0), 5));
+    expect(points.length).toBe(2);
+    for (const p of points) {
+      expect(p.x).toBeCloseTo(4);
+      expect(Math.abs(p.y)).toBeCloseTo(3);
+    }
+    expect(c.crossPointsWithCircle(new Circle(new Point(10, 0), 5)).length).toBe(1);
+    expect(c.crossPointsWithCircle(new Circle(new Point(2, 0), 3)).length).toBe(1);
+    expect(c.crossPointsWithCircle(new Circle(new Point(20, 0), 5))).toEqual([]);
+    expect(c.crossPointsWithCircle(new Circle(new Point(1, 0), 1))).toEqual([]);
+    expect(c.crossPointsWithCircle(new Circle(new Point(0, 0), 3))).toEqual([]);
+    expect(c.crossPointsWithCircle(new Circle(new Point(0, 0), 5))).toBeNull();
+  });
+
+  test('tangentLinesFromPoint', () => {
+    const lines = c.tangentLinesFromPoint(new Point(10, 0));
+    expect(lines.length).toBe(2);
+    for (const l of lines) {
+      expect(l.start.equals(new Point(10, 0))).toBe(true);
+      expect(l.end.distance(c.center)).toBeCloseTo(5);
+      expect(l.vector().dot(l.end)).toBeCloseTo(0);
+    }
+    const [tangent] = c.tangentLinesFromPoint(new Point(5, 0));
+    expect(tangent.vector().dot(new Point(5, 0))).toBeCloseTo(0);
+    expect(c.tangentLinesFromPoint(new Point(1, 0))).toEqual([]);
+  });
+
+  test('circumcircle and incircle', () => {
+    const triangle = new Triangle(new Point(0, 0), new Point(4, 0), new Point(0, 3));
+    const circumcircle = Circle.circumcircleOf(triangle);
+    expect(circumcircle.radius).toBeCloseTo(2.5);
+    expect(circumcircle.center.equals(new Point(2, 1.5))).toBe(true);
+    const incircle = Circle.incircleOf(triangle);
+    expect(incircle.radius).toBeCloseTo(1);
+    expect(incircle.center.equals(new Point(1, 1))).toBe(true);
+    const flat = new Triangle(new Point(0, 0), new Point(1, 1), new Point(2, 2));
+    expect(() => Circle.circumcircleOf(flat)).toThrow();
+  });
+
+  test('minimum enclosing circle', () => {
+    const P = (x, y) => new Point(x, y);
+    expect(Circle.minimumEnclosingCircleOf([P(1, 2)])).toEqual(new Circle(P(1, 2), 0));
+    expect(Circle.minimumEnclosingCircleOf([P(1, 2), P(1, 2), P(1, 2)]).radius).toBe(0);
+    const two = Circle.minimumEnclosingCircleOf([P(0, 0), P(6, 8)]);
+    expect(two.center.equals(P(3, 4))).toBe(true);
+    expect(two.radius).toBe(5);
+    // the circle of an obtuse triangle is decided by its longest side, while
+    // the circle of an acute triangle is its circumcircle
+    const obtuse = Circle.minimumEnclosingCircleOf([P(0, 0), P(10, 0), P(5, 1)]);
+    expect(obtuse.center.equals(P(5, 0))).toBe(true);
+    expect(obtuse.radius).toBe(5);
+    const acute = Circle.minimumEnclosingCircleOf([P(0, 0), P(4, 0), P(2, 3)]);
+    expect(acute.equals(Circle.circumcircleOf({ a: P(0, 0), b: P(4, 0), c: P(2, 3) }))).toBe(true);
+    const collinear = Circle.minimumEnclosingCircleOf([P(3, 3), P(0, 0), P(1, 1), P(5, 5), P(2, 2)]);
+    expect(collinear.center.equals(P(2.5, 2.5))).toBe(true);
+    expect(collinear.radius).toBeCloseTo(2.5 * Math.SQRT2, 12);
+    expect(() => Circle.minimumEnclosingCircleOf([])).toThrow(/empty/);
+  });
+
+  test('minimum enclosing circle agrees with the brute force algorithm', () => {
+    let seed = 19;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    for (let round = 0; round < 20; ++round) {
+      const points = [];
+      for (let i = 0; i < 2 + round; ++i) {
+        // the integer coordinates make duplicated and cocircular points
+        points.push(round % 2 === 0
+          ? new Point(Math.round(6 * random()), Math.round(6 * random()))
+          : new Point(100 * random(), 100 * random()));
+      }
+      const circle = Circle.minimumEnclosingCircleOf(points);
+      expect(circle.radius).toBeCloseTo(bruteForceEnclosingRadius(points), 9);
+      for (const p of points) {
+        expect(p.relationToCircle(circle)).not.toBe('outside');
+      }
+    }
+    // the points on a circle
+    const points = [];
+    for (let i = 0; i < 1000; ++i) {
+      points.push(new Point(3 + 2 * Math.cos(i), 1 + 2 * Math.sin(i)));
+    }
+    const circle = Circle.minimumEnclosingCircleOf(points);
+    expect(circle.center.distance(new Point(3, 1))).toBeLessThan(1e-6);
+    expect(circle.radius).toBeCloseTo(2, 6);
+  });
+
+  test('minimum enclosing circle is reproducible', () => {
+    const points = [];
+    for (let i = 0; i < 200; ++i) {
+      points.push(new Point(Math.cos(i * 7) * 50, Math.sin(i * 3) * 30 + i / 10));
+    }
+    const circle = Circle.minimumEnclosingCircleOf(points);
+    expect(Circle.minimumEnclosingCircleOf(points)).toEqual(circle);
+    // the points could be shuffled by another random number generator
+    const random = jest.fn(Math.random);
+    const other = Circle.minimumEnclosingCircleOf(points, { random });
+    expect(random).toHaveBeenCalledTimes(points.length - 1);
+    expect(other.center.distance(circle.center)).toBeLessThan(1e-9);
+    expect(other.radius).toBeCloseTo(circle.radius, 9);
+  });
+
+  test('largest inscribed circle', () => {
+    const P = (x, y) => new Point(x, y);
+    const square = new Polygon([P(0, 0), P(10, 0), P(10, 10), P(0, 10)]);
+    const inscribed = Circle.largestInscribedCircleOf(square, { precision: 1e-6 });
+    expect(inscribed.radius).toBeCloseTo(5, 5);
+    expect(inscribed.center.distance(P(5, 5))).toBeLessThan(1e-5);
+    // the incircle of a triangle
+    const triangle = new Triangle(P(0, 0), P(4, 0), P(0, 3));
+    const circle = Circle.largestInscribedCircleOf(new Polygon([P(0, 0), P(4, 0), P(0, 3)]), { precision: 1e-6 });
+    expect(circle.radius).toBeCloseTo(Circle.incircleOf(triangle).radius, 5);
+    expect(circle.center.distance(P(1, 1))).toBeLessThan(1e-3);
+    // the centroid of a U shape lies outside it, while the center of the
+    // largest inscribed circle lies inside it
+    const u = new Polygon([P(0, 0), P(10, 0), P(10, 10), P(8, 10), P(8, 2), P(2, 2), P(2, 10), P(0, 10)]);
+    expect(u.centroid().relationToPolygon(u)).toBe('outside');
+    const label = Circle.largestInscribedCircleOf(u);
+    expect(label.center.relationToPolygon(u)).toBe('inside');
+    // the circle at the inner corners of the arms is wider than the arms
+    expect(label.radius).toBeGreaterThan(1);
+    expect(label.radius).toBeCloseTo(distanceToBoundary(label.center, PolygonWithHoles.fromPolygon(u)), 9);
+    // a degenerated polygon
+    expect(Circle.largestInscribedCircleOf(new Polygon([P(0, 0), P(1, 0), P(2, 0)])).radius).toBe(0);
+  });
+
+  test('largest inscribed circle agrees with the sampled distances', () => {
+    const P = (x, y) => new Point(x, y);
+    const polygons = [
+      new PolygonWithHoles(new Polygon([P(0, 0), P(12, 0), P(12, 8), P(0, 8)]),
+        [new Polygon([P(3, 2), P(9, 2), P(9, 6), P(3, 6)])]),
+      PolygonWithHoles.fromPolygon(new Polygon([P(0, 0), P(10, 0), P(10, 2), P(4, 3), P(8, 9),
+        P(1, 7), P(2, 4)])),
+    ];
+    for (const polygon of polygons) {
+      for (const precision of [0.1, 0.01]) {
+        const circle = Circle.largestInscribedCircleOf(polygon, { precision });
+        // the circle lies inside the polygon
+        expect(circle.center.relationToPolygonWithHoles(polygon)).toBe('inside');
+        expect(circle.radius).toBeCloseTo(distanceToBoundary(circle.center, polygon), 9);
+        // no sampled point inside the polygon is farther from the boundary
+        let sampled = 0;
+        for (let x = 0.05; x < 12; x += 0.1) {
+          for (let y = 0.05; y < 9; y += 0.1) {
+            const p = P(x, y);
+            if (p.relationToPolygonWithHoles(polygon) === 'inside') {
+              sampled = Math.max(sampled, distanceToBoundary(p, polygon));
+            }
+          }
+        }
+        expect(circle.radius).toBeGreaterThan(sampled - precision);
+      }
+    }
+  });
+
+  test('largest inscribed circle with an invalid precision', () => {
+    const square = new Polygon([new Point(0, 0), new Point(1, 0), new Point(1, 1), new Point(0, 1)]);
+    expect(() => Circle.largestInscribedCircleOf(square, { precision: 0 })).toThrow(/precision/);
+    expect(() => Circle.largestInscribedCircleOf(square, { precision: -1 })).toThrow(/precision/);
+    expect(() => Circle.largestInscribedCircleOf(square, { precision: NaN })).toThrow(/precision/);
+  });
+
+  test('relations of points', () => {
+    expect(new Point(3, 4).relationToCircle(c)).toBe('on');
+    expect(new Point(1, 1).isInsideCircle(c)).toBe(true);
+    expect(new Point(6, 0).relationToCircle(c)).toBe('outside');
+  });
+
+  test('transform by a similarity transformation', () => {
+    const m = Transform.translation(1, 2).rotate(0.3).scale(2);
+    const result = c.transform(m);
+    expect(result).toBeInstanceOf(Circle);
+    expect(result.center.equals(c.center.transform(m))).toBe(true);
+    expect(result.radius).toBeCloseTo(10);
+    expect(m.applyTo(c).equals(result)).toBe(true);
+    expect(c.translate(new Point(1, 1)).equals(new Circle(new Point(1, 1), 5))).toBe(true);
+  });
+
+  test('transform by other transformations', () => {
+    const result = Transform.scaling(2, 1).applyTo(c);
+    expect(result).toBeInstanceOf(Ellipse);
+    expect(result.center.equals(c.center)).toBe(true);
+    expect([result.radiusX, result.radiusY].sort((a, b) => a - b)).toEqual([5, 10].map((x) => expect.closeTo(x)));
+    expect(() => Transform.scaling(1, 0).applyTo(c)).toThrow();
+  });
+
+  test('JSON round trip', () => {
+    const json = JSON.parse(JSON.stringify(c));
+    expect(Circle.fromJSON(json).equals(c)).toBe(true);
+    expect(() => Circle.fromJSON({ ...json, radius: 'x' })).toThrow();
+  });
+});
@@ -0,0 +1,71 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Polygon from '../src/Polygon';
+
+const coordinatesOf = (polygon) => polygon.vertexes.map((p) => [p.x, p.y]);
+
+const signedAreaOf = (polygon) => polygon.vertexes
+  .reduce((s, p, i, vs) => s + p.cross(vs[(i + 1) % vs.length]), 0) / 2;
+
+/**
+ * Unit test of the `Polygon.convexHull()` function.
+ *
+ * @author Haixing Hu
+ */
+describe('Polygon.convexHull', () => {
+  const points = [
+    new Point(0, 0), new Point(2, 0), new Point(4, 0), new Point(4, 2),
+    new Point(4, 4), new Point(2, 4), new Point(0, 4), new Point(0, 2),
+    new Point(2, 2), new Point(1, 1), new Point(0, 0), new Point(4, 4),
+  ];
+
+  test('drops interior, collinear and duplicated points', () => {
+    const hull = Polygon.convexHull(points);
+    expect(coordinatesOf(hull)).toEqual([[0, 0], [4, 0], [4, 4], [0, 4]]);
+  });
+
+  test('keeps collinear points on the sides if required', () => {
+    const hull = Polygon.convexHull(points, { keepCollinear: true });
+    expect(coordinatesOf(hull)).toEqual([
+      [0, 0], [2, 0], [4, 0], [4, 2], [4, 4], [2, 4], [0, 4], [0, 2],
+    ]);
+  });
+
+  test('does not depend on the order of the points', () => {
+    const reversed = Polygon.convexHull([...points].reverse());
+    expect(coordinatesOf(reversed)).toEqual([[0, 0], [4, 0], [4, 4], [0, 4]]);
+  });
+
+  test('the hull is counter-clockwise and contains all points', () => {
+    const cloud = [];
+    for (let i = 0; i < 50; ++i) {
+      cloud.push(new Point(Math.cos(i * 1.3) * (i % 7), Math.sin(i * 0.7) * (i % 5)));
+    }
+    const hull = Polygon.convexHull(cloud);
+    expect(signedAreaOf(hull)).toBeGreaterThan(0);
+    // the hull turns left at each vertex
+    hull.vertexes.forEach((p, i, vs) => {
+      expect(p.times(vs[(i + 1) % vs.length], vs[(i + 2) % vs.length])).toBeGreaterThan(0);
+    });
+    for (const p of cloud) {
+      expect(p.relationToPolygon(hull)).not.toBe('outside');
+    }
+  });
+
+  test('degenerated inputs', () => {
+    expect(Polygon.convexHull([new Point(0, 0), new Point(1, 0), new Point(0, 1)]).vertexes.length).toBe(3);
+    expect(() => Polygon.convexHull([new Point(0, 0), new Point(1, 1), new Point(2, 2)]))
+      .toThrow(/collinear/);
+    expect(() => Polygon.convexHull([new Point(0, 0), new Point(1, 1), new Point(2, 2)], { keepCollinear: true }))
+      .toThrow(/collinear/);
+    expect(() => Polygon.convexHull([new Point(0, 0), new Point(0, 0), new Point(1, 1)]))
+      .toThrow(/distinct/);
+  });
+});
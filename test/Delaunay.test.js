@@ -0,0 +1,170 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Config from '../src/Config';
+import Point from '../src/Point';
+import Polygon from '../src/Polygon';
+import Rectangle from '../src/Rectangle';
+import { inCircle } from '../src/Predicates';
+import { delaunayTriangulation, voronoiDiagram } from '../src/Delaunay';
+
+/**
+ * Generates pseudo-random points in the square `[0, size)^2`.
+ *
+ * @param {number} n
+ *     the number of points.
+ * @param {number} size
+ *     the size of the square.
+ * @return {Point[]}
+ *     the array of generated points.
+ */
+function randomPoints(n, size) {
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const points = [];
+  for (let i = 0; i < n; ++i) {
+    points.push(new Point(random() * size, random() * size));
+  }
+  return points;
+}
+
+const totalArea = (shapes) => shapes.reduce((s, t) => s + t.area(), 0);
+
+/**
+ * Unit test of the Delaunay triangulation and the Voronoi diagram.
+ *
+ * @author Haixing Hu
+ */
+describe('Delaunay', () => {
+  const points = randomPoints(200, 100);
+  points.push(points[3]);
+
+  afterEach(() => {
+    Config.ROBUST_PREDICATES = false;
+  });
+
+  test('triangles are counter-clockwise with empty circumcircles', () => {
+    const { triangles, vertexIndexes } = delaunayTriangulation(points);
+    const hull = Polygon.convexHull(points);
+    // Euler's formula for the triangulation of the points
+    expect(triangles.length).toBe(2 * 200 - 2 - hull.vertexes.length);
+    expect(totalArea(triangles)).toBeCloseTo(hull.area());
+    for (const v of vertexIndexes) {
+      expect(v).not.toContain(200);
+      const [a, b, c] = v.map((i) => points[i]);
+      expect(a.times(b, c)).toBeGreaterThan(0);
+      for (const p of points) {
+        expect(inCircle(a, b, c, p)).toBeLessThanOrEqual(0);
+      }
+    }
+  });
+
+  test('neighbors are symmetric and share sides', () => {
+    const { vertexIndexes, neighbors } = delaunayTriangulation(points);
+    neighbors.forEach((adjacent, i) => {
+      adjacent.forEach((j, k) => {
+        if (j >= 0) {
+          expect(neighbors[j]).toContain(i);
+          const side = [vertexIndexes[i][(k + 1) % 3], vertexIndexes[i][(k + 2) % 3]];
+          expect(vertexIndexes[j]).toEqual(expect.arrayContaining(side));
+          expect(vertexIndexes[j]).not.toContain(vertexIndexes[i][k]);
+        }
+      });
+    });
+  });
+
+  test('co-circular points of a grid', () => {
+    const grid = [];
+    for (let i = 0; i < 5; ++i) {
+      for (let j = 0; j < 5; ++j) {
+        grid.push(new Point(i, j));
+      }
+    }
+    const { triangles } = delaunayTriangulation(grid);
+    expect(triangles.length).toBe(32);
+    expect(totalArea(triangles)).toBeCloseTo(16);
+    const cells = voronoiDiagram(grid, new Rectangle(-1, 5, 7, 7));
+    expect(totalArea(cells)).toBeCloseTo(49);
+    expect(cells[12].area()).toBeCloseTo(1);
+  });
+
+  test('many points', () => {
+    const many = randomPoints(5000, 1000);
+    const { vertexIndexes, neighbors } = delaunayTriangulation(many);
+    const used = new Set(vertexIndexes.flat());
+    expect(used.size).toBe(5000);
+    // the local Delaunay property of every pair of adjacent triangles
+    vertexIndexes.forEach((v, i) => {
+      const [a, b, c] = v.map((k) => many[k]);
+      neighbors[i].forEach((j) => {
+        if (j >= 0) {
+          const opposite = vertexIndexes[j].find((k) => !v.includes(k));
+          expect(inCircle(a, b, c, many[opposite])).toBeLessThanOrEqual(0);
+        }
+      });
+    });
+  });
+
+  test('degenerated inputs', () => {
+    expect(delaunayTriangulation([]).triangles).toEqual([]);
+    expect(delaunayTriangulation([new Point(0, 0), new Point(1, 1)]).triangles).toEqual([]);
+    const collinear = [new Point(0, 0), new Point(1, 1), new Point(2, 2)];
+    expect(delaunayTriangulation(collinear).triangles).toEqual([]);
+    const duplicated = [new Point(0, 0), new Point(1, 0), new Point(0, 0), new Point(0, 1)];
+    const { vertexIndexes } = delaunayTriangulation(duplicated);
+    expect(vertexIndexes.length).toBe(1);
+    expect([...vertexIndexes[0]].sort()).toEqual([0, 1, 3]);
+  });
+
+  test('nearly collinear points', () => {
+    // the circumcircles of the triangles are much larger than the extent of
+    // the points, which must not lose the triangles on the convex hull
+    const parabolas = [
+      (i) => new Point(i * 10, -0.001 * (i - 10) ** 2),
+      (i) => new Point(i * 10, -0.0001 * (i - 10) ** 2),
+      (i) => new Point(i, 0.0001 * (i - 10) ** 2),
+      (i) => new Point(0.0001 * (i - 10) ** 2, i),
+    ];
+    for (const robust of [false, true]) {
+      Config.ROBUST_PREDICATES = robust;
+      for (const parabola of parabolas) {
+        const curve = Array.from({ length: 20 }, (_, i) => parabola(i));
+        const { triangles, vertexIndexes } = delaunayTriangulation(curve);
+        expect(triangles.length).toBe(curve.length - 2);
+        expect(totalArea(triangles)).toBeCloseTo(Polygon.convexHull(curve).area(), 9);
+        // the circumcircles are empty under the exact predicates
+        if (robust) {
+          for (const v of vertexIndexes) {
+            const [a, b, c] = v.map((i) => curve[i]);
+            for (const p of curve) {
+              expect(inCircle(a, b, c, p)).toBeLessThanOrEqual(0);
+            }
+          }
+        }
+      }
+    }
+  });
+
+  test('Voronoi cells partition the bounds', () => {
+    const cells = voronoiDiagram(points, new Rectangle(0, 100, 100, 100));
+    expect(totalArea(cells.slice(0, 200))).toBeCloseTo(10000);
+    expect(cells[200]).toBe(cells[3]);
+    cells.slice(0, 200).forEach((cell, i) => {
+      expect(points[i].relationToPolygon(cell)).not.toBe('outside');
+    });
+  });
+
+  test('Voronoi cells of collinear points', () => {
+    const collinear = [new Point(0, 0), new Point(1, 0), new Point(2, 0)];
+    const cells = voronoiDiagram(collinear, new Rectangle(-1, 1, 4, 2));
+    expect(cells.map((c) => c.area())).toEqual([3, 2, 3].map((x) => expect.closeTo(x)));
+  });
+});
@@ -0,0 +1,121 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Ellipse from '../src/Ellipse';
+import Transform from '../src/Transform';
+
+/**
+ * Unit test of the `Ellipse` class.
+ *
+ * @author Haixing Hu
+ */
+describe('Ellipse', () => {
+  const e = new Ellipse(new Point(0, 0), 2, 1);
+
+  test('area and perimeter', () => {
+    expect(e.area()).toBeCloseTo(2 * Math.PI, 12);
+    expect(new Ellipse(new Point(0, 0), 1, 1).perimeter()).toBeCloseTo(2 * Math.PI, 12);
+    expect(e.perimeter()).toBeCloseTo(9.688448220547675, 9);
+    // an eccentric ellipse, compared with a fine inscribed polygon
+    const thin = new Ellipse(new Point(0, 0), 100, 1);
+    expect(thin.perimeter()).toBeCloseTo(thin.toPolygon(1e-6).perimeter(), 3);
+    expect(e.arcLength(0, Math.PI / 2) * 4).toBeCloseTo(e.perimeter(), 9);
+    expect(e.arcLength(Math.PI / 2, 0)).toBeCloseTo(e.arcLength(0, Math.PI / 2), 12);
+  });
+
+  test('invalid radii', () => {
+    expect(() => new Ellipse(new Point(0, 0), 0, 1)).toThrow(/positive/);
+    expect(() => new Ellipse(new Point(0, 0), 1, -1)).toThrow(/positive/);
+    expect(() => new Ellipse(new Point(0, 0), 1, NaN)).toThrow(/positive/);
+    expect(() => new Ellipse(new Point(0, 0), 1, 1, 30, 'nowhere')).toThrow(/rotation origin/);
+  });
+
+  test('rotation and anchor points', () => {
+    const r = new Ellipse(new Point(0, 0), 2, 1, 90);
+    const p = r.pointAt(0);
+    expect(p.x).toBeCloseTo(0, 12);
+    expect(p.y).toBeCloseTo(2, 12);
+    expect(r.boundingBox().width).toBeCloseTo(2, 12);
+    expect(r.boundingBox().height).toBeCloseTo(4, 12);
+    // rotates around the middle-left anchor point
+    const m = new Ellipse(new Point(0, 0), 2, 1, 90, 'middle-left');
+    expect(m.center.x).toBeCloseTo(-2, 12);
+    expect(m.center.y).toBeCloseTo(2, 12);
+    expect(m.anchorPoint('middle-left').equals(new Point(-2, 0))).toBe(true);
+    expect(() => m.anchorPoint('nowhere')).toThrow(/anchor/);
+  });
+
+  test('relation to points', () => {
+    expect(new Point(1, 0).relationToEllipse(e)).toBe('inside');
+    expect(new Point(2, 0).relationToEllipse(e)).toBe('on');
+    expect(new Point(0, 1.5).relationToEllipse(e)).toBe('outside');
+    expect(new Point(0, 0).isInsideEllipse(e)).toBe(true);
+    const r = new Ellipse(new Point(3, 1), 2, 1, 30);
+    for (let i = 0; i < 12; ++i) {
+      const p = r.pointAt(i);
+      expect(p.relationToEllipse(r)).toBe('on');
+      expect(r.angleOf(p)).toBeCloseTo(Math.atan2(Math.sin(i), Math.cos(i)), 9);
+    }
+  });
+
+  test('intersections with lines', () => {
+    const ps = e.crossPointsWithLine(new Line(new Point(-5, 0), new Point(5, 0)));
+    expect(ps.length).toBe(2);
+    expect(ps[0].x).toBeCloseTo(-2, 12);
+    expect(ps[1].x).toBeCloseTo(2, 12);
+    // the points are ordered along the line
+    const back = e.crossPointsWithLine(new Line(new Point(5, 0), new Point(-5, 0)));
+    expect(back[0].x).toBeCloseTo(2, 12);
+    const tangent = e.crossPointsWithLine(new Line(new Point(-5, 1), new Point(5, 1)));
+    expect(tangent.length).toBe(1);
+    expect(tangent[0].x).toBeCloseTo(0, 12);
+    expect(e.crossPointsWithLine(new Line(new Point(-5, 2), new Point(5, 2)))).toEqual([]);
+    expect(e.crossPointsWithLineSegment(new Line(new Point(0, 0), new Point(5, 0))).length).toBe(1);
+  });
+
+  test('transformations', () => {
+    const r = new Ellipse(new Point(0, 0), 2, 1, 90);
+    expect(e.rotate(new Point(0, 0), Math.PI / 2).equals(r)).toBe(true);
+    expect(e.translate(new Point(1, 2)).center.equals(new Point(1, 2))).toBe(true);
+    const s = e.transform(Transform.scaling(2, 3));
+    expect(s.area()).toBeCloseTo(12 * Math.PI, 9);
+    // the image of each point lies on the image of the ellipse
+    const m = Transform.skewing(0.4).rotate(0.3).translate(1, -2).scale(1.5, 0.5);
+    const t = new Ellipse(new Point(3, 1), 2, 1, 30).transform(m);
+    for (let i = 0; i < 12; ++i) {
+      const p = new Ellipse(new Point(3, 1), 2, 1, 30).pointAt(i).transform(m);
+      expect(p.relationToEllipse(t)).toBe('on');
+    }
+    expect(() => e.transform(Transform.scaling(0, 1))).toThrow(/singular/);
+  });
+
+  test('flatten', () => {
+    const polygon = e.toPolygon(0.01);
+    expect(polygon.area()).toBeCloseTo(e.area(), 1);
+    expect(polygon.signedArea()).toBeGreaterThan(0);
+    // the middle points of the sides are inside the ellipse and within the
+    // tolerance from it, measured along the minor radius in the worst case
+    polygon.vertexes.forEach((v, i) => {
+      const mid = new Line(v, polygon.vertexes[(i + 1) % polygon.vertexes.length]).center();
+      expect(v.relationToEllipse(e)).toBe('on');
+      expect(e.toUnitCircle(mid).norm()).toBeLessThanOrEqual(1);
+      expect(1 - e.toUnitCircle(mid).norm()).toBeLessThan(0.01);
+    });
+    expect(new Ellipse(new Point(0, 0), 1, 1).toPolygon(100).vertexes.length).toBeGreaterThanOrEqual(3);
+    expect(() => e.flattenArc(0, 1, 0)).toThrow(/tolerance/);
+  });
+
+  test('JSON', () => {
+    const r = new Ellipse(new Point(1, 2), 3, 1, 30, 'top-left', 'down');
+    const back = Ellipse.fromJSON(JSON.parse(JSON.stringify(r)));
+    expect(back.equals(r)).toBe(true);
+    expect(back.anchorPoint('top-left').equals(r.anchorPoint('top-left'))).toBe(true);
+  });
+});
@@ -0,0 +1,156 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Polygon from '../src/Polygon';
+import Polyline from '../src/Polyline';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import MultiPolygon from '../src/MultiPolygon';
+import Rectangle from '../src/Rectangle';
+import Circle from '../src/Circle';
+import { toGeoJSON, fromGeoJSON } from '../src/GeoJson';
+import { toWKT, parseWKT } from '../src/Wkt';
+import { toWKB, parseWKB } from '../src/Wkb';
+
+/**
+ * Unit test of the `GeoJson` module, together with the round trips through
+ * the `Wkt` and `Wkb` modules.
+ *
+ * @author Haixing Hu
+ */
+describe('GeoJson', () => {
+  const p = new Point(1, 2);
+  const square = new Polygon([new Point(0, 0), new Point(4, 0), new Point(4, 4), new Point(0, 4)]);
+  const hole = new Polygon([new Point(1, 1), new Point(1, 2), new Point(2, 2)]);
+  const polyline = new Polyline([new Point(0, 0), new Point(1, 1), new Point(2, 0)]);
+  const line = new Line(new Point(0, 0), new Point(3, 1));
+
+  const viaGeoJSON = (v) => fromGeoJSON(JSON.parse(JSON.stringify(toGeoJSON(v))));
+  const viaWKT = (v) => parseWKT(toWKT(v));
+  const viaWKB = (v) => parseWKB(toWKB(v));
+  const viaWKBHex = (v) => parseWKB(toWKB(v, { littleEndian: false, hex: true }));
+  const conversions = [viaGeoJSON, viaWKT, viaWKB, viaWKBHex];
+
+  test('round trip of every geometry type', () => {
+    const shapes = [
+      p,
+      line,
+      polyline,
+      square,
+      new PolygonWithHoles(square, [hole]),
+      [p, new Point(3, 4)],
+      [line, polyline],
+      [square, new PolygonWithHoles(square, [hole])],
+      [p, line, polyline, square],
+    ];
+    for (const convert of conversions) {
+      for (const shape of shapes) {
+        const back = convert(shape);
+        expect(toGeoJSON(back)).toEqual(toGeoJSON(shape));
+      }
+    }
+  });
+
+  test('LineString is read back as a Line or a Polyline', () => {
+    for (const convert of conversions) {
+      const l = convert(line);
+      expect(l).toBeInstanceOf(Line);
+      expect(l).toEqual(line);
+      const pl = convert(polyline);
+      expect(pl).toBeInstanceOf(Polyline);
+      expect(pl.equals(polyline)).toBe(true);
+    }
+    expect(parseWKT('LINESTRING (0 0, 1 1, 2 0)')).toBeInstanceOf(Polyline);
+    expect(toWKT(parseWKT('LINESTRING (0 0, 1 1, 2 0)'))).toBe('LINESTRING (0 0, 1 1, 2 0)');
+  });
+
+  test('Polygon is read back as a Polygon or a PolygonWithHoles', () => {
+    for (const convert of conversions) {
+      expect(convert(square)).toBeInstanceOf(Polygon);
+      const withHoles = convert(new PolygonWithHoles(square, [hole]));
+      expect(withHoles).toBeInstanceOf(PolygonWithHoles);
+      expect(withHoles.outer.area()).toBe(16);
+      expect(withHoles.holes.length).toBe(1);
+    }
+  });
+
+  test('MultiPolygon and Rectangle are written as polygons', () => {
+    const multi = new MultiPolygon([square, new PolygonWithHoles(square, [hole])]);
+    expect(toGeoJSON(multi).type).toBe('MultiPolygon');
+    expect(toWKT(multi)).toBe(toWKT([square, new PolygonWithHoles(square, [hole])]));
+    const rect = toGeoJSON(new Rectangle(0, 0, 2, 1));
+    expect(rect.type).toBe('Polygon');
+    expect(rect.coordinates[0].length).toBe(5);
+  });
+
+  test('empty collections keep their types', () => {
+    const texts = [
+      'MULTIPOINT EMPTY',
+      'MULTILINESTRING EMPTY',
+      'MULTIPOLYGON EMPTY',
+      'GEOMETRYCOLLECTION EMPTY',
+    ];
+    for (const text of texts) {
+      expect(toWKT(parseWKT(text))).toBe(text);
+      expect(toWKT(parseWKB(toWKB(parseWKT(text))))).toBe(text);
+      expect(toWKT(viaGeoJSON(parseWKT(text)))).toBe(text);
+    }
+    const fc = { type: 'FeatureCollection', features: [] };
+    expect(toGeoJSON(fromGeoJSON(fc))).toEqual(fc);
+    expect(toWKT([])).toBe('GEOMETRYCOLLECTION EMPTY');
+    expect(toGeoJSON([])).toEqual({ type: 'GeometryCollection', geometries: [] });
+  });
+
+  test('collections keep their types as long as the members fit', () => {
+    const gc = { type: 'GeometryCollection', geometries: [{ type: 'Point', coordinates: [1, 2] }] };
+    expect(toGeoJSON(fromGeoJSON(gc))).toEqual(gc);
+    expect(toWKT(parseWKT('GEOMETRYCOLLECTION (POINT (1 2))'))).toBe('GEOMETRYCOLLECTION (POINT (1 2))');
+    const points = fromGeoJSON({ type: 'MultiPoint', coordinates: [[1, 2]] });
+    expect(Object.keys(points)).toEqual(['0']);
+    points.push(square);
+    expect(toGeoJSON(points).type).toBe('GeometryCollection');
+  });
+
+  test('features', () => {
+    const fc = toGeoJSON([{ geometry: p, properties: { a: 1 }, id: 7 }, { geometry: [square, square] }]);
+    expect(fc.type).toBe('FeatureCollection');
+    expect(fc.features[1].geometry.type).toBe('MultiPolygon');
+    expect(fc.features[1].properties).toBe(null);
+    const back = fromGeoJSON(JSON.parse(JSON.stringify(fc)));
+    expect(back[0]).toEqual({ geometry: p, properties: { a: 1 }, id: 7 });
+    expect(back[1].geometry.length).toBe(2);
+    expect(toGeoJSON(back)).toEqual(fc);
+    expect(toGeoJSON({ geometry: null })).toEqual({ type: 'Feature', geometry: null, properties: null });
+    expect(() => toWKT({ geometry: p })).toThrow();
+  });
+
+  test('rings are arranged as required by RFC 7946', () => {
+    const cw = new Polygon([...square.vertexes].reverse());
+    const ccwHole = new Polygon([...hole.vertexes].reverse());
+    const g = toGeoJSON({ outer: cw, holes: [ccwHole] });
+    const ringOf = (coordinates) => new Polygon(coordinates.slice(0, -1).map(([x, y]) => new Point(x, y)));
+    expect(ringOf(g.coordinates[0]).signedArea()).toBe(16);
+    expect(ringOf(g.coordinates[1]).signedArea()).toBeLessThan(0);
+    expect(g.coordinates[0][0]).toEqual(g.coordinates[0][4]);
+    expect(g.coordinates[1][0]).toEqual(g.coordinates[1][3]);
+  });
+
+  test('invalid or unsupported geometries', () => {
+    expect(() => fromGeoJSON({ type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 1]]] }))
+      .toThrow(/closed/);
+    expect(() => fromGeoJSON({ type: 'Point', coordinates: [1] })).toThrow(/position/);
+    expect(() => fromGeoJSON({ type: 'LineString', coordinates: [[0, 0]] })).toThrow();
+    expect(() => fromGeoJSON({ type: 'Foo' })).toThrow(/Unsupported/);
+    expect(() => fromGeoJSON(null)).toThrow(/Invalid/);
+    expect(() => fromGeoJSON({ type: 'FeatureCollection', features: [{ type: 'Point' }] }))
+      .toThrow(/feature/);
+    expect(() => toGeoJSON(new Circle(p, 1))).toThrow(/Unsupported/);
+    expect(() => toGeoJSON(new Line(p, new Point(2, 2), 'ray'))).toThrow(/unbounded/);
+  });
+});
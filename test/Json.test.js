@@ -0,0 +1,87 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Triangle from '../src/Triangle';
+import Polygon from '../src/Polygon';
+import Polyline from '../src/Polyline';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import MultiPolygon from '../src/MultiPolygon';
+import Rectangle from '../src/Rectangle';
+import Circle from '../src/Circle';
+import Ellipse from '../src/Ellipse';
+import Arc from '../src/Arc';
+import Transform from '../src/Transform';
+import QuadraticBezier from '../src/QuadraticBezier';
+import CubicBezier from '../src/CubicBezier';
+import { fromJSON } from '../src/Json';
+
+/**
+ * Unit test of the `Json` module.
+ *
+ * @author Haixing Hu
+ */
+describe('Json', () => {
+  const roundTrip = (shape) => fromJSON(JSON.parse(JSON.stringify(shape)));
+  const p = new Point(1, 2);
+  const q = new Point(3, 4);
+  const r = new Point(0, 5);
+  const square = new Polygon([new Point(0, 0), new Point(4, 0), new Point(4, 4), new Point(0, 4)]);
+  const hole = new Polygon([new Point(1, 1), new Point(1, 2), new Point(2, 2)]);
+  const shift = new Point(10, 0);
+
+  test('round trip of every class of shapes', () => {
+    const shapes = [
+      p,
+      new Line(p, q),
+      new Line(p, q, 'ray'),
+      new Triangle(p, q, r),
+      new Polygon([p, q, r]),
+      new Polyline([p, q, r]),
+      new PolygonWithHoles(square, [hole]),
+      new MultiPolygon([square, new PolygonWithHoles(square.translate(shift), [hole.translate(shift)])]),
+      new Circle(p, 3),
+      new Ellipse(p, 3, 2, 0.5),
+      new Arc(new Ellipse(p, 3, 2), 0.1, 2),
+      new Transform(1, 2, 3, 4, 5, 6),
+      new QuadraticBezier(p, q, r),
+      new CubicBezier(p, q, r, new Point(6, 1)),
+    ];
+    for (const shape of shapes) {
+      const back = roundTrip(shape);
+      expect(back).toBeInstanceOf(shape.constructor);
+      expect(back).toEqual(shape);
+    }
+  });
+
+  test('round trip of a rectangle', () => {
+    const rect = new Rectangle(1, 2, 3, 4, 2, 30, 'top-left', new Point(5, 6), 'down');
+    const back = roundTrip(rect);
+    expect(back).toBeInstanceOf(Rectangle);
+    for (const key of ['topLeft', 'topRight', 'bottomLeft', 'bottomRight', 'center']) {
+      expect(back[key].equals(rect[key])).toBe(true);
+    }
+  });
+
+  test('round trip of an array of shapes', () => {
+    const back = roundTrip([p, new Circle(q, 1)]);
+    expect(back[0]).toEqual(p);
+    expect(back[1]).toEqual(new Circle(q, 1));
+  });
+
+  test('invalid JSON', () => {
+    expect(() => fromJSON({ type: 'Point', version: 2, x: 1, y: 2 })).toThrow(/version/);
+    expect(() => fromJSON({ type: 'Point', version: 1, x: 'a', y: 2 })).toThrow(/finite/);
+    expect(() => Line.fromJSON({ type: 'Point', version: 1, x: 1, y: 2 })).toThrow(/Expect/);
+    expect(() => fromJSON({ type: 'Foo' })).toThrow(/Unsupported/);
+    expect(() => fromJSON({ type: 'toString' })).toThrow(/Unsupported/);
+    expect(() => fromJSON(null)).toThrow(/Unsupported/);
+    expect(() => fromJSON(3)).toThrow(/Unsupported/);
+  });
+});
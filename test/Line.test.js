@@ -0,0 +1,250 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Polygon from '../src/Polygon';
+import Transform from '../src/Transform';
+
+/**
+ * Gets the points sampled along a line, where a ray or an infinite line is
+ * sampled within the specified range of its parameter.
+ */
+function sample(line, range = 20) {
+  const from = (line.kind === 'line' ? -range : 0);
+  const to = (line.kind === 'segment' ? 1 : range);
+  const d = line.vector();
+  const points = [];
+  for (let i = 0; i <= 4000; ++i) {
+    const t = from + ((to - from) * i) / 4000;
+    points.push(new Point(line.start.x + d.x * t, line.start.y + d.y * t));
+  }
+  return points;
+}
+
+/**
+ * Unit test of the `Line` class.
+ *
+ * @author Haixing Hu
+ */
+describe('Line', () => {
+  const P = (x, y) => new Point(x, y);
+  const segment = new Line(P(0, 0), P(2, 0));
+  const ray = Line.ray(P(0, 0), P(2, 0));
+  const line = Line.infinite(P(0, 0), P(2, 0));
+
+  test('kinds', () => {
+    expect(segment.kind).toBe('segment');
+    expect(ray.kind).toBe('ray');
+    expect(line.kind).toBe('line');
+    expect(() => new Line(P(0, 0), P(1, 0), 'curve')).toThrow(/Unknown kind/);
+    expect(segment.length()).toBe(2);
+    expect(ray.length()).toBe(Infinity);
+    expect(line.length()).toBe(Infinity);
+    expect(segment.endPoints()).toEqual([P(0, 0), P(2, 0)]);
+    expect(ray.endPoints()).toEqual([P(0, 0)]);
+    expect(line.endPoints()).toEqual([]);
+    // the transformations keep the kind
+    expect(ray.transform(Transform.rotation(1)).kind).toBe('ray');
+    expect(line.transform(Transform.scaling(2, 3)).kind).toBe('line');
+  });
+
+  test('containsPoint', () => {
+    for (const [p, expected] of [
+      [P(1, 0), [true, true, true]],
+      [P(0, 0), [true, true, true]],
+      [P(5, 0), [false, true, true]],
+      [P(-1, 0), [false, false, true]],
+      [P(1, 1e-3), [false, false, false]],
+    ]) {
+      expect([segment, ray, line].map((l) => l.containsPoint(p))).toEqual(expected);
+    }
+    const point = new Line(P(1, 1), P(1, 1), 'line');
+    expect(point.containsPoint(P(1, 1))).toBe(true);
+    expect(point.containsPoint(P(2, 2))).toBe(false);
+  });
+
+  test('projection and distance to points', () => {
+    expect(segment.nearestPointTo(P(5, 3))).toEqual(P(2, 0));
+    expect(ray.nearestPointTo(P(5, 3))).toEqual(P(5, 0));
+    expect(line.nearestPointTo(P(5, 3))).toEqual(P(5, 0));
+    expect(segment.nearestPointTo(P(-3, 4))).toEqual(P(0, 0));
+    expect(ray.nearestPointTo(P(-3, 4))).toEqual(P(0, 0));
+    expect(line.nearestPointTo(P(-3, 4))).toEqual(P(-3, 0));
+    expect(segment.distanceToPoint(P(-3, 4))).toBe(5);
+    expect(ray.distanceToPoint(P(-3, 4))).toBe(5);
+    expect(line.distanceToPoint(P(-3, 4))).toBe(4);
+    expect(new Line(P(1, 1), P(1, 1)).distanceToPoint(P(4, 5))).toBe(5);
+  });
+
+  test('intersections', () => {
+    const crossing = new Line(P(5, -1), P(5, 1));
+    expect(segment.isIntersectWith(crossing)).toBe(false);
+    expect(ray.isIntersectWith(crossing)).toBe(true);
+    expect(line.isIntersectWith(crossing)).toBe(true);
+    const behind = new Line(P(-5, -1), P(-5, 1));
+    expect(ray.isIntersectWith(behind)).toBe(false);
+    expect(line.isIntersectWith(behind)).toBe(true);
+    // the kind of the other line matters too
+    expect(segment.isIntersectWith(Line.ray(P(5, 1), P(3, 0.5)))).toBe(true);
+    expect(segment.isIntersectWith(Line.ray(P(5, 1), P(6, 0.5)))).toBe(false);
+    // collinear lines
+    expect(segment.isIntersectWith(new Line(P(3, 0), P(4, 0)))).toBe(false);
+    expect(segment.isIntersectWith(new Line(P(2, 0), P(4, 0)))).toBe(true);
+    expect(ray.isIntersectWith(new Line(P(3, 0), P(4, 0)))).toBe(true);
+    expect(ray.isIntersectWith(Line.ray(P(-1, 0), P(-2, 0)))).toBe(false);
+    expect(ray.isIntersectWith(Line.ray(P(-1, 0), P(0, 0)))).toBe(true);
+    expect(line.isIntersectWith(new Line(P(-9, 0), P(-8, 0)))).toBe(true);
+    expect(line.isIntersectWith(Line.infinite(P(0, 1), P(1, 1)))).toBe(false);
+    // touching at an end point
+    expect(segment.isIntersectWith(new Line(P(2, 0), P(3, 3)))).toBe(true);
+  });
+
+  test('distance between lines', () => {
+    // two far-apart segments whose carrier lines are not parallel
+    const a = new Line(P(0, 0), P(1, 0));
+    const b = new Line(P(10, -1), P(11, 5));
+    expect(a.distanceToLine(b)).toBeCloseTo(b.distanceToPoint(P(1, 0)), 12);
+    expect(a.distanceToLine(b)).toBeGreaterThan(9);
+    expect(Line.infinite(a.start, a.end).distanceToLine(b)).toBe(0);
+    expect(Line.ray(a.start, a.end).distanceToLine(b)).toBe(0);
+    expect(Line.ray(a.end, a.start).distanceToLine(b)).toBeCloseTo(b.distanceToPoint(P(1, 0)), 12);
+    // parallel lines
+    expect(line.distanceToLine(Line.infinite(P(0, 3), P(1, 3)))).toBe(3);
+    expect(segment.distanceToLine(new Line(P(5, 4), P(6, 4)))).toBe(5);
+    expect(ray.distanceToLine(new Line(P(5, 4), P(6, 4)))).toBe(4);
+    expect(segment.distanceToLine(segment)).toBe(0);
+  });
+
+  test('distance between lines agrees with the sampled distance', () => {
+    let seed = 5;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return 10 * (seed / 2147483647) - 5;
+    };
+    const kinds = ['segment', 'ray', 'line'];
+    for (let round = 0; round < 60; ++round) {
+      const a = new Line(P(random(), random()), P(random(), random()), kinds[round % 3]);
+      const b = new Line(P(random(), random()), P(random(), random()), kinds[Math.floor(round / 3) % 3]);
+      const expected = Math.min(...sample(a).map((p) => b.distanceToPoint(p)));
+      const d = a.distanceToLine(b);
+      expect(d).toBeCloseTo(b.distanceToLine(a), 9);
+      // the sampled distance is an upper bound, and is close to the distance
+      // unless the closest points are beyond the sampled range
+      expect(d).toBeLessThanOrEqual(expected + 1e-9);
+      if (a.kind === 'segment') {
+        expect(d).toBeCloseTo(expected, 2);
+      }
+      expect(d === 0).toBe(a.isIntersectWith(b));
+    }
+  });
+
+  test('intersection of line segments', () => {
+    const a = new Line(P(0, 0), P(4, 0));
+    const crossing = a.intersectionWithLineSegment(new Line(P(1, -1), P(1, 3)));
+    expect(crossing).toEqual({ type: 'point', point: P(1, 0), t: 0.25, u: 0.25 });
+    expect(a.intersectionWithLineSegment(new Line(P(5, -1), P(5, 1)))).toEqual({ type: 'none' });
+    expect(a.intersectionWithLineSegment(new Line(P(0, 1), P(4, 1)))).toEqual({ type: 'none' });
+    // the end point itself is returned if the segments touch at it
+    const other = new Line(P(4, 0), P(6, 2));
+    const touching = a.intersectionWithLineSegment(other);
+    expect(touching.point).toBe(a.end);
+    expect(touching.t).toBe(1);
+    expect(touching.u).toBe(0);
+    const nearly = a.intersectionWithLineSegment(new Line(P(2, 1e-10), P(2, 5)));
+    expect(nearly.point).toEqual(P(2, 1e-10));
+    expect(nearly.u).toBe(0);
+    // a degenerated segment is treated as a point
+    expect(a.intersectionWithLineSegment(new Line(P(3, 0), P(3, 0))).type).toBe('point');
+    expect(a.intersectionWithLineSegment(new Line(P(3, 1), P(3, 1))).type).toBe('none');
+  });
+
+  test('overlap of collinear line segments', () => {
+    const a = new Line(P(0, 0), P(4, 0));
+    const overlap = a.intersectionWithLineSegment(new Line(P(6, 0), P(2, 0)));
+    expect(overlap.type).toBe('overlap');
+    // the overlap has the same direction as the first segment
+    expect(overlap.line).toEqual(new Line(P(2, 0), P(4, 0)));
+    expect(overlap.t).toEqual([0.5, 1]);
+    expect(overlap.u).toEqual([1, 0.5]);
+    const inner = a.intersectionWithLineSegment(new Line(P(1, 0), P(3, 0)));
+    expect(inner.line).toEqual(new Line(P(1, 0), P(3, 0)));
+    expect(inner.u).toEqual([0, 1]);
+    const same = a.intersectionWithLineSegment(new Line(a.end, a.start));
+    expect(same.line).toEqual(a);
+    expect(same.u).toEqual([1, 0]);
+    // the collinear segments touching at an end point intersect at the point
+    expect(a.intersectionWithLineSegment(new Line(P(4, 0), P(5, 0))))
+      .toEqual({ type: 'point', point: P(4, 0), t: 1, u: 0 });
+    expect(a.intersectionWithLineSegment(new Line(P(5, 0), P(7, 0)))).toEqual({ type: 'none' });
+    // the overlap of the slanted segments
+    const slanted = new Line(P(0, 0), P(3, 3)).intersectionWithLineSegment(new Line(P(2, 2), P(5, 5)));
+    expect(slanted.line).toEqual(new Line(P(2, 2), P(3, 3)));
+    expect(slanted.t[0]).toBeCloseTo(2 / 3, 12);
+    expect(slanted.u).toEqual([0, 1 / 3]);
+  });
+
+  test('intersection of line segments agrees with the other predicates', () => {
+    let seed = 3;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return Math.round(8 * (seed / 2147483647));
+    };
+    for (let round = 0; round < 500; ++round) {
+      const a = new Line(P(random(), random()), P(random(), random()));
+      const b = new Line(P(random(), random()), P(random(), random()));
+      const result = a.intersectionWithLineSegment(b);
+      expect(result.type !== 'none').toBe(a.isIntersectWithLineSegment(b));
+      expect(result.type !== 'none').toBe(a.isIntersectWith(b));
+      if (result.type === 'point') {
+        const { point, t, u } = result;
+        expect(point.distanceToLineSegment(a)).toBeLessThan(1e-9);
+        expect(point.distanceToLineSegment(b)).toBeLessThan(1e-9);
+        expect(P(a.start.x + a.vector().x * t, a.start.y + a.vector().y * t).distance(point)).toBeLessThan(1e-9);
+        expect(P(b.start.x + b.vector().x * u, b.start.y + b.vector().y * u).distance(point)).toBeLessThan(1e-9);
+      } else if (result.type === 'overlap') {
+        const { line, t, u } = result;
+        expect(line.length()).toBeGreaterThan(0);
+        expect(line.vector().dot(a.vector())).toBeGreaterThan(0);
+        expect(t[0]).toBeLessThan(t[1]);
+        for (const p of [line.start, line.end, line.center()]) {
+          expect(p.isOnLineSegment(a)).toBe(true);
+          expect(p.isOnLineSegment(b)).toBe(true);
+        }
+        expect(Math.abs(u[1] - u[0]) * b.length()).toBeCloseTo(line.length(), 9);
+      }
+    }
+  });
+
+  test('relation of points to polygons', () => {
+    // the horizontal ray from a point passes through the vertexes of the
+    // diamond and along the horizontal sides of the steps
+    const diamond = new Polygon([P(0, -2), P(2, 0), P(0, 2), P(-2, 0)]);
+    expect(P(0, 0).relationToPolygon(diamond)).toBe('inside');
+    expect(P(3, 0).relationToPolygon(diamond)).toBe('outside');
+    expect(P(-2, 0).relationToPolygon(diamond)).toBe('on');
+    const steps = new Polygon([P(0, 0), P(4, 0), P(4, 1), P(3, 1), P(3, 2), P(2, 2), P(2, 1),
+      P(1, 1), P(1, 2), P(0, 2)]);
+    expect(P(3.5, 1).relationToPolygon(steps)).toBe('on');
+    expect(P(5, 1).relationToPolygon(steps)).toBe('outside');
+    expect(P(2.5, 1).relationToPolygon(steps)).toBe('inside');
+    expect(P(1.5, 1).relationToPolygon(steps)).toBe('on');
+    expect(P(1.5, 1.5).relationToPolygon(steps)).toBe('outside');
+    expect(P(2.5, 1.5).relationToPolygon(steps)).toBe('inside');
+  });
+
+  test('JSON', () => {
+    for (const l of [segment, ray, line]) {
+      const back = Line.fromJSON(JSON.parse(JSON.stringify(l)));
+      expect(back).toEqual(l);
+    }
+    const { kind, ...json } = ray.toJSON();
+    expect(kind).toBe('ray');
+    expect(Line.fromJSON(json).kind).toBe('segment');
+  });
+});
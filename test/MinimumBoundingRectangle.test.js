@@ -0,0 +1,158 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Polygon from '../src/Polygon';
+import Rectangle from '../src/Rectangle';
+
+/**
+ * Gets the corners of a rectangle, arranged in the order along its sides.
+ */
+function cornersOf(rect) {
+  return [rect.topLeft, rect.topRight, rect.bottomRight, rect.bottomLeft];
+}
+
+/**
+ * Calculates the smallest area and perimeter of the bounding rectangles of
+ * the points, whose sides are parallel or perpendicular to the line passing
+ * through any pair of the points, which include the sides of the convex hull.
+ */
+function bruteForceBounds(points) {
+  let area = Infinity;
+  let perimeter = Infinity;
+  for (let i = 0; i < points.length; ++i) {
+    for (let j = i + 1; j < points.length; ++j) {
+      const d = points[j].subtract(points[i]);
+      const len = d.norm();
+      if (len > 0) {
+        const along = points.map((p) => p.dot(d) / len);
+        const across = points.map((p) => p.cross(d) / len);
+        const w = Math.max(...along) - Math.min(...along);
+        const h = Math.max(...across) - Math.min(...across);
+        area = Math.min(area, w * h);
+        perimeter = Math.min(perimeter, 2 * (w + h));
+      }
+    }
+  }
+  return { area, perimeter };
+}
+
+/**
+ * Unit test of the `Rectangle.minimumBoundingRectangle()` function.
+ *
+ * @author Haixing Hu
+ */
+describe('Rectangle.minimumBoundingRectangle', () => {
+  const P = (x, y) => new Point(x, y);
+  const rotated = (w, h, degrees) => {
+    const angle = (degrees * Math.PI) / 180;
+    return new Polygon([P(0, 0), P(w, 0), P(w, h), P(0, h)]).rotate(P(1, 2), angle);
+  };
+
+  test('rotated rectangles are fitted exactly', () => {
+    const rect = Rectangle.minimumBoundingRectangle(rotated(3, 1, 30));
+    expect(rect.width).toBeCloseTo(3, 12);
+    expect(rect.height).toBeCloseTo(1, 12);
+    expect(rect.area()).toBeCloseTo(3, 12);
+    expect(rect.toJSON().rotation).toBeCloseTo(30, 9);
+    const polygon = rotated(3, 1, 30);
+    for (const c of cornersOf(rect)) {
+      expect(Math.min(...polygon.vertexes.map((v) => v.distance(c)))).toBeLessThan(1e-9);
+    }
+    // the vertexes of the polygon and the points have the same result
+    expect(Rectangle.minimumBoundingRectangle(polygon.vertexes).area()).toBeCloseTo(3, 12);
+  });
+
+  test('the rotation is normalized', () => {
+    for (const degrees of [0, 10, 45, 60, 90, 135, 200, -30, -80]) {
+      const rect = Rectangle.minimumBoundingRectangle(rotated(3, 1, degrees));
+      const { rotation } = rect.toJSON();
+      expect(rotation).toBeGreaterThan(-45 - 1e-9);
+      expect(rotation).toBeLessThanOrEqual(45 + 1e-9);
+      // the rotation differs from the rotation of the polygon by quarter
+      // turns, each of which swaps the width and height
+      const turns = Math.round((degrees - rotation) / 90);
+      expect(degrees - rotation - turns * 90).toBeCloseTo(0, 9);
+      expect(rect.width).toBeCloseTo(turns % 2 === 0 ? 3 : 1, 9);
+      expect(rect.height).toBeCloseTo(turns % 2 === 0 ? 1 : 3, 9);
+    }
+  });
+
+  test('straightens the rotated shapes', () => {
+    // a rotated document with a folded corner
+    const document = new Polygon([P(0, 0), P(8.5, 0), P(8.5, 10), P(7.5, 11), P(0, 11)])
+      .rotate(P(0, 0), (12 * Math.PI) / 180);
+    const rect = Rectangle.minimumBoundingRectangle(document);
+    const { rotation } = rect.toJSON();
+    expect(rotation).toBeCloseTo(12, 9);
+    const straight = document.rotate(rect.center, (-rotation * Math.PI) / 180);
+    const xs = straight.vertexes.map((v) => v.x);
+    const ys = straight.vertexes.map((v) => v.y);
+    expect(Math.max(...xs) - Math.min(...xs)).toBeCloseTo(8.5, 9);
+    expect(Math.max(...ys) - Math.min(...ys)).toBeCloseTo(11, 9);
+  });
+
+  test('agrees with the brute force algorithm', () => {
+    let seed = 17;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    for (let round = 0; round < 20; ++round) {
+      const points = [];
+      for (let i = 0; i < 3 + round * 3; ++i) {
+        points.push(round % 2 === 0
+          ? P(Math.round(10 * random()), Math.round(10 * random()))
+          : P(100 * random(), 50 * random()));
+      }
+      const expected = bruteForceBounds(points);
+      const byArea = Rectangle.minimumBoundingRectangle(points);
+      const byPerimeter = Rectangle.minimumBoundingRectangle(points, { criterion: 'perimeter' });
+      expect(byArea.area()).toBeCloseTo(expected.area, 6);
+      expect(2 * (byPerimeter.width + byPerimeter.height)).toBeCloseTo(expected.perimeter, 6);
+      expect(byArea.area()).toBeLessThanOrEqual(byPerimeter.area() + 1e-9);
+      // all the points are enclosed by the rectangles
+      for (const rect of [byArea, byPerimeter]) {
+        const outline = new Polygon(cornersOf(rect));
+        for (const p of points) {
+          const inside = p.relationToPolygon(outline) !== 'outside';
+          expect(inside || Math.min(...outline.vertexes.map((v, i) => p.distanceToLineSegment(
+            outline.side(i),
+          ))) < 1e-9).toBe(true);
+        }
+      }
+    }
+  });
+
+  test('y-axis direction', () => {
+    const up = Rectangle.minimumBoundingRectangle(rotated(3, 1, 20));
+    const down = Rectangle.minimumBoundingRectangle(rotated(3, 1, 20), { yAxisDirection: 'down' });
+    expect(down.area()).toBeCloseTo(up.area(), 12);
+    expect(down.center.distance(up.center)).toBeLessThan(1e-9);
+    for (const c of cornersOf(down)) {
+      expect(Math.min(...cornersOf(up).map((v) => v.distance(c)))).toBeLessThan(1e-9);
+    }
+  });
+
+  test('degenerated sets of points', () => {
+    const collinear = Rectangle.minimumBoundingRectangle([P(0, 0), P(2, 2), P(1, 1), P(3, 3)]);
+    expect(collinear.width).toBeCloseTo(3 * Math.SQRT2, 12);
+    expect(collinear.height).toBeCloseTo(0, 12);
+    expect(collinear.center.distance(P(1.5, 1.5))).toBeLessThan(1e-12);
+    const point = Rectangle.minimumBoundingRectangle([P(1, 2), P(1, 2)]);
+    expect(point.width).toBe(0);
+    expect(point.height).toBe(0);
+    expect(point.center).toEqual(P(1, 2));
+  });
+
+  test('invalid arguments', () => {
+    expect(() => Rectangle.minimumBoundingRectangle([])).toThrow(/empty/);
+    expect(() => Rectangle.minimumBoundingRectangle([P(0, 0)], { criterion: 'volume' }))
+      .toThrow(/Unknown criterion/);
+  });
+});
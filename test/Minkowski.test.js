@@ -0,0 +1,152 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Polygon from '../src/Polygon';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import { minkowskiSum, minkowskiDifference } from '../src/Minkowski';
+import { polygonIntersection } from '../src/PolygonBoolean';
+
+/**
+ * Calculates the total area of the result polygons.
+ */
+function areaOf(result) {
+  return result.reduce((s, { outer, holes }) => s + outer.area()
+    - holes.reduce((t, h) => t + h.area(), 0), 0);
+}
+
+/**
+ * Calculates the distance from a point to the boundaries of the result
+ * polygons.
+ */
+function distanceToBoundary(p, result) {
+  const rings = result.flatMap(({ outer, holes }) => [outer, ...holes]);
+  return Math.min(...rings.flatMap(({ vertexes }) => vertexes.map((v, i) => p.distanceToLineSegment(
+    new Line(v, vertexes[(i + 1) % vertexes.length]),
+  ))));
+}
+
+/**
+ * Tests whether a point is inside any of the result polygons.
+ */
+function isInside(p, result) {
+  return result.some((polygon) => p.relationToPolygonWithHoles(polygon) === 'inside');
+}
+
+/**
+ * Unit test of the `Minkowski` module.
+ *
+ * @author Haixing Hu
+ */
+describe('Minkowski', () => {
+  const P = (x, y) => new Point(x, y);
+  const square = (x, y, w) => new Polygon([P(x, y), P(x + w, y), P(x + w, y + w), P(x, y + w)]);
+  const triangle = new Polygon([P(0, 0), P(1, 0), P(0, 1)]);
+  // an L shape with arms of width 1
+  const shapeL = new Polygon([P(0, 0), P(4, 0), P(4, 1), P(1, 1), P(1, 4), P(0, 4)]);
+
+  test('sum of convex polygons', () => {
+    const r = minkowskiSum(square(0, 0, 2), triangle);
+    expect(r.length).toBe(1);
+    expect(r[0].holes).toEqual([]);
+    // the square, plus the strips along the two slanted sides, plus the
+    // triangle itself
+    expect(areaOf(r)).toBeCloseTo(4 + 2 + 2 + 0.5, 12);
+    expect(r[0].outer.vertexes.length).toBe(5);
+    expect(r[0].outer.signedArea()).toBeGreaterThan(0);
+    expect(r[0].outer.isConvex()).toBe(true);
+    // the order of the vertexes and the redundant vertexes do not matter
+    const messy = new Polygon([P(0, 0), P(0, 2), P(0, 2), P(2, 2), P(2, 1), P(2, 0)]);
+    expect(areaOf(minkowskiSum(messy, triangle.reverse()))).toBeCloseTo(8.5, 12);
+    // the vertexes of the sum are sums of the vertexes of the polygons
+    const hexagon = new Polygon([P(2, 0), P(4, 1), P(4, 3), P(2, 4), P(0, 3), P(0, 1)]);
+    const sum = minkowskiSum(hexagon, square(-1, -1, 2))[0].outer;
+    for (const v of sum.vertexes) {
+      expect(hexagon.vertexes.some((h) => square(-1, -1, 2).vertexes
+        .some((s) => h.add(s).equals(v)))).toBe(true);
+    }
+  });
+
+  test('sum of concave polygons', () => {
+    const r = minkowskiSum(shapeL, square(0, 0, 1));
+    expect(r.length).toBe(1);
+    expect(r[0].holes).toEqual([]);
+    expect(areaOf(r)).toBeCloseTo(16, 12);
+    expect(r[0].outer.signedArea()).toBeGreaterThan(0);
+    // the sum is the same whichever polygon is concave
+    expect(areaOf(minkowskiSum(square(0, 0, 1), shapeL))).toBeCloseTo(16, 12);
+  });
+
+  test('sum of concave polygons encloses holes', () => {
+    // a ring with a narrow opening, whose opening is closed by the sum
+    const c = new Polygon([P(0, 0), P(10, 0), P(10, 10), P(6, 10), P(6, 9), P(9, 9), P(9, 1),
+      P(1, 1), P(1, 9), P(4, 9), P(4, 10), P(0, 10)]);
+    expect(minkowskiSum(c, square(0, 0, 1))[0].holes.length).toBe(0);
+    const r = minkowskiSum(c, square(0, 0, 3));
+    expect(r.length).toBe(1);
+    expect(r[0].holes.length).toBe(1);
+    expect(r[0].holes[0].area()).toBeCloseTo(25, 9);
+    expect(r[0].holes[0].signedArea()).toBeLessThan(0);
+    // the results are polygons with holes
+    expect(r[0]).toBeInstanceOf(PolygonWithHoles);
+    expect(r[0].area()).toBeCloseTo(areaOf(r), 9);
+    expect(minkowskiSum(square(0, 0, 2), triangle)[0]).toBeInstanceOf(PolygonWithHoles);
+  });
+
+  test('sum of concave polygons agrees with the definition', () => {
+    const a = new Polygon([P(0, 0), P(6, 0), P(6, 6), P(4, 6), P(3, 2), P(2, 6), P(0, 6)]);
+    const b = new Polygon([P(0, 0), P(2, 0), P(1, 1), P(2, 2), P(0, 2)]);
+    const r = minkowskiSum(a, b);
+    // samples the second polygon densely, so that every point of it is within
+    // 0.04 from a sample
+    const samples = [];
+    for (let u = 0; u <= 2; u += 0.05) {
+      for (let v = 0; v <= 2; v += 0.05) {
+        if (P(u, v).relationToPolygon(b) !== 'outside') {
+          samples.push(P(u, v));
+        }
+      }
+    }
+    for (let x = -0.55; x < 9; x += 0.37) {
+      for (let y = -0.55; y < 9; y += 0.41) {
+        const p = P(x, y);
+        if (distanceToBoundary(p, r) > 0.1) {
+          const expected = samples.some((q) => p.subtract(q).relationToPolygon(a) !== 'outside');
+          expect(isInside(p, r)).toBe(expected);
+        }
+      }
+    }
+  });
+
+  test('difference is the configuration space obstacle', () => {
+    const a = shapeL;
+    const b = new Polygon([P(0, 0), P(1, 0), P(0.5, 1)]);
+    const r = minkowskiDifference(a, b);
+    expect(areaOf(r)).toBeCloseTo(areaOf(minkowskiSum(a, b.rotate(P(0, 0), Math.PI))), 9);
+    for (let x = -2; x <= 5; x += 0.3) {
+      for (let y = -2; y <= 5; y += 0.3) {
+        const t = P(x, y);
+        if (distanceToBoundary(t, r) > 1e-6) {
+          const overlap = areaOf(polygonIntersection(a, b.translate(t))) > 1e-9;
+          expect(isInside(t, r)).toBe(overlap);
+        }
+      }
+    }
+    // the two polygons overlap if and only if the origin is in the difference
+    expect(isInside(P(0, 0), minkowskiDifference(square(0, 0, 2), square(1, 1, 2)))).toBe(true);
+    expect(isInside(P(0, 0), minkowskiDifference(square(0, 0, 2), square(5, 5, 1)))).toBe(false);
+  });
+
+  test('degenerated polygons', () => {
+    const flat = new Polygon([P(0, 0), P(1, 0), P(2, 0)]);
+    expect(() => minkowskiSum(flat, triangle)).toThrow(/degenerated/);
+    expect(() => minkowskiDifference(triangle, new Polygon([P(0, 0), P(0, 0), P(0, 0)])))
+      .toThrow(/degenerated/);
+  });
+});
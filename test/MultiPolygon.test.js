@@ -0,0 +1,88 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Polygon from '../src/Polygon';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import MultiPolygon from '../src/MultiPolygon';
+import Transform from '../src/Transform';
+import { polygonUnion } from '../src/PolygonBoolean';
+
+/**
+ * Unit test of the `MultiPolygon` class.
+ *
+ * @author Haixing Hu
+ */
+describe('MultiPolygon', () => {
+  const P = (x, y) => new Point(x, y);
+  const rect = (x, y, w, h) => new Polygon([P(x, y), P(x + w, y), P(x + w, y + h), P(x, y + h)]);
+  // two buildings, the first of which has a courtyard
+  const courtyard = new PolygonWithHoles(rect(0, 0, 10, 10), [rect(3, 3, 4, 4)]);
+  const annex = rect(20, 0, 4, 2);
+  const campus = new MultiPolygon([courtyard, annex]);
+
+  test('construction', () => {
+    expect(campus.polygons.length).toBe(2);
+    expect(campus.polygons[0]).toBe(courtyard);
+    expect(campus.polygons[1]).toBeInstanceOf(PolygonWithHoles);
+    expect(campus.polygons[1].outer).toBe(annex);
+    expect(campus.polygons[1].holes).toEqual([]);
+    // the results of the boolean operations could be used directly
+    const union = new MultiPolygon(polygonUnion(rect(0, 0, 2, 2), rect(5, 0, 2, 2)));
+    expect(union.polygons.length).toBe(2);
+    expect(union.polygons.every((p) => p instanceof PolygonWithHoles)).toBe(true);
+    expect(union.area()).toBeCloseTo(8, 12);
+    expect(new MultiPolygon([{ outer: annex }]).polygons[0].holes).toEqual([]);
+    expect(() => new MultiPolygon([annex, null])).toThrow(/Invalid polygon/);
+    expect(() => new MultiPolygon([{ outer: [] }])).toThrow(/Invalid polygon/);
+  });
+
+  test('area, perimeter and centroid', () => {
+    expect(campus.area()).toBe(84 + 8);
+    expect(campus.perimeter()).toBe(40 + 16 + 12);
+    const c = campus.centroid();
+    expect(c.x).toBeCloseTo((84 * 5 + 8 * 22) / 92, 12);
+    expect(c.y).toBeCloseTo((84 * 5 + 8 * 1) / 92, 12);
+    const empty = new MultiPolygon([]);
+    expect(empty.area()).toBe(0);
+    expect(empty.perimeter()).toBe(0);
+    expect(() => empty.centroid()).toThrow(/no polygon/);
+  });
+
+  test('relation to points', () => {
+    expect(P(1, 1).relationToMultiPolygon(campus)).toBe('inside');
+    expect(P(21, 1).relationToMultiPolygon(campus)).toBe('inside');
+    expect(P(5, 5).relationToMultiPolygon(campus)).toBe('outside');
+    expect(P(15, 1).relationToMultiPolygon(campus)).toBe('outside');
+    expect(P(3, 5).relationToMultiPolygon(campus)).toBe('on');
+    expect(P(24, 1).relationToMultiPolygon(campus)).toBe('on');
+    expect(P(21, 1).isInsideMultiPolygon(campus)).toBe(true);
+    expect(P(5, 5).isInsideMultiPolygon(campus)).toBe(false);
+    // an island inside the courtyard is inside the collection
+    const island = new MultiPolygon([courtyard, rect(4, 4, 2, 2)]);
+    expect(P(5, 5).relationToMultiPolygon(island)).toBe('inside');
+    expect(P(3.5, 3.5).relationToMultiPolygon(island)).toBe('outside');
+    expect(P(0, 0).relationToMultiPolygon(new MultiPolygon([]))).toBe('outside');
+  });
+
+  test('transformations', () => {
+    const moved = campus.translate(P(-1, 2));
+    expect(moved.area()).toBe(campus.area());
+    expect(moved.centroid().distance(campus.centroid().add(P(-1, 2)))).toBeLessThan(1e-12);
+    const rotated = campus.rotate(P(0, 0), Math.PI / 2);
+    expect(rotated.centroid().distance(campus.centroid().rotateAround(P(0, 0), Math.PI / 2)))
+      .toBeLessThan(1e-9);
+    const m = Transform.scaling(1, -3).translate(2, 2);
+    const image = campus.transform(m);
+    expect(image.area()).toBeCloseTo(3 * campus.area(), 9);
+    for (const p of [P(1, 1), P(5, 5), P(21, 1), P(15, 1)]) {
+      expect(p.transform(m).relationToMultiPolygon(image)).toBe(p.relationToMultiPolygon(campus));
+    }
+    expect(image.polygons.every((p) => p instanceof PolygonWithHoles)).toBe(true);
+  });
+});
@@ -0,0 +1,144 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Polygon from '../src/Polygon';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+
+/**
+ * Calculates the total area of the result polygons of `Polygon.offset()`.
+ */
+function areaOf(result) {
+  return result.reduce((s, { outer, holes }) => s + outer.area()
+    - holes.reduce((t, h) => t + h.area(), 0), 0);
+}
+
+/**
+ * Calculates the distance from a point to the boundary of a polygon.
+ */
+function distanceToBoundary(p, polygon) {
+  const { vertexes } = polygon;
+  return Math.min(...vertexes.map((v, i) => p.distanceToLineSegment(
+    new Line(v, vertexes[(i + 1) % vertexes.length]),
+  )));
+}
+
+/**
+ * Unit test of the `Polygon.offset()` method.
+ *
+ * @author Haixing Hu
+ */
+describe('Polygon.offset', () => {
+  const P = (x, y) => new Point(x, y);
+  const square = new Polygon([P(0, 0), P(10, 0), P(10, 10), P(0, 10)]);
+  // an L shape with arms of width 2
+  const shapeL = new Polygon([P(0, 0), P(10, 0), P(10, 2), P(2, 2), P(2, 10), P(0, 10)]);
+
+  test('join styles of a square', () => {
+    expect(areaOf(square.offset(1))).toBeCloseTo(144, 9);
+    expect(areaOf(square.offset(1, { join: 'bevel' }))).toBeCloseTo(144 - 2, 9);
+    expect(areaOf(square.offset(1, { join: 'round', tolerance: 1e-4 }))).toBeCloseTo(140 + Math.PI, 2);
+    // the miter of a right angle has the ratio sqrt(2)
+    expect(areaOf(square.offset(1, { miterLimit: 1.2 }))).toBeCloseTo(142, 9);
+    expect(areaOf(square.offset(1, { miterLimit: 1.5 }))).toBeCloseTo(144, 9);
+  });
+
+  test('inward offsets', () => {
+    const r = square.offset(-1);
+    expect(r.length).toBe(1);
+    expect(r[0].holes).toEqual([]);
+    expect(areaOf(r)).toBeCloseTo(64, 9);
+    expect(r[0].outer.signedArea()).toBeGreaterThan(0);
+    // the order of the vertexes does not matter
+    expect(areaOf(square.reverse().offset(-1))).toBeCloseTo(64, 9);
+    expect(areaOf(square.offset(0))).toBe(100);
+  });
+
+  test('the offset boundary keeps the offset distance', () => {
+    for (const d of [-0.5, 0.5, 1.5]) {
+      for (const join of ['miter', 'round', 'bevel']) {
+        const [{ outer }] = shapeL.offset(d, { join, tolerance: 1e-3 });
+        for (const v of outer.vertexes) {
+          // the vertexes are at least at the offset distance from the
+          // boundary, and the miter or round joins do not go farther than
+          // the miter tip
+          const dist = distanceToBoundary(v, shapeL);
+          expect(dist).toBeGreaterThan(Math.abs(d) - 1e-9);
+          expect(dist).toBeLessThan(Math.abs(d) * Math.SQRT2 + 1e-9);
+          expect(v.isInsidePolygon(shapeL)).toBe(d < 0);
+        }
+      }
+    }
+  });
+
+  test('concave corners', () => {
+    const inward = shapeL.offset(-0.5);
+    expect(inward.length).toBe(1);
+    expect(areaOf(inward)).toBeCloseTo(9 + 8, 9);
+    const outward = shapeL.offset(1);
+    expect(outward.length).toBe(1);
+    // the original area, plus the strips along the sides, plus the miters of
+    // the 5 convex corners, minus the overlap at the concave corner
+    expect(areaOf(outward)).toBeCloseTo(36 + 40 + 5 - 1, 9);
+  });
+
+  test('collapse', () => {
+    expect(square.offset(-5.5)).toEqual([]);
+    expect(square.offset(-5)).toEqual([]);
+    expect(shapeL.offset(-1.5)).toEqual([]);
+    const triangle = new Polygon([P(0, 0), P(6, 0), P(0, 8)]);
+    // the radius of the inscribed circle of the 6-8-10 triangle is 2
+    expect(triangle.offset(-1.9).length).toBe(1);
+    expect(triangle.offset(-2.1)).toEqual([]);
+    // degenerated polygons collapse even for outward offsets
+    expect(new Polygon([P(0, 0), P(0, 0), P(1, 1)]).offset(1)).toEqual([]);
+  });
+
+  test('the inward offset splits a polygon', () => {
+    // two 10x10 squares connected by a neck of width 1
+    const dumbbell = new Polygon([P(0, 0), P(10, 0), P(10, 4.5), P(15, 4.5), P(15, 0), P(25, 0),
+      P(25, 10), P(15, 10), P(15, 5.5), P(10, 5.5), P(10, 10), P(0, 10)]);
+    expect(dumbbell.offset(-0.4).length).toBe(1);
+    const r = dumbbell.offset(-1);
+    expect(r.length).toBe(2);
+    expect(areaOf(r)).toBeCloseTo(128, 9);
+    for (const { outer } of r) {
+      expect(outer.area()).toBeCloseTo(64, 9);
+    }
+  });
+
+  test('the outward offset closes gaps', () => {
+    // a U shape whose gap closes when grown
+    const u = new Polygon([P(0, 0), P(10, 0), P(10, 10), P(9, 10), P(9, 1), P(1, 1), P(1, 10), P(0, 10)]);
+    const r = u.offset(0.6, { join: 'miter' });
+    expect(r.length).toBe(1);
+    expect(r[0].holes.length).toBe(0);
+    // a ring with a narrow opening, whose hole is enclosed when grown
+    const c = new Polygon([P(0, 0), P(10, 0), P(10, 10), P(6, 10), P(6, 9), P(9, 9), P(9, 1),
+      P(1, 1), P(1, 9), P(4, 9), P(4, 10), P(0, 10)]);
+    expect(c.offset(0.5)[0].holes.length).toBe(0);
+    const h = c.offset(1.5);
+    expect(h.length).toBe(1);
+    expect(h[0].holes.length).toBe(1);
+    expect(h[0].holes[0].signedArea()).toBeLessThan(0);
+    expect(h[0].holes[0].area()).toBeCloseTo(25, 9);
+    // the results are polygons with holes
+    expect(h[0]).toBeInstanceOf(PolygonWithHoles);
+    expect(h[0].area()).toBeCloseTo(areaOf(h), 9);
+    expect(P(5, 5).relationToPolygonWithHoles(h[0])).toBe('outside');
+    expect(P(2, 2).relationToPolygonWithHoles(h[0])).toBe('inside');
+  });
+
+  test('invalid options', () => {
+    expect(() => square.offset(1, { join: 'sharp' })).toThrow(/join style/);
+    expect(() => square.offset(1, { join: 'round', tolerance: 0 })).toThrow(/tolerance/);
+    expect(() => square.offset(-1, { tolerance: -1 })).toThrow(/tolerance/);
+    expect(() => square.offset(1, { tolerance: NaN })).toThrow(/tolerance/);
+  });
+});
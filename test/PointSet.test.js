@@ -0,0 +1,150 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import {
+  hullOf,
+  closestPair,
+  farthestPair,
+  minimumWidth,
+} from '../src/PointSet';
+
+/**
+ * Calculates the smallest and largest distances between the pairs of points
+ * by checking all the pairs.
+ */
+function bruteForceDistances(points) {
+  let min = Infinity;
+  let max = 0;
+  for (let i = 0; i < points.length; ++i) {
+    for (let j = i + 1; j < points.length; ++j) {
+      const d = points[i].distance(points[j]);
+      min = Math.min(min, d);
+      max = Math.max(max, d);
+    }
+  }
+  return { min, max };
+}
+
+/**
+ * Calculates the minimum width of the points by checking the directions of
+ * all the pairs of points, which include the sides of the convex hull.
+ */
+function bruteForceWidth(points) {
+  let best = Infinity;
+  for (let i = 0; i < points.length; ++i) {
+    for (let j = i + 1; j < points.length; ++j) {
+      const d = points[j].subtract(points[i]);
+      const len = d.norm();
+      if (len > 0) {
+        const projections = points.map((p) => p.cross(d) / len);
+        best = Math.min(best, Math.max(...projections) - Math.min(...projections));
+      }
+    }
+  }
+  return (best === Infinity ? 0 : best);
+}
+
+/**
+ * Unit test of the `PointSet` module.
+ *
+ * @author Haixing Hu
+ */
+describe('PointSet', () => {
+  const P = (x, y) => new Point(x, y);
+  let seed = 13;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+
+  test('small sets', () => {
+    const square = [P(0, 0), P(3, 0), P(3, 4), P(0, 4), P(1, 1), P(1.5, 1.2)];
+    const closest = closestPair(square);
+    expect(closest.distance).toBeCloseTo(Math.hypot(0.5, 0.2), 12);
+    expect([closest.first, closest.second]).toEqual(expect.arrayContaining([P(1, 1), P(1.5, 1.2)]));
+    const farthest = farthestPair(square);
+    expect(farthest.distance).toBe(5);
+    expect(farthest.first.distance(farthest.second)).toBe(5);
+    const { width, side, vertex } = minimumWidth(square);
+    expect(width).toBe(3);
+    expect(vertex.distanceToLine(side)).toBe(3);
+    const two = [P(1, 1), P(4, 5)];
+    expect(closestPair(two).distance).toBe(5);
+    expect(farthestPair(two).distance).toBe(5);
+    expect(minimumWidth(two).width).toBe(0);
+  });
+
+  test('duplicated and collinear points', () => {
+    const duplicated = [P(0, 0), P(5, 5), P(2, 3), P(5, 5), P(9, 1)];
+    const closest = closestPair(duplicated);
+    expect(closest.distance).toBe(0);
+    expect(closest.first).toEqual(P(5, 5));
+    expect(farthestPair([P(1, 1), P(1, 1), P(1, 1)]).distance).toBe(0);
+    expect(hullOf([P(1, 1), P(1, 1)])).toEqual([P(1, 1)]);
+    const collinear = [P(3, 3), P(0, 0), P(1, 1), P(7, 7), P(2.5, 2.5)];
+    expect(hullOf(collinear)).toEqual([P(0, 0), P(7, 7)]);
+    expect(closestPair(collinear).distance).toBeCloseTo(Math.SQRT1_2, 12);
+    expect(farthestPair(collinear).distance).toBeCloseTo(7 * Math.SQRT2, 12);
+    const { width, side, vertex } = minimumWidth(collinear);
+    expect(width).toBe(0);
+    expect(side.length()).toBeCloseTo(7 * Math.SQRT2, 12);
+    expect(vertex).toBe(side.start);
+    // the points on a vertical line
+    const vertical = [P(2, 5), P(2, -1), P(2, 3)];
+    expect(closestPair(vertical).distance).toBe(2);
+    expect(farthestPair(vertical).distance).toBe(6);
+  });
+
+  test('agrees with the brute force algorithms', () => {
+    for (const n of [3, 4, 10, 60]) {
+      for (let round = 0; round < 5; ++round) {
+        const points = [];
+        for (let i = 0; i < n; ++i) {
+          // the integer coordinates make duplicated and collinear points
+          points.push(round % 2 === 0
+            ? P(Math.round(10 * random()), Math.round(10 * random()))
+            : P(100 * random(), 100 * random()));
+        }
+        const { min, max } = bruteForceDistances(points);
+        expect(closestPair(points).distance).toBeCloseTo(min, 12);
+        expect(farthestPair(points).distance).toBeCloseTo(max, 12);
+        expect(minimumWidth(points).width).toBeCloseTo(bruteForceWidth(points), 9);
+      }
+    }
+  });
+
+  test('the points on a circle', () => {
+    // the extreme case for the hull, whose vertexes are all the points, and
+    // whose opposite sides are parallel
+    const points = [];
+    for (let i = 0; i < 360; ++i) {
+      points.push(P(Math.cos((i * Math.PI) / 180), Math.sin((i * Math.PI) / 180)));
+    }
+    expect(hullOf(points).length).toBe(360);
+    expect(closestPair(points).distance).toBeCloseTo(2 * Math.sin(Math.PI / 360), 12);
+    expect(farthestPair(points).distance).toBeCloseTo(2, 12);
+    expect(minimumWidth(points).width).toBeCloseTo(2 * Math.cos(Math.PI / 360), 12);
+  });
+
+  test('large sets', () => {
+    const points = [];
+    for (let i = 0; i < 2000; ++i) {
+      points.push(P(1000 * random(), 1000 * random()));
+    }
+    const { min, max } = bruteForceDistances(points);
+    expect(closestPair(points).distance).toBe(min);
+    expect(farthestPair(points).distance).toBe(max);
+  });
+
+  test('too few points', () => {
+    expect(() => closestPair([P(0, 0)])).toThrow(/at least 2 points/);
+    expect(() => farthestPair([])).toThrow(/at least 2 points/);
+    expect(() => minimumWidth([P(0, 0)])).toThrow(/at least 2 points/);
+  });
+});
@@ -0,0 +1,121 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Polygon from '../src/Polygon';
+import {
+  polygonUnion,
+  polygonIntersection,
+  polygonDifference,
+  polygonXor,
+} from '../src/PolygonBoolean';
+
+const square = (x, y, w) => new Polygon([
+  new Point(x, y), new Point(x + w, y), new Point(x + w, y + w), new Point(x, y + w),
+]);
+
+const areaOf = (result) => result.reduce((s, { outer, holes }) => s
+  + outer.area() - holes.reduce((t, h) => t + h.area(), 0), 0);
+
+/**
+ * Unit test of the boolean operations on polygons.
+ *
+ * @author Haixing Hu
+ */
+describe('PolygonBoolean', () => {
+  const a = square(0, 0, 2);
+  const b = square(1, 1, 2);
+
+  test('overlapping squares', () => {
+    expect(areaOf(polygonUnion(a, b))).toBeCloseTo(7);
+    expect(areaOf(polygonIntersection(a, b))).toBeCloseTo(1);
+    expect(areaOf(polygonDifference(a, b))).toBeCloseTo(3);
+    expect(polygonXor(a, b).length).toBe(2);
+    expect(areaOf(polygonXor(a, b))).toBeCloseTo(6);
+  });
+
+  test('result orientation', () => {
+    const [{ outer, holes }] = polygonDifference(square(0, 0, 10), square(2, 2, 3));
+    expect(outer.signedArea()).toBeGreaterThan(0);
+    expect(holes.length).toBe(1);
+    expect(holes[0].signedArea()).toBeLessThan(0);
+  });
+
+  test('containment gives holes', () => {
+    const big = square(0, 0, 10);
+    const small = square(2, 2, 3);
+    const difference = polygonDifference(big, small);
+    expect(difference.length).toBe(1);
+    expect(difference[0].holes.length).toBe(1);
+    expect(areaOf(difference)).toBeCloseTo(91);
+    expect(polygonDifference(small, big).length).toBe(0);
+    expect(areaOf(polygonUnion(small, big))).toBeCloseTo(100);
+    expect(areaOf(polygonIntersection(small, big.reverse()))).toBeCloseTo(9);
+  });
+
+  test('union closing a gap gives a hole', () => {
+    const U = new Polygon([
+      new Point(0, 0), new Point(3, 0), new Point(3, 3), new Point(2, 3),
+      new Point(2, 1), new Point(1, 1), new Point(1, 3), new Point(0, 3),
+    ]);
+    const bar = new Polygon([new Point(-1, 2), new Point(4, 2), new Point(4, 2.5), new Point(-1, 2.5)]);
+    const union = polygonUnion(U, bar);
+    expect(union.length).toBe(1);
+    expect(union[0].holes.length).toBe(1);
+    expect(union[0].holes[0].area()).toBeCloseTo(1);
+    expect(areaOf(union)).toBeCloseTo(7 + 2.5 - 1);
+    const difference = polygonDifference(U, bar);
+    expect(difference.length).toBe(3);
+    expect(areaOf(difference)).toBeCloseTo(6);
+    expect(polygonIntersection(U, bar).length).toBe(2);
+  });
+
+  test('shared edges', () => {
+    const c = square(2, 0, 2);
+    const union = polygonUnion(a, c);
+    expect(union.length).toBe(1);
+    expect(union[0].outer.vertexes.length).toBe(4);
+    expect(areaOf(union)).toBeCloseTo(8);
+    expect(polygonIntersection(a, c).length).toBe(0);
+    expect(areaOf(polygonDifference(a, c))).toBeCloseTo(4);
+    // partially shared edge
+    const d = square(2, 1, 2);
+    expect(polygonUnion(a, d).length).toBe(1);
+    expect(areaOf(polygonUnion(a, d))).toBeCloseTo(8);
+  });
+
+  test('a frame of four bars sharing edges encloses a hole', () => {
+    const bottom = new Polygon([new Point(0, 0), new Point(3, 0), new Point(3, 1), new Point(0, 1)]);
+    const right = new Polygon([new Point(2, 1), new Point(3, 1), new Point(3, 3), new Point(2, 3)]);
+    const frame = polygonUnion(bottom, right)[0].outer;
+    const top = new Polygon([new Point(0, 2), new Point(2, 2), new Point(2, 3), new Point(0, 3)]);
+    const left = new Polygon([new Point(0, 1), new Point(1, 1), new Point(1, 2), new Point(0, 2)]);
+    const half = polygonUnion(frame, top)[0].outer;
+    const result = polygonUnion(half, left);
+    expect(result.length).toBe(1);
+    expect(result[0].holes.length).toBe(1);
+    expect(result[0].holes[0].area()).toBeCloseTo(1);
+    expect(areaOf(result)).toBeCloseTo(8);
+  });
+
+  test('identical and touching polygons', () => {
+    expect(areaOf(polygonUnion(a, a))).toBeCloseTo(4);
+    expect(areaOf(polygonIntersection(a, a.reverse()))).toBeCloseTo(4);
+    expect(polygonDifference(a, a).length).toBe(0);
+    expect(polygonXor(a, a).length).toBe(0);
+    expect(polygonUnion(a, square(2, 2, 2)).length).toBe(2);
+    expect(polygonIntersection(a, square(2, 2, 2)).length).toBe(0);
+  });
+
+  test('disjoint polygons', () => {
+    const far = square(5, 5, 1);
+    expect(polygonUnion(a, far).length).toBe(2);
+    expect(polygonIntersection(a, far).length).toBe(0);
+    expect(areaOf(polygonDifference(a, far))).toBeCloseTo(4);
+  });
+});
@@ -0,0 +1,101 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Polygon from '../src/Polygon';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import Transform from '../src/Transform';
+
+/**
+ * Unit test of the `PolygonWithHoles` class.
+ *
+ * @author Haixing Hu
+ */
+describe('PolygonWithHoles', () => {
+  const P = (x, y) => new Point(x, y);
+  const rect = (x, y, w, h) => new Polygon([P(x, y), P(x + w, y), P(x + w, y + h), P(x, y + h)]);
+  // a floor plan of 12x10 with a courtyard of 4x4 and a shaft of 1x2
+  const plan = new PolygonWithHoles(rect(0, 0, 12, 10), [rect(2, 2, 4, 4), rect(9, 6, 1, 2)]);
+
+  test('area, perimeter and centroid', () => {
+    expect(plan.area()).toBe(120 - 16 - 2);
+    expect(plan.perimeter()).toBe(44 + 16 + 6);
+    const c = plan.centroid();
+    expect(c.x).toBeCloseTo((120 * 6 - 16 * 4 - 2 * 9.5) / 102, 12);
+    expect(c.y).toBeCloseTo((120 * 5 - 16 * 4 - 2 * 7) / 102, 12);
+    // the order of the vertexes of the rings does not matter
+    const reversed = new PolygonWithHoles(plan.outer.reverse(), plan.holes.map((h) => h.reverse()));
+    expect(reversed.area()).toBe(plan.area());
+    expect(reversed.centroid().distance(c)).toBeLessThan(1e-12);
+    // the centroid of a symmetric region is its center of symmetry
+    const frame = new PolygonWithHoles(rect(0, 0, 4, 4), [new Polygon([P(2, 1), P(3, 2), P(2, 3), P(1, 2)])]);
+    expect(frame.area()).toBe(14);
+    expect(frame.centroid().distance(P(2, 2))).toBeLessThan(1e-12);
+  });
+
+  test('area and centroid agree with the point relation', () => {
+    // the edges of the rings lie on the boundaries of the cells, so that the
+    // centers of the cells sample the region exactly
+    let count = 0;
+    let sx = 0;
+    let sy = 0;
+    for (let x = 0.25; x < 12; x += 0.5) {
+      for (let y = 0.25; y < 10; y += 0.5) {
+        const relation = P(x, y).relationToPolygonWithHoles(plan);
+        expect(relation).not.toBe('on');
+        if (relation === 'inside') {
+          ++count;
+          sx += x;
+          sy += y;
+        }
+      }
+    }
+    expect(count * 0.25).toBe(plan.area());
+    expect(P(sx / count, sy / count).distance(plan.centroid())).toBeLessThan(1e-9);
+  });
+
+  test('relation to points', () => {
+    expect(P(1, 1).relationToPolygonWithHoles(plan)).toBe('inside');
+    expect(P(4, 4).relationToPolygonWithHoles(plan)).toBe('outside');
+    expect(P(9.5, 7).relationToPolygonWithHoles(plan)).toBe('outside');
+    expect(P(13, 1).relationToPolygonWithHoles(plan)).toBe('outside');
+    expect(P(0, 5).relationToPolygonWithHoles(plan)).toBe('on');
+    expect(P(2, 4).relationToPolygonWithHoles(plan)).toBe('on');
+    expect(P(10, 8).relationToPolygonWithHoles(plan)).toBe('on');
+    expect(P(1, 1).isInsidePolygonWithHoles(plan)).toBe(true);
+    expect(P(2, 4).isInsidePolygonWithHoles(plan)).toBe(false);
+    // a polygon without holes behaves as the simple polygon
+    const simple = PolygonWithHoles.fromPolygon(rect(2, 2, 4, 4));
+    expect(simple.holes).toEqual([]);
+    expect(simple.area()).toBe(16);
+    expect(simple.perimeter()).toBe(16);
+    for (const p of [P(4, 4), P(2, 3), P(0, 0)]) {
+      expect(p.relationToPolygonWithHoles(simple)).toBe(p.relationToPolygon(simple.outer));
+    }
+  });
+
+  test('transformations', () => {
+    const moved = plan.translate(P(3, -2));
+    expect(moved.area()).toBe(plan.area());
+    expect(moved.centroid().distance(plan.centroid().add(P(3, -2)))).toBeLessThan(1e-12);
+    expect(P(7, 2).relationToPolygonWithHoles(moved)).toBe('outside');
+    const rotated = plan.rotate(P(1, 1), Math.PI / 3);
+    expect(rotated.area()).toBeCloseTo(plan.area(), 9);
+    expect(rotated.perimeter()).toBeCloseTo(plan.perimeter(), 9);
+    expect(rotated.centroid().distance(plan.centroid().rotateAround(P(1, 1), Math.PI / 3)))
+      .toBeLessThan(1e-9);
+    // the image of each point keeps its relation to the image of the polygon
+    const m = Transform.scaling(-2, 0.5).rotate(0.7).translate(1, 3);
+    const image = plan.transform(m);
+    expect(image.area()).toBeCloseTo(plan.area(), 9);
+    for (const p of [P(1, 1), P(4, 4), P(9.5, 7), P(11, 9), P(13, 1)]) {
+      expect(p.transform(m).relationToPolygonWithHoles(image)).toBe(p.relationToPolygonWithHoles(plan));
+    }
+    expect(Object.isFrozen(image)).toBe(true);
+  });
+});
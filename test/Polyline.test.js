@@ -0,0 +1,171 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Polyline from '../src/Polyline';
+import Transform from '../src/Transform';
+import { toGeoJSON, fromGeoJSON } from '../src/GeoJson';
+import { toWKT, parseWKT } from '../src/Wkt';
+import { toWKB, parseWKB } from '../src/Wkb';
+import { toSvgPath } from '../src/SvgPath';
+
+/**
+ * Simplifies a polyline by the Visvalingam-Whyatt algorithm in the quadratic
+ * time, by scanning all the vertexes for the smallest effective area at each
+ * step.
+ */
+function naiveVisvalingamWhyatt(points, minArea) {
+  const area = (a, b, c) => Math.abs((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x)) / 2;
+  const kept = [...points];
+  const effective = kept.map((p, i) => (i === 0 || i === kept.length - 1
+    ? Infinity : area(kept[i - 1], p, kept[i + 1])));
+  for (;;) {
+    let min = -1;
+    for (let i = 1; i + 1 < kept.length; ++i) {
+      if (min < 0 || effective[i] < effective[min]) {
+        min = i;
+      }
+    }
+    if (min < 0 || effective[min] >= minArea) {
+      return kept;
+    }
+    const last = effective[min];
+    kept.splice(min, 1);
+    effective.splice(min, 1);
+    for (const j of [min - 1, min]) {
+      if (j > 0 && j + 1 < kept.length) {
+        effective[j] = Math.max(last, area(kept[j - 1], kept[j], kept[j + 1]));
+      }
+    }
+  }
+}
+
+/**
+ * Unit test of the `Polyline` class.
+ *
+ * @author Haixing Hu
+ */
+describe('Polyline', () => {
+  const P = (x, y) => new Point(x, y);
+  const l = new Polyline([P(0, 0), P(3, 0), P(3, 4)]);
+
+  test('measure', () => {
+    expect(l.length()).toBe(7);
+    expect(l.pointAtDistance(5)).toEqual(P(3, 2));
+    expect(l.pointAtDistance(3)).toEqual(P(3, 0));
+    expect(l.pointAtDistance(-1)).toEqual(P(0, 0));
+    expect(l.pointAtDistance(100)).toEqual(P(3, 4));
+    expect(l.nearestPointTo(P(5, 1))).toEqual(P(3, 1));
+    expect(l.distanceToPoint(P(1, -2))).toBe(2);
+    expect(l.reverse().vertexes).toEqual([P(3, 4), P(3, 0), P(0, 0)]);
+    expect(l.segments().map((s) => s.length())).toEqual([3, 4]);
+    const box = l.boundingBox();
+    expect(box.width).toBe(3);
+    expect(box.height).toBe(4);
+    expect(() => new Polyline([P(0, 0)])).toThrow();
+  });
+
+  test('Douglas-Peucker simplification', () => {
+    const points = [];
+    for (let i = 0; i <= 100; ++i) {
+      points.push(P(i, (i % 2) * 0.01));
+    }
+    points.push(P(100, 50));
+    const zigzag = new Polyline(points);
+    expect(zigzag.simplifyDouglasPeucker(0.1).vertexes).toEqual([P(0, 0), P(100, 0), P(100, 50)]);
+    expect(zigzag.simplifyDouglasPeucker(0).vertexes.length).toBe(102);
+    // every removed vertex is within the tolerance from the simplified polyline
+    const wave = [];
+    for (let i = 0; i < 2000; ++i) {
+      wave.push(P(i, 10 * Math.sin(i / 50)));
+    }
+    const simplified = new Polyline(wave).simplifyDouglasPeucker(0.05);
+    expect(simplified.vertexes.length).toBeLessThan(200);
+    for (const p of wave) {
+      expect(simplified.distanceToPoint(p)).toBeLessThanOrEqual(0.05 + 1e-12);
+    }
+    expect(() => zigzag.simplifyDouglasPeucker(-1)).toThrow();
+  });
+
+  test('Visvalingam-Whyatt simplification', () => {
+    const points = [];
+    for (let i = 0; i <= 100; ++i) {
+      points.push(P(i, (i % 2) * 0.01));
+    }
+    points.push(P(100, 50));
+    const zigzag = new Polyline(points);
+    expect(zigzag.simplifyVisvalingamWhyatt(1).vertexes).toEqual([P(0, 0), P(100, 0), P(100, 50)]);
+    expect(zigzag.simplifyVisvalingamWhyatt(0).vertexes.length).toBe(102);
+    expect(() => zigzag.simplifyVisvalingamWhyatt(-1)).toThrow(/non-negative/);
+  });
+
+  test('Visvalingam-Whyatt simplification agrees with the naive algorithm', () => {
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const points = [];
+    for (let i = 0; i < 300; ++i) {
+      points.push(P(i + random(), 20 * random()));
+    }
+    const polyline = new Polyline(points);
+    for (const minArea of [0.5, 5, 20, 100]) {
+      expect(polyline.simplifyVisvalingamWhyatt(minArea).vertexes)
+        .toEqual(naiveVisvalingamWhyatt(points, minArea));
+    }
+  });
+
+  test('simplification of a long polyline', () => {
+    const big = [];
+    for (let i = 0; i < 20000; ++i) {
+      big.push(P(i, Math.sin(i / 100)));
+    }
+    expect(new Polyline(big).simplifyDouglasPeucker(0.01).vertexes.length).toBeLessThan(1000);
+    expect(new Polyline(big).simplifyVisvalingamWhyatt(1).vertexes.length).toBeLessThan(1000);
+  });
+
+  test('resample', () => {
+    const r = l.resample(8);
+    expect(r.vertexes.length).toBe(8);
+    for (const v of r.vertexes) {
+      expect(l.distanceToPoint(v)).toBeLessThan(1e-12);
+    }
+    for (const s of r.segments()) {
+      expect(s.length()).toBeCloseTo(1, 12);
+    }
+    expect(r.vertexes[3]).toEqual(P(3, 0));
+    expect(r.vertexes[7]).toEqual(P(3, 4));
+    expect(new Polyline([P(0, 0), P(0, 0)]).resample(3).vertexes.length).toBe(3);
+    expect(() => l.resample(1)).toThrow();
+    expect(() => l.resample(2.5)).toThrow();
+  });
+
+  test('transformations', () => {
+    expect(l.translate(P(1, 1)).vertexes[2]).toEqual(P(4, 5));
+    const rotated = l.rotate(P(0, 0), Math.PI / 2);
+    expect(rotated.vertexes[1].distance(P(0, 3))).toBeLessThan(1e-12);
+    const m = Transform.scaling(2, 3);
+    expect(l.transform(m).vertexes).toEqual([P(0, 0), P(6, 0), P(6, 12)]);
+    expect(l.equals(new Polyline([P(0, 0), P(3, 0), P(3, 4)]))).toBe(true);
+    expect(l.equals(l.reverse())).toBe(false);
+  });
+
+  test('round trips', () => {
+    expect(Polyline.fromJSON(JSON.parse(JSON.stringify(l))).equals(l)).toBe(true);
+    expect(toGeoJSON(l)).toEqual({ type: 'LineString', coordinates: [[0, 0], [3, 0], [3, 4]] });
+    expect(fromGeoJSON(toGeoJSON(l)).equals(l)).toBe(true);
+    expect(toWKT(l)).toBe('LINESTRING (0 0, 3 0, 3 4)');
+    expect(parseWKT(toWKT(l)).equals(l)).toBe(true);
+    expect(parseWKB(toWKB(l)).equals(l)).toBe(true);
+    const multi = parseWKT(toWKT([l, l]));
+    expect(toWKT(multi)).toBe('MULTILINESTRING ((0 0, 3 0, 3 4), (0 0, 3 0, 3 4))');
+    expect(multi.every((m) => m instanceof Polyline)).toBe(true);
+    expect(toSvgPath(l, { yAxisDirection: 'down' })).toBe('M 0 0 L 3 0 L 3 4');
+  });
+});
@@ -0,0 +1,156 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+/* global BigInt */
+import Config from '../src/Config';
+import Point from '../src/Point';
+import Line from '../src/Line';
+import {
+  orient2d,
+  incircle,
+  orientation,
+  inCircle,
+} from '../src/Predicates';
+
+// all the coordinates used in this test are multiples of 2^-60
+const SCALE = 2 ** 60;
+
+/**
+ * Converts a coordinate into an exact big integer.
+ *
+ * @param {number} x
+ *     the coordinate, which must be a multiple of 2^-60.
+ * @return {BigInt}
+ *     the coordinate multiplied by 2^60.
+ */
+const exact = (x) => BigInt(x * SCALE);
+
+/**
+ * Gets the sign of a big integer.
+ *
+ * @param {BigInt} x
+ *     the big integer.
+ * @return {number}
+ *     1 if the big integer is positive, -1 if it is negative, or 0 if it is 0.
+ */
+function signOf(x) {
+  if (x > 0n) {
+    return 1;
+  } else if (x < 0n) {
+    return -1;
+  }
+  return 0;
+}
+
+/**
+ * Calculates the exact sign of the orientation determinant.
+ */
+function exactOrientation(a, b, c) {
+  const det = (exact(a.x) - exact(c.x)) * (exact(b.y) - exact(c.y))
+    - (exact(a.y) - exact(c.y)) * (exact(b.x) - exact(c.x));
+  return signOf(det);
+}
+
+/**
+ * Calculates the exact sign of the in-circle determinant.
+ */
+function exactInCircle(a, b, c, d) {
+  const [ax, ay, bx, by, cx, cy] = [a.x, a.y, b.x, b.y, c.x, c.y]
+    .map((v, i) => exact(v) - exact(i % 2 === 0 ? d.x : d.y));
+  const det = (ax * ax + ay * ay) * (bx * cy - cx * by)
+    + (bx * bx + by * by) * (cx * ay - ax * cy)
+    + (cx * cx + cy * cy) * (ax * by - bx * ay);
+  return signOf(det);
+}
+
+/**
+ * Unit test of the geometric predicates.
+ *
+ * @author Haixing Hu
+ */
+describe('Predicates', () => {
+  afterEach(() => {
+    Config.ROBUST_PREDICATES = false;
+  });
+
+  test('orient2d is exact for nearly collinear points', () => {
+    const b = new Point(12, 12);
+    const c = new Point(24, 24);
+    const ulp = 2 ** -53;
+    for (let i = 0; i < 32; ++i) {
+      for (let j = 0; j < 32; ++j) {
+        const a = new Point(0.5 + i * ulp, 0.5 + j * ulp);
+        expect(Math.sign(orient2d(a, b, c))).toBe(exactOrientation(a, b, c));
+      }
+    }
+  });
+
+  test('orient2d is consistent under permutations', () => {
+    const a = new Point(0.5 + 2 ** -50, 0.5);
+    const b = new Point(12, 12);
+    const c = new Point(24, 24);
+    const r = Math.sign(orient2d(a, b, c));
+    expect(r).not.toBe(0);
+    expect(Math.sign(orient2d(b, c, a))).toBe(r);
+    expect(Math.sign(orient2d(c, a, b))).toBe(r);
+    expect(Math.sign(orient2d(b, a, c))).toBe(-r);
+    expect(Math.sign(orient2d(new Point(0.5, 0.5 + 2 ** -50), b, c))).toBe(-r);
+  });
+
+  test('incircle is exact for nearly cocircular points', () => {
+    const a = new Point(1, 0);
+    const b = new Point(0, 1);
+    const c = new Point(-1, 0);
+    const ulp = 2 ** -52;
+    for (let i = -16; i < 16; ++i) {
+      for (let j = -16; j < 16; ++j) {
+        const d = new Point(i * ulp, -1 + j * ulp);
+        expect(Math.sign(incircle(a, b, c, d))).toBe(exactInCircle(a, b, c, d));
+      }
+    }
+    expect(incircle(new Point(0, 0), new Point(1, 0), new Point(0, 1), new Point(1, 1))).toBe(0);
+    expect(incircle(new Point(0, 0), new Point(1, 0), new Point(0, 1), new Point(0.5, 0.5))).toBeGreaterThan(0);
+  });
+
+  test('incircle far from the origin', () => {
+    const a = new Point(1e6, 1e6);
+    const b = new Point(1e6 + 1, 1e6);
+    const c = new Point(1e6, 1e6 + 1);
+    expect(incircle(a, b, c, new Point(1e6 + 1, 1e6 + 1))).toBe(0);
+    expect(incircle(a, b, c, new Point(1e6 + 1, 1e6 + 1 + 2 ** -32))).toBeLessThan(0);
+    expect(incircle(a, b, c, new Point(1e6 + 1, 1e6 + 1 - 2 ** -32))).toBeGreaterThan(0);
+  });
+
+  test('orientation and inCircle with the tolerance', () => {
+    const a = new Point(0, 0);
+    const b = new Point(1, 1);
+    expect(orientation(a, b, new Point(2, 2 + 1e-12))).toBe(0);
+    expect(orientation(a, b, new Point(2, 3))).toBe(1);
+    expect(orientation(a, b, new Point(3, 2))).toBe(-1);
+    expect(inCircle(new Point(1, 0), new Point(0, 1), new Point(-1, 0), new Point(0, -1 + 1e-12))).toBe(0);
+  });
+
+  test('orientation and inCircle in the robust mode', () => {
+    Config.ROBUST_PREDICATES = true;
+    const a = new Point(0, 0);
+    const b = new Point(1, 1);
+    expect(orientation(a, b, new Point(2, 2 + 1e-12))).toBe(1);
+    expect(orientation(a, b, new Point(2, 2))).toBe(0);
+    expect(inCircle(new Point(1, 0), new Point(0, 1), new Point(-1, 0), new Point(0, -1 + 1e-12))).toBe(1);
+    expect(inCircle(new Point(1, 0), new Point(0, 1), new Point(-1, 0), new Point(0, -1))).toBe(0);
+  });
+
+  test('shapes use the robust predicates', () => {
+    const l = new Line(new Point(1e6, 1e6), new Point(3e6, 1e6 + 1));
+    const near = new Point(2e6, 1e6 + 0.5 + 1e-7);
+    Config.ROBUST_PREDICATES = true;
+    expect(near.relationToLine(l)).toBe('left');
+    expect(new Point(2e6, 1e6 + 0.5).relationToLine(l)).toBe('on');
+    expect(new Point(2e6, 1e6 + 0.5).isOnLineSegment(l)).toBe(true);
+  });
+});
@@ -0,0 +1,149 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Triangle from '../src/Triangle';
+import Polygon from '../src/Polygon';
+import Rectangle from '../src/Rectangle';
+import RTree from '../src/RTree';
+
+/**
+ * Gets the vertexes of an indexed item.
+ *
+ * @param {Point|Line|Polygon} item
+ *     the indexed item.
+ * @return {Point[]}
+ *     the vertexes of the item.
+ */
+function vertexesOf(item) {
+  if (item instanceof Point) {
+    return [item];
+  } else if (item instanceof Line) {
+    return [item.start, item.end];
+  }
+  return item.vertexes;
+}
+
+/**
+ * Calculates the distance between a point and an indexed item by brute force.
+ *
+ * @param {Point} p
+ *     the query point.
+ * @param {Point|Line|Polygon} item
+ *     the indexed item.
+ * @return {number}
+ *     the distance between the point and the item.
+ */
+function distanceTo(p, item) {
+  if (item instanceof Point) {
+    return item.distance(p);
+  } else if (item instanceof Line) {
+    return p.distanceToLineSegment(item);
+  } else if (p.relationToPolygon(item) !== 'outside') {
+    return 0;
+  }
+  return Math.min(...item.vertexes.map((_, i) => p.distanceToLineSegment(item.side(i))));
+}
+
+/**
+ * Unit test of the `RTree` class.
+ *
+ * @author Haixing Hu
+ */
+describe('RTree', () => {
+  let seed = 3;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  const items = [];
+  for (let i = 0; i < 1000; ++i) {
+    const x = random() * 1000;
+    const y = random() * 1000;
+    switch (i % 3) {
+      case 0:
+        items.push(new Point(x, y));
+        break;
+      case 1:
+        items.push(new Line(new Point(x, y), new Point(x + random() * 20, y + random() * 20)));
+        break;
+      default:
+        items.push(new Polygon([new Point(x, y), new Point(x + 10, y), new Point(x + 5, y + 8)]));
+        break;
+    }
+  }
+  // the rectangle covers [100, 300] x [250, 400]
+  const query = new Rectangle(100, 400, 200, 150);
+  const expected = items.filter((item) => {
+    const xs = vertexesOf(item).map((v) => v.x);
+    const ys = vertexesOf(item).map((v) => v.y);
+    return Math.min(...xs) <= 300 && Math.max(...xs) >= 100
+        && Math.min(...ys) <= 400 && Math.max(...ys) >= 250;
+  });
+  const trees = {
+    'bulk loading': () => new RTree().load(items),
+    'one by one insertion': () => items.reduce((tree, item) => tree.insert(item), new RTree(5)),
+  };
+
+  for (const [name, build] of Object.entries(trees)) {
+    describe(name, () => {
+      test('search', () => {
+        const tree = build();
+        expect(tree.size).toBe(1000);
+        expect(tree.all().length).toBe(1000);
+        const found = tree.search(query);
+        expect(found.length).toBe(expected.length);
+        expect(new Set(found)).toEqual(new Set(expected));
+      });
+
+      test('nearest', () => {
+        const tree = build();
+        const p = new Point(500, 500);
+        const nearest = tree.nearest(p, 5);
+        const distances = items.map((item) => distanceTo(p, item)).sort((a, b) => a - b);
+        expect(nearest.map((item) => distanceTo(p, item))).toEqual(distances.slice(0, 5));
+        expect(tree.nearest(p, 5, distances[2])).toHaveLength(3);
+        expect(tree.nearest(p, 5, -1)).toEqual([]);
+      });
+
+      test('remove', () => {
+        const tree = build();
+        for (let i = 0; i < 400; ++i) {
+          expect(tree.remove(items[i])).toBe(true);
+        }
+        expect(tree.remove(items[0])).toBe(false);
+        expect(tree.size).toBe(600);
+        expect(tree.all().length).toBe(600);
+        expect(new Set(tree.search(query))).toEqual(new Set(expected.filter((e) => items.indexOf(e) >= 400)));
+      });
+    });
+  }
+
+  test('empty tree', () => {
+    const tree = new RTree();
+    expect(tree.size).toBe(0);
+    expect(tree.search(query)).toEqual([]);
+    expect(tree.nearest(new Point(0, 0))).toEqual([]);
+    expect(tree.remove(new Point(0, 0))).toBe(false);
+  });
+
+  test('points inside shapes are at distance 0', () => {
+    const triangle = new Triangle(new Point(0, 0), new Point(10, 0), new Point(0, 10));
+    const rectangle = new Rectangle(20, 10, 5, 5);
+    const tree = new RTree().load([triangle, rectangle, new Point(2, 2)]);
+    expect(tree.nearest(new Point(1, 1), 2)).toContain(triangle);
+    expect(tree.nearest(new Point(22, 8))).toEqual([rectangle]);
+  });
+
+  test('unsupported items', () => {
+    const tree = new RTree();
+    expect(() => tree.insert(3)).toThrow();
+    expect(() => tree.insert(Line.ray(new Point(0, 0), new Point(1, 0)))).toThrow(/unbounded/);
+  });
+});
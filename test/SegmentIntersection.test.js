@@ -0,0 +1,190 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import { withTolerance } from '../src/Utils';
+import { findSegmentIntersections } from '../src/SegmentIntersection';
+
+const segment = (x1, y1, x2, y2) => new Line(new Point(x1, y1), new Point(x2, y2));
+
+/**
+ * Finds the intersections of the line segments by testing all pairs.
+ *
+ * @param {Line[]} lines
+ *     the array of line segments.
+ * @return {object}
+ *     an object `{ points, overlaps }`, where `points` is the array of the
+ *     sorted keys `"i,j"` of the pairs of segments intersecting at a single
+ *     point, and `overlaps` is the array of the sorted keys of the pairs of
+ *     overlapping segments.
+ */
+function bruteForce(lines) {
+  const points = [];
+  const overlaps = [];
+  for (let i = 0; i < lines.length; ++i) {
+    for (let j = i + 1; j < lines.length; ++j) {
+      const r = lines[i].intersectionWithLineSegment(lines[j]);
+      if (r.type === 'point') {
+        points.push(`${i},${j}`);
+      } else if (r.type === 'overlap') {
+        overlaps.push(`${i},${j}`);
+      }
+    }
+  }
+  return { points: points.sort(), overlaps: overlaps.sort() };
+}
+
+/**
+ * Gets the pairs of segments of the intersections found by the sweep line.
+ *
+ * @param {object[]} result
+ *     the intersections returned by `findSegmentIntersections()`.
+ * @return {object}
+ *     the pairs of segments in the same format as `bruteForce()`.
+ */
+function pairsOf(result) {
+  const overlaps = result.filter((r) => r.type === 'overlap').map((r) => r.segments.join(','));
+  const points = new Set();
+  for (const { type, segments } of result) {
+    if (type === 'point') {
+      // the overlapping segments passing through the same point are not
+      // counted as intersecting at that point
+      for (let s = 0; s < segments.length; ++s) {
+        for (let t = s + 1; t < segments.length; ++t) {
+          const key = `${segments[s]},${segments[t]}`;
+          if (!overlaps.includes(key)) {
+            points.add(key);
+          }
+        }
+      }
+    }
+  }
+  return { points: [...points].sort(), overlaps: overlaps.sort() };
+}
+
+/**
+ * Creates a pseudo-random number generator.
+ *
+ * @param {number} seed
+ *     the seed of the generator.
+ * @return {function}
+ *     a function returning a pseudo-random number in `[0, 1)`.
+ */
+function randomOf(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 16807) % 2147483647;
+    return s / 2147483647;
+  };
+}
+
+/**
+ * Unit test of the `findSegmentIntersections()` function.
+ *
+ * @author Haixing Hu
+ */
+describe('findSegmentIntersections', () => {
+  test('crossings, touches and overlaps', () => {
+    const lines = [
+      segment(0, 0, 2, 2), segment(0, 2, 2, 0), segment(1, 0, 1, 2), segment(2, 2, 3, 2),
+      segment(5, 5, 6, 6), segment(0, 1, 3, 1), segment(1, 1, 4, 1),
+    ];
+    const result = findSegmentIntersections(lines);
+    const points = result.filter((r) => r.type === 'point');
+    expect(points.map((r) => [r.point.x, r.point.y])).toEqual([[1, 1], [2, 2]]);
+    expect(points[0].segments).toEqual([0, 1, 2, 5, 6]);
+    expect(points[1].segments).toEqual([0, 3]);
+    const overlaps = result.filter((r) => r.type === 'overlap');
+    expect(overlaps.length).toBe(1);
+    expect(overlaps[0].segments).toEqual([5, 6]);
+    expect(overlaps[0].line.start.equals(new Point(1, 1))).toBe(true);
+    expect(overlaps[0].line.end.equals(new Point(3, 1))).toBe(true);
+  });
+
+  test('endpoints of overlaps are not intersection points', () => {
+    const result = findSegmentIntersections([segment(0, 0, 2, 0), segment(3, 0, 1, 0)]);
+    expect(result.length).toBe(1);
+    expect(result[0].type).toBe('overlap');
+    expect(result[0].line.start.equals(new Point(1, 0))).toBe(true);
+    expect(result[0].line.end.equals(new Point(2, 0))).toBe(true);
+  });
+
+  test('several collinear overlapping segments', () => {
+    const lines = [segment(0, 0, 4, 4), segment(1, 1, 5, 5), segment(2, 2, 3, 3), segment(6, 6, 7, 7)];
+    const result = findSegmentIntersections(lines);
+    expect(pairsOf(result)).toEqual(bruteForce(lines));
+    expect(result.map((r) => r.segments)).toEqual([[0, 1], [0, 2], [1, 2]]);
+  });
+
+  test('vertical segments and T-junctions', () => {
+    const lines = [
+      segment(0, 0, 0, 4), segment(-1, 2, 3, 2), segment(0, 4, 3, 4), segment(0, 1, 0, 3),
+      segment(2, 0, 2, 2), segment(2, 2, 2, 4), segment(-1, 0, 0, 0),
+    ];
+    const result = findSegmentIntersections(lines);
+    expect(pairsOf(result)).toEqual(bruteForce(lines));
+    const at = (x, y) => result.find((r) => r.type === 'point' && r.point.equals(new Point(x, y)));
+    expect(at(0, 2).segments).toEqual([0, 1, 3]);
+    expect(at(2, 2).segments).toEqual([1, 4, 5]);
+    expect(at(0, 4).segments).toEqual([0, 2]);
+    expect(at(0, 0).segments).toEqual([0, 6]);
+  });
+
+  test('random segments', () => {
+    const random = randomOf(7);
+    const lines = [];
+    for (let i = 0; i < 300; ++i) {
+      const x = random() * 100;
+      const y = random() * 100;
+      lines.push(segment(x, y, x + random() * 10, y + random() * 10 - 5));
+    }
+    const result = findSegmentIntersections(lines);
+    expect(pairsOf(result)).toEqual(bruteForce(lines));
+    for (let i = 1; i < result.length && result[i].type === 'point'; ++i) {
+      expect(result[i - 1].point.compareTo(result[i].point)).toBeLessThan(0);
+    }
+  });
+
+  test('long horizontal and vertical wires on a grid', () => {
+    const random = randomOf(11);
+    const lines = [];
+    for (let i = 0; i < 40; ++i) {
+      const y = Math.floor(random() * 20);
+      const x = Math.floor(random() * 10);
+      lines.push(segment(x, y, x + 5 + Math.floor(random() * 20), y));
+      const u = Math.floor(random() * 20);
+      const v = Math.floor(random() * 10);
+      lines.push(segment(u, v, u, v + 1 + Math.floor(random() * 10)));
+    }
+    expect(pairsOf(findSegmentIntersections(lines))).toEqual(bruteForce(lines));
+  });
+
+  test('merges the nearly equal intersection points', () => {
+    const lines = [segment(0, 0, 2, 2), segment(0, 2, 2, 0), segment(1 + 1e-12, 0, 1 + 1e-12, 2)];
+    const result = findSegmentIntersections(lines);
+    expect(result.length).toBe(1);
+    expect(result[0].segments).toEqual([0, 1, 2]);
+  });
+
+  test('zero tolerance', () => {
+    const lines = [segment(0, 0, 2, 2), segment(0, 2, 2, 0), segment(1, 0, 1, 2)];
+    const result = withTolerance({ absolute: 0, relative: 0 }, () => findSegmentIntersections(lines));
+    expect(result.length).toBe(1);
+    expect(result[0].point.equals(new Point(1, 1))).toBe(true);
+    expect(result[0].segments).toEqual([0, 1, 2]);
+  });
+
+  test('degenerated inputs', () => {
+    expect(findSegmentIntersections([])).toEqual([]);
+    expect(findSegmentIntersections([segment(0, 0, 1, 1)])).toEqual([]);
+    const result = findSegmentIntersections([segment(0, 0, 2, 0), segment(1, 0, 1, 0)]);
+    expect(result.length).toBe(1);
+    expect(result[0].segments).toEqual([0, 1]);
+  });
+});
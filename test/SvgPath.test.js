@@ -0,0 +1,135 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Polygon from '../src/Polygon';
+import Polyline from '../src/Polyline';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import Rectangle from '../src/Rectangle';
+import Circle from '../src/Circle';
+import QuadraticBezier from '../src/QuadraticBezier';
+import CubicBezier from '../src/CubicBezier';
+import { parseSvgPath, toSvgPath } from '../src/SvgPath';
+
+/**
+ * Unit test of the `SvgPath` module.
+ *
+ * @author Haixing Hu
+ */
+describe('SvgPath', () => {
+  const down = { yAxisDirection: 'down' };
+  const coordinatesOf = (polygon) => polygon.vertexes.map((p) => [p.x, p.y]);
+
+  test('parse lines in the absolute and relative forms', () => {
+    const [square] = parseSvgPath('M0,0 H10 V10 h-10 z', down);
+    expect(coordinatesOf(square)).toEqual([[0, 0], [10, 0], [10, 10], [0, 10]]);
+    const [same] = parseSvgPath('m0 0 l10 0 0 10 L0 10', down);
+    expect(coordinatesOf(same)).toEqual(coordinatesOf(square));
+    // the implicit line-to commands after a move-to command
+    const [implicit] = parseSvgPath('M0 0 10 0 10 10 0 10Z', down);
+    expect(coordinatesOf(implicit)).toEqual(coordinatesOf(square));
+  });
+
+  test('parse several subpaths', () => {
+    const two = parseSvgPath('M0 0L1 0 1 1ZM5 5l1 0l0 1z', down);
+    expect(two.length).toBe(2);
+    expect(two[1].vertexes[2]).toEqual(new Point(6, 6));
+    // a relative move-to after a close-path starts from the start of the
+    // closed subpath
+    const [, moved] = parseSvgPath('M1 1 h2 v2 z m 5 0 h2 v2 z', down);
+    expect(coordinatesOf(moved)).toEqual([[6, 1], [8, 1], [8, 3]]);
+  });
+
+  test('the y-axis direction', () => {
+    const [up] = parseSvgPath('M0,0 H10 V10 h-10 z');
+    expect(up.vertexes[2]).toEqual(new Point(10, -10));
+    expect(up.vertexes[0].y).toBe(0);
+    expect(Object.is(up.vertexes[0].y, -0)).toBe(false);
+  });
+
+  test('flatten arcs', () => {
+    const [c] = parseSvgPath('M -10 0 A10 10 0 1 0 10 0 A10 10 0 1 0 -10 0 Z', { tolerance: 0.01, ...down });
+    expect(Math.abs(c.area() - Math.PI * 100)).toBeLessThan(1);
+    for (const v of c.vertexes) {
+      expect(Math.abs(v.norm() - 10)).toBeLessThan(1e-9);
+    }
+    // the compact flags and the implicit repeated arc command
+    const [c2] = parseSvgPath('M-10 0a10 10 0 1020 0 10 10 0 10-20 0z', { tolerance: 0.01, ...down });
+    expect(Math.abs(c2.area() - Math.PI * 100)).toBeLessThan(1);
+    // the radii are scaled up if they are too small
+    const [half] = parseSvgPath('M-10 0 A1 1 0 0 1 10 0 Z', { tolerance: 0.01, ...down });
+    expect(Math.abs(half.area() - Math.PI * 50)).toBeLessThan(0.5);
+    // a smaller tolerance gives more vertexes
+    const coarse = parseSvgPath('M-10 0 A10 10 0 0 1 10 0 Z', { tolerance: 1, ...down })[0];
+    const fine = parseSvgPath('M-10 0 A10 10 0 0 1 10 0 Z', { tolerance: 0.001, ...down })[0];
+    expect(fine.vertexes.length).toBeGreaterThan(coarse.vertexes.length);
+    // an arc with a zero radius is a line
+    const [tri] = parseSvgPath('M0 0 A0 5 0 0 1 10 0 L 10 10 Z', down);
+    expect(coordinatesOf(tri)).toEqual([[0, 0], [10, 0], [10, 10]]);
+  });
+
+  test('flatten curves within the tolerance', () => {
+    const k = 0.5522847498;
+    const [q] = parseSvgPath(`M10 0 C10 ${10 * k} ${10 * k} 10 0 10 L0 0Z`, { tolerance: 0.001, ...down });
+    expect(Math.abs(q.area() - Math.PI * 25)).toBeLessThan(0.05);
+    // the vertexes lie on the curve `y = 2x(1 - x/10)`
+    const [flat] = parseSvgPath('M0 0 Q 5 10 10 0 Z', { tolerance: 0.01, ...down });
+    for (const v of flat.vertexes) {
+      expect(v.y).toBeCloseTo(2 * v.x * (1 - v.x / 10), 9);
+    }
+    expect(Math.abs(flat.area() - (2 / 3) * 10 * 5)).toBeLessThan(0.05);
+    // the smooth curves reflect the previous control points
+    const [t] = parseSvgPath('M0 0 Q 5 10 10 0 T 20 0 L 20 -5 L0 -5 Z', down);
+    expect(t.vertexes.some((p) => p.y < -4 && p.x > 10 && p.x < 20)).toBe(true);
+    const [s] = parseSvgPath('M0 0 C 0 10 10 10 10 0 S 20 -10 20 0 Z', down);
+    expect(s.vertexes.some((p) => p.y < -5 && p.x > 10 && p.x < 20)).toBe(true);
+  });
+
+  test('degenerated subpaths are ignored', () => {
+    expect(parseSvgPath('M0 0 L 1 1', down)).toEqual([]);
+    expect(parseSvgPath('M0 0 L 1 1 L 0 0 Z', down)).toEqual([]);
+    expect(parseSvgPath('', down)).toEqual([]);
+  });
+
+  test('malformed paths', () => {
+    expect(() => parseSvgPath('L 0 0')).toThrow(/moveto/);
+    expect(() => parseSvgPath('M 0 0 L 1')).toThrow(/position 9: expected a number/);
+    expect(() => parseSvgPath('M 0 0 X 1')).toThrow(/unknown command/);
+    expect(() => parseSvgPath('M0 0 A 1 1 0 2 0 1 1')).toThrow(/flag/);
+    expect(() => parseSvgPath(null)).toThrow(/string/);
+    expect(() => parseSvgPath('M0 0', { tolerance: 0 })).toThrow(/tolerance/);
+  });
+
+  test('export shapes', () => {
+    const poly = new Polygon([new Point(0, 0), new Point(1, 0), new Point(1, 1)]);
+    expect(toSvgPath(poly, down)).toBe('M 0 0 L 1 0 L 1 1 Z');
+    expect(toSvgPath(poly)).toBe('M 0 0 L 1 0 L 1 -1 Z');
+    expect(toSvgPath([new Line(new Point(0.123456, 0), new Point(1, 1)), poly], { precision: 2, ...down }))
+      .toBe('M 0.12 0 L 1 1 M 0 0 L 1 0 L 1 1 Z');
+    expect(toSvgPath(new Polyline([new Point(0, 0), new Point(1, 1), new Point(2, 0)]), down))
+      .toBe('M 0 0 L 1 1 L 2 0');
+    expect(toSvgPath(new QuadraticBezier(new Point(0, 0), new Point(1, 2), new Point(2, 0)), down))
+      .toBe('M 0 0 Q 1 2 2 0');
+    expect(toSvgPath(new CubicBezier(new Point(0, 0), new Point(1, 2), new Point(2, 2), new Point(3, 0)), down))
+      .toBe('M 0 0 C 1 2 2 2 3 0');
+    const square = new Polygon([new Point(0, 0), new Point(4, 0), new Point(4, 4), new Point(0, 4)]);
+    expect(toSvgPath(new PolygonWithHoles(square, [poly]), down))
+      .toBe('M 0 0 L 4 0 L 4 4 L 0 4 Z M 0 0 L 1 0 L 1 1 Z');
+    expect(toSvgPath([], down)).toBe('');
+    expect(() => toSvgPath(new Line(new Point(0, 0), new Point(1, 1), 'ray'))).toThrow(/unbounded/);
+    expect(() => toSvgPath(new Circle(new Point(0, 0), 1))).toThrow(/Unsupported/);
+  });
+
+  test('round trip', () => {
+    const poly = new Polygon([new Point(0, 0), new Point(1, 0), new Point(1, 1)]);
+    expect(parseSvgPath(toSvgPath(poly))[0].vertexes).toEqual(poly.vertexes);
+    const r = new Rectangle(0, 0, 2, 1, 1, 0, 'center', new Point(0, 0), 'down');
+    expect(parseSvgPath(toSvgPath(r, down), down)[0].area()).toBe(2);
+  });
+});
@@ -0,0 +1,116 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Triangle from '../src/Triangle';
+import Polygon from '../src/Polygon';
+import Rectangle from '../src/Rectangle';
+import Transform from '../src/Transform';
+
+/**
+ * Unit test of the `Transform` class.
+ *
+ * @author Haixing Hu
+ */
+describe('Transform', () => {
+  test('apply basic transformations', () => {
+    expect(Transform.translation(2, 3).apply(1, 1)).toEqual([3, 4]);
+    const [x, y] = Transform.rotation(Math.PI / 2, new Point(1, 1)).apply(2, 1);
+    expect(x).toBeCloseTo(1);
+    expect(y).toBeCloseTo(2);
+    expect(Transform.scaling(2, 3).apply(1, 1)).toEqual([2, 3]);
+    const [sx, sy] = Transform.skewing(Math.PI / 4).apply(0, 1);
+    expect(sx).toBeCloseTo(1);
+    expect(sy).toBeCloseTo(1);
+  });
+
+  test('compose applies the argument first', () => {
+    const t = Transform.translation(1, 0).compose(Transform.scaling(2));
+    expect(t.apply(1, 1)).toEqual([3, 2]);
+    const u = Transform.identity().translate(1, 0).scale(2);
+    expect(u.equals(t)).toBe(true);
+  });
+
+  test('invert', () => {
+    const t = Transform.fromComponents({
+      translateX: 3,
+      translateY: -2,
+      rotation: 0.7,
+      scaleX: 2,
+      scaleY: -3,
+      skew: 0.3,
+    });
+    expect(t.compose(t.invert()).isIdentity()).toBe(true);
+    expect(t.invert().compose(t).isIdentity()).toBe(true);
+    expect(() => Transform.scaling(0, 1).invert()).toThrow();
+    expect(Transform.scaling(0, 1).isInvertible()).toBe(false);
+  });
+
+  test('decompose is the inverse of fromComponents', () => {
+    const components = {
+      translateX: 3,
+      translateY: -2,
+      rotation: 0.7,
+      scaleX: 2,
+      scaleY: -3,
+      skew: 0.3,
+    };
+    const d = Transform.fromComponents(components).decompose();
+    for (const key of Object.keys(components)) {
+      expect(d[key]).toBeCloseTo(components[key]);
+    }
+    expect(() => new Transform(0, 0, 1, 1).decompose()).toThrow();
+  });
+
+  test('isSimilarity', () => {
+    expect(Transform.rotation(0.3).scale(2).translate(1, 2).isSimilarity()).toBe(true);
+    expect(Transform.scaling(2, 3).isSimilarity()).toBe(false);
+    expect(Transform.scaling(1, -1).isSimilarity()).toBe(false);
+    expect(Transform.skewing(0.2).isSimilarity()).toBe(false);
+  });
+
+  test('rotations of shapes share the same math', () => {
+    const p = new Point(1, 2);
+    expect(p.rotateAround(new Point(1, 1), Math.PI / 2).equals(new Point(0, 1))).toBe(true);
+    const tri = new Triangle(new Point(0, 0), new Point(1, 0), new Point(0, 1))
+      .rotate(new Point(0, 0), Math.PI);
+    expect(tri.b.equals(new Point(-1, 0))).toBe(true);
+    const polygon = new Polygon([new Point(0, 0), new Point(2, 0), new Point(0, 2)])
+      .rotate(new Point(0, 0), Math.PI / 2);
+    expect(polygon.vertexes[1].equals(new Point(0, 2))).toBe(true);
+  });
+
+  test('applyTo a rectangle', () => {
+    const r = new Rectangle(1, 5, 4, 2, 1, 30, 'center');
+    const m = Transform.translation(2, 3).rotate(0.5, new Point(1, 1)).scale(1.5);
+    const similar = m.applyTo(r);
+    expect(similar).toBeInstanceOf(Rectangle);
+    for (const key of ['topLeft', 'topRight', 'bottomLeft', 'bottomRight', 'center']) {
+      expect(similar[key].equals(r[key].transform(m))).toBe(true);
+    }
+    const skewed = Transform.skewing(0.3).applyTo(r);
+    expect(skewed).toBeInstanceOf(Polygon);
+    expect(skewed.vertexes[0].equals(r.topLeft.transform(Transform.skewing(0.3)))).toBe(true);
+  });
+
+  test('applyTo other shapes', () => {
+    const m = Transform.translation(1, 2);
+    const line = m.applyTo(new Line(new Point(0, 0), new Point(1, 0)));
+    expect(line).toBeInstanceOf(Line);
+    expect(line.end.equals(new Point(2, 2))).toBe(true);
+    expect(() => m.applyTo(3)).toThrow();
+    expect(() => m.applyTo(null)).toThrow();
+  });
+
+  test('JSON round trip', () => {
+    const t = new Transform(1, 2, 3, 4, 5, 6);
+    expect(Transform.fromJSON(JSON.parse(JSON.stringify(t))).equals(t)).toBe(true);
+    expect(() => Transform.fromJSON({ type: 'Transform', version: 1, a: 'x' })).toThrow();
+  });
+});
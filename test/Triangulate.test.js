@@ -0,0 +1,64 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Polygon from '../src/Polygon';
+
+const totalArea = (triangles) => triangles.reduce((s, t) => s + t.area(), 0);
+
+/**
+ * Unit test of the `Polygon.triangulate()` function.
+ *
+ * @author Haixing Hu
+ */
+describe('Polygon.triangulate', () => {
+  test('triangulates a concave polygon in either orientation', () => {
+    const vertexes = [
+      new Point(0, 0), new Point(3, 0), new Point(3, 3), new Point(2, 3),
+      new Point(2, 1), new Point(1, 1), new Point(1, 3), new Point(0, 3),
+    ];
+    for (const polygon of [new Polygon(vertexes), new Polygon(vertexes).reverse()]) {
+      const triangles = polygon.triangulate();
+      expect(triangles.length).toBe(6);
+      expect(totalArea(triangles)).toBeCloseTo(7);
+      for (const t of triangles) {
+        expect(t.area()).toBeGreaterThan(0);
+        const centroid = new Point((t.a.x + t.b.x + t.c.x) / 3, (t.a.y + t.b.y + t.c.y) / 3);
+        expect(centroid.relationToPolygon(polygon)).toBe('inside');
+      }
+    }
+  });
+
+  test('triangulates a comb with many reflex vertexes', () => {
+    const teeth = 40;
+    const vertexes = [new Point(0, 0), new Point(2 * teeth, 0)];
+    for (let i = teeth; i > 0; --i) {
+      vertexes.push(new Point(2 * i, 3), new Point(2 * i - 1, 3), new Point(2 * i - 1, 1));
+    }
+    vertexes[vertexes.length - 1] = new Point(0, 3);
+    const polygon = new Polygon(vertexes);
+    const triangles = polygon.triangulate();
+    expect(totalArea(triangles)).toBeCloseTo(polygon.area());
+    expect(triangles.length).toBe(vertexes.length - 2);
+  });
+
+  test('ignores duplicated and collinear vertexes', () => {
+    const square = new Polygon([
+      new Point(0, 0), new Point(1, 0), new Point(2, 0), new Point(2, 2), new Point(0, 2),
+    ]);
+    expect(totalArea(square.triangulate())).toBeCloseTo(4);
+    const triangle = new Polygon([new Point(0, 0), new Point(1, 0), new Point(1, 0), new Point(0, 1)]);
+    expect(triangle.triangulate().length).toBe(1);
+  });
+
+  test('rejects a polygon which is not simple', () => {
+    const bowtie = new Polygon([new Point(0, 0), new Point(2, 2), new Point(2, 0), new Point(0, 2)]);
+    expect(bowtie.isSimple()).toBe(false);
+    expect(() => bowtie.triangulate()).toThrow(/simple/);
+  });
+});
@@ -0,0 +1,88 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Config from '../src/Config';
+import Point from '../src/Point';
+import Line from '../src/Line';
+import {
+  getTolerance,
+  withTolerance,
+  eq,
+  lt,
+  leq,
+  gt,
+  geq,
+  isZero,
+  isNonZero,
+  isNonPositive,
+} from '../src/Utils';
+
+/**
+ * Unit test of the tolerance functions.
+ *
+ * @author Haixing Hu
+ */
+describe('Utils', () => {
+  test('the global tolerance', () => {
+    expect(getTolerance()).toEqual({ absolute: Config.EPS, relative: Config.RELATIVE_EPS });
+    expect(eq(1, 1 + 1e-9)).toBe(true);
+    expect(eq(1, 1.001)).toBe(false);
+    expect(isZero(1e-9)).toBe(true);
+    expect(isNonZero(1e-3)).toBe(true);
+    expect(isNonPositive(1e-9)).toBe(true);
+    expect(isNonPositive(1e-3)).toBe(false);
+  });
+
+  test('the comparisons with the tolerance', () => {
+    expect(lt(1.001, 1)).toBe(false);
+    expect(lt(1, 1.001)).toBe(true);
+    expect(leq(1 + 1e-9, 1)).toBe(true);
+    expect(gt(1.001, 1)).toBe(true);
+    expect(geq(1 - 1e-9, 1)).toBe(true);
+    expect(geq(0.999, 1)).toBe(false);
+  });
+
+  test('the explicit tolerance argument', () => {
+    expect(eq(1, 1.001, { absolute: 0.01 })).toBe(true);
+    expect(isZero(0.001, { absolute: 0.01 })).toBe(true);
+    // the unspecified properties are taken from the current tolerance
+    expect(eq(1e9, 1e9 + 100, { relative: 1e-6 })).toBe(true);
+  });
+
+  test('the relative tolerance', () => {
+    withTolerance({ absolute: 0, relative: 1e-6 }, () => {
+      expect(eq(1e9, 1e9 + 100)).toBe(true);
+      expect(eq(1, 1 + 1e-5)).toBe(false);
+      // the relative tolerance is meaningless for the comparison with 0
+      expect(isZero(1e-9)).toBe(false);
+      expect(isZero(0)).toBe(true);
+    });
+  });
+
+  test('scoped tolerances are nested and restored', () => {
+    expect(withTolerance({ absolute: 0.01 }, () => eq(1, 1.001))).toBe(true);
+    const inner = withTolerance({ absolute: 1 }, () => withTolerance({ relative: 0.5 }, () => getTolerance()));
+    expect(inner).toEqual({ absolute: 1, relative: 0.5 });
+    expect(getTolerance().absolute).toBe(Config.EPS);
+    expect(() => withTolerance({ absolute: 1 }, () => {
+      throw new Error('failure');
+    })).toThrow('failure');
+    expect(getTolerance().absolute).toBe(Config.EPS);
+  });
+
+  test('shapes use the scoped tolerance', () => {
+    const p = new Point(0, 0);
+    const q = new Point(0.001, 0);
+    expect(p.equals(q)).toBe(false);
+    expect(withTolerance({ absolute: 0.01 }, () => p.equals(q))).toBe(true);
+    const l = new Line(new Point(0, 0), new Point(1e6, 1e6));
+    const off = new Point(5e5, 5e5 + 1e-3);
+    expect(off.isOnLine(l)).toBe(false);
+    expect(withTolerance({ relative: 1e-6 }, () => off.isOnLine(l))).toBe(true);
+  });
+});
@@ -0,0 +1,183 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Polygon from '../src/Polygon';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import { withTolerance } from '../src/Utils';
+
+/**
+ * Calculates the winding number of a closed ring around a point.
+ */
+function windingNumber(p, vertexes) {
+  let winding = 0;
+  vertexes.forEach((a, i) => {
+    const b = vertexes[(i + 1) % vertexes.length];
+    const cross = (b.x - a.x) * (p.y - a.y) - (p.x - a.x) * (b.y - a.y);
+    if (a.y <= p.y && b.y > p.y && cross > 0) {
+      ++winding;
+    } else if (a.y > p.y && b.y <= p.y && cross < 0) {
+      --winding;
+    }
+  });
+  return winding;
+}
+
+/**
+ * Calculates the distance from a point to the sides of a closed ring.
+ */
+function distanceToRing(p, vertexes) {
+  return Math.min(...vertexes.map((v, i) => p.distanceToLineSegment(
+    new Line(v, vertexes[(i + 1) % vertexes.length]),
+  )));
+}
+
+/**
+ * Unit test of the `Polygon.validate()` and `Polygon.repair()` methods.
+ *
+ * @author Haixing Hu
+ */
+describe('Polygon.validate and Polygon.repair', () => {
+  const P = (x, y) => new Point(x, y);
+  const square = new Polygon([P(0, 0), P(2, 0), P(2, 2), P(0, 2)]);
+  const bowtie = new Polygon([P(0, 0), P(2, 2), P(2, 0), P(0, 2)]);
+
+  test('valid polygons', () => {
+    expect(square.validate()).toEqual([]);
+    expect(square.reverse().validate()).toEqual([]);
+    const concave = new Polygon([P(0, 0), P(4, 0), P(4, 4), P(2, 1), P(0, 4)]);
+    expect(concave.validate()).toEqual([]);
+  });
+
+  test('degenerated vertexes and sides', () => {
+    const duplicate = new Polygon([P(0, 0), P(0, 0), P(2, 0), P(2, 2)]);
+    expect(duplicate.validate()).toEqual([{ type: 'duplicate-vertex', index: 0 }]);
+    const closed = new Polygon([P(0, 0), P(2, 0), P(2, 2), P(0, 0)]);
+    expect(closed.validate()).toEqual([{ type: 'duplicate-vertex', index: 3 }]);
+    const nearly = new Polygon([P(0, 0), P(2, 0), P(2, 1e-10), P(2, 2)]);
+    expect(nearly.validate()).toEqual([{ type: 'zero-length-edge', index: 1 }]);
+    // the zero length depends on the current tolerance
+    expect(withTolerance({ absolute: 1e-12 }, () => nearly.validate()))
+      .toEqual([{ type: 'collinear-edges', index: 2 }]);
+    const redundant = new Polygon([P(0, 0), P(1, 0), P(2, 0), P(2, 2), P(0, 2)]);
+    expect(redundant.validate()).toEqual([{ type: 'collinear-edges', index: 1 }]);
+    // a spike overlaps the adjacent sides
+    const spike = new Polygon([P(0, 0), P(2, 0), P(3, 0), P(2, 0), P(2, 2), P(0, 2)]);
+    const types = spike.validate().map((p) => p.type);
+    expect(types).toContain('collinear-edges');
+    expect(types).toContain('self-intersection');
+  });
+
+  test('self-intersections', () => {
+    expect(bowtie.validate()).toEqual([
+      { type: 'self-intersection', edges: [0, 2], point: P(1, 1) },
+      { type: 'zero-area' },
+    ]);
+    // the two sides overlap on a line segment
+    const overlap = new Polygon([P(0, 0), P(4, 0), P(4, 2), P(3, 0), P(1, 0), P(0, 2)]);
+    const [problem] = overlap.validate().filter((p) => p.line);
+    expect(problem.edges).toEqual([0, 3]);
+    expect(problem.line.length()).toBeCloseTo(2, 12);
+    // the polygon touching itself at a vertex
+    const touching = new Polygon([P(0, 0), P(4, 0), P(2, 2), P(4, 4), P(0, 4), P(2, 2)]);
+    expect(touching.validate().some((p) => p.type === 'self-intersection')).toBe(true);
+  });
+
+  test('zero area', () => {
+    expect(new Polygon([P(0, 0), P(1, 1), P(2, 2)]).validate())
+      .toContainEqual({ type: 'zero-area' });
+    const point = new Polygon([P(1, 1), P(1, 1), P(1, 1)]).validate();
+    expect(point.filter((p) => p.type === 'duplicate-vertex').length).toBe(3);
+    expect(point).toContainEqual({ type: 'zero-area' });
+  });
+
+  test('repair degenerated polygons', () => {
+    const r = new Polygon([P(0, 0), P(0, 0), P(1, 0), P(2, 0), P(2, 2), P(2, 2 + 1e-10), P(0, 2)]).repair();
+    expect(r.length).toBe(1);
+    expect(r[0].holes).toEqual([]);
+    expect(r[0].outer.vertexes.length).toBe(4);
+    expect(r[0].outer.area()).toBeCloseTo(4, 9);
+    expect(r[0].outer.validate()).toEqual([]);
+    // the spike is removed
+    const spike = new Polygon([P(0, 0), P(2, 0), P(3, 0), P(2, 0), P(2, 2), P(0, 2)]).repair();
+    expect(spike.length).toBe(1);
+    expect(spike[0].outer.validate()).toEqual([]);
+    expect(spike[0].outer.area()).toBeCloseTo(4, 12);
+    // the orientation is normalized
+    const [{ outer }] = square.reverse().repair();
+    expect(outer.signedArea()).toBeCloseTo(4, 12);
+    expect(new Polygon([P(0, 0), P(1, 1), P(2, 2)]).repair()).toEqual([]);
+    expect(new Polygon([P(1, 1), P(1, 1), P(1, 1)]).repair()).toEqual([]);
+  });
+
+  test('repair self-intersecting polygons', () => {
+    const r = bowtie.repair();
+    expect(r.length).toBe(2);
+    for (const { outer, holes } of r) {
+      expect(holes).toEqual([]);
+      expect(outer.signedArea()).toBeCloseTo(1, 12);
+      expect(outer.validate()).toEqual([]);
+      // the repaired polygons work with the functions requiring valid input
+      expect(Number.isFinite(outer.centroid().x)).toBe(true);
+      expect(outer.isConvex()).toBe(true);
+    }
+    // the boundary winds around the inner square in the opposite direction
+    // through a slit, so that the inner square becomes a hole
+    const keyhole = new Polygon([P(0, 0), P(10, 0), P(10, 10), P(0, 10), P(0, 5), P(3, 5), P(3, 7),
+      P(7, 7), P(7, 3), P(3, 3), P(3, 5), P(0, 5)]);
+    const k = keyhole.repair();
+    expect(k.length).toBe(1);
+    expect(k[0].outer.area()).toBeCloseTo(100, 9);
+    expect(k[0].holes.length).toBe(1);
+    expect(k[0].holes[0].area()).toBeCloseTo(16, 9);
+    expect(k[0].holes[0].signedArea()).toBeLessThan(0);
+    // the results are polygons with holes
+    expect(k[0]).toBeInstanceOf(PolygonWithHoles);
+    expect(k[0].area()).toBeCloseTo(84, 9);
+    expect(P(5, 5).relationToPolygonWithHoles(k[0])).toBe('outside');
+    // the center of a pentagram has the winding number 2, and is kept
+    const star = [0, 2, 4, 1, 3].map((i) => P(Math.cos((2 * Math.PI * i) / 5), Math.sin((2 * Math.PI * i) / 5)));
+    const s = new Polygon(star).repair();
+    expect(s.length).toBe(1);
+    expect(s[0].holes).toEqual([]);
+    expect(s[0].outer.vertexes.length).toBe(10);
+    expect(P(0, 0).relationToPolygon(s[0].outer)).toBe('inside');
+  });
+
+  test('repair agrees with the winding numbers', () => {
+    let seed = 11;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    for (let round = 0; round < 10; ++round) {
+      const vertexes = [];
+      for (let i = 0; i < 8; ++i) {
+        vertexes.push(P(Math.round(10 * random()), Math.round(10 * random())));
+      }
+      const r = new Polygon(vertexes).repair();
+      for (const { outer, holes } of r) {
+        expect(outer.validate()).toEqual([]);
+        expect(outer.signedArea()).toBeGreaterThan(0);
+        for (const h of holes) {
+          expect(h.signedArea()).toBeLessThan(0);
+        }
+      }
+      for (let x = 0.13; x < 10; x += 0.5) {
+        for (let y = 0.07; y < 10; y += 0.5) {
+          const p = P(x, y);
+          if (distanceToRing(p, vertexes) > 1e-6) {
+            const inside = r.some((polygon) => p.relationToPolygonWithHoles(polygon) === 'inside');
+            expect(inside).toBe(windingNumber(p, vertexes) !== 0);
+          }
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,104 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Polyline from '../src/Polyline';
+import { parseWKT, toWKT } from '../src/Wkt';
+import { parseWKB, toWKB } from '../src/Wkb';
+
+/**
+ * Unit test of the `Wkb` module.
+ *
+ * @author Haixing Hu
+ */
+describe('Wkb', () => {
+  // the little-endian and big-endian doubles 1, 2, 3 and 4
+  const LE = ['000000000000F03F', '0000000000000040', '0000000000000840', '0000000000001040'];
+  const BE = ['3FF0000000000000', '4000000000000000', '4008000000000000', '4010000000000000'];
+
+  test('parse points of both byte orders', () => {
+    expect(parseWKB(`0101000000${LE[0]}${LE[1]}`)).toEqual(new Point(1, 2));
+    expect(parseWKB(`0000000001${BE[0]}${BE[1]}`)).toEqual(new Point(1, 2));
+  });
+
+  test('parse EWKB and ISO WKB', () => {
+    // PostGIS: SELECT 'SRID=4326;POINT(1 2)'::geometry
+    expect(parseWKB(`0101000020E6100000${LE[0]}${LE[1]}`)).toEqual(new Point(1, 2));
+    // EWKB POINT Z and POINT ZM with an SRID
+    expect(parseWKB(`0101000080${LE[0]}${LE[1]}${LE[2]}`)).toEqual(new Point(1, 2));
+    expect(parseWKB(`01010000E0E6100000${LE[0]}${LE[1]}${LE[2]}${LE[3]}`)).toEqual(new Point(1, 2));
+    // ISO POINT Z, POINT M and POINT ZM
+    expect(parseWKB(`01E9030000${LE[0]}${LE[1]}${LE[2]}`)).toEqual(new Point(1, 2));
+    expect(parseWKB(`01D1070000${LE[0]}${LE[1]}${LE[2]}`)).toEqual(new Point(1, 2));
+    expect(parseWKB(`01B90B0000${LE[0]}${LE[1]}${LE[2]}${LE[3]}`)).toEqual(new Point(1, 2));
+    // ISO LINESTRING Z
+    expect(parseWKB(`01EA03000002000000${LE[0]}${LE[1]}${LE[2]}${LE[2]}${LE[3]}${LE[0]}`))
+      .toEqual(new Line(new Point(1, 2), new Point(3, 4)));
+  });
+
+  test('members of a multi-geometry may have different byte orders', () => {
+    const le = `0101000000${LE[0]}${LE[1]}`;
+    const be = `0000000001${BE[2]}${BE[3]}`;
+    const points = [new Point(1, 2), new Point(3, 4)];
+    expect(parseWKB(`000000000400000002${le}${be}`)).toEqual(points);
+    expect(parseWKB(`010400000002000000${be}${le}`)).toEqual([points[1], points[0]]);
+    // a big-endian collection of a little-endian collection and a big-endian point
+    const nested = `000000000700000002010700000001000000${le}${be}`;
+    expect(toWKT(parseWKB(nested))).toBe('GEOMETRYCOLLECTION (GEOMETRYCOLLECTION (POINT (1 2)), POINT (3 4))');
+  });
+
+  test('input formats', () => {
+    const hex = `0101000000${LE[0]}${LE[1]}`;
+    const bytes = toWKB(new Point(1, 2));
+    expect(bytes).toBeInstanceOf(Uint8Array);
+    expect(parseWKB(bytes)).toEqual(new Point(1, 2));
+    expect(parseWKB(bytes.buffer)).toEqual(new Point(1, 2));
+    expect(parseWKB(new DataView(bytes.buffer))).toEqual(new Point(1, 2));
+    expect(parseWKB(hex.toLowerCase())).toEqual(new Point(1, 2));
+    expect(parseWKB(`\\x${hex}`)).toEqual(new Point(1, 2));
+    expect(toWKB(new Point(1, 2), { hex: true })).toBe(hex.toLowerCase());
+    expect(toWKB(new Point(1, 2), { littleEndian: false, hex: true })).toBe(`0000000001${BE[0]}${BE[1]}`.toLowerCase());
+    expect(() => parseWKB(3)).toThrow(/Unsupported WKB input/);
+  });
+
+  test('round trip of both byte orders', () => {
+    const shapes = parseWKT('GEOMETRYCOLLECTION (POINT (1 2), '
+      + 'POLYGON ((0 0, 4 0, 4 4, 0 4, 0 0), (1 1, 1 2, 2 2, 1 1)), '
+      + 'MULTIPOINT ((1 2), (3 4)), LINESTRING (0 0, 1 1, 2 0), MULTIPOLYGON EMPTY)');
+    for (const littleEndian of [true, false]) {
+      expect(toWKT(parseWKB(toWKB(shapes, { littleEndian })))).toBe(toWKT(shapes));
+      expect(toWKT(parseWKB(toWKB(shapes, { littleEndian, hex: true })))).toBe(toWKT(shapes));
+    }
+    const polyline = new Polyline([new Point(0, 0), new Point(1, 1), new Point(2, 0)]);
+    expect(parseWKB(toWKB(polyline))).toEqual(polyline);
+  });
+
+  test('malformed WKB', () => {
+    expect(() => parseWKB(`0101000000${LE[0]}0000000000000`)).toThrow(/hexadecimal/);
+    expect(() => parseWKB(`0101000000${LE[0]}00000000000000`)).toThrow(/unexpected end/);
+    expect(() => parseWKB(`0101000000${LE[0]}${LE[1]}00`)).toThrow(/trailing/);
+    expect(() => parseWKB('xyz')).toThrow(/hexadecimal/);
+    expect(() => parseWKB('')).toThrow(/unexpected end/);
+  });
+
+  test('invalid byte orders', () => {
+    expect(() => parseWKB('0201000000')).toThrow(/invalid byte order 2 at byte 0/);
+    expect(() => parseWKB('FF01000000')).toThrow(/invalid byte order 255/);
+    // the byte order of a member of a multi-geometry is also checked
+    expect(() => parseWKB(`010400000001000000020100000${'0'.repeat(33)}`)).toThrow(/invalid byte order 2 at byte 9/);
+  });
+
+  test('unsupported geometries', () => {
+    expect(() => parseWKB('0109000000')).toThrow(/unsupported geometry type 9/);
+    expect(() => parseWKB('01A00F0000')).toThrow(/unsupported geometry type 4000/);
+    expect(() => parseWKB('0101000000000000000000F87F000000000000F87F')).toThrow(/Empty POINT/);
+    // a MULTIPOINT whose member is a LINESTRING
+    expect(() => parseWKB('01040000000100000001020000000000000000')).toThrow(/expect a Point but found a LineString/);
+  });
+});
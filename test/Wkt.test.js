@@ -0,0 +1,88 @@
+/******************************************************************************
+ *                                                                            *
+ *    Copyright (c) 2023.                                                     *
+ *    Haixing Hu                                                              *
+ *                                                                            *
+ *    All rights reserved.                                                    *
+ *                                                                            *
+ ******************************************************************************/
+import Point from '../src/Point';
+import Line from '../src/Line';
+import Polygon from '../src/Polygon';
+import Polyline from '../src/Polyline';
+import PolygonWithHoles from '../src/PolygonWithHoles';
+import { parseWKT, toWKT } from '../src/Wkt';
+
+/**
+ * Unit test of the `Wkt` module.
+ *
+ * @author Haixing Hu
+ */
+describe('Wkt', () => {
+  test('parse geometries', () => {
+    expect(parseWKT('POINT (1 2)')).toEqual(new Point(1, 2));
+    expect(parseWKT('LINESTRING(0 0, 1.5e1 -2)')).toEqual(new Line(new Point(0, 0), new Point(15, -2)));
+    expect(parseWKT('LINESTRING (0 0, .5 1, 2 0)'))
+      .toEqual(new Polyline([new Point(0, 0), new Point(0.5, 1), new Point(2, 0)]));
+    const poly = parseWKT('POLYGON ((0 0, 4 0, 4 4, 0 4, 0 0), (1 1, 1 2, 2 2, 1 1))');
+    expect(poly).toBeInstanceOf(PolygonWithHoles);
+    expect(poly.outer.area()).toBe(16);
+    expect(poly.holes[0].area()).toBe(0.5);
+    expect(parseWKT('POLYGON ((0 0, 1 0, 1 1, 0 0))')).toBeInstanceOf(Polygon);
+    expect(parseWKT('MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))').length).toBe(2);
+    expect(parseWKT('MULTILINESTRING ((0 0, 1 1), (0 0, 1 1, 2 0))').map((l) => l.constructor))
+      .toEqual([Line, Polyline]);
+    expect(parseWKT('GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))').length).toBe(2);
+  });
+
+  test('both forms of MULTIPOINT', () => {
+    const points = [new Point(1, 2), new Point(3, 4)];
+    expect(parseWKT('MULTIPOINT (1 2, 3 4)')).toEqual(points);
+    expect(parseWKT('MULTIPOINT ((1 2), (3 4))')).toEqual(points);
+    expect(toWKT(points)).toBe('MULTIPOINT ((1 2), (3 4))');
+  });
+
+  test('keywords, dimensions and SRID', () => {
+    expect(parseWKT('point (1 2)')).toEqual(new Point(1, 2));
+    expect(parseWKT('SRID=4326;point z(1 2 3)')).toEqual(new Point(1, 2));
+    expect(parseWKT('POINT M (1 2 3)')).toEqual(new Point(1, 2));
+    expect(parseWKT('POINT ZM (1 2 3 4)')).toEqual(new Point(1, 2));
+    expect(parseWKT('POINT (1 2 3)')).toEqual(new Point(1, 2));
+    expect(parseWKT('GEOMETRYCOLLECTION (POINT Z (1 2 3), POINT (4 5))'))
+      .toEqual([new Point(1, 2), new Point(4, 5)]);
+  });
+
+  test('format geometries', () => {
+    const t = toWKT([new Point(1, 2), new Line(new Point(0, 0), new Point(1, 1))]);
+    expect(t).toBe('GEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))');
+    expect(toWKT(new Polygon([new Point(0, 0), new Point(1, 0), new Point(1, 1)])))
+      .toBe('POLYGON ((0 0, 1 0, 1 1, 0 0))');
+    expect(toWKT(new Point(-0.5, 1e-7))).toBe('POINT (-0.5 1e-7)');
+    const texts = [
+      'MULTIPOLYGON (((0 0, 1 0, 1 1, 0 0)), ((5 5, 6 5, 6 6, 5 5)))',
+      'MULTILINESTRING ((0 0, 1 1), (0 0, 1 1, 2 0))',
+      'POLYGON ((0 0, 4 0, 4 4, 0 4, 0 0), (1 1, 1 2, 2 2, 1 1))',
+      'GEOMETRYCOLLECTION (POINT (1 2), GEOMETRYCOLLECTION (POINT (3 4)), MULTIPOINT EMPTY)',
+    ];
+    for (const text of texts) {
+      expect(toWKT(parseWKT(text))).toBe(text);
+    }
+    expect(toWKT([])).toBe('GEOMETRYCOLLECTION EMPTY');
+  });
+
+  test('parse errors', () => {
+    expect(() => parseWKT('POINT (1)')).toThrow(/Malformed WKT at position 8/);
+    expect(() => parseWKT('POINT (1 2')).toThrow(/end/);
+    expect(() => parseWKT('POINT (1 2, 3 4)')).toThrow(/Malformed/);
+    expect(() => parseWKT('CIRCLE (1 2)')).toThrow(/geometry type/);
+    expect(() => parseWKT('POINT (1 2) x')).toThrow(/end of input/);
+    expect(() => parseWKT('POINT (1 # 2)')).toThrow(/unexpected character/);
+    expect(() => parseWKT('POINT Z (1 2)')).toThrow(/3 coordinates/);
+    expect(() => parseWKT('LINESTRING Z (0 0 0, 1 1)')).toThrow(/3 coordinates/);
+    expect(() => parseWKT('POINT (1 2 3 4 5)')).toThrow(/2 to 4 coordinates/);
+    expect(() => parseWKT('POINT EMPTY')).toThrow(/Empty/);
+    expect(() => parseWKT('LINESTRING (0 0)')).toThrow();
+    expect(() => parseWKT('POLYGON ((0 0, 1 0, 1 1, 0 1))')).toThrow(/closed/);
+    expect(() => parseWKT('')).toThrow(/geometry type/);
+  });
+});